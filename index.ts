@@ -4,7 +4,20 @@
 
 // Temporary import for CommonJS compatibility
 import ChronikCache from './src/index';
+import LevelStorageAdapter from './src/lib/LevelStorageAdapter';
+import MemoryStorageAdapter from './src/lib/MemoryStorageAdapter';
+import { createServer } from './src/lib/server';
+import { createProxyServer } from './src/lib/chronikProxy';
 
 // Export as both default and named export
 export default ChronikCache;
-export { ChronikCache }; 
+export { ChronikCache };
+
+// Storage backends
+export { LevelStorageAdapter, MemoryStorageAdapter };
+export type { StorageAdapter, BatchOperation } from './src/lib/StorageAdapter';
+
+// REST API over a cache, and a chronik-compatible protobuf proxy for chronik-client
+export { createServer, createProxyServer };
+
+export type { ChronikCacheConfig, RuntimeConfig, ServerOptions, ProxyOptions } from './src/types';
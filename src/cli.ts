@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { parseArgs } from 'util';
+import { ChronikClient } from 'chronik-client';
+import ChronikCache from './index';
+import { createServer } from './lib/server';
+import { createProxyServer } from './lib/chronikProxy';
+
+const USAGE = `Usage: chronik-cache-server --chronik <url> [options]
+
+Options:
+  --chronik <url>          Chronik server, repeat for failover (or CHRONIK_URLS, comma separated)
+  --port <port>            Port to listen on (default 3080)
+  --host <host>            Interface to listen on (default 127.0.0.1)
+  --cache-dir <dir>        LevelDB directory (default ./.cache)
+  --namespace <name>       Key prefix isolating this cache in a shared directory
+  --max-tx-limit <n>       Max transactions before a cache is rejected
+  --max-cache-size <mb>    Cache size limit in MB
+  --max-page-size <n>      Largest page_size a request may ask for (default 200)
+  --proxy                  Serve chronik's protobuf API for chronik-client instead of JSON
+  --logging                Enable cache logging
+  --help                   Show this help
+`;
+
+function toNumber(value: string | undefined, name: string): number | undefined {
+    if (value === undefined) {
+        return undefined;
+    }
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) {
+        throw new Error(`--${name} must be a number, got ${value}`);
+    }
+    return parsed;
+}
+
+async function main(): Promise<void> {
+    const { values } = parseArgs({
+        options: {
+            'chronik': { type: 'string', multiple: true },
+            'port': { type: 'string', default: '3080' },
+            'host': { type: 'string', default: '127.0.0.1' },
+            'cache-dir': { type: 'string' },
+            'namespace': { type: 'string' },
+            'max-tx-limit': { type: 'string' },
+            'max-cache-size': { type: 'string' },
+            'max-page-size': { type: 'string' },
+            'proxy': { type: 'boolean', default: false },
+            'logging': { type: 'boolean', default: false },
+            'help': { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const urls = values.chronik ?? (process.env.CHRONIK_URLS ? process.env.CHRONIK_URLS.split(',') : []);
+    if (urls.length === 0) {
+        throw new Error('At least one --chronik url is required');
+    }
+
+    const cache = new ChronikCache(new ChronikClient(urls) as any, {
+        cacheDir: values['cache-dir'],
+        namespace: values.namespace,
+        maxTxLimit: toNumber(values['max-tx-limit'], 'max-tx-limit'),
+        maxCacheSize: toNumber(values['max-cache-size'], 'max-cache-size'),
+        enableLogging: values.logging
+    });
+    const port = toNumber(values.port, 'port');
+    const mode = values.proxy ? 'chronik proxy' : 'server';
+    // The proxy forwards everything it does not cache, including the websocket, to the same chronik urls
+    const server = values.proxy
+        ? createProxyServer(cache, { upstream: urls, logger: console })
+        : createServer(cache, { maxPageSize: toNumber(values['max-page-size'], 'max-page-size') });
+
+    const listening = server.listen(port, values.host, () => {
+        console.log(`chronik-cache ${mode} listening on http://${values.host}:${port}`);
+    });
+
+    const shutdown = () => {
+        listening.close(async () => {
+            cache.destroy();
+            await cache.db.close();
+            process.exit(0);
+        });
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.stderr.write(USAGE);
+    process.exit(1);
+});
@@ -16,12 +16,22 @@ export type CacheStatusType = typeof CACHE_STATUS[keyof typeof CACHE_STATUS];
 export const DEFAULT_CONFIG = {
     MAX_TX_LIMIT: 10000,         // 每个地址或token最大可缓存的交易数量
     MAX_CACHE_SIZE: 512,         // 默认最大缓存大小（MB）
+    EVICTION_POLICY: 'lru',      // 超出缓存大小时的淘汰策略
     DEFAULT_PAGE_SIZE: 200,      // 默认分页大小
     CACHE_DIR: './.cache',       // 缓存目录
     WS_TIMEOUT: 43000000,        // 12 H WebSocket 初始超时时间（毫秒）
     WS_EXTEND_TIMEOUT: 1800000,  // 30 M WebSocket 延长时间（毫秒）
-    MAX_ITEMS_PER_KEY: 10000,    // 每个key最大的存储数量
-    GLOBAL_METADATA_CACHE_LIMIT: 100  // 全局元数据缓存限制
+    GLOBAL_METADATA_CACHE_LIMIT: 100, // 全局元数据缓存限制
+    UPDATE_CONCURRENCY: 2,       // 缓存更新队列并发数
+    TX_UPDATE_CONCURRENCY: 5,    // 交易更新队列并发数
+    MAX_SUBSCRIPTIONS: 30,       // 每类 WebSocket 最大订阅数
+    MEMORY_CACHE_TTL: 120000,    // 120 S 内存缓存初始过期时间（毫秒）
+    MEMORY_CACHE_TTL_EXTENSION: 10000, // 10 S 每次访问延长的过期时间（毫秒）
+    MEMORY_CACHE_CHECK_INTERVAL: 10000, // 10 S 内存缓存过期检查间隔（毫秒）
+    STATUS_RESTORE_CONCURRENCY: 4, // 启动时恢复缓存状态的并发校验数
+    WARM_PRIORITY: -1,           // 预热构建的队列优先级，低于请求触发的构建
+    BACKGROUND_UPDATE_PRIORITY: -1, // WS 通知、重组校验、启动恢复触发的后台更新的队列优先级
+    WARM_CHECK_CONCURRENCY: 4    // 预热时并发查询交易数的数量
 } as const;
 
 export type DefaultConfigType = typeof DEFAULT_CONFIG; 
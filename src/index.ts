@@ -2,117 +2,223 @@
 // Distributed under the MIT software license, see the accompanying
 // file COPYING or http://www.opensource.org/licenses/mit-license.php.
 
+import { EventEmitter } from 'events';
 import DbUtils from './lib/dbUtils';
 import WebSocketManager from './lib/WebSocketManager';
 import Logger from './lib/Logger';
-import { encodeCashAddress } from 'ecashaddrjs';
 import { CACHE_STATUS, DEFAULT_CONFIG } from './constants';
 import FailoverHandler from './lib/failover';
 import { computeHash } from './lib/hash';
-import TaskQueue from './lib/TaskQueue';
-import sortTxIds from './lib/sortTxIds';
+import TaskQueue, { isAbortError } from './lib/TaskQueue';
+import sortTxIds, { txSortKey, txOrderFromIndex } from './lib/sortTxIds';
 import CacheStats from './lib/CacheStats';
+import { queryHistory, decodeCursor } from './lib/historyQuery';
+import { resolveConfig, validateRuntimeConfig, deprecationWarnings } from './lib/config';
+import { checkIndexedCache } from './lib/cacheIntegrity';
+import { migrateSchema } from './lib/migrations';
+import { orderPrefix, txPrefix, entityKey, standaloneTxKey, STANDALONE_METADATA_KEY } from './lib/cacheKeys';
+import { BatchOperation } from './lib/StorageAdapter';
+import { getSerializedSize } from './lib/serialization';
+import { rankForEviction, StoredCacheEntry } from './lib/eviction';
+import WarmHandle from './lib/WarmHandle';
+import BalanceTracker from './lib/balances';
+import { lokadIdentifier, pluginIdentifier } from './lib/groups';
+import {
+    EntityType,
+    UtxoEntityType,
+    BalanceEntityType,
+    UtxosResponse,
+    ADDRESS,
+    LOKAD,
+    PLUGIN,
+    TOKEN,
+    ENTITY_TYPES,
+    entityTypeOf,
+    scriptEntity,
+    perKind
+} from './lib/entityTypes';
+import { ResolvedProjection, resolveProjection, droppedFields, projectTx, savedBytes, TX_FIELDS } from './lib/projection';
 
 import {
     ChronikCacheConfig,
+    RuntimeConfig,
+    EvictionPolicy,
     Transaction,
     HistoryResponse,
+    HistoryQuery,
     CacheData,
     CacheMetadata,
     CacheStatusInfo,
     WebSocketMessageType,
     CacheStatistics,
     ChronikClientInterface,
-    MemoryCacheEntry
+    MemoryCacheEntry,
+    ScriptUtxosResponse,
+    TokenUtxosResponse,
+    BalanceResponse,
+    TokenHoldersResponse,
+    HistoryOptions,
+    HistoryResult,
+    TxSummary,
+    TxField,
+    WarmTarget,
+    WarmOptions,
+    WarmEvent,
+    ChronikCacheEvents,
+    EntityKind,
+    PluginUtxosResponse
 } from './types';
 
-const MAX_ITEMS_PER_KEY = DEFAULT_CONFIG.MAX_ITEMS_PER_KEY;
+type StatusListener = (identifier: string, status: string, type: EntityType) => void;
+
+// Event emitted for each websocket tx message of a subscribed address or token
+const TX_EVENTS: Record<WebSocketMessageType, 'txAdded' | 'txRemoved' | 'txConfirmed' | 'txFinalized'> = {
+    TX_ADDED_TO_MEMPOOL: 'txAdded',
+    TX_REMOVED_FROM_MEMPOOL: 'txRemoved',
+    TX_CONFIRMED: 'txConfirmed',
+    TX_FINALIZED: 'txFinalized'
+};
 
-class ChronikCache {
+class ChronikCache extends EventEmitter<ChronikCacheEvents> {
     private chronik: ChronikClientInterface;
     private maxTxLimit: number;
     private defaultPageSize: number;
     private cacheDir: string;
+    private namespace?: string;
     private maxCacheSize: number;
+    private evictionPolicy: EvictionPolicy;
+    // Bytes seen by the last size check plus everything written since, never below the real size
+    private estimatedCacheSize: number | null;
+    private activeWrites: Map<string, number>;
+    private memoryCacheTTL: number;
+    private memoryCacheTTLExtension: number;
+    private memoryCacheCheckInterval: number;
     private enableLogging: boolean;
     private logger: any;
     public db: any;
-    private statusMap: Map<string, CacheStatusInfo>;
+    // Per entity kind: cache statuses, identifiers with a build in progress and in-memory histories
+    private statusMaps: Record<EntityKind, Map<string, CacheStatusInfo>>;
+    private updateLocks: Record<EntityKind, Map<string, boolean>>;
+    private memoryCaches: Record<EntityKind, Map<string, MemoryCacheEntry<CacheData>>>;
     public wsManager: any;
-    private updateLocks: Map<string, boolean>;
-    private scriptToAddressMap: Map<string, string>;
     private failover: any;
-    private tokenStatusMap: Map<string, CacheStatusInfo>;
-    private tokenUpdateLocks: Map<string, boolean>;
     public globalMetadataCache: Map<string, CacheMetadata>;
     public globalMetadataCacheLimit: number;
     public updateQueue: any;
     public txUpdateQueue: any;
-    private addressMemoryCache: Map<string, MemoryCacheEntry<CacheData>>;
-    private tokenMemoryCache: Map<string, MemoryCacheEntry<CacheData>>;
+    // One per identifier with a queued or running history update, aborted when its cache is cleared
+    private updateControllers: Map<string, AbortController>;
+    private utxoMemoryCache: Map<string, MemoryCacheEntry<UtxosResponse>>;
+    // Balances and token holders, updated with every committed change instead of being rebuilt
+    private balanceTrackers: Record<EntityKind, Map<string, MemoryCacheEntry<BalanceTracker>>>;
     private stats: any;
     private debounceTimers: Map<string, NodeJS.Timeout>;
+    private pendingReorgHeight: number | null;
     private memoryCacheCleanupInterval?: NodeJS.Timeout;
+    private startupRepair: Promise<void>;
+    private statusListeners: Set<StatusListener>;
+    private statusRestore: Promise<void>;
+    private wsTimeout: number;
+    private txProjection: ResolvedProjection;
+    private maxSubscriptions: number;
 
     constructor(chronik: ChronikClientInterface, config: ChronikCacheConfig = {}) {
+        super();
         const {
-            maxTxLimit = DEFAULT_CONFIG.MAX_TX_LIMIT,
-            maxCacheSize = DEFAULT_CONFIG.MAX_CACHE_SIZE,
-            failoverOptions = {},
-            enableLogging = true,
-            enableTimer = false,
-            wsTimeout = DEFAULT_CONFIG.WS_TIMEOUT,
-            wsExtendTimeout = DEFAULT_CONFIG.WS_EXTEND_TIMEOUT
-        } = config;
+            storage,
+            cacheDir,
+            namespace,
+            maxTxLimit,
+            maxCacheSize,
+            evictionPolicy,
+            defaultPageSize,
+            updateConcurrency,
+            txUpdateConcurrency,
+            maxSubscriptions,
+            memoryCacheTTL,
+            memoryCacheTTLExtension,
+            memoryCacheCheckInterval,
+            restoreStatusOnStartup,
+            statusRestoreConcurrency,
+            failoverOptions,
+            enableLogging,
+            enableTimer,
+            wsTimeout,
+            wsExtendTimeout,
+            txProjection,
+            compression
+        } = resolveConfig(config);
 
         this.chronik = chronik;
         this.maxTxLimit = maxTxLimit;
-        this.defaultPageSize = DEFAULT_CONFIG.DEFAULT_PAGE_SIZE;
-        this.cacheDir = DEFAULT_CONFIG.CACHE_DIR;
+        this.defaultPageSize = defaultPageSize;
+        this.cacheDir = cacheDir;
+        this.namespace = namespace;
         this.maxCacheSize = maxCacheSize * 1024 * 1024;
+        this.evictionPolicy = evictionPolicy;
+        this.estimatedCacheSize = null;
+        this.activeWrites = new Map<string, number>();
+        this.memoryCacheTTL = memoryCacheTTL;
+        this.memoryCacheTTLExtension = memoryCacheTTLExtension;
+        this.memoryCacheCheckInterval = memoryCacheCheckInterval;
+        this.wsTimeout = wsTimeout;
+        this.maxSubscriptions = maxSubscriptions;
+        this.txProjection = resolveProjection(txProjection);
         this.enableLogging = enableLogging;
 
         this.logger = new Logger(enableLogging, enableTimer);
+        deprecationWarnings(config).forEach(warning => this.logger.warn(warning));
 
         // Initialize database utilities
         this.db = new DbUtils(this.cacheDir, {
             valueEncoding: 'json',
-            maxCacheSize: this.maxCacheSize,
+            adapter: storage,
+            namespace,
+            compression,
             enableLogging
         });
 
-        this.statusMap = new Map<string, CacheStatusInfo>();
+        this.statusMaps = perKind(() => new Map());
+        this.updateLocks = perKind(() => new Map());
+        // In-memory copy of whole persistent histories, each entry expires on its own
+        this.memoryCaches = perKind(() => new Map());
+        this.statusListeners = new Set<StatusListener>();
         // Pass onEvict callback to update cache status to UNKNOWN
         this.wsManager = new WebSocketManager(chronik, failoverOptions, enableLogging, {
             wsTimeout: wsTimeout as any,
             wsExtendTimeout: wsExtendTimeout as any,
-            onEvict: (identifier: string, subscriptionType: string) => {
-                const isToken = subscriptionType === 'token';
-                this._setCacheStatus(identifier, CACHE_STATUS.UNKNOWN, isToken);
+            maxSubscriptions,
+            onEvict: (identifier: string, kind: EntityKind) => {
+                this._setCacheStatus(identifier, CACHE_STATUS.UNKNOWN, entityTypeOf(kind));
+            },
+            onConnectionChange: (socket, connected) => {
+                this._emitEvent(connected ? 'wsConnected' : 'wsDisconnected', { socket });
+            },
+            onReorg: (forkHeight: number) => {
+                // Consecutive disconnects of a deep reorg are rolled back in one pass from the lowest height
+                this.pendingReorgHeight = Math.min(this.pendingReorgHeight ?? forkHeight, forkHeight);
+                this._debounce('reorg', async () => {
+                    const height = this.pendingReorgHeight!;
+                    this.pendingReorgHeight = null;
+                    await this._handleReorg(height);
+                });
             }
         });
-        this.updateLocks = new Map<string, boolean>();
-        // Add script type to address cache mapping
-        this.scriptToAddressMap = new Map<string, string>();
         // Add failover handler
         this.failover = new FailoverHandler(failoverOptions);
-        // 添加token缓存相关的Map
-        this.tokenStatusMap = new Map<string, CacheStatusInfo>();
-        this.tokenUpdateLocks = new Map<string, boolean>();
         // 初始化全局元数据缓存，防止频繁访问数据库
         this.globalMetadataCache = new Map<string, CacheMetadata>();
         // Set LRU cache limit for global metadata cache
         this.globalMetadataCacheLimit = DEFAULT_CONFIG.GLOBAL_METADATA_CACHE_LIMIT || 100;
-        // 初始化全局任务队列，最大并发 2 个
-        this.updateQueue = new TaskQueue(2);
-        // 初始化交易更新队列，最大并发 5 个
-        this.txUpdateQueue = new TaskQueue(5);
+        // 初始化全局任务队列，默认最大并发 2 个
+        this.updateQueue = new TaskQueue(updateConcurrency);
+        // 初始化交易更新队列，默认最大并发 5 个
+        this.txUpdateQueue = new TaskQueue(txUpdateConcurrency);
+        this.updateControllers = new Map<string, AbortController>();
         
-        // =========================================================
-        // NEW: In-memory cache to hold the entire persistent cache
-        this.addressMemoryCache = new Map<string, MemoryCacheEntry<CacheData>>();
-        this.tokenMemoryCache = new Map<string, MemoryCacheEntry<CacheData>>();
-        // =========================================================
+        // UTXO sets derived from the cached history, dropped whenever the history is rewritten
+        this.utxoMemoryCache = new Map<string, MemoryCacheEntry<UtxosResponse>>();
+        this.balanceTrackers = perKind(() => new Map());
         
         // Initialize stats
         this.stats = new CacheStats(this, this.logger);
@@ -122,6 +228,14 @@ class ChronikCache {
 
         // 添加防抖计时器Map
         this.debounceTimers = new Map<string, NodeJS.Timeout>();
+        this.pendingReorgHeight = null;
+
+        // Reads and writes wait for this, so nothing is served from or written over a half-written cache
+        this.startupRepair = this._repairStoredCaches();
+        // Caches that were live before a restart come back as LATEST once chronik confirms their tx count
+        this.statusRestore = restoreStatusOnStartup
+            ? this._restoreCacheStatus(statusRestoreConcurrency)
+            : Promise.resolve();
 
         return new Proxy(this, {
             get: (target: any, prop: string | symbol) => {
@@ -161,6 +275,7 @@ class ChronikCache {
             try {
                 await fn();
             } catch (error) {
+                if (isAbortError(error)) return;
                 this.logger.error(`Error in debounced function for ${key}:`, error);
             }
         }, delay);
@@ -168,117 +283,404 @@ class ChronikCache {
         this.debounceTimers.set(key, timer);
     }
 
-    // Read cache from database by reading txMap and txOrder separately
-    private async _readCache(addressOrTokenId: string): Promise<CacheData | null> {
+    // Bring the stored layout up to the current schema, then check every stored cache once:
+    // histories a crash left half-written are discarded
+    private async _repairStoredCaches(): Promise<void> {
+        const db = this.db;
         try {
-            let txOrder: string[];
-            let txMap: Record<string, Transaction>;
-
-            // Check for paginated txOrder
-            const txOrderMeta = await this.db.get(`${addressOrTokenId}:txOrder:meta`);
-            if (txOrderMeta) {
-                const { pageCount } = txOrderMeta;
-                txOrder = [];
-                for (let i = 0; i < pageCount; i++) {
-                    const chunk = await this.db.get(`${addressOrTokenId}:txOrder:${i}`);
-                    txOrder = txOrder.concat(chunk);
-                }
-            } else {
-                txOrder = await this.db.get(`${addressOrTokenId}:txOrder`);
-            }
-            if (!txOrder) return null;
-
-            // Check for paginated txMap
-            const txMapMeta = await this.db.get(`${addressOrTokenId}:txMap:meta`);
-            if (txMapMeta) {
-                const { pageCount } = txMapMeta;
-                txMap = {};
-                for (let i = 0; i < pageCount; i++) {
-                    const chunk = await this.db.get(`${addressOrTokenId}:txMap:${i}`);
-                    txMap = Object.assign(txMap, chunk);
+            const migrated = await migrateSchema(db, {
+                logger: this.logger,
+                moveLegacyHistory: (identifier, kind, metadata, legacy) =>
+                    this._migrateLegacyCache(identifier, metadata, legacy.keys, legacy.data!, entityTypeOf(kind)),
+                discardHistory: (identifier, kind, metadata, keys, reason) =>
+                    this._discardStoredHistory(identifier, entityTypeOf(kind), metadata, keys, reason)
+            });
+
+            const identifiers = await db.getCachedIdentifiers();
+            for (const { identifier, kind } of identifiers) {
+                const metadata = await db.getGlobalMetadata(entityKey(kind, identifier));
+                // Metadata without a hash only tracks access, no history was written under it
+                if (!metadata || !metadata.dataHash) continue;
+                // Each write is one atomic batch, so counting the order index is enough to catch a damaged history.
+                // Histories that were just migrated from an older layout get the full check once
+                if (!migrated && metadata.numTxs === await db.countKeys(orderPrefix(identifier))) continue;
+
+                const report = await checkIndexedCache(db, identifier, metadata);
+                if (!report.consistent) {
+                    await this._discardStoredHistory(identifier, entityTypeOf(kind), metadata, report.keys, report.reason);
                 }
-            } else {
-                txMap = await this.db.get(`${addressOrTokenId}:txMap`);
             }
+        } catch (error) {
+            this.logger.error('Error repairing stored caches:', error);
+        }
+    }
+
+    private async _discardStoredHistory(
+        identifier: string,
+        type: EntityType,
+        metadata: CacheMetadata,
+        keys: string[],
+        reason?: string
+    ): Promise<void> {
+        const metadataKey = this._entityKey(identifier, type);
+        // Keep the access stats, dropping the hash makes the next access rebuild the history
+        const { dataHash, numTxs, ...accessMetadata } = metadata;
+        const prefix = txPrefix(identifier);
+        const txids = keys.filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length));
+        await this.db.batch([
+            ...keys.map(key => ({ type: 'del' as const, key })),
+            ...this.db.txIndexDelOps(txids, { identifier, kind: type.kind }),
+            this.db.globalMetadataOp(metadataKey, accessMetadata)
+        ]);
+        this.globalMetadataCache.delete(metadataKey);
+        this.logger.log(`[${identifier}] Discarded inconsistent stored cache: ${reason}`);
+    }
 
-            // Update global metadata
+    // Only caches read or written within wsTimeout are restored, their websocket would still be open
+    // without the restart. Per socket, no more are picked than can hold a subscription.
+    private async _restoreCacheStatus(concurrency: number): Promise<void> {
+        await this.startupRepair;
+        try {
             const now = Date.now();
-            let metadata = await this._getGlobalMetadata(addressOrTokenId);
-            if (!metadata) {
-                metadata = { accessCount: 0, createdAt: now };
+            const candidates: Array<{ identifier: string; type: EntityType; metadata: CacheMetadata; lastActive: number }> = [];
+            for (const { identifier, kind } of await this.db.getCachedIdentifiers()) {
+                const type = entityTypeOf(kind);
+                const metadata = await this._getGlobalMetadata(identifier, type);
+                if (!metadata || !metadata.dataHash) continue;
+                const lastActive = metadata.lastAccessAt ?? metadata.updatedAt ?? metadata.createdAt;
+                if (now - lastActive > this.wsTimeout) continue;
+                candidates.push({ identifier, type, metadata, lastActive });
+            }
+
+            candidates.sort((a, b) => b.lastActive - a.lastActive);
+            const selected = (['address', 'token'] as const).flatMap(socket =>
+                candidates.filter(candidate => candidate.type.socket === socket).slice(0, this.maxSubscriptions));
+            this.logger.log(`Restoring cache status for ${selected.length} of ${candidates.length} recently active caches`);
+
+            const queue = new TaskQueue(concurrency);
+            await Promise.all(selected.map(({ identifier, type, metadata }) =>
+                queue.enqueue(() => this._revalidateRestoredCache(identifier, type, metadata)).catch((error: Error) => {
+                    this.logger.error(`[${identifier}] Failed to restore cache status:`, error);
+                })
+            ));
+        } catch (error) {
+            this.logger.error('Error restoring cache status:', error);
+        }
+    }
+
+    // A matching tx count means the stored history is complete, otherwise only the missing txs are fetched
+    private async _revalidateRestoredCache(identifier: string, type: EntityType, metadata: CacheMetadata): Promise<void> {
+        const apiNumTxs = await this._quickGetTxCount(type, identifier);
+        // A request may have started its own update in the meantime
+        if (this._getCacheStatus(identifier, type) !== CACHE_STATUS.UNKNOWN) return;
+        if (this._checkTxLimit(identifier, apiNumTxs, type)) return;
+
+        if (metadata.numTxs !== apiNumTxs) {
+            this._checkAndUpdateCache(type, identifier, apiNumTxs, this.defaultPageSize, false, DEFAULT_CONFIG.BACKGROUND_UPDATE_PRIORITY);
+            return;
+        }
+
+        this.logger.log(`[${identifier}] Restored cache status LATEST from disk`);
+        this._setCacheStatus(identifier, CACHE_STATUS.LATEST, type);
+        await this._initWebsocket(type, identifier);
+    }
+
+    private async _migrateLegacyCache(
+        identifier: string,
+        metadata: CacheMetadata,
+        legacyKeys: string[],
+        data: CacheData,
+        type: EntityType
+    ): Promise<void> {
+        const db = this.db;
+        const metadataKey = this._entityKey(identifier, type);
+        const index = new Map<string, string>();
+        const operations: BatchOperation[] = legacyKeys.map(key => ({ type: 'del', key }));
+        const txs = data.txOrder.map(txid => data.txMap[txid]);
+        const stored = txs.map(tx => projectTx(tx, this.txProjection[type.kind]));
+        operations.push(...db.historyOps(identifier, index, stored));
+
+        // The index order is canonical, rehash in case the legacy txOrder was sorted differently
+        const txOrder = txOrderFromIndex(index);
+        const migrated: CacheMetadata = { ...metadata, dataHash: computeHash(txOrder), numTxs: txOrder.length };
+        if (this.txProjection[type.kind].length > 0) {
+            migrated.projectedBytes = txs.reduce((sum, tx, i) => sum + savedBytes(tx, stored[i]), 0);
+        }
+        operations.push(db.globalMetadataOp(metadataKey, migrated));
+        operations.push(...db.txIndexOps(txOrder, { identifier, kind: type.kind }));
+
+        await db.batch(operations);
+        this.globalMetadataCache.delete(metadataKey);
+        this.logger.log(`[${identifier}] Moved ${txOrder.length} txs to per-transaction storage`);
+    }
+
+    // Read the whole history from database: the order index and every stored transaction.
+    // Builds and reorgs read through here too, so user reads record their access themselves
+    private async _readCache(addressOrTokenId: string, type: EntityType = ADDRESS): Promise<CacheData | null> {
+        await this.startupRepair;
+        try {
+            const txOrder: string[] = await this.db.getTxOrder(addressOrTokenId);
+            if (txOrder.length === 0) {
+                // An empty history is still a cache once a write has recorded its hash
+                const written = await this._getGlobalMetadata(addressOrTokenId, type);
+                if (!written || !written.dataHash) return null;
             }
-            metadata.accessCount = (metadata.accessCount || 0) + 1;
-            metadata.lastAccessAt = now;
-            this._updateGlobalMetadata(addressOrTokenId, metadata);
+            const txMap: Record<string, Transaction> = await this.db.getTxMap(addressOrTokenId);
+            const metadata = await this._getGlobalMetadata(addressOrTokenId, type);
 
             return { 
                 txMap, 
                 txOrder, 
-                numTxs: (metadata.numTxs !== undefined ? metadata.numTxs : txOrder.length) 
+                numTxs: (metadata && metadata.numTxs !== undefined ? metadata.numTxs : txOrder.length) 
             };
         } catch {
             return null;
         }
     }
     
-    // Write cache into database with pagination support if tx count exceeds MAX_ITEMS_PER_KEY
-    private async _writeCache(addressOrTokenId: string, data: CacheData, isToken: boolean = false): Promise<void> {
-        // Use computeHash to generate hash value
-        const newHash = computeHash(data.txOrder);
+    // Load only the transactions of one page, walking the order index up to its end.
+    // A tx missing from the store makes the whole page a miss (null), it is then served by chronik
+    private async _readCachePage(addressOrTokenId: string, start: number, end: number, type: EntityType = ADDRESS): Promise<Transaction[] | null> {
+        await this.startupRepair;
+        const txids = await this.db.getTxOrder(addressOrTokenId, start, end);
+        const txs = await this.db.getCachedTxs(addressOrTokenId, txids);
+        if (txs.some(tx => !tx)) {
+            this.logger.log(`[${type.label} ${addressOrTokenId}] Missing stored txs on page ${start}-${end}, treating it as a cache miss`);
+            return null;
+        }
+        return txs as Transaction[];
+    }
 
-        // Try to get the existing hash from global metadata
-        let metadata = await this._getGlobalMetadata(addressOrTokenId, isToken);
+    // Summaries of a page of the stored history. They are built on the first summary request for a tx
+    // and stored, so histories nobody asks summaries of never pay for them
+    private async _readSummaryPage(type: EntityType, identifier: string, start: number, end: number): Promise<TxSummary[] | null> {
+        await this.startupRepair;
+        const summarize = type.summarizer(identifier)!;
+        const txids = await this.db.getTxOrder(identifier, start, end);
+        const summaries = await this.db.getCachedSummaries(identifier, txids);
+        const missing: TxSummary[] = [];
+        for (let i = 0; i < txids.length; i++) {
+            if (summaries[i]) continue;
+            const tx = await this.db.getCachedTx(identifier, txids[i]);
+            if (!tx) {
+                // Like a missing tx on a full page, the page is left to chronik
+                this.logger.log(`[${type.label} ${identifier}] Missing stored tx ${txids[i]}, treating the page as a cache miss`);
+                return null;
+            }
+            summaries[i] = summarize(tx);
+            missing.push(summaries[i]!);
+        }
+        if (missing.length > 0) {
+            const operations = this.db.summaryOps(identifier, missing);
+            await this._ensureCacheSpace(operations);
+            await this.db.batch(operations);
+        }
+        return summaries as TxSummary[];
+    }
 
-        // Log the change of hash values
-        if (metadata && metadata.dataHash) {
-            this.logger.log(`[${addressOrTokenId}] Changing hash from ${metadata.dataHash} to ${newHash}`);
-        } else {
-            this.logger.log(`[${addressOrTokenId}] No previous hash found. Setting new hash: ${newHash}`);
+    // The summarizer a history request asked for, or null for full txs
+    private _summarizer(type: EntityType, identifier: string, options: HistoryOptions): ((tx: Transaction) => TxSummary) | null {
+        if (!options.summary) {
+            return null;
+        }
+        const summarize = type.summarizer(identifier);
+        if (!summarize) {
+            throw new Error(`Summaries are only available for address and script histories: ${identifier}`);
+        }
+        return summarize;
+    }
+
+    // Whether the stored txs of this entity type lack any of the fields a request reads
+    private _dropsFields(type: EntityType, fields?: TxField[]): boolean {
+        return droppedFields(this.txProjection[type.kind], fields).length > 0;
+    }
+
+    // Count a read of the stored history, the eviction policies rank entries by these stats
+    private async _recordAccess(identifier: string, type: EntityType): Promise<CacheMetadata> {
+        const now = Date.now();
+        const metadata = await this._getGlobalMetadata(identifier, type) || { accessCount: 0, createdAt: now };
+        metadata.accessCount = (metadata.accessCount || 0) + 1;
+        metadata.lastAccessAt = now;
+        await this._updateGlobalMetadata(identifier, metadata, type);
+        return metadata;
+    }
+
+    // The standalone tx store is ranked for eviction as one entry, by the stats of all its reads and writes
+    private async _recordStandaloneAccess(): Promise<void> {
+        const now = Date.now();
+        const cached = this.globalMetadataCache.get(STANDALONE_METADATA_KEY);
+        const metadata = cached || await this.db.getGlobalMetadata(STANDALONE_METADATA_KEY) || { accessCount: 0, createdAt: now };
+        metadata.accessCount = (metadata.accessCount || 0) + 1;
+        metadata.lastAccessAt = now;
+        this._cacheGlobalMetadata(STANDALONE_METADATA_KEY, metadata);
+        await this.db.updateGlobalMetadata(STANDALONE_METADATA_KEY, metadata);
+    }
+
+    // Bring the stored history in line with a full snapshot, writing only transactions that are new or moved
+    private async _writeCache(addressOrTokenId: string, data: CacheData, type: EntityType = ADDRESS): Promise<void> {
+        await this.startupRepair;
+        await this._withActiveWrite(addressOrTokenId, async () => {
+            const index = await this.db.getOrderIndex(addressOrTokenId);
+            const put = data.txOrder
+                .map(txid => data.txMap[txid])
+                .filter(tx => tx && index.get(tx.txid) !== txSortKey(tx));
+            const remove = [...index.keys()].filter(txid => !data.txMap[txid]);
+            await this._commitCacheChanges(addressOrTokenId, index, put, remove, type);
+        });
+    }
+
+    // Store changed transactions without touching the rest of the history
+    private async _writeCacheChanges(
+        addressOrTokenId: string,
+        changes: { put?: Transaction[]; remove?: string[] },
+        type: EntityType = ADDRESS
+    ): Promise<void> {
+        await this.startupRepair;
+        await this._withActiveWrite(addressOrTokenId, async () => {
+            const index = await this.db.getOrderIndex(addressOrTokenId);
+            await this._commitCacheChanges(addressOrTokenId, index, changes.put || [], changes.remove || [], type);
+        });
+    }
+
+    // Keep an entry out of eviction from reading its order index until the write built on it is committed
+    private async _withActiveWrite(identifier: string, write: () => Promise<void>): Promise<void> {
+        this.activeWrites.set(identifier, (this.activeWrites.get(identifier) || 0) + 1);
+        try {
+            await write();
+        } finally {
+            const remaining = this.activeWrites.get(identifier)! - 1;
+            if (remaining > 0) {
+                this.activeWrites.set(identifier, remaining);
+            } else {
+                this.activeWrites.delete(identifier);
+            }
         }
+    }
+
+    private async _commitCacheChanges(
+        addressOrTokenId: string,
+        index: Map<string, string>,
+        put: Transaction[],
+        remove: string[],
+        type: EntityType
+    ): Promise<void> {
+        let metadata = await this._getGlobalMetadata(addressOrTokenId, type);
 
         // If there is no difference, skip the DB update
-        if (metadata && metadata.dataHash && metadata.dataHash === newHash) {
-            this.logger.log(`No change detected for ${isToken ? 'token' : 'address'}: ${addressOrTokenId}, skipping DB update.`);
+        if (put.length === 0 && remove.length === 0 && metadata && metadata.dataHash) {
+            this.logger.log(`No change detected for ${type.kind}: ${addressOrTokenId}, skipping DB update.`);
             return;
         }
 
-        const totalTxs = data.txOrder.length;
-        if (totalTxs > MAX_ITEMS_PER_KEY) {
-            const pageCount = Math.ceil(totalTxs / MAX_ITEMS_PER_KEY);
-            for (let i = 0; i < pageCount; i++) {
-                const chunk = data.txOrder.slice(i * MAX_ITEMS_PER_KEY, (i + 1) * MAX_ITEMS_PER_KEY);
-                await this.db.put(`${addressOrTokenId}:txOrder:${i}`, chunk);
-            }
-            await this.db.put(`${addressOrTokenId}:txOrder:meta`, { pageCount, totalTxs });
-            
-            for (let i = 0; i < pageCount; i++) {
-                const chunkKeys = data.txOrder.slice(i * MAX_ITEMS_PER_KEY, (i + 1) * MAX_ITEMS_PER_KEY);
-                const chunkMap: Record<string, Transaction> = {};
-                for (const txid of chunkKeys) {
-                    chunkMap[txid] = data.txMap[txid];
-                }
-                await this.db.put(`${addressOrTokenId}:txMap:${i}`, chunkMap);
-            }
-            await this.db.put(`${addressOrTokenId}:txMap:meta`, { pageCount, totalTxs });
+        // Stored txs leave out the projected fields, the balance trackers below still get the full ones
+        const projection = this.txProjection[type.kind];
+        const stored = put.map(tx => projectTx(tx, projection));
+        const previousCount = index.size;
+        const removedCount = remove.filter(txid => index.has(txid)).length;
+        const saved = put.reduce((sum, tx, i) => index.has(tx.txid) ? sum : sum + savedBytes(tx, stored[i]), 0);
+
+        // Transactions, index entries and metadata of one change go into one batch,
+        // so a crash never leaves the index and the stored transactions apart
+        const summarized = type.summarizer(addressOrTokenId) !== null;
+        const operations = this.db.historyOps(addressOrTokenId, index, stored, remove, summarized);
+
+        // The index holds txids only, so hashing the new order never loads a transaction
+        const txOrder = txOrderFromIndex(index);
+        const newHash = computeHash(txOrder);
+        if (metadata && metadata.dataHash) {
+            this.logger.log(`[${addressOrTokenId}] Changing hash from ${metadata.dataHash} to ${newHash}`);
         } else {
-            await this.db.put(`${addressOrTokenId}:txMap`, data.txMap);
-            await this.db.put(`${addressOrTokenId}:txOrder`, data.txOrder);
+            this.logger.log(`[${addressOrTokenId}] No previous hash found. Setting new hash: ${newHash}`);
         }
-        
-        // Update global metadata with the new hash value
+
         metadata = metadata || { accessCount: 0, createdAt: Date.now() };
         metadata.dataHash = newHash;
-        metadata.numTxs = totalTxs;
+        metadata.numTxs = txOrder.length;
         metadata.updatedAt = Date.now();
-        await this._updateGlobalMetadata(addressOrTokenId, metadata, isToken);
+        if (projection.length > 0) {
+            // Removed txs are counted at the average, their full size is not known any more
+            const projectedBytes = metadata.projectedBytes || 0;
+            const removedShare = previousCount > 0 ? Math.round(projectedBytes * removedCount / previousCount) : 0;
+            metadata.projectedBytes = projectedBytes - removedShare + saved;
+        }
+        const metadataKey = this._entityKey(addressOrTokenId, type);
+        operations.push(this.db.globalMetadataOp(metadataKey, metadata));
+
+        // Let tx() lookups find these transactions without storing them twice, removed ones stop pointing here
+        const indexEntry = { identifier: addressOrTokenId, kind: type.kind };
+        operations.push(...this.db.txIndexOps(put.map(tx => tx.txid), indexEntry));
+        operations.push(...this.db.txIndexDelOps(remove, indexEntry));
+
+        await this._ensureCacheSpace(operations);
+        await this.db.batch(operations);
+        this._cacheGlobalMetadata(metadataKey, metadata);
+
+        // The derived UTXO set no longer matches the stored history, the balances follow the change
+        this.utxoMemoryCache.delete(addressOrTokenId);
+        const balances = this.balanceTrackers[type.kind].get(addressOrTokenId);
+        if (balances) {
+            remove.forEach(txid => balances.data.remove(txid));
+            put.forEach(tx => balances.data.apply(tx));
+        }
+
+        this.logger.log(`Cache written for ${type.kind}: ${addressOrTokenId} (${put.length} stored, ${remove.length} removed)`);
+    }
+
+    /* --------------------- Size Limit --------------------- */
+
+    // Evict whole cache entries until the operations about to be written fit under maxCacheSize.
+    // The full scan only runs once the estimate says the limit may be crossed.
+    private async _ensureCacheSpace(operations: BatchOperation[]): Promise<void> {
+        const incoming = operations.reduce((sum, op) =>
+            sum + Buffer.byteLength(op.key, 'utf8') + (op.type === 'put' ? getSerializedSize(op.value) : 0), 0);
+        if (this.estimatedCacheSize !== null && this.estimatedCacheSize + incoming <= this.maxCacheSize) {
+            this.estimatedCacheSize += incoming;
+            return;
+        }
+
+        const { totalSize, entries } = await this.db.getCacheEntries();
+        let currentSize = totalSize;
+        // Entries being built or written right now would be recreated half-empty
+        const candidates = entries.filter(entry =>
+            !this.activeWrites.has(entry.identifier) && !this._isUpdating(entry.identifier, entityTypeOf(entry.kind)));
+        for (const entry of rankForEviction(candidates, this.evictionPolicy)) {
+            if (currentSize + incoming <= this.maxCacheSize) break;
+            await this._evictCacheEntry(entry);
+            currentSize -= entry.size;
+        }
+        if (currentSize + incoming > this.maxCacheSize) {
+            this.logger.log(`Cache size ${currentSize + incoming} bytes stays above the ${this.maxCacheSize} byte limit, nothing left to evict`);
+        }
+        this.estimatedCacheSize = currentSize + incoming;
+    }
 
-        this.logger.log(`Cache written for ${isToken ? 'token' : 'address'}: ${addressOrTokenId}`);
+    private async _evictCacheEntry(entry: StoredCacheEntry): Promise<void> {
+        if (entry.standalone) {
+            await this.db.deleteCacheEntry(entry);
+            this.globalMetadataCache.delete(STANDALONE_METADATA_KEY);
+            this.logger.log(`Evicted standalone txs (${entry.size} bytes, policy ${this.evictionPolicy})`);
+            return;
+        }
+        const { identifier } = entry;
+        const type = entityTypeOf(entry.kind);
+        await this.db.deleteCacheEntry(entry);
+        this.globalMetadataCache.delete(this._entityKey(identifier, type));
+        type.unsubscribe(this.wsManager, identifier);
+        this._resetMemoryCache(identifier, type);
+        this.balanceTrackers[type.kind].delete(identifier);
+        this._setCacheStatus(identifier, CACHE_STATUS.UNKNOWN, type);
+        this.logger.log(`Evicted ${type.kind} ${identifier} (${entry.size} bytes, policy ${this.evictionPolicy})`);
+        this._emitEvent('evicted', { type: type.kind, id: identifier, size: entry.size, policy: this.evictionPolicy });
     }
 
     // 更新全局元数据
-    private async _updateGlobalMetadata(identifier: string, metadata: CacheMetadata, isToken: boolean = false): Promise<void> {
-        const key = isToken ? `token:${identifier}` : `address:${identifier}`;
+    private async _updateGlobalMetadata(identifier: string, metadata: CacheMetadata, type: EntityType = ADDRESS): Promise<void> {
+        const key = this._entityKey(identifier, type);
         await this.db.updateGlobalMetadata(key, metadata);
+        this._cacheGlobalMetadata(key, metadata);
+    }
+
+    private _cacheGlobalMetadata(key: string, metadata: CacheMetadata): void {
         // Update in-memory metadata cache with LRU ordering
         if (this.globalMetadataCache.has(key)) {
             this.globalMetadataCache.delete(key);
@@ -288,8 +690,8 @@ class ChronikCache {
     }
 
     // 获取全局元数据
-    public async _getGlobalMetadata(identifier: string, isToken: boolean = false): Promise<CacheMetadata | null> {
-        const key = isToken ? `token:${identifier}` : `address:${identifier}`;
+    public async _getGlobalMetadata(identifier: string, type: EntityType = ADDRESS): Promise<CacheMetadata | null> {
+        const key = this._entityKey(identifier, type);
         // Try to get from in-memory cache
         if (this.globalMetadataCache.has(key)) {
             // Update recency ordering by re-inserting the key
@@ -309,228 +711,277 @@ class ChronikCache {
 
     /* --------------------- 初始化 WebSocket --------------------- */
 
-    private async _initWebsocketForAddress(address: string): Promise<void> {
+    // Subscribe an identifier and keep its cache in step with the txs chronik reports, never rejects
+    private async _initWebsocket(type: EntityType, identifier: string): Promise<void> {
         try {
             return await this.failover.handleWebSocketOperation(async () => {
-                this.wsManager.resetWsTimer(address, { isToken: false }, (addr: string) => {
-                    this._setCacheStatus(addr, CACHE_STATUS.UNKNOWN);
-                    this._resetMemoryCache(addr, false);
+                this.wsManager.resetWsTimer(identifier, this._wsOptions(type), (id: string) => {
+                    this._setCacheStatus(id, CACHE_STATUS.UNKNOWN, type);
+                    this._resetMemoryCache(id, type);
                 });
 
-                await this.wsManager.initWebsocketForAddress(address, async (addr: string, txid: string, msgType: WebSocketMessageType) => {
-                    const key = `${addr}:${msgType}`;
+                await type.subscribe(this.wsManager, identifier, async (id: string, txid: string, msgType: WebSocketMessageType) => {
+                    const key = `${id}:${msgType}`;
+                    this._emitEvent(TX_EVENTS[msgType], { type: type.kind, id, txid });
                     if (msgType === 'TX_ADDED_TO_MEMPOOL') {
                         this._debounce(key, async () => {
-                            const apiNumTxs = await this._quickGetTxCount(addr, 'address');
-                            this._resetMemoryCache(addr, false);
-                            await this._updateCache(addr, apiNumTxs, this.defaultPageSize);
+                            const apiNumTxs = await this._quickGetTxCount(type, id);
+                            this._resetMemoryCache(id, type);
+                            await this._enqueueCacheUpdate(id, type, signal => this._updateCache(type, id, apiNumTxs, this.defaultPageSize, signal), DEFAULT_CONFIG.BACKGROUND_UPDATE_PRIORITY);
                         });
                     } else if (msgType === 'TX_FINALIZED') {
                         this._debounce(key, async () => {
-                            this._resetMemoryCache(addr, false);
-                            await this._updateUnconfirmedTx(addr, txid);
+                            this._resetMemoryCache(id, type);
+                            await this._updateUnconfirmedTx(id, txid, type);
                         });
-                    }
-                });
-            }, address, 'WebSocket initialization');
-        } catch (error) {
-            this.logger.error('Error in websocket initialization, falling back to UNKNOWN status', error);
-            this._setCacheStatus(address, CACHE_STATUS.UNKNOWN);
-        }
-    }
-
-    private async _initWebsocketForToken(tokenId: string): Promise<void> {
-        try {
-            return await this.failover.handleWebSocketOperation(async () => {
-                this.wsManager.resetWsTimer(tokenId, { isToken: true }, (id: string) => {
-                    this._setCacheStatus(id, CACHE_STATUS.UNKNOWN, true);
-                    this._resetMemoryCache(id, true);
-                });
-
-                await this.wsManager.initWebsocketForToken(tokenId, async (id: string, txid: string, msgType: WebSocketMessageType) => {
-                    const key = `${id}:${msgType}`;
-                    if (msgType === 'TX_ADDED_TO_MEMPOOL') {
-                        this._debounce(key, async () => {
-                            const apiNumTxs = await this._quickGetTxCount(id, 'token');
-                            this._resetMemoryCache(id, true);
-                            await this._updateTokenCache(id, apiNumTxs, this.defaultPageSize);
+                    } else if (msgType === 'TX_CONFIRMED') {
+                        // Many txs confirm in one block, so debounce per txid
+                        this._debounce(`${key}:${txid}`, async () => {
+                            this._resetMemoryCache(id, type);
+                            await this._updateUnconfirmedTx(id, txid, type);
                         });
-                    } else if (msgType === 'TX_FINALIZED') {
-                        this._debounce(key, async () => {
-                            this._resetMemoryCache(id, true);
-                            await this._updateUnconfirmedTx(id, txid);
+                    } else if (msgType === 'TX_REMOVED_FROM_MEMPOOL') {
+                        this._debounce(`${key}:${txid}`, async () => {
+                            this._resetMemoryCache(id, type);
+                            await this._removeUnconfirmedTx(id, txid, type);
                         });
                     }
                 });
-            }, tokenId, 'WebSocket initialization');
+            }, identifier, 'WebSocket initialization');
         } catch (error) {
-            this.logger.error('Error in websocket initialization for token, falling back to UNKNOWN status', error);
-            this._setCacheStatus(tokenId, CACHE_STATUS.UNKNOWN, true);
+            this.logger.error(`Error in websocket initialization for ${type.kind}, falling back to UNKNOWN status`, error);
+            this._setCacheStatus(identifier, CACHE_STATUS.UNKNOWN, type);
         }
     }
 
     /* --------------------- 缓存状态管理方法 --------------------- */
 
-    private _getCacheStatus(identifier: string, isToken: boolean = false): string {
-        const isUpdating = this._isUpdating(identifier, isToken);
+    private _getCacheStatus(identifier: string, type: EntityType = ADDRESS): string {
+        const isUpdating = this._isUpdating(identifier, type);
         if (isUpdating) {
             return CACHE_STATUS.UPDATING;
         }
 
-        const statusMap = isToken ? this.tokenStatusMap : this.statusMap;
-        const status = statusMap.get(identifier);
+        const status = this.statusMaps[type.kind].get(identifier);
         return status?.status ?? CACHE_STATUS.UNKNOWN;
     }
 
-    private _setCacheStatus(identifier: string, status: string, isToken: boolean = false): void {
+    private _setCacheStatus(identifier: string, status: string, type: EntityType = ADDRESS): void {
         const now = Date.now();
-        const targetMap = isToken ? this.tokenStatusMap : this.statusMap;
+        const targetMap = this.statusMaps[type.kind];
         const existingStatus = targetMap.get(identifier);
         
         // 添加详细的状态变化日志
-        this.logger.log(`[${isToken ? 'Token' : 'Address'} ${identifier}] 
+        this.logger.log(`[${type.label} ${identifier}] 
             Attempting to change status from ${existingStatus?.status} to ${status}
-            Current update lock: ${this._isUpdating(identifier, isToken)}
+            Current update lock: ${this._isUpdating(identifier, type)}
         `);
         
         targetMap.set(identifier, {
             status: status as any,
             cacheTimestamp: existingStatus?.cacheTimestamp || now
         });
+        this._notifyStatus(identifier, status, type);
+    }
+
+    private _notifyStatus(identifier: string, status: string, type: EntityType): void {
+        for (const listener of this.statusListeners) {
+            listener(identifier, status, type);
+        }
+        this._emitEvent('statusChange', { type: type.kind, id: identifier, status });
+    }
+
+    // A throwing listener is logged instead of breaking the cache operation that emitted the event
+    private _emitEvent<E extends keyof ChronikCacheEvents>(event: E, ...args: ChronikCacheEvents[E]): void {
+        try {
+            this.emit(event, ...(args as any));
+        } catch (error) {
+            this.logger.error(`Error in ${event} listener:`, error);
+        }
+    }
+
+    // Resolve with the next status set for an identifier, builds end by setting LATEST, REJECT or UNKNOWN
+    private _waitForStatusChange(identifier: string, type: EntityType): Promise<string> {
+        return new Promise(resolve => {
+            const listener: StatusListener = (changed, status, changedType) => {
+                if (changed === identifier && changedType === type && status !== CACHE_STATUS.UPDATING) {
+                    this.statusListeners.delete(listener);
+                    resolve(status);
+                }
+            };
+            this.statusListeners.add(listener);
+        });
     }
 
     /* --------------------- Core Cache Update Logic --------------------- */
 
-    private _isUpdating(identifier: string, isToken: boolean = false): boolean {
-        const updateMap = isToken ? this.tokenUpdateLocks : this.updateLocks;
-        return updateMap.has(identifier);
+    private _isUpdating(identifier: string, type: EntityType = ADDRESS): boolean {
+        return this.updateLocks[type.kind].has(identifier);
+    }
+
+    // Key of an identifier's metadata and of its queued updates, prefixed with its kind
+    private _entityKey(identifier: string, type: EntityType): string {
+        return entityKey(type.kind, identifier);
+    }
+
+    // Websocket timers are kept per socket, every kind but tokens shares the address one
+    private _wsOptions(type: EntityType): { isToken: boolean } {
+        return { isToken: type.socket === 'token' };
+    }
+
+    // Queue a history update; a waiting update for the same identifier is replaced rather than run twice,
+    // and clearing the identifier aborts it
+    private _enqueueCacheUpdate(identifier: string, type: EntityType, update: (signal: AbortSignal) => Promise<void>, priority: number = 0): Promise<void> {
+        const key = this._entityKey(identifier, type);
+        let controller = this.updateControllers.get(key);
+        if (!controller) {
+            controller = new AbortController();
+            this.updateControllers.set(key, controller);
+        }
+        const { signal } = controller;
+        const build = this.updateQueue.enqueue(() => update(signal), { priority, key, signal });
+        const release = () => {
+            if (!this.updateQueue.isPending(key) && this.updateControllers.get(key) === controller) {
+                this.updateControllers.delete(key);
+            }
+        };
+        build.then(release, release);
+        return build;
+    }
+
+    // Abort queued and running updates of an identifier and wait until none is left
+    private async _cancelCacheUpdates(identifier: string, type: EntityType): Promise<void> {
+        const key = this._entityKey(identifier, type);
+        const controller = this.updateControllers.get(key);
+        if (controller) {
+            this.updateControllers.delete(key);
+            controller.abort();
+        }
+        await this.updateQueue.whenIdle(key);
     }
 
     // 修改检查限制的方法名和实现
-    private _checkTxLimit(identifier: string, numTxs: number, isToken: boolean = false): boolean {
+    private _checkTxLimit(identifier: string, numTxs: number, type: EntityType = ADDRESS): boolean {
         if (numTxs > this.maxTxLimit) {
-            const idType = isToken ? 'Token' : 'Address';
-            this.logger.log(`[${idType} ${identifier}] Transaction count (${numTxs}) exceeds maxTxLimit (${this.maxTxLimit}), setting to REJECT status`);
-            this._setCacheStatus(identifier, CACHE_STATUS.REJECT, isToken);
+            this.logger.log(`[${type.label} ${identifier}] Transaction count (${numTxs}) exceeds maxTxLimit (${this.maxTxLimit}), setting to REJECT status`);
+            this._setCacheStatus(identifier, CACHE_STATUS.REJECT, type);
             return true;
         }
         return false;
     }
 
-    private async _checkAndUpdateCache(address: string, apiNumTxs: number, pageSize: number, forceUpdate: boolean = false): Promise<void> {
-        if (this._checkTxLimit(address, apiNumTxs)) {
+    // Resolves once the build it started has finished, errors leave the cache UNKNOWN instead of rejecting
+    private async _checkAndUpdateCache(type: EntityType, identifier: string, apiNumTxs: number, pageSize: number, forceUpdate: boolean = false, priority: number = 0): Promise<void> {
+        if (this._checkTxLimit(identifier, apiNumTxs, type)) {
             return;
         }
 
-        if (this._isUpdating(address)) {
-            this.logger.log(`[${address}] Cache update already in progress, skipping`);
+        if (this._isUpdating(identifier, type)) {
+            this.logger.log(`[${type.label} ${identifier}] Cache update already in progress, skipping`);
             return;
         }
 
-        Promise.resolve().then(async () => {
-            try {
-                const cachedData = await this._readCache(address);
-                let dynamicPageSize = pageSize;
-                if (cachedData && typeof cachedData.numTxs === 'number') {
-                    dynamicPageSize = apiNumTxs - cachedData.numTxs;
-                    if (dynamicPageSize < 1) {
-                        dynamicPageSize = 1;
-                    }
-                }
-                if (dynamicPageSize > 200) {
-                    dynamicPageSize = 200;
+        try {
+            const cachedData = await this._readCache(identifier, type);
+            let dynamicPageSize = pageSize;
+            if (cachedData && typeof cachedData.numTxs === 'number') {
+                dynamicPageSize = apiNumTxs - cachedData.numTxs;
+                if (dynamicPageSize < 1) {
+                    dynamicPageSize = 1;
                 }
-                if (!cachedData || cachedData.numTxs !== apiNumTxs || forceUpdate) {
-                    this.updateLocks.set(address, true);
-                    this.updateQueue.enqueue(async () => {
-                        try {
-                            this.logger.log(`[${address}] Cache needs update${forceUpdate ? ' (forced update)' : ''}, updating with dynamic page size: ${dynamicPageSize}`);
-                            await this._updateCache(address, apiNumTxs, dynamicPageSize);
-                        } finally {
-                            this.updateLocks.delete(address);
-                        }
-                    });
-                    this.logger.log(`[${address}] Current global update queue length: ${this.updateQueue.getQueueLength()}`);
-                } else {
-                    this.logger.log(`[${address}] Cache is up to date, setting status to LATEST`);
-                    this._setCacheStatus(address, CACHE_STATUS.LATEST);
-                    this._initWebsocketForAddress(address);
+            }
+            if (dynamicPageSize > 200) {
+                dynamicPageSize = 200;
+            }
+            // 如果缓存不存在、交易数量不一致，或者强制更新（forceUpdate）为 true 时，则进行更新
+            if (!cachedData || cachedData.numTxs !== apiNumTxs || forceUpdate) {
+                this.updateLocks[type.kind].set(identifier, true);
+                this._notifyStatus(identifier, CACHE_STATUS.UPDATING, type);
+                try {
+                    const build = this._enqueueCacheUpdate(identifier, type, async (signal: AbortSignal) => {
+                        this.logger.log(`[${type.label} ${identifier}] Cache needs update${forceUpdate ? ' (forced update)' : ''}, updating with dynamic page size: ${dynamicPageSize}`);
+                        await this._updateCache(type, identifier, apiNumTxs, dynamicPageSize, signal);
+                    }, priority);
+                    this.logger.log(`[${type.label} ${identifier}] Current global update queue length: ${this.updateQueue.getQueueLength()}`);
+                    await build;
+                } finally {
+                    this.updateLocks[type.kind].delete(identifier);
                 }
-            } catch (error) {
-                this.logger.error('Cache update error:', error);
-                this.logger.log(`[${address}] Error occurred, setting status to UNKNOWN`);
-                this._setCacheStatus(address, CACHE_STATUS.UNKNOWN);
+            } else {
+                this.logger.log(`[${type.label} ${identifier}] Cache is up to date, setting status to LATEST`);
+                this._setCacheStatus(identifier, CACHE_STATUS.LATEST, type);
+                this._initWebsocket(type, identifier);
             }
-        });
+        } catch (error) {
+            if (isAbortError(error)) {
+                this.logger.log(`[${type.label} ${identifier}] Cache update cancelled`);
+                return;
+            }
+            this.logger.error(`${type.label} cache update error:`, error);
+            this.logger.log(`[${type.label} ${identifier}] Error occurred, setting status to UNKNOWN`);
+            this._setCacheStatus(identifier, CACHE_STATUS.UNKNOWN, type);
+        }
     }
 
-    private async _updateCache(address: string, totalNumTxs: number, pageSize: number): Promise<void> {
+    private async _updateCache(type: EntityType, identifier: string, totalNumTxs: number, pageSize: number, signal?: AbortSignal): Promise<void> {
         return await this.failover.executeWithRetry(async () => {
             try {
-                if (this._checkTxLimit(address, totalNumTxs)) {
+                if (this._checkTxLimit(identifier, totalNumTxs, type)) {
                     return;
                 }
-                this.logger.log(`[${address}] Starting cache update.`);
+                this.logger.log(`[${identifier}] Starting cache update.`);
                 let currentPage = 0;
                 let iterationCount = 0;
-                const localCache = await this._readCache(address) || { txMap: {}, txOrder: [] };
+                const localCache = await this._readCache(identifier, type) || { txMap: {}, txOrder: [] };
                 const localTxMap = new Map(Object.entries(localCache.txMap));
                 let localTxOrder = localCache.txOrder;
+
+                const writeLocalCache = async (label: string) => {
+                    this.logger.startTimer(`[${identifier}] ${label}`);
+                    const updatedData: CacheData = {
+                        txMap: Object.fromEntries(localTxMap),
+                        txOrder: localTxOrder,
+                    };
+                    await this._writeCache(identifier, updatedData, type);
+                    this.logger.endTimer(`[${identifier}] ${label}`);
+                };
                 
                 while (true) {
+                    signal?.throwIfAborted();
                     const currentSize = localTxMap.size;
-                    this.logger.log(`[${address}] Updating cache page ${currentPage}, current size: ${currentSize}/${totalNumTxs}`);
+                    this.logger.log(`[${identifier}] Updating cache page ${currentPage}, current size: ${currentSize}/${totalNumTxs}`);
                     
                     if (currentSize >= totalNumTxs) {
                         // Final sorting of txOrder before final cache write using the helper
                         localTxOrder = sortTxIds(Array.from(localTxMap.keys()), (key: string) => localTxMap.get(key));
 
                         // Always write the final state into the cache
-                        this.logger.startTimer(`[${address}] Final write cache`);
-                        const updatedData: CacheData = {
-                            txMap: Object.fromEntries(localTxMap),
-                            txOrder: localTxOrder,
-                        };
-                        await this._writeCache(address, updatedData);
-                        this.logger.endTimer(`[${address}] Final write cache`);
+                        await writeLocalCache('Final write cache');
 
-                        this.logger.log(`[${address}] Cache update completed, final size: ${currentSize}`);
+                        this.logger.log(`[${identifier}] Cache update completed, final size: ${currentSize}`);
                         break;
                     }
             
-                    this.logger.startTimer(`[${address}] Fetch history`);
-                    const result = await this.chronik.address(address).history(currentPage, pageSize);
-                    this.logger.endTimer(`[${address}] Fetch history`);
+                    this.logger.startTimer(`[${identifier}] Fetch history`);
+                    const result = await type.history(this.chronik, identifier, currentPage, pageSize);
+                    this.logger.endTimer(`[${identifier}] Fetch history`);
+                    signal?.throwIfAborted();
             
                     result.txs.forEach((tx: Transaction) => {
                         if (!localTxMap.has(tx.txid)) {
                             localTxMap.set(tx.txid, tx);
                         }
                     });
+                    this._emitEvent('updateProgress', { type: type.kind, id: identifier, page: currentPage, fetched: localTxMap.size, total: totalNumTxs });
             
                     // Use helper function to sort txOrder
                     localTxOrder = sortTxIds(Array.from(localTxMap.keys()), (key: string) => localTxMap.get(key));
             
-                    if (localTxMap.size >= 2000) {
-                        if (iterationCount % 10 === 0) {
-                            this.logger.startTimer(`[${address}] Write cache`);
-                            const updatedData: CacheData = {
-                                txMap: Object.fromEntries(localTxMap),
-                                txOrder: localTxOrder,
-                            };
-                            await this._writeCache(address, updatedData);
-                            this.logger.endTimer(`[${address}] Write cache`);
-                        } else {
-                            this.logger.log(`[${address}] Skipping DB write to reduce overhead (iteration ${iterationCount}).`);
-                        }
+                    // Large histories are only written every 10th page to reduce overhead
+                    if (localTxMap.size < 2000 || iterationCount % 10 === 0) {
+                        await writeLocalCache('Write cache');
                     } else {
-                        this.logger.startTimer(`[${address}] Write cache`);
-                        const updatedData: CacheData = {
-                            txMap: Object.fromEntries(localTxMap),
-                            txOrder: localTxOrder,
-                        };
-                        await this._writeCache(address, updatedData);
-                        this.logger.endTimer(`[${address}] Write cache`);
+                        this.logger.log(`[${identifier}] Skipping DB write to reduce overhead (iteration ${iterationCount}).`);
                     }
             
                     currentPage++;
@@ -541,47 +992,114 @@ class ChronikCache {
                 localTxMap.clear();
                 localTxOrder = [];
             
-                const currentStatus = this._getCacheStatus(address);
+                const currentStatus = this._getCacheStatus(identifier, type);
                 if (currentStatus !== CACHE_STATUS.LATEST) {
-                    this.logger.log(`[${address}] Cache update complete, setting status to LATEST.`);
-                    this._setCacheStatus(address, CACHE_STATUS.LATEST);
-                    this._initWebsocketForAddress(address);
+                    this.logger.log(`[${identifier}] Cache update complete, setting status to LATEST.`);
+                    this._setCacheStatus(identifier, CACHE_STATUS.LATEST, type);
+                    // 异步触发 WS 初始化，避免阻塞更新锁的释放
+                    this._initWebsocket(type, identifier);
                 } else {
-                    this.logger.log(`[${address}] Cache update complete, maintaining LATEST status.`);
+                    this.logger.log(`[${identifier}] Cache update complete, maintaining LATEST status.`);
                 }
             } catch (error) {
                 this.logger.error('[Cache] Error in _updateCache:', error);
                 throw error;
             }
-        }, `updateCache for ${address}`);
+        }, `update ${type.kind} cache for ${identifier}`);
     }
 
-    /* --------------------- Script Related Methods --------------------- */
+    /* --------------------- Reorg Handling --------------------- */
 
-    // Convert script parameters to ecash address
-    private _convertScriptToAddress(type: string, hash: string): string {
-        try {
-            // Ensure hash is lowercase
-            hash = hash.toLowerCase();
-            // Use ecashaddrjs to convert script to ecash address
-            const address = encodeCashAddress('ecash', type as any, hash);
-            // Cache script to address mapping
-            const scriptKey = `${type}:${hash}`;
-            this.scriptToAddressMap.set(scriptKey, address);
-            return address;
-        } catch (error) {
-            this.logger.error('Error converting script to address:', error);
-            throw error;
+    // Revert txs mined at or above the fork height to unconfirmed in every cached history
+    private async _handleReorg(forkHeight: number): Promise<void> {
+        this.logger.log(`[Reorg] Rolling back cached txs from height ${forkHeight}`);
+        const identifiers = await this.db.getCachedIdentifiers();
+
+        for (const { identifier, kind } of identifiers) {
+            const type = entityTypeOf(kind);
+            try {
+                const reverted = await this._rollbackCache(identifier, forkHeight, type);
+                if (reverted > 0) {
+                    this.logger.log(`[Reorg] Reverted ${reverted} txs for ${kind} ${identifier}`);
+                    this._setCacheStatus(identifier, CACHE_STATUS.UNKNOWN, type);
+                    this._scheduleRevalidation(identifier, type);
+                }
+            } catch (error) {
+                this.logger.error(`[Reorg] Failed to roll back ${identifier}:`, error);
+            }
+        }
+
+        // Standalone txs are only kept while confirmed, so drop the orphaned ones in one batch with their metadata
+        const orphaned: BatchOperation[] = [];
+        for await (const [key, tx] of this.db.iteratePrefix('tx:')) {
+            if (tx && tx.block && tx.block.height >= forkHeight) {
+                orphaned.push({ type: 'del', key });
+            }
+        }
+        if (orphaned.length === 0) {
+            return;
+        }
+        const now = Date.now();
+        const stored = this.globalMetadataCache.get(STANDALONE_METADATA_KEY)
+            || await this.db.getGlobalMetadata(STANDALONE_METADATA_KEY)
+            || { accessCount: 0, createdAt: now };
+        const metadata = { ...stored, updatedAt: now };
+        await this.db.batch([...orphaned, this.db.globalMetadataOp(STANDALONE_METADATA_KEY, metadata)]);
+        this._cacheGlobalMetadata(STANDALONE_METADATA_KEY, metadata);
+        this.logger.log(`[Reorg] Dropped ${orphaned.length} orphaned standalone txs`);
+    }
+
+    private async _rollbackCache(identifier: string, forkHeight: number, type: EntityType = ADDRESS): Promise<number> {
+        const cache = await this._readCache(identifier, type);
+        if (!cache || !cache.txMap) {
+            return 0;
+        }
+
+        const reverted: Transaction[] = [];
+        for (const tx of Object.values(cache.txMap)) {
+            if (tx && tx.block && tx.block.height >= forkHeight) {
+                const { block, ...unconfirmedTx } = tx;
+                reverted.push({ ...unconfirmedTx, isFinal: false });
+            }
         }
+        if (reverted.length === 0) {
+            return 0;
+        }
+
+        await this._writeCacheChanges(identifier, { put: reverted }, type);
+        this._resetMemoryCache(identifier, type);
+        return reverted.length;
     }
 
-    // Fluent interface for script method
-    public script(type: string, hash: string) {
+    // Re-check the tx count against chronik and force an update; reverted txs are refreshed as their pages are read
+    private _scheduleRevalidation(identifier: string, type: EntityType = ADDRESS): void {
+        this.updateQueue.enqueue(async () => {
+            const apiNumTxs = await this._quickGetTxCount(type, identifier);
+            this._checkAndUpdateCache(type, identifier, apiNumTxs, this.defaultPageSize, true, DEFAULT_CONFIG.BACKGROUND_UPDATE_PRIORITY);
+        }).catch((error: Error) => {
+            this.logger.error(`[Reorg] Failed to schedule revalidation for ${identifier}:`, error);
+        });
+    }
+
+    /* --------------------- Script Related Methods --------------------- */
+
+    // Fluent interface for script method, p2pkh / p2sh share the cache of their address, other script types are cached under `type:payload`
+    public script(scriptType: string, hash: string) {
         return {
-            history: async (pageOffset: number = 0, pageSize: number = 200): Promise<HistoryResponse> => {
-                // Convert script to address and use existing address query logic
-                const address = this._convertScriptToAddress(type, hash);
-                return await this.getAddressHistory(address, pageOffset, pageSize);
+            history: async <O extends HistoryOptions = {}>(pageOffset: number | (HistoryQuery & O) = 0, pageSize: number = 200, options?: O): Promise<HistoryResult<O>> => {
+                const { type, identifier } = scriptEntity(scriptType, hash);
+                if (typeof pageOffset === 'object') {
+                    return await this._queryHistory(type, identifier, pageOffset) as HistoryResult<O>;
+                }
+                return await this._getHistory(type, identifier, pageOffset, pageSize, options) as HistoryResult<O>;
+            },
+            utxos: async (): Promise<ScriptUtxosResponse> => {
+                const { type, identifier } = scriptEntity(scriptType, hash);
+                return await this._getUtxos(type, identifier);
+            },
+            balance: async (): Promise<BalanceResponse> => {
+                const { type, identifier } = scriptEntity(scriptType, hash);
+                return await this._getBalance(type, identifier) as BalanceResponse;
             }
             // Add other script-related methods here if needed
         };
@@ -589,84 +1107,103 @@ class ChronikCache {
 
     /* --------------------- External Interface Methods --------------------- */
 
-    // Clear cache entries for an address by deleting both keys
+    // Clear the stored transactions, order index and metadata of an address
     public async clearAddressCache(address: string): Promise<void> {
-        await Promise.all([
-            this.db.deletePaginated(`${address}:txMap`),
-            this.db.deletePaginated(`${address}:txOrder`)
-        ]);
-        this.wsManager.unsubscribeAddress(address);
-        this._setCacheStatus(address, CACHE_STATUS.UNKNOWN);
-        this.logger.log(`Cache cleared for address: ${address}`);
+        await this._clearCache(ADDRESS, address);
+    }
+
+    // Clear the cache of any entity kind, identified as in warm() and getCacheStatus()
+    public async clearCache(identifier: string, kind: EntityKind): Promise<void> {
+        await this._clearCache(entityTypeOf(kind), identifier);
+    }
+
+    private async _clearCache(type: EntityType, identifier: string): Promise<void> {
+        await this._cancelCacheUpdates(identifier, type);
+        await this.db.clearEntityCache(identifier, type.kind);
+        this.globalMetadataCache.delete(this._entityKey(identifier, type));
+        type.unsubscribe(this.wsManager, identifier);
+        this._resetMemoryCache(identifier, type);
+        this.balanceTrackers[type.kind].delete(identifier);
+        this._setCacheStatus(identifier, CACHE_STATUS.UNKNOWN, type);
+        this.logger.log(`Cache cleared for ${type.kind}: ${identifier}`);
     }
 
     public async clearAllCache(): Promise<void> {
         try {
             // Clear all local cache data (addresses and tokens)
             await this.db.clear();
+            this.estimatedCacheSize = null;
             // Cancel all WebSocket subscriptions (addresses and tokens)
             this.wsManager.unsubscribeAll();
+            this.utxoMemoryCache.clear();
 
-            // Update cache status to UNKNOWN for each address
-            this.statusMap.forEach((_, addr) => {
-                this._setCacheStatus(addr, CACHE_STATUS.UNKNOWN);
-            });
-            // Update token cache status to UNKNOWN for each token
-            this.tokenStatusMap.forEach((_, tokenId) => {
-                this._setCacheStatus(tokenId, CACHE_STATUS.UNKNOWN, true);
-            });
+            // Update cache status to UNKNOWN for each address and token
+            for (const type of ENTITY_TYPES) {
+                this.balanceTrackers[type.kind].clear();
+                this.statusMaps[type.kind].forEach((_, identifier) => {
+                    this._setCacheStatus(identifier, CACHE_STATUS.UNKNOWN, type);
+                });
+            }
             this.logger.log('All cache cleared successfully');
         } catch (error) {
             this.logger.error('Error clearing all cache:', error);
         }
     }
 
-    public async getAddressHistory(address: string, pageOffset: number = 0, pageSize: number = 200): Promise<HistoryResponse> {
+    public async getAddressHistory<O extends HistoryOptions = {}>(address: string, pageOffset: number = 0, pageSize: number = 200, options?: O): Promise<HistoryResult<O>> {
+        return await this._getHistory(ADDRESS, address, pageOffset, pageSize, options) as HistoryResult<O>;
+    }
+
+    public async getTokenHistory(tokenId: string, pageOffset: number = 0, pageSize: number = 200, options: Omit<HistoryOptions, 'summary'> = {}): Promise<HistoryResponse> {
+        return await this._getHistory(TOKEN, tokenId, pageOffset, pageSize, options) as HistoryResponse;
+    }
+
+    private async _getHistory(type: EntityType, identifier: string, pageOffset: number, pageSize: number, options: HistoryOptions = {}): Promise<HistoryResponse<Transaction | TxSummary>> {
+        const summarize = this._summarizer(type, identifier, options);
+        // Pages that come from chronik are summarized as they pass through
+        const fromChronik = async (page: number, size: number): Promise<HistoryResponse<Transaction | TxSummary>> => {
+            const result = await type.history(this.chronik, identifier, page, size);
+            return summarize ? { ...result, txs: result.txs.map(summarize) } : result;
+        };
+        const apiPageSize = Math.min(200, pageSize);
+        const cachePageSize = Math.min(type.maxCachePageSize, pageSize);
+        const method = `get${type.label}History`;
         return await this.failover.executeWithRetry(async () => {
             try {
-                const currentStatus = this._getCacheStatus(address);
+                const currentStatus = this._getCacheStatus(identifier, type);
                 
                 // If the cache is rejected, use chronik directly and add status: 2
                 if (currentStatus === CACHE_STATUS.REJECT) {
-                    const result = await this.chronik.address(address).history(pageOffset, Math.min(200, pageSize));
+                    const result = await fromChronik(pageOffset, apiPageSize);
                     return {
                         ...result,
                         message: "Transaction count exceeds cache limit, serving directly from Chronik API",
                         status: 2
                     };
                 }
-                
-                const apiPageSize = Math.min(200, pageSize);
-                const cachePageSize = Math.min(4000, pageSize);
 
-                const cachedData = await this._readCache(address);
-                const metadata = await this._getGlobalMetadata(address);
-                const cachedCount = metadata ? metadata.numTxs : (cachedData ? cachedData.numTxs : 0);
+                const metadata = await this._getGlobalMetadata(identifier, type);
+                const cachedCount = metadata && metadata.numTxs !== undefined ? metadata.numTxs : 0;
 
-                this.logger.log(`[${address}] Cache status: ${currentStatus}, Cached txs: ${cachedCount}`);
+                this.logger.log(`[${type.label} ${identifier}] Cache status: ${currentStatus}, Cached txs: ${cachedCount}`);
                 
-                const wsTimeInfo = this.wsManager.getRemainingTime(address, { isToken: false });
-                if (wsTimeInfo.active) {
-                    // WebSocket is active
-                } else {
-                    // WebSocket is not active
-                    if (currentStatus === CACHE_STATUS.LATEST) {
-                        this._initWebsocketForAddress(address);
-                    }
+                // 检查 WebSocket 定时器状态
+                const wsTimeInfo = this.wsManager.getRemainingTime(identifier, this._wsOptions(type));
+                if (!wsTimeInfo.active && currentStatus === CACHE_STATUS.LATEST) {
+                    this._initWebsocket(type, identifier);
                 }
 
                 if (currentStatus === CACHE_STATUS.LATEST) {
-                    this.wsManager.resetWsTimer(address, { isToken: false });
+                    this.wsManager.resetWsTimer(identifier, this._wsOptions(type));
                 }
 
                 if (currentStatus !== CACHE_STATUS.LATEST) {
                     // Call quick API to get the latest tx count
-                    const quickResult = await this._quickGetTxCount(address);
-                    const apiNumTxs = quickResult;
-                    this.logger.log(`[${address}] Quick API numTxs: ${apiNumTxs}`);
+                    const apiNumTxs = await this._quickGetTxCount(type, identifier);
+                    this.logger.log(`[${type.label} ${identifier}] Quick API numTxs: ${apiNumTxs}`);
 
                     if (currentStatus !== CACHE_STATUS.UPDATING) {
-                        this._checkAndUpdateCache(address, apiNumTxs, this.defaultPageSize);
+                        this._checkAndUpdateCache(type, identifier, apiNumTxs, this.defaultPageSize);
                     }
 
                     // If user requests pageSize greater than 200, prompt with "cache is being prepared" (status: 1)
@@ -681,87 +1218,106 @@ class ChronikCache {
                     }
                     
                     // Fallback: use chronik API directly and attach status: 3
-                    const apiResult = await this.chronik.address(address).history(pageOffset, apiPageSize);
+                    const apiResult = await fromChronik(pageOffset, apiPageSize);
                     return { ...apiResult, status: 3 };
                 }
 
-                const cachedResult = await this._getPageFromCache(address, pageOffset, cachePageSize);
+                // Full txs for fields the stored ones leave out
+                if (!summarize && this._dropsFields(type, options.fields)) {
+                    return { ...await fromChronik(pageOffset, apiPageSize), status: 3 };
+                }
+
+                const cachedResult = await this._getPageFromCache(type, identifier, pageOffset, cachePageSize, summarize);
                 if (cachedResult) {
                     return cachedResult;
                 }
-                const apiFallback = await this.chronik.address(address).history(pageOffset, apiPageSize);
-                this.logger.log(`[${address}] API txs count (fallback): ${apiFallback.numTxs}`);
+                const apiFallback = await fromChronik(pageOffset, apiPageSize);
+                this.logger.log(`[${type.label} ${identifier}] API txs count (fallback): ${apiFallback.numTxs}`);
                 return { ...apiFallback, status: 3 };
             } catch (error) {
-                this.logger.error('[Cache] Error in getAddressHistory:', error);
+                this.logger.error(`[Cache] Error in ${method}:`, error);
                 throw error;
             }
-        }, `getAddressHistory for ${address}`);
+        }, `${method} for ${identifier}`);
     }
 
-    private async _getPageFromCache(address: string, pageOffset: number, pageSize: number): Promise<HistoryResponse | null> {
-        this.logger.startTimer(`[${address}] _getPageFromCache`);
-        let cacheEntry = this.addressMemoryCache.get(address);
+    private async _getPageFromCache(
+        type: EntityType,
+        identifier: string,
+        pageOffset: number,
+        pageSize: number,
+        summarize: ((tx: Transaction) => TxSummary) | null = null
+    ): Promise<HistoryResponse<Transaction | TxSummary> | null> {
+        const memoryCache = this.memoryCaches[type.kind];
+        this.logger.startTimer(`[${identifier}] _getPageFromCache`);
+        let cacheEntry = memoryCache.get(identifier);
         const now = Date.now();
 
         if (cacheEntry) {
             // Check if entry expired
             if (now > cacheEntry.expiry) {
-                this.logger.log(`[${address}] In-memory cache entry expired`);
-                this.addressMemoryCache.delete(address);
+                this.logger.log(`[${identifier}] In-memory cache entry expired`);
+                memoryCache.delete(identifier);
                 cacheEntry = undefined;
             } else {
                 // Use memory cache
-                cacheEntry.expiry += 10 * 1000;
-                this.logger.log(`[${address}] Use memory cache`);
+                cacheEntry.expiry += this.memoryCacheTTLExtension;
+                this.logger.log(`[${identifier}] Use memory cache`);
             }
         }
 
-        let cache: CacheData;
-        if (cacheEntry) {
-            cache = cacheEntry.data;
-        } else {
-            this.logger.startTimer(`[${address}] Read persistent cache from DB`);
-            const cacheResult = await this._readCache(address);
-            this.logger.endTimer(`[${address}] Read DB cache`);
-            if (!cacheResult) return null;
-            cache = cacheResult;
-            // Initial memory cache expiry time: 120 seconds
-            this.addressMemoryCache.set(address, {
-                data: cache,
-                expiry: now + 120 * 1000
-            });
-        }
+        // Without a live in-memory history only the transactions of the requested page are read
+        const cache: CacheData | null = cacheEntry ? cacheEntry.data : null;
 
-        const metadata = await this._getGlobalMetadata(address);
+        const metadata = await this._getGlobalMetadata(identifier, type);
         if (!metadata) return null;
-
-        // Ensure txOrder is sorted
-        cache.txOrder = sortTxIds(cache.txOrder, (key: string) => cache.txMap[key]);
-
-        // With 50% probability, compute hash and check consistency
-        if (Math.random() < 0.5) {
-            const newHash = computeHash(cache.txOrder);
-            // Only output log when hash is changed
-            if (newHash !== metadata.dataHash) {
-                this.logger.log(`[${address}] newHash: ${newHash}, stored hash: ${metadata.dataHash}`);
-                this.logger.log(`[${address}] Cache order hash mismatch detected. Triggering cache update and invalidating in-memory cache.`);
-                this._checkAndUpdateCache(address, metadata.numTxs!, this.defaultPageSize, true);
-                // Invalidate the in-memory cache since data is stale
-                this._resetMemoryCache(address, false);
-            }
-        }
+        // One access per request, whether the page comes from memory or from the database
+        await this._recordAccess(identifier, type);
 
         const start = pageOffset * pageSize;
         const end = start + pageSize;
-        let txs = cache.txOrder.slice(start, end).map(txid => cache.txMap[txid]);
+        const readPage = async (): Promise<Transaction[] | TxSummary[] | null> => {
+            if (summarize) {
+                // The in-memory history summarizes cheaply, otherwise the stored summaries spare loading full txs
+                return cache
+                    ? cache.txOrder.slice(start, end).map(txid => summarize(cache.txMap[txid]))
+                    : await this._readSummaryPage(type, identifier, start, end);
+            }
+            return cache
+                ? cache.txOrder.slice(start, end).map(txid => cache.txMap[txid])
+                : await this._readCachePage(identifier, start, end, type);
+        };
 
-        await this._updatePageUnconfirmedTxs(address, cache, txs, false);
+        if (cache) {
+            // Ensure txOrder is sorted
+            cache.txOrder = sortTxIds(cache.txOrder, (key: string) => cache.txMap[key]);
+
+            // With 50% probability, compute hash and check consistency
+            if (Math.random() < 0.5) {
+                const newHash = computeHash(cache.txOrder);
+                // Only output log when hash is changed
+                if (newHash !== metadata.dataHash) {
+                    this.logger.log(`[${identifier}] newHash: ${newHash}, stored hash: ${metadata.dataHash}`);
+                    this.logger.log(`[${identifier}] Cache order hash mismatch detected. Triggering cache update and invalidating in-memory cache.`);
+                    this._checkAndUpdateCache(type, identifier, metadata.numTxs!, this.defaultPageSize, true);
+                    // Invalidate the in-memory cache since data is stale
+                    this._resetMemoryCache(identifier, type);
+                }
+            }
+        }
+
+        let txs = await readPage();
 
         // 重新获取可能已更新的交易数据
-        txs = cache.txOrder.slice(start, end).map(txid => cache.txMap[txid]);
+        if (txs && await this._updatePageUnconfirmedTxs(identifier, cache, txs, type)) {
+            txs = await readPage();
+        }
+        if (!txs) {
+            this.logger.endTimer(`[${identifier}] _getPageFromCache`);
+            return null;
+        }
 
-        this.logger.endTimer(`[${address}] _getPageFromCache`);
+        this.logger.endTimer(`[${identifier}] _getPageFromCache`);
         return {
             txs,
             numPages: Math.ceil(metadata.numTxs! / pageSize),
@@ -771,8 +1327,17 @@ class ChronikCache {
 
     public address(address: string) {
         return {
-            history: async (pageOffset: number = 0, pageSize: number = 200): Promise<HistoryResponse> => {
-                return await this.getAddressHistory(address, pageOffset, pageSize);
+            history: async <O extends HistoryOptions = {}>(pageOffset: number | (HistoryQuery & O) = 0, pageSize: number = 200, options?: O): Promise<HistoryResult<O>> => {
+                if (typeof pageOffset === 'object') {
+                    return await this.queryAddressHistory(address, pageOffset);
+                }
+                return await this.getAddressHistory(address, pageOffset, pageSize, options);
+            },
+            utxos: async (): Promise<ScriptUtxosResponse> => {
+                return await this.getAddressUtxos(address);
+            },
+            balance: async (): Promise<BalanceResponse> => {
+                return await this.getAddressBalance(address);
             }
             // Add other methods here if needed
         };
@@ -780,292 +1345,458 @@ class ChronikCache {
 
     /* --------------------- Token Related Methods --------------------- */
 
-    private async _checkAndUpdateTokenCache(tokenId: string, apiNumTxs: number, pageSize: number, forceUpdate: boolean = false): Promise<void> {
-        if (this._checkTxLimit(tokenId, apiNumTxs, true)) {
-            return;
-        }
-
-        if (this._isUpdating(tokenId, true)) {
-            this.logger.log(`[Token ${tokenId}] Cache update already in progress, skipping`);
-            return;
-        }
-
-        Promise.resolve().then(async () => {
-            try {
-                const cachedData = await this._readCache(tokenId);
-                let dynamicPageSize = pageSize;
-                if (cachedData && typeof cachedData.numTxs === 'number') {
-                    dynamicPageSize = apiNumTxs - cachedData.numTxs;
-                    if (dynamicPageSize < 1) {
-                        dynamicPageSize = 1;
-                    }
-                }
-                if (dynamicPageSize > 200) {
-                    dynamicPageSize = 200;
+    public tokenId(tokenId: string) {
+        return {
+            history: async (pageOffset: number | HistoryQuery = 0, pageSize: number = 200, options: Omit<HistoryOptions, 'summary'> = {}): Promise<HistoryResponse> => {
+                if (typeof pageOffset === 'object') {
+                    return await this.queryTokenHistory(tokenId, pageOffset);
                 }
-                // 如果缓存不存在、交易数量不一致，或者强制更新（forceUpdate）为 true 时，则进行更新
-                if (!cachedData || cachedData.numTxs !== apiNumTxs || forceUpdate) {
-                    this.tokenUpdateLocks.set(tokenId, true);
-                    this.updateQueue.enqueue(async () => {
-                        try {
-                            this.logger.log(`[Token ${tokenId}] Cache needs update${forceUpdate ? ' (forced update)' : ''}, dynamic page size: ${dynamicPageSize}`);
-                            await this._updateTokenCache(tokenId, apiNumTxs, dynamicPageSize);
-                        } finally {
-                            this.tokenUpdateLocks.delete(tokenId);
-                        }
-                    });
-                    this.logger.log(`[Token ${tokenId}] Current global update queue length: ${this.updateQueue.getQueueLength()}`);
-                } else {
-                    this.logger.log(`[Token ${tokenId}] Cache is up to date, setting status to LATEST`);
-                    this._setCacheStatus(tokenId, CACHE_STATUS.LATEST, true);
+                return await this.getTokenHistory(tokenId, pageOffset, pageSize, options);
+            },
+            utxos: async (): Promise<TokenUtxosResponse> => {
+                return await this.getTokenUtxos(tokenId);
+            },
+            holders: async (): Promise<TokenHoldersResponse> => {
+                return await this.getTokenHolders(tokenId);
+            }
+        };
+    }
 
-                    // 异步触发 WS 初始化，避免阻塞更新锁的释放
-                    this._initWebsocketForToken(tokenId).catch(err => this.logger.error(err));
+    // LOKAD id history, cached under `lokad:<lokadId>`; chronik has no UTXO set for LOKAD ids
+    public lokadId(lokadId: string) {
+        return {
+            history: async (pageOffset: number | HistoryQuery = 0, pageSize: number = 200): Promise<HistoryResponse> => {
+                const identifier = lokadIdentifier(lokadId);
+                if (typeof pageOffset === 'object') {
+                    return await this._queryHistory(LOKAD, identifier, pageOffset) as HistoryResponse;
                 }
-            } catch (error) {
-                this.logger.error('Token cache update error:', error);
-                this.logger.log(`[Token ${tokenId}] Error occurred, setting status to UNKNOWN`);
-                this._setCacheStatus(tokenId, CACHE_STATUS.UNKNOWN, true);
+                return await this._getHistory(LOKAD, identifier, pageOffset, pageSize) as HistoryResponse;
             }
-        });
+        };
     }
 
-    private async _updateTokenCache(tokenId: string, totalNumTxs: number, pageSize: number): Promise<void> {
+    // Plugin group history and UTXOs, cached under `plugin:<name>:<group>`; groups go to chronik
+    public plugin(pluginName: string) {
+        return {
+            groupHistory: async (group: string, pageOffset: number | HistoryQuery = 0, pageSize: number = 200): Promise<HistoryResponse> => {
+                const identifier = pluginIdentifier(pluginName, group);
+                if (typeof pageOffset === 'object') {
+                    return await this._queryHistory(PLUGIN, identifier, pageOffset) as HistoryResponse;
+                }
+                return await this._getHistory(PLUGIN, identifier, pageOffset, pageSize) as HistoryResponse;
+            },
+            utxos: async (group: string): Promise<PluginUtxosResponse> => {
+                return await this._getUtxos(PLUGIN, pluginIdentifier(pluginName, group));
+            },
+            groups: (prefixHex?: string, startHex?: string, pageSize?: number) =>
+                this.chronik.plugin(pluginName).groups(prefixHex, startHex, pageSize)
+        };
+    }
+
+    // 修改 _quickGetTxCount 方法，添加重试机制
+    private async _quickGetTxCount(type: EntityType, identifier: string): Promise<number> {
+        return await this.failover.executeWithRetry(async () => {
+            const result = await type.history(this.chronik, identifier, 0, 1);
+            return result.numTxs;
+        }, `quickGetTxCount for ${type.kind} ${identifier}`);
+    }
+
+    public async clearTokenCache(tokenId: string): Promise<void> {
+        await this._clearCache(TOKEN, tokenId);
+    }
+
+    /* --------------------- UTXO Related Methods --------------------- */
+
+    public async getAddressUtxos(address: string): Promise<ScriptUtxosResponse> {
+        return await this._getUtxos(ADDRESS, address);
+    }
+
+    public async getTokenUtxos(tokenId: string): Promise<TokenUtxosResponse> {
+        return await this._getUtxos(TOKEN, tokenId);
+    }
+
+    private async _getUtxos<R extends UtxosResponse>(type: UtxoEntityType<R>, identifier: string): Promise<R> {
+        const method = `get${type.label}Utxos`;
         return await this.failover.executeWithRetry(async () => {
             try {
-                if (this._checkTxLimit(tokenId, totalNumTxs, true)) {
-                    return;
+                const currentStatus = this._getCacheStatus(identifier, type);
+
+                // If the cache is rejected, use chronik directly and add status: 2
+                if (currentStatus === CACHE_STATUS.REJECT) {
+                    const result = await type.utxos(this.chronik, identifier);
+                    return {
+                        ...result,
+                        message: "Transaction count exceeds cache limit, serving directly from Chronik API",
+                        status: 2
+                    };
                 }
 
-                this.logger.log(`[${tokenId}] Starting cache update.`);
-                let currentPage = 0;
-                let iterationCount = 0;
-                const localCache = await this._readCache(tokenId) || { txMap: {}, txOrder: [] };
-                const localTxMap = new Map(Object.entries(localCache.txMap));
-                let localTxOrder = localCache.txOrder;
-        
-                while (true) {
-                    const currentSize = localTxMap.size;
-                    this.logger.log(`[${tokenId}] Updating cache page ${currentPage}, current size: ${currentSize}/${totalNumTxs}`);
-        
-                    if (currentSize >= totalNumTxs) {
-                        // Re-sort the txOrder before final cache write
-                        localTxOrder = sortTxIds(Array.from(localTxMap.keys()), (key: string) => localTxMap.get(key));
-                        
-                        // Always write the final state into the cache
-                        this.logger.startTimer(`[${tokenId}] Final write cache`);
-                        const updatedData: CacheData = {
-                            txMap: Object.fromEntries(localTxMap),
-                            txOrder: localTxOrder,
-                        };
-                        await this._writeCache(tokenId, updatedData, true);
-                        this.logger.endTimer(`[${tokenId}] Final write cache`);
-                        
-                        this.logger.log(`[${tokenId}] Cache update completed, final size: ${currentSize}`);
-                        break;
-                    }
-        
-                    this.logger.startTimer(`[${tokenId}] Fetch history`);
-                    const result = await this.chronik.tokenId(tokenId).history(currentPage, pageSize);
-                    this.logger.endTimer(`[${tokenId}] Fetch history`);
-        
-                    result.txs.forEach((tx: Transaction) => {
-                        if (!localTxMap.has(tx.txid)) {
-                            localTxMap.set(tx.txid, tx);
-                        }
-                    });
-        
-                    localTxOrder = sortTxIds(Array.from(localTxMap.keys()), (key: string) => localTxMap.get(key));
-        
-                    if (localTxMap.size >= 2000) {
-                        if (iterationCount % 10 === 0) {
-                            this.logger.startTimer(`[${tokenId}] Write cache`);
-                            const updatedData: CacheData = {
-                                txMap: Object.fromEntries(localTxMap),
-                                txOrder: localTxOrder,
-                            };
-                            await this._writeCache(tokenId, updatedData, true);
-                            this.logger.endTimer(`[${tokenId}] Write cache`);
-                        } else {
-                            this.logger.log(`[${tokenId}] Skipping DB write to reduce overhead (iteration ${iterationCount}).`);
-                        }
-                    } else {
-                        this.logger.startTimer(`[${tokenId}] Write cache`);
-                        const updatedData: CacheData = {
-                            txMap: Object.fromEntries(localTxMap),
-                            txOrder: localTxOrder,
-                        };
-                        await this._writeCache(tokenId, updatedData, true);
-                        this.logger.endTimer(`[${tokenId}] Write cache`);
+                if (currentStatus !== CACHE_STATUS.LATEST) {
+                    // Build the history cache in the background, the UTXO set is derived from it
+                    if (currentStatus !== CACHE_STATUS.UPDATING) {
+                        const apiNumTxs = await this._quickGetTxCount(type, identifier);
+                        this._checkAndUpdateCache(type, identifier, apiNumTxs, this.defaultPageSize);
                     }
-        
-                    currentPage++;
-                    iterationCount++;
+                    const apiResult = await type.utxos(this.chronik, identifier);
+                    return { ...apiResult, status: 3 };
                 }
-        
-                // 主动释放内存
-                localTxMap.clear();
-                localTxOrder = [];
-        
-                const currentStatus = this._getCacheStatus(tokenId, true);
-                if (currentStatus !== CACHE_STATUS.LATEST) {
-                    this.logger.log(`[${tokenId}] Cache update complete, setting status to LATEST.`);
-                    this._setCacheStatus(tokenId, CACHE_STATUS.LATEST, true);
-        
-                    // 异步触发 WS 初始化，避免阻塞更新锁的释放
-                    this._initWebsocketForToken(tokenId).catch(err => this.logger.error(err));
-                } else {
-                    this.logger.log(`[${tokenId}] Cache update complete, maintaining LATEST status.`);
+
+                const wsTimeInfo = this.wsManager.getRemainingTime(identifier, this._wsOptions(type));
+                if (!wsTimeInfo.active) {
+                    this._initWebsocket(type, identifier);
                 }
+                this.wsManager.resetWsTimer(identifier, this._wsOptions(type));
+
+                const cachedResult = await this._getUtxosFromCache(type, identifier);
+                if (cachedResult) {
+                    return cachedResult;
+                }
+                const apiFallback = await type.utxos(this.chronik, identifier);
+                return { ...apiFallback, status: 3 };
             } catch (error) {
-                this.logger.error('[Cache] Error in _updateTokenCache:', error);
+                this.logger.error(`[Cache] Error in ${method}:`, error);
                 throw error;
             }
-        }, `updateTokenCache for ${tokenId}`);
+        }, `${method} for ${identifier}`);
     }
 
-    public async getTokenHistory(tokenId: string, pageOffset: number = 0, pageSize: number = 200): Promise<HistoryResponse> {
-        const apiPageSize = Math.min(200, pageSize);
-        const cachePageSize = Math.min(15000, pageSize);
+    // Derive the UTXO set from the cached history, reusing the last derivation until the history changes
+    private async _getUtxosFromCache<R extends UtxosResponse>(type: UtxoEntityType<R>, identifier: string): Promise<R | null> {
+        const now = Date.now();
+        const utxoEntry = this.utxoMemoryCache.get(identifier);
+        if (utxoEntry && now <= utxoEntry.expiry) {
+            utxoEntry.expiry += this.memoryCacheTTLExtension;
+            await this._recordAccess(identifier, type);
+            this.logger.log(`[${identifier}] Use memory UTXO cache`);
+            return { ...utxoEntry.data, utxos: [...utxoEntry.data.utxos] } as R;
+        }
+
+        const historyEntry = this.memoryCaches[type.kind].get(identifier);
+        const cache = historyEntry && now <= historyEntry.expiry
+            ? historyEntry.data
+            : await this._readCache(identifier, type);
+        if (!cache) return null;
+        await this._recordAccess(identifier, type);
+
+        const result = type.deriveUtxos(cache, identifier);
+
+        this.utxoMemoryCache.set(identifier, {
+            data: result,
+            expiry: now + this.memoryCacheTTL
+        });
+        return { ...result, utxos: [...result.utxos] };
+    }
+
+    /* --------------------- Balance Methods --------------------- */
+
+    public async getAddressBalance(address: string): Promise<BalanceResponse> {
+        return await this._getBalance(ADDRESS, address) as BalanceResponse;
+    }
+
+    public async getTokenHolders(tokenId: string): Promise<TokenHoldersResponse> {
+        return await this._getBalance(TOKEN, tokenId) as TokenHoldersResponse;
+    }
+
+    // Served from the cached history like UTXOs; without one the balance is summed from chronik's UTXO set
+    private async _getBalance(type: BalanceEntityType, identifier: string): Promise<BalanceResponse | TokenHoldersResponse> {
+        const method = type === TOKEN ? 'getTokenHolders' : `get${type.label}Balance`;
+        const fromChronik = async (): Promise<BalanceResponse | TokenHoldersResponse> => {
+            const result = await type.utxos(this.chronik, identifier);
+            const outputScript = 'outputScript' in result ? result.outputScript : undefined;
+            return type.balanceTracker(identifier).applyUtxos(result.utxos, outputScript).toResponse();
+        };
         return await this.failover.executeWithRetry(async () => {
             try {
-                const currentStatus = this._getCacheStatus(tokenId, true);
-                
+                const currentStatus = this._getCacheStatus(identifier, type);
+
                 // If the cache is rejected, use chronik directly and add status: 2
                 if (currentStatus === CACHE_STATUS.REJECT) {
-                    const result = await this.chronik.tokenId(tokenId).history(pageOffset, Math.min(200, pageSize));
                     return {
-                        ...result,
+                        ...await fromChronik(),
                         message: "Transaction count exceeds cache limit, serving directly from Chronik API",
                         status: 2
                     };
                 }
-                
-                const cachedData = await this._readCache(tokenId);
-                const metadata = await this._getGlobalMetadata(tokenId, true);
-                const cachedCount = metadata ? metadata.numTxs : (cachedData ? cachedData.numTxs : 0);
-                this.logger.log(`[Token ${tokenId}] Cache status: ${currentStatus}, Cached txs: ${cachedCount}`);
 
-                // 检查 WebSocket 定时器状态
-                const wsTimeInfo = this.wsManager.getRemainingTime(tokenId, { isToken: true });
-                if (wsTimeInfo.active) {
-                    // WebSocket is active
-                } else {
-                    // WebSocket is not active
-                    if (currentStatus === CACHE_STATUS.LATEST) {
-                        this._initWebsocketForToken(tokenId).catch(err => this.logger.error(err));
+                if (currentStatus !== CACHE_STATUS.LATEST) {
+                    if (currentStatus !== CACHE_STATUS.UPDATING) {
+                        const apiNumTxs = await this._quickGetTxCount(type, identifier);
+                        this._checkAndUpdateCache(type, identifier, apiNumTxs, this.defaultPageSize);
                     }
+                    return { ...await fromChronik(), status: 3 };
                 }
 
-                if (currentStatus === CACHE_STATUS.LATEST) {
-                    this.wsManager.resetWsTimer(tokenId, { isToken: true });
+                const wsTimeInfo = this.wsManager.getRemainingTime(identifier, this._wsOptions(type));
+                if (!wsTimeInfo.active) {
+                    this._initWebsocket(type, identifier);
                 }
+                this.wsManager.resetWsTimer(identifier, this._wsOptions(type));
 
-                if (currentStatus !== CACHE_STATUS.LATEST) {
-                    const quickResult = await this._quickGetTxCount(tokenId, 'token');
-                    const apiNumTxs = quickResult;
-                    this.logger.log(`[Token ${tokenId}] Quick API numTxs: ${apiNumTxs}`);
+                const tracker = await this._getBalanceTracker(type, identifier);
+                if (tracker) {
+                    return tracker.toResponse();
+                }
+                return { ...await fromChronik(), status: 3 };
+            } catch (error) {
+                this.logger.error(`[Cache] Error in ${method}:`, error);
+                throw error;
+            }
+        }, `${method} for ${identifier}`);
+    }
 
-                    if (currentStatus !== CACHE_STATUS.UPDATING) {
-                        this._checkAndUpdateTokenCache(tokenId, apiNumTxs, this.defaultPageSize);
-                    }
+    // Walk the cached history once, later changes reach the tracker through _commitCacheChanges
+    private async _getBalanceTracker(type: BalanceEntityType, identifier: string): Promise<BalanceTracker | null> {
+        const trackers = this.balanceTrackers[type.kind];
+        const now = Date.now();
+        const entry = trackers.get(identifier);
+        if (entry && now <= entry.expiry) {
+            entry.expiry += this.memoryCacheTTLExtension;
+            await this._recordAccess(identifier, type);
+            this.logger.log(`[${identifier}] Use memory balances`);
+            return entry.data;
+        }
 
-                    if (pageSize > 200) {
-                        return {
-                            status: 1,
-                            message: "Cache is being prepared. Please wait for cache to be ready when requesting more than 200 transactions.",
-                            numTxs: 0,
-                            txs: [],
-                            numPages: 0
-                        };
-                    }
-                    
-                    const apiResult = await this.chronik.tokenId(tokenId).history(pageOffset, apiPageSize);
-                    return { ...apiResult, status: 3 };
-                }
+        const cache = await this._readCache(identifier, type);
+        if (!cache) return null;
+        await this._recordAccess(identifier, type);
+        const tracker = type.balanceTracker(identifier);
+        for (const txid of cache.txOrder) {
+            if (cache.txMap[txid]) {
+                tracker.apply(cache.txMap[txid]);
+            }
+        }
+        trackers.set(identifier, { data: tracker, expiry: now + this.memoryCacheTTL });
+        return tracker;
+    }
 
-                const cachedResult = await this._getTokenPageFromCache(tokenId, pageOffset, cachePageSize);
-                if (cachedResult) {
-                    return cachedResult;
+    // 修改 _updateUnconfirmedTx 方法，使其接受 addressOrTokenId 参数
+    private async _updateUnconfirmedTx(addressOrTokenId: string, txid: string, type: EntityType = ADDRESS): Promise<void> {
+        return this.txUpdateQueue.enqueue(async () => {
+            try {
+                const updatedTx = await this.chronik.tx(txid);
+                await this._replaceCachedTx(addressOrTokenId, updatedTx, type);
+            } catch (error) {
+                this.logger.error(`Error updating tx ${txid} in cache:`, error);
+                throw error;
+            }
+        });
+    }
+
+    // Drop a tx that was evicted or double-spent out of the mempool, numTxs and dataHash follow from the index
+    private async _removeUnconfirmedTx(addressOrTokenId: string, txid: string, type: EntityType = ADDRESS): Promise<void> {
+        return this.txUpdateQueue.enqueue(async () => {
+            try {
+                if (!await this.db.getCachedTx(addressOrTokenId, txid)) {
+                    return;
                 }
-                const apiFallback = await this.chronik.tokenId(tokenId).history(pageOffset, apiPageSize);
-                this.logger.log(`[Token ${tokenId}] API txs count (fallback): ${apiFallback.numTxs}`);
-                return { ...apiFallback, status: 3 };
+                await this._writeCacheChanges(addressOrTokenId, { remove: [txid] }, type);
+                this._resetMemoryCache(addressOrTokenId, type);
+                this.logger.log(`[${addressOrTokenId}] Removed tx ${txid} from cache`);
             } catch (error) {
-                this.logger.error('[Cache] Error in getTokenHistory:', error);
+                this.logger.error(`Error removing tx ${txid} from cache:`, error);
                 throw error;
             }
-        }, `getTokenHistory for ${tokenId}`);
+        });
     }
 
-    public tokenId(tokenId: string) {
-        return {
-            history: async (pageOffset: number = 0, pageSize: number = 200): Promise<HistoryResponse> => {
-                return await this.getTokenHistory(tokenId, pageOffset, pageSize);
+    // Replace a transaction stored for an address or token, moving its index entry if it now sorts elsewhere
+    private async _replaceCachedTx(addressOrTokenId: string, updatedTx: Transaction, type: EntityType = ADDRESS): Promise<boolean> {
+        await this.startupRepair;
+        if (!await this.db.getCachedTx(addressOrTokenId, updatedTx.txid)) {
+            return false;
+        }
+        await this._writeCacheChanges(addressOrTokenId, { put: [updatedTx] }, type);
+        this._resetMemoryCache(addressOrTokenId, type);
+        this.logger.log(`[${addressOrTokenId}] Updated tx ${updatedTx.txid} in cache`);
+        return true;
+    }
+
+    // Load a cache through the in-memory cache, keeping it there for later reads
+    private async _getCacheForRead(identifier: string, type: EntityType = ADDRESS): Promise<CacheData | null> {
+        const memoryCache = this.memoryCaches[type.kind];
+        const now = Date.now();
+        const cacheEntry = memoryCache.get(identifier);
+        if (cacheEntry && now <= cacheEntry.expiry) {
+            await this._recordAccess(identifier, type);
+            return cacheEntry.data;
+        }
+        const cache = await this._readCache(identifier, type);
+        if (cache) {
+            memoryCache.set(identifier, { data: cache, expiry: now + this.memoryCacheTTL });
+            await this._recordAccess(identifier, type);
+        }
+        return cache;
+    }
+
+    /* --------------------- Cursor and Range Queries --------------------- */
+
+    public async queryAddressHistory<Q extends HistoryQuery>(address: string, query: Q): Promise<HistoryResult<Q>> {
+        return await this._queryHistory(ADDRESS, address, query) as HistoryResult<Q>;
+    }
+
+    public async queryTokenHistory(tokenId: string, query: HistoryQuery): Promise<HistoryResponse> {
+        return await this._queryHistory(TOKEN, tokenId, query) as HistoryResponse;
+    }
+
+    // Cursor and range queries are answered from the sorted txOrder only, chronik has no equivalent
+    private async _queryHistory(type: EntityType, identifier: string, query: HistoryQuery): Promise<HistoryResponse<Transaction | TxSummary>> {
+        const summarize = this._summarizer(type, identifier, query);
+        if (query.cursor) {
+            decodeCursor(query.cursor);
+        }
+
+        const currentStatus = this._getCacheStatus(identifier, type);
+        if (currentStatus === CACHE_STATUS.REJECT) {
+            return {
+                status: 2,
+                message: "Transaction count exceeds cache limit, cursor and range queries need a cached history",
+                numTxs: 0,
+                txs: [],
+                numPages: 0
+            };
+        }
+
+        if (currentStatus !== CACHE_STATUS.LATEST) {
+            if (currentStatus !== CACHE_STATUS.UPDATING) {
+                const apiNumTxs = await this._quickGetTxCount(type, identifier);
+                this._checkAndUpdateCache(type, identifier, apiNumTxs, this.defaultPageSize);
             }
+            return {
+                status: 1,
+                message: "Cache is being prepared. Cursor and range queries are available once the cache is ready.",
+                numTxs: 0,
+                txs: [],
+                numPages: 0
+            };
+        }
+
+        const wsTimeInfo = this.wsManager.getRemainingTime(identifier, this._wsOptions(type));
+        if (!wsTimeInfo.active) {
+            this._initWebsocket(type, identifier);
+        }
+        this.wsManager.resetWsTimer(identifier, this._wsOptions(type));
+
+        const cache = await this._getCacheForRead(identifier, type);
+        if (!cache) {
+            return {
+                status: 1,
+                message: "Cache is being prepared. Cursor and range queries are available once the cache is ready.",
+                numTxs: 0,
+                txs: [],
+                numPages: 0
+            };
+        }
+
+        const pageSize = Math.min(query.pageSize ?? 200, type.maxCachePageSize);
+        const result = queryHistory(cache, query, pageSize);
+
+        await this._updatePageUnconfirmedTxs(identifier, cache, result.txs, type);
+
+        const page = {
+            numPages: Math.ceil(result.numTxs / pageSize),
+            numTxs: result.numTxs,
+            nextCursor: result.nextCursor
+        };
+        // The cache still picks the txs, chronik fills in the fields the stored ones leave out
+        if (!summarize && this._dropsFields(type, query.fields)) {
+            const txs = await Promise.all(result.txs.map(tx => this.txUpdateQueue.enqueue(() => this.chronik.tx(tx.txid))));
+            return { ...page, txs, status: 3 };
+        }
+        return {
+            // 重新获取可能已更新的交易数据
+            txs: result.txs.map(tx => summarize ? summarize(cache.txMap[tx.txid]) : cache.txMap[tx.txid]),
+            ...page
         };
     }
 
-    // 修改 _quickGetTxCount 方法，添加重试机制
-    private async _quickGetTxCount(identifier: string, type: 'address' | 'token' = 'address'): Promise<number> {
-        return await this.failover.executeWithRetry(async () => {
-            let result: HistoryResponse;
-            if (type === 'address') {
-                result = await this.chronik.address(identifier).history(0, 1);
-            } else if (type === 'token') {
-                result = await this.chronik.tokenId(identifier).history(0, 1);
-            } else {
-                throw new Error(`Unsupported type: ${type}`);
+    /* --------------------- Transaction Lookup Methods --------------------- */
+
+    // Confirmed transactions never change, so a cached copy can be served forever
+    private _isConfirmedTx(tx: Transaction | null | undefined): boolean {
+        return !!(tx && tx.block && tx.block.height);
+    }
+
+    // Find a confirmed transaction stored for any cached address or token, or in the standalone tx store.
+    // omittable lists the fields the caller can go without: history copies whose projection leaves out
+    // any other field are passed over, as are the mempool copies of caches not yet updated
+    private async _getCachedTx(txid: string, omittable: TxField[]): Promise<Transaction | null> {
+        await this.startupRepair;
+        for (const { identifier, kind } of await this.db.getTxIndex(txid)) {
+            if (this.txProjection[kind].some(field => !omittable.includes(field))) continue;
+            const memoryEntry = this.memoryCaches[kind].get(identifier);
+            const memoryTx = memoryEntry && Date.now() <= memoryEntry.expiry ? memoryEntry.data.txMap[txid] : undefined;
+            const tx = memoryTx || await this.db.getCachedTx(identifier, txid);
+            if (this._isConfirmedTx(tx)) {
+                return tx;
             }
-            return result.numTxs;
-        }, `quickGetTxCount for ${type} ${identifier}`);
+        }
+        const standalone = await this.db.get(standaloneTxKey(txid));
+        if (standalone) {
+            await this._recordStandaloneAccess();
+        }
+        return standalone;
     }
 
-    // For token cache clear, rely on dbUtils.clearTokenCache (see below)
-    public async clearTokenCache(tokenId: string): Promise<void> {
-        await this.db.clearTokenCache(tokenId);
-        if (typeof this.wsManager.unsubscribeToken === 'function') {
-            this.wsManager.unsubscribeToken(tokenId);
+    // Persist a confirmed transaction, replacing the copies of the caches holding it when there are any
+    private async _storeTx(tx: Transaction): Promise<void> {
+        if (!this._isConfirmedTx(tx)) {
+            return;
+        }
+        await this.startupRepair;
+        let replaced = false;
+        for (const { identifier, kind } of await this.db.getTxIndex(tx.txid)) {
+            replaced = await this._replaceCachedTx(identifier, tx, entityTypeOf(kind)) || replaced;
+        }
+        if (replaced) {
+            return;
         }
-        this._setCacheStatus(tokenId, CACHE_STATUS.UNKNOWN, true);
-        this.logger.log(`Cache cleared for token: ${tokenId}`);
+        const operation = this.db.putOp(standaloneTxKey(tx.txid), tx);
+        await this._ensureCacheSpace([operation]);
+        await this.db.put(operation.key, operation.value);
+        await this._recordStandaloneAccess();
     }
 
-    // 修改 _updateUnconfirmedTx 方法，使其接受 addressOrTokenId 参数
-    private async _updateUnconfirmedTx(addressOrTokenId: string, txid: string): Promise<void> {
-        return this.txUpdateQueue.enqueue(async () => {
+    public async tx(txid: string, options: Pick<HistoryOptions, 'fields'> = {}): Promise<Transaction & { status?: number }> {
+        return await this.failover.executeWithRetry(async () => {
             try {
-                const updatedTx = await this.chronik.tx(txid);
-                const cache = await this._readCache(addressOrTokenId);
-                if (!cache || !cache.txMap) {
-                    this.logger.log(`[${addressOrTokenId}] Cache not found or empty when updating tx`);
-                    return;
-                }
-                if (cache.txMap[txid]) {
-                    cache.txMap[txid] = updatedTx;
-                    cache.txOrder = sortTxIds(cache.txOrder, (key: string) => cache.txMap[key]);
-                    await this._writeCache(addressOrTokenId, cache);
-                    this.logger.log(`[${addressOrTokenId}] Updated tx ${txid} in cache`);
+                // Fields not asked for may be left out, as in cached histories
+                const requested = options.fields || [];
+                const cachedTx = await this._getCachedTx(txid, TX_FIELDS.filter(field => !requested.includes(field)));
+                if (this._isConfirmedTx(cachedTx)) {
+                    this.logger.log(`[Tx ${txid}] Served from cache`);
+                    return cachedTx!;
                 }
+
+                // Mempool transactions are refreshed on every access
+                const tx = await this.chronik.tx(txid);
+                await this._storeTx(tx);
+                return { ...tx, status: 3 };
             } catch (error) {
-                this.logger.error(`Error updating tx ${txid} in cache:`, error);
+                this.logger.error('[Cache] Error in tx:', error);
                 throw error;
             }
-        });
+        }, `tx for ${txid}`);
     }
 
     // 合并后的通用方法
-    private async _updatePageUnconfirmedTxs(identifier: string, cache: CacheData, txsInCurrentPage: Transaction[], isToken: boolean = false): Promise<void> {
-        const idType = isToken ? 'token' : 'address';
-        let updated = false;
+    // Refresh the mempool txs of a page, returns whether any got confirmed.
+    // cache is the in-memory history the page came from, or null when only the page was loaded
+    private async _updatePageUnconfirmedTxs(
+        identifier: string,
+        cache: CacheData | null,
+        txsInCurrentPage: Array<Transaction | TxSummary>,
+        type: EntityType = ADDRESS
+    ): Promise<boolean> {
+        const idType = type.kind;
+        const confirmedTxs: Transaction[] = [];
 
         // 筛选未确认交易（没有block.height字段的交易）
         const unconfirmedTxids = txsInCurrentPage
-            .filter(tx => !tx.block || !tx.block.height)
+            .filter(tx => 'blockHeight' in tx ? tx.blockHeight < 1 : !tx.block || !tx.block.height)
             .map(tx => tx.txid);
 
         if (unconfirmedTxids.length === 0) {
-            return; // 没有未确认交易，直接返回
+            return false; // 没有未确认交易，直接返回
         }
 
         this.logger.log(`[${idType} ${identifier}] Found ${unconfirmedTxids.length} unconfirmed transactions to check`);
@@ -1074,11 +1805,13 @@ class ChronikCache {
         await Promise.all(unconfirmedTxids.map(txid => 
             this.txUpdateQueue.enqueue(async () => {
                 try {
-                    const updatedTx = await this.chronik.tx(txid);
+                    // Another cache may already hold the confirmed version of this tx, usable unless
+                    // its projection leaves out fields this history keeps
+                    const cachedTx = await this._getCachedTx(txid, this.txProjection[idType]);
+                    const updatedTx = this._isConfirmedTx(cachedTx) ? cachedTx! : await this.chronik.tx(txid);
                     // 检查交易是否已确认（有block.height字段）
                     if (updatedTx && updatedTx.block && updatedTx.block.height) {
-                        cache.txMap[txid] = updatedTx;
-                        updated = true;
+                        confirmedTxs.push(updatedTx);
                         this.logger.log(`[${idType} ${identifier}] Tx ${txid} confirmed at height ${updatedTx.block.height}`);
                     }
                 } catch (error) {
@@ -1087,96 +1820,135 @@ class ChronikCache {
             })
         ));
 
-        if (updated) {
+        if (confirmedTxs.length === 0) {
+            return false;
+        }
+        if (cache) {
+            for (const tx of confirmedTxs) {
+                cache.txMap[tx.txid] = tx;
+            }
             cache.txOrder = sortTxIds(cache.txOrder, (key: string) => cache.txMap[key]);
-            await this._writeCache(identifier, cache, isToken);
-            this.logger.log(`[${idType} ${identifier}] Cache updated with newly confirmed transactions`);
         }
+        await this._writeCacheChanges(identifier, { put: confirmedTxs }, type);
+        this.logger.log(`[${idType} ${identifier}] Cache updated with newly confirmed transactions`);
+        return true;
     }
 
-    // 修改 token 的 getPageFromCache 方法
-    private async _getTokenPageFromCache(tokenId: string, pageOffset: number, pageSize: number): Promise<HistoryResponse | null> {
-        this.logger.startTimer(`[${tokenId}] _getTokenPageFromCache`);
-        let cacheEntry = this.tokenMemoryCache.get(tokenId);
-        const now = Date.now();
-
-        if (cacheEntry) {
-            if (now > cacheEntry.expiry) {
-                this.logger.log(`[${tokenId}] In-memory token cache entry expired`);
-                this.tokenMemoryCache.delete(tokenId);
-                cacheEntry = undefined;
-            } else {
-                // Use memory cache
-                cacheEntry.expiry += 10 * 1000;
-                this.logger.log(`[${tokenId}] Use memory cache`);
-            }
-        }
 
-        let cache: CacheData;
-        if (cacheEntry) {
-            cache = cacheEntry.data;
-        } else {
-            this.logger.startTimer(`[${tokenId}] Read persistent cache from DB`);
-            const cacheResult = await this._readCache(tokenId);
-            this.logger.endTimer(`[${tokenId}] Read DB cache`);
-            if (!cacheResult) return null;
-            cache = cacheResult;
-            // Initial memory cache expiry time: 120 seconds
-            this.tokenMemoryCache.set(tokenId, {
-                data: cache,
-                expiry: now + 120 * 1000
-            });
+    private _maintainGlobalMetadataCacheLimit(): void {
+        while (this.globalMetadataCache.size > this.globalMetadataCacheLimit) {
+            const oldestKey = this.globalMetadataCache.keys().next().value;
+            this.globalMetadataCache.delete(oldestKey);
+            this.logger.log(`Evicted globalMetadataCache entry for key ${oldestKey}`);
         }
+    }
 
-        const metadata = await this._getGlobalMetadata(tokenId, true);
-        if (!metadata) return null;
+    /**
+     * Change options on a running cache.
+     * Storage options (storage, cacheDir, namespace) are fixed at construction.
+     */
+    public configure(options: RuntimeConfig): void {
+        validateRuntimeConfig(options);
 
-        cache.txOrder = sortTxIds(cache.txOrder, (key: string) => cache.txMap[key]);
-
-        // With 50% probability, compute hash and check consistency
-        if (Math.random() < 0.5) {
-            const newHash = computeHash(cache.txOrder);
-            // Only output log when hash is changed
-            if (newHash !== metadata.dataHash) {
-                this.logger.log(`[${tokenId}] newHash: ${newHash}, stored hash: ${metadata.dataHash}`);
-                this.logger.log(`[${tokenId}] Cache order hash mismatch detected. Triggering cache update and invalidating in-memory cache.`);
-                this._checkAndUpdateTokenCache(tokenId, metadata.numTxs!, this.defaultPageSize, true);
-                // Invalidate the in-memory cache since data is stale
-                this._resetMemoryCache(tokenId, true);
+        if (options.maxTxLimit !== undefined) {
+            this.maxTxLimit = options.maxTxLimit;
+        }
+        if (options.evictionPolicy !== undefined) {
+            this.evictionPolicy = options.evictionPolicy;
+        }
+        if (options.defaultPageSize !== undefined) {
+            this.defaultPageSize = options.defaultPageSize;
+        }
+        if (options.updateConcurrency !== undefined) {
+            this.updateQueue.setConcurrency(options.updateConcurrency);
+        }
+        if (options.txUpdateConcurrency !== undefined) {
+            this.txUpdateQueue.setConcurrency(options.txUpdateConcurrency);
+        }
+        if (options.maxSubscriptions !== undefined) {
+            this.maxSubscriptions = options.maxSubscriptions;
+            this.wsManager.setMaxSubscriptions(options.maxSubscriptions);
+        }
+        // New TTLs apply to entries loaded or accessed from now on
+        if (options.memoryCacheTTL !== undefined) {
+            this.memoryCacheTTL = options.memoryCacheTTL;
+        }
+        if (options.memoryCacheTTLExtension !== undefined) {
+            this.memoryCacheTTLExtension = options.memoryCacheTTLExtension;
+        }
+        if (options.memoryCacheCheckInterval !== undefined && options.memoryCacheCheckInterval !== this.memoryCacheCheckInterval) {
+            this.memoryCacheCheckInterval = options.memoryCacheCheckInterval;
+            if (this.memoryCacheCleanupInterval) {
+                clearInterval(this.memoryCacheCleanupInterval);
             }
+            this._startMemoryCacheExpirationCheckTimer();
         }
+    }
 
-        const start = pageOffset * pageSize;
-        const end = start + pageSize;
-        let txs = cache.txOrder.slice(start, end).map(txid => cache.txMap[txid]);
-
-        await this._updatePageUnconfirmedTxs(tokenId, cache, txs, true);
-
-        // 重新获取可能已更新的交易数据
-        txs = cache.txOrder.slice(start, end).map(txid => cache.txMap[txid]);
-
-        this.logger.endTimer(`[${tokenId}] _getTokenPageFromCache`);
-        return {
-            txs,
-            numPages: Math.ceil(metadata.numTxs! / pageSize),
-            numTxs: metadata.numTxs!
+    /**
+     * Build caches of any entity kind ahead of their first request.
+     * Builds go on the update queue behind request-triggered ones unless options.priority says otherwise.
+     */
+    public warm(targets: WarmTarget[], options: WarmOptions = {}): WarmHandle {
+        for (const target of targets) {
+            if (!target || !ENTITY_TYPES.some(type => type.kind === target.type) || typeof target.id !== 'string' || !target.id) {
+                throw new Error(`Invalid warm target: ${JSON.stringify(target)}`);
+            }
+        }
+        const unique = new Map(targets.map(target => [`${target.type}:${target.id}`, { type: target.type, id: target.id }]));
+        const handle = new WarmHandle([...unique.values()]);
+        const priority = options.priority ?? DEFAULT_CONFIG.WARM_PRIORITY;
+        const checks = new TaskQueue(options.concurrency ?? DEFAULT_CONFIG.WARM_CHECK_CONCURRENCY);
+
+        const listener: StatusListener = (identifier, status, type) => {
+            const target: WarmTarget = { type: type.kind, id: identifier };
+            if (handle.tracks(target)) {
+                handle.report({ ...target, status });
+            }
         };
+        this.statusListeners.add(listener);
+        handle.done.then(() => this.statusListeners.delete(listener));
+
+        for (const target of handle.targets) {
+            this._warmTarget(target, priority, checks, handle).then(result => handle.settle(result));
+        }
+        return handle;
     }
 
-    private _maintainGlobalMetadataCacheLimit(): void {
-        while (this.globalMetadataCache.size > this.globalMetadataCacheLimit) {
-            const oldestKey = this.globalMetadataCache.keys().next().value;
-            this.globalMetadataCache.delete(oldestKey);
-            this.logger.log(`Evicted globalMetadataCache entry for key ${oldestKey}`);
+    private async _warmTarget(target: WarmTarget, priority: number, checks: TaskQueue, handle: WarmHandle): Promise<WarmEvent> {
+        const type = entityTypeOf(target.type);
+        const settled = (status: string) => status === CACHE_STATUS.LATEST || status === CACHE_STATUS.REJECT;
+        try {
+            let status = this._getCacheStatus(target.id, type);
+            if (settled(status)) {
+                handle.report({ ...target, status });
+                return { ...target, status };
+            }
+            if (status !== CACHE_STATUS.UPDATING) {
+                const apiNumTxs = await checks.enqueue(() => this._quickGetTxCount(type, target.id));
+                await this._checkAndUpdateCache(type, target.id, apiNumTxs, this.defaultPageSize, false, priority);
+                status = this._getCacheStatus(target.id, type);
+            }
+            // A build started by a request or another warm() owns the cache, wait for it to finish
+            if (status === CACHE_STATUS.UPDATING) {
+                status = await this._waitForStatusChange(target.id, type);
+            }
+            if (settled(status)) {
+                return { ...target, status };
+            }
+            return { ...target, status, error: new Error(`Cache build for ${target.type} ${target.id} did not complete`) };
+        } catch (error) {
+            return { ...target, status: this._getCacheStatus(target.id, type), error: error as Error };
         }
     }
 
     // 新增公共方法 getCacheStatus, 方便用户直接查询缓存状态
-    public getCacheStatus(identifier: string, isToken: boolean = false): string {
-        if (isToken) {
-            return this._getCacheStatus(identifier, true);
+    // The kind defaults to address, `true` still selects a token as before entity kinds
+    public getCacheStatus(identifier: string, kind: EntityKind | boolean = false): string {
+        if (typeof kind === 'boolean') {
+            return this._getCacheStatus(identifier, kind ? TOKEN : ADDRESS);
         }
-        return this._getCacheStatus(identifier);
+        return this._getCacheStatus(identifier, entityTypeOf(kind));
     }
 
     // Add a method to get statistics
@@ -1184,46 +1956,56 @@ class ChronikCache {
         return await this.stats.getStatistics();
     }
 
-    private _resetMemoryCache(identifier: string, isToken: boolean = false): void {
+    private _resetMemoryCache(identifier: string, type: EntityType = ADDRESS): void {
         // Clear the in-memory cache for the given identifier
-        if (isToken) {
-            this.tokenMemoryCache.delete(identifier);
-        } else {
-            this.addressMemoryCache.delete(identifier);
-        }
+        this.memoryCaches[type.kind].delete(identifier);
+        this.utxoMemoryCache.delete(identifier);
     }
 
-    // 在内存缓存中，为每个条目都维护一个独立的过期时间（初始120秒）。
-    // 每访问一次该条目，就将过期时间增加10秒。
+    // 在内存缓存中，为每个条目都维护一个独立的过期时间（默认初始120秒）。
+    // 每访问一次该条目，就将过期时间增加 memoryCacheTTLExtension（默认10秒）。
     // 后台定时检查过期条目，将其移除。
     private _startMemoryCacheExpirationCheckTimer(): void {
-        // 每隔10秒检查一次是否有过期条目
-        const checkInterval = 10 * 1000;
+        // 每隔 memoryCacheCheckInterval（默认10秒）检查一次是否有过期条目
+        const checkInterval = this.memoryCacheCheckInterval;
         
         const cleanupInterval = setInterval(() => {
             const now = Date.now();
-            let addressCacheCleared = 0;
-            let tokenCacheCleared = 0;
+            const cleared = perKind(() => 0);
+
+            // 检查每种缓存的 memoryCaches
+            for (const type of ENTITY_TYPES) {
+                const memoryCache = this.memoryCaches[type.kind];
+                for (const [key, entry] of memoryCache.entries()) {
+                    if (now > entry.expiry) {
+                        memoryCache.delete(key);
+                        cleared[type.kind]++;
+                    }
+                }
+            }
 
-            // 检查 addressMemoryCache
-            for (const [key, entry] of this.addressMemoryCache.entries()) {
-                if (now > entry.expiry) {
-                    this.addressMemoryCache.delete(key);
-                    addressCacheCleared++;
+            // 检查 balanceTrackers
+            for (const type of ENTITY_TYPES) {
+                const trackers = this.balanceTrackers[type.kind];
+                for (const [key, entry] of trackers.entries()) {
+                    if (now > entry.expiry) {
+                        trackers.delete(key);
+                    }
                 }
             }
 
-            // 检查 tokenMemoryCache
-            for (const [key, entry] of this.tokenMemoryCache.entries()) {
+            // 检查 utxoMemoryCache
+            for (const [key, entry] of this.utxoMemoryCache.entries()) {
                 if (now > entry.expiry) {
-                    this.tokenMemoryCache.delete(key);
-                    tokenCacheCleared++;
+                    this.utxoMemoryCache.delete(key);
                 }
             }
 
             // 只在清理了缓存时记录日志
-            if (addressCacheCleared > 0 || tokenCacheCleared > 0) {
-                this.logger.log(`Memory cache cleanup: ${addressCacheCleared} address entries, ${tokenCacheCleared} token entries cleared`);
+            const total = Object.values(cleared).reduce((sum, count) => sum + count, 0);
+            if (total > 0) {
+                const counts = ENTITY_TYPES.filter(type => cleared[type.kind] > 0).map(type => `${cleared[type.kind]} ${type.kind}`);
+                this.logger.log(`Memory cache cleanup: ${counts.join(', ')} entries cleared`);
             }
         }, checkInterval);
 
@@ -1242,6 +2024,12 @@ class ChronikCache {
             clearTimeout(timer);
         }
         this.debounceTimers.clear();
+
+        // 中止所有排队和运行中的历史更新
+        for (const controller of this.updateControllers.values()) {
+            controller.abort();
+        }
+        this.updateControllers.clear();
     }
 }
 
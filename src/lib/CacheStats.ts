@@ -3,12 +3,20 @@
 // file COPYING or http://www.opensource.org/licenses/mit-license.php.
 
 import Logger from './Logger';
+import { ResolvedProjection } from './projection';
+import { parseEntityKey } from './cacheKeys';
+import { EntityType, entityTypeOf } from './entityTypes';
+import { EntityKind } from '../types';
+import { decompressValue, uncompressedSize } from './compression';
+import { getSerializedSize } from './serialization';
 
 interface SizeStats {
     total: number;
     transactions: number;
     metadata: number;
     other: number;
+    projected: number;
+    uncompressed: number;
 }
 
 interface DatabaseStats {
@@ -20,6 +28,16 @@ interface DatabaseStats {
         metadata: string;
         other: string;
     };
+    // Fields txProjection leaves out and the bytes that kept out of the stored histories
+    projection?: {
+        fields: ResolvedProjection;
+        bytesSaved: string;
+    };
+    // Uncompressed bytes per stored byte, 1 without compression
+    compression?: {
+        algorithm: string;
+        ratio: number;
+    };
 }
 
 interface ItemSample {
@@ -54,14 +72,29 @@ interface SystemStats {
     };
 }
 
+interface QueueTimings {
+    completed: number;
+    failed: number;
+    cancelled: number;
+    coalesced: number;
+    averageWaitMs: number;
+    maxWaitMs: number;
+    averageRunMs: number;
+    maxRunMs: number;
+}
+
 interface QueueStats {
     updateQueue: {
         currentLength: number;
         maxConcurrency: number;
+        running: number;
+        timings: QueueTimings | null;
     };
     txUpdateQueue: {
         currentLength: number;
         maxConcurrency: number;
+        running: number;
+        timings: QueueTimings | null;
     };
 }
 
@@ -74,8 +107,8 @@ interface CacheStatistics {
 
 interface ChronikCache {
     db: any;
-    getCacheStatus: (identifier: string, isToken: boolean) => string | null;
-    _getGlobalMetadata: (identifier: string, isToken: boolean) => Promise<any>;
+    getCacheStatus: (identifier: string, kind: EntityKind) => string | null;
+    _getGlobalMetadata: (identifier: string, type: EntityType) => Promise<any>;
     globalMetadataCache: Map<string, any>;
     globalMetadataCacheLimit: number;
     wsManager: any;
@@ -121,17 +154,23 @@ export default class CacheStats {
                 total: totalSize,
                 transactions: 0,  // 合并 address 和 token 的交易数据
                 metadata: 0,
-                other: 0
+                other: 0,
+                projected: 0,
+                uncompressed: 0
             };
+            let storedSize = 0;
+
+            // 遍历数据库统计不同类型数据，按压缩后实际存储的大小计算
+            // Only metadata is parsed, the other values are inflated just to be measured
+            for await (const [key, stored] of this.cache.db.storedIterator()) {
+                const entrySize = Buffer.byteLength(key) + getSerializedSize(stored);
+                storedSize += entrySize;
+                sizeStats.uncompressed += Buffer.byteLength(key) + uncompressedSize(stored);
 
-            // 遍历数据库统计不同类型数据
-            const db = this.cache.db.db;
-            for await (const [key, value] of db.iterator()) {
-                const entrySize = Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value));
-                
                 if (key.startsWith('metadata:')) {
                     sizeStats.metadata += entrySize;
-                } else if (key.includes(':txOrder') || key.includes(':txMap')) {
+                    sizeStats.projected += decompressValue(stored)?.projectedBytes || 0;
+                } else if (key.includes(':tx:') || key.includes(':idx:') || key.includes(':sum:') || key.startsWith('tx:')) {
                     sizeStats.transactions += entrySize;
                 } else {
                     sizeStats.other += entrySize;
@@ -146,6 +185,14 @@ export default class CacheStats {
                     transactions: `${(sizeStats.transactions / (1024 * 1024)).toFixed(2)}MB`,
                     metadata: `${(sizeStats.metadata / (1024 * 1024)).toFixed(2)}MB`,
                     other: `${(sizeStats.other / (1024 * 1024)).toFixed(2)}MB`
+                },
+                projection: {
+                    fields: this.cache.txProjection,
+                    bytesSaved: `${(sizeStats.projected / (1024 * 1024)).toFixed(2)}MB`
+                },
+                compression: {
+                    algorithm: this.cache.db.compression,
+                    ratio: storedSize > 0 ? Math.round(sizeStats.uncompressed / storedSize * 100) / 100 : 1
                 }
             };
         } catch (error) {
@@ -166,27 +213,30 @@ export default class CacheStats {
         };
 
         try {
-            // Collect identifiers from database keys containing txOrder
+            // Collect identifiers from the order index keys of each cached history and their kinds
+            // from the global metadata keys, values are not read
             const itemSet = new Set<string>();
-            for await (const [key] of this.cache.db.db.iterator()) {
-                if (key.includes(':txOrder')) {
-                    // Use the key string up to the last ':' as identifier.
-                    const identifier = key.substring(0, key.lastIndexOf(':'));
-                    itemSet.add(identifier);
+            const kinds = new Map<string, EntityKind>();
+            for await (const key of this.cache.db.keys()) {
+                const cached = key.startsWith('metadata:') ? parseEntityKey(key.slice('metadata:'.length)) : null;
+                if (cached) {
+                    kinds.set(cached.identifier, cached.kind);
+                }
+                const indexStart = key.indexOf(':idx:');
+                if (indexStart > 0) {
+                    itemSet.add(key.substring(0, indexStart));
                 }
             }
             stats.total = itemSet.size;
 
-            // Process each identifier: determine if it's token or address based on prefix
             for (const identifier of itemSet) {
-                // If identifier does not start with 'ecash:', assume it's a token
-                const isToken = !identifier.startsWith('ecash:');
-                const status = this.cache.getCacheStatus(identifier, isToken) || 'UNKNOWN';
+                const kind = kinds.get(identifier) ?? 'address';
+                const status = this.cache.getCacheStatus(identifier, kind) || 'UNKNOWN';
                 stats.byStatus[status] = (stats.byStatus[status] || 0) + 1;
                 
                 // Append sample data if less than 5 samples for this status
                 if (stats.samples.filter(s => s.status === status).length < 5) {
-                    const metadata = await this.cache._getGlobalMetadata(identifier, isToken);
+                    const metadata = await this.cache._getGlobalMetadata(identifier, entityTypeOf(kind));
                     if (metadata) {
                         stats.samples.push({
                             identifier: identifier,
@@ -226,14 +276,28 @@ export default class CacheStats {
 
     private _getQueueStats(): QueueStats {
         return {
-            updateQueue: {
-                currentLength: this.cache.updateQueue?.getQueueLength() || 0,
-                maxConcurrency: this.cache.updateQueue?.maxConcurrency || 2
-            },
-            txUpdateQueue: {
-                currentLength: this.cache.txUpdateQueue?.getQueueLength() || 0,
-                maxConcurrency: this.cache.txUpdateQueue?.maxConcurrency || 5
-            }
+            updateQueue: this._describeQueue(this.cache.updateQueue, 2),
+            txUpdateQueue: this._describeQueue(this.cache.txUpdateQueue, 5)
+        };
+    }
+
+    // Wait and run times come from TaskQueue.getStats, null for queues that do not track them
+    private _describeQueue(queue: any, defaultConcurrency: number): QueueStats['updateQueue'] {
+        const stats = typeof queue?.getStats === 'function' ? queue.getStats() : null;
+        return {
+            currentLength: queue?.getQueueLength() || 0,
+            maxConcurrency: stats?.concurrency || queue?.maxConcurrency || defaultConcurrency,
+            running: stats?.running || 0,
+            timings: stats ? {
+                completed: stats.completed,
+                failed: stats.failed,
+                cancelled: stats.cancelled,
+                coalesced: stats.coalesced,
+                averageWaitMs: Math.round(stats.averageWaitMs),
+                maxWaitMs: stats.maxWaitMs,
+                averageRunMs: Math.round(stats.averageRunMs),
+                maxRunMs: stats.maxRunMs
+            } : null
         };
     }
 } 
@@ -0,0 +1,108 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import path from 'path';
+import { Level } from 'level';
+import { encodeValue, decodeValue } from './serialization';
+import { StorageAdapter, BatchOperation, IteratorOptions } from './StorageAdapter';
+
+// LevelDB locks its directory, so caches opened on the same directory share one handle
+const sharedAdapters = new Map<string, LevelStorageAdapter>();
+
+/**
+ * LevelDB storage, the default backend
+ */
+export default class LevelStorageAdapter implements StorageAdapter {
+    public db: Level<string, any>;
+    private location: string;
+    private refs: number;
+
+    /**
+     * Open the directory, or reuse the handle another cache in this process already holds.
+     * Each acquire must be paired with a close.
+     */
+    static acquire(location: string): LevelStorageAdapter {
+        const resolved = path.resolve(location);
+        let adapter = sharedAdapters.get(resolved);
+        if (adapter) {
+            adapter.refs++;
+        } else {
+            adapter = new LevelStorageAdapter(resolved);
+            sharedAdapters.set(resolved, adapter);
+        }
+        return adapter;
+    }
+
+    /**
+     * @param location Database directory
+     */
+    constructor(location: string) {
+        this.location = path.resolve(location);
+        this.refs = 1;
+        this.db = new Level(location, {
+            valueEncoding: {
+                format: 'utf8',
+                encode: (obj: any) => encodeValue(obj),
+                decode: (str: string) => decodeValue(str),
+            }
+        });
+    }
+
+    async get(key: string): Promise<any> {
+        try {
+            return await this.db.get(key);
+        } catch (error: any) {
+            if (error.notFound || error.code === 'LEVEL_NOT_FOUND') {
+                return undefined;
+            }
+            throw error;
+        }
+    }
+
+    async put(key: string, value: any): Promise<void> {
+        await this.db.put(key, value);
+    }
+
+    async del(key: string): Promise<void> {
+        await this.db.del(key);
+    }
+
+    async batch(operations: BatchOperation[]): Promise<void> {
+        await this.db.batch(operations as any);
+    }
+
+    async *iterator(options: IteratorOptions = {}): AsyncGenerator<[string, any], void, unknown> {
+        const range = options.prefix !== undefined
+            ? { gte: options.prefix, lt: `${options.prefix}\xff` }
+            : {};
+        for await (const [key, value] of this.db.iterator(range)) {
+            yield [key, value];
+        }
+    }
+
+    async size(): Promise<number> {
+        let totalSize = 0;
+        // Read the stored strings directly instead of decoding every value
+        for await (const [key, value] of this.db.iterator({ valueEncoding: 'utf8' } as any)) {
+            totalSize += Buffer.byteLength(key, 'utf8');
+            totalSize += Buffer.byteLength(value as string, 'utf8');
+        }
+        return totalSize;
+    }
+
+    async clear(): Promise<void> {
+        await this.db.clear();
+    }
+
+    async close(): Promise<void> {
+        this.refs--;
+        if (this.refs > 0) {
+            return;
+        }
+        if (sharedAdapters.get(this.location) === this) {
+            sharedAdapters.delete(this.location);
+        }
+        await this.db.close();
+    }
+}
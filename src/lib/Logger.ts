@@ -25,6 +25,12 @@ export default class Logger {
         }
     }
 
+    warn(...args: any[]): void {
+        if (this.enableLogging) {
+            console.warn(new Date().toISOString(), ...args);
+        }
+    }
+
     startTimer(label: string): void {
         if (!this.enableTimer) return;
         this.timers.set(label, process.hrtime());
@@ -0,0 +1,72 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { encodeValue, decodeValue } from './serialization';
+import { StorageAdapter, BatchOperation, IteratorOptions } from './StorageAdapter';
+
+/**
+ * In-process storage, nothing is persisted.
+ * Values are kept serialized so callers never share object references with the store.
+ */
+export default class MemoryStorageAdapter implements StorageAdapter {
+    private entries: Map<string, string>;
+
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key: string): Promise<any> {
+        const value = this.entries.get(key);
+        return value === undefined ? undefined : decodeValue(value);
+    }
+
+    async put(key: string, value: any): Promise<void> {
+        this.entries.set(key, encodeValue(value));
+    }
+
+    async del(key: string): Promise<void> {
+        this.entries.delete(key);
+    }
+
+    async batch(operations: BatchOperation[]): Promise<void> {
+        // Encode everything first so a bad value leaves the store untouched
+        const encoded = operations.map(op => ({
+            ...op,
+            value: op.type === 'put' ? encodeValue(op.value) : undefined
+        }));
+        for (const op of encoded) {
+            if (op.type === 'put') {
+                this.entries.set(op.key, op.value!);
+            } else {
+                this.entries.delete(op.key);
+            }
+        }
+    }
+
+    async *iterator(options: IteratorOptions = {}): AsyncGenerator<[string, any], void, unknown> {
+        const keys = [...this.entries.keys()]
+            .filter(key => options.prefix === undefined || key.startsWith(options.prefix))
+            .sort();
+        for (const key of keys) {
+            const value = this.entries.get(key);
+            if (value !== undefined) {
+                yield [key, decodeValue(value)];
+            }
+        }
+    }
+
+    async size(): Promise<number> {
+        let totalSize = 0;
+        for (const [key, value] of this.entries) {
+            totalSize += Buffer.byteLength(key, 'utf8') + Buffer.byteLength(value, 'utf8');
+        }
+        return totalSize;
+    }
+
+    async clear(): Promise<void> {
+        this.entries.clear();
+    }
+
+    async close(): Promise<void> {}
+}
@@ -0,0 +1,65 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { getSerializedSize } from './serialization';
+import { StorageAdapter, BatchOperation, IteratorOptions } from './StorageAdapter';
+
+/**
+ * Confine a storage backend to the keys of one namespace, so several caches can share it.
+ * Keys are stored as `!<namespace>!<key>`, the same layout abstract-level uses for sublevels.
+ */
+export default class NamespacedStorageAdapter implements StorageAdapter {
+    private inner: StorageAdapter;
+    private prefix: string;
+
+    constructor(inner: StorageAdapter, namespace: string) {
+        this.inner = inner;
+        this.prefix = `!${namespace}!`;
+    }
+
+    async get(key: string): Promise<any> {
+        return await this.inner.get(this.prefix + key);
+    }
+
+    async put(key: string, value: any): Promise<void> {
+        await this.inner.put(this.prefix + key, value);
+    }
+
+    async del(key: string): Promise<void> {
+        await this.inner.del(this.prefix + key);
+    }
+
+    async batch(operations: BatchOperation[]): Promise<void> {
+        await this.inner.batch(operations.map(op => ({ ...op, key: this.prefix + op.key })));
+    }
+
+    async *iterator(options: IteratorOptions = {}): AsyncGenerator<[string, any], void, unknown> {
+        const prefix = this.prefix + (options.prefix || '');
+        for await (const [key, value] of this.inner.iterator({ prefix })) {
+            yield [key.slice(this.prefix.length), value];
+        }
+    }
+
+    async size(): Promise<number> {
+        let totalSize = 0;
+        for await (const [key, value] of this.inner.iterator({ prefix: this.prefix })) {
+            totalSize += Buffer.byteLength(key, 'utf8') + getSerializedSize(value);
+        }
+        return totalSize;
+    }
+
+    async clear(): Promise<void> {
+        const operations: BatchOperation[] = [];
+        for await (const [key] of this.inner.iterator({ prefix: this.prefix })) {
+            operations.push({ type: 'del', key });
+        }
+        if (operations.length > 0) {
+            await this.inner.batch(operations);
+        }
+    }
+
+    async close(): Promise<void> {
+        await this.inner.close();
+    }
+}
@@ -0,0 +1,32 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+export interface BatchOperation {
+    type: 'put' | 'del';
+    key: string;
+    value?: any;
+}
+
+export interface IteratorOptions {
+    prefix?: string;
+}
+
+/**
+ * Key-value backend used by DbUtils.
+ * Values are plain objects that may contain bigint fields; adapters own their serialization.
+ * Iteration must be in ascending key order.
+ */
+export interface StorageAdapter {
+    /** Resolve to undefined when the key does not exist */
+    get(key: string): Promise<any>;
+    put(key: string, value: any): Promise<void>;
+    del(key: string): Promise<void>;
+    /** Apply all operations atomically */
+    batch(operations: BatchOperation[]): Promise<void>;
+    iterator(options?: IteratorOptions): AsyncIterable<[string, any]>;
+    /** Total stored bytes of keys and serialized values */
+    size(): Promise<number>;
+    clear(): Promise<void>;
+    close(): Promise<void>;
+}
@@ -2,12 +2,54 @@
 // Distributed under the MIT software license, see the accompanying
 // file COPYING or http://www.opensource.org/licenses/mit-license.php.
 
+export interface EnqueueOptions {
+    // 优先级高的任务先执行，默认 0
+    priority?: number;
+    // 同一 key 的等待任务会被合并为一个
+    key?: string;
+    // 等待中被中止则移出队列，运行中则由任务自行检查
+    signal?: AbortSignal;
+}
+
+export interface TaskQueueStats {
+    concurrency: number;
+    running: number;
+    waiting: number;
+    completed: number;
+    failed: number;
+    cancelled: number;
+    coalesced: number;
+    averageWaitMs: number;
+    maxWaitMs: number;
+    averageRunMs: number;
+    maxRunMs: number;
+}
+
 interface QueueItem<T> {
-    task: () => Promise<T>;
+    task: (signal?: AbortSignal) => Promise<T>;
+    priority: number;
+    key?: string;
+    signal?: AbortSignal;
+    onAbort?: () => void;
+    enqueuedAt: number;
+    promise: Promise<T>;
     resolve: (value: T) => void;
     reject: (reason?: any) => void;
 }
 
+export function isAbortError(error: unknown): boolean {
+    return !!error && (error as Error).name === 'AbortError';
+}
+
+function abortReason(signal: AbortSignal): Error {
+    if (isAbortError(signal.reason)) {
+        return signal.reason;
+    }
+    const error = new Error('Task was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
 /**
  * TaskQueue: Global queue to limit concurrency
  */
@@ -15,24 +57,131 @@ export default class TaskQueue {
     private concurrentLimit: number;
     private running: number;
     private queue: QueueItem<any>[];
+    // 运行中任务的 key 计数，以及等待 key 空闲的回调
+    private runningKeys: Map<string, number>;
+    private idleWaiters: Map<string, (() => void)[]>;
+    private counters = { completed: 0, failed: 0, cancelled: 0, coalesced: 0, started: 0, finished: 0 };
+    private timings = { totalWaitMs: 0, maxWaitMs: 0, totalRunMs: 0, maxRunMs: 0 };
 
     constructor(concurrentLimit: number = 2) {
         // 设置最大并发数
         this.concurrentLimit = concurrentLimit;
         this.running = 0;
         this.queue = [];
+        this.runningKeys = new Map();
+        this.idleWaiters = new Map();
     }
 
     /**
-     * 将任务加入队列，任务为返回 Promise 的函数
+     * 将任务加入队列，任务为返回 Promise 的函数，运行时会收到 options.signal
+     * 优先级高的任务先执行，同优先级按入队顺序执行
+     * 若同一 key 已有任务在等待，则用新任务替换它（取两者中较高的优先级），并返回同一个 Promise
      */
-    enqueue<T>(task: () => Promise<T>): Promise<T> {
-        return new Promise<T>((resolve, reject) => {
-            this.queue.push({ task, resolve, reject });
+    enqueue<T>(task: (signal?: AbortSignal) => Promise<T>, options: EnqueueOptions = {}): Promise<T> {
+        const { priority = 0, key, signal } = options;
+        if (signal?.aborted) {
+            this.counters.cancelled++;
+            return Promise.reject(abortReason(signal));
+        }
+
+        const waiting = key === undefined ? undefined : this.queue.find(queued => queued.key === key);
+        if (waiting) {
+            this.counters.coalesced++;
+            waiting.task = task;
+            this._watchSignal(waiting, signal);
+            if (priority > waiting.priority) {
+                this.queue.splice(this.queue.indexOf(waiting), 1);
+                waiting.priority = priority;
+                this._insert(waiting);
+            }
+            return waiting.promise;
+        }
+
+        let resolve!: (value: T) => void;
+        let reject!: (reason?: any) => void;
+        const promise = new Promise<T>((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        const item: QueueItem<T> = { task, priority, key, enqueuedAt: Date.now(), promise, resolve, reject };
+        this._watchSignal(item, signal);
+        this._insert(item);
+        this.dequeue();
+        return promise;
+    }
+
+    /**
+     * 调整最大并发数，调大时立即启动等待中的任务，调小时等运行中的任务自然结束
+     */
+    setConcurrency(concurrentLimit: number): void {
+        this.concurrentLimit = concurrentLimit;
+        while (this.running < this.concurrentLimit && this.queue.length > 0) {
             this.dequeue();
+        }
+    }
+
+    /**
+     * 是否有该 key 的任务在等待或运行
+     */
+    isPending(key: string): boolean {
+        return this.runningKeys.has(key) || this.queue.some(item => item.key === key);
+    }
+
+    /**
+     * 等到该 key 没有等待中或运行中的任务
+     */
+    whenIdle(key: string): Promise<void> {
+        if (!this.isPending(key)) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            const waiters = this.idleWaiters.get(key) || [];
+            waiters.push(resolve);
+            this.idleWaiters.set(key, waiters);
         });
     }
 
+    private _insert(item: QueueItem<any>): void {
+        const index = this.queue.findIndex(queued => queued.priority < item.priority);
+        if (index < 0) {
+            this.queue.push(item);
+        } else {
+            this.queue.splice(index, 0, item);
+        }
+    }
+
+    // 合并任务时改为监听最新的 signal
+    private _watchSignal(item: QueueItem<any>, signal?: AbortSignal): void {
+        if (item.onAbort) {
+            item.signal!.removeEventListener('abort', item.onAbort);
+            item.onAbort = undefined;
+        }
+        item.signal = signal;
+        if (!signal) {
+            return;
+        }
+        item.onAbort = () => {
+            const index = this.queue.indexOf(item);
+            if (index < 0) {
+                return;
+            }
+            this.queue.splice(index, 1);
+            this.counters.cancelled++;
+            item.reject(abortReason(signal));
+            this._notifyIdle(item.key);
+        };
+        signal.addEventListener('abort', item.onAbort, { once: true });
+    }
+
+    private _notifyIdle(key?: string): void {
+        if (key === undefined || this.isPending(key)) {
+            return;
+        }
+        const waiters = this.idleWaiters.get(key);
+        this.idleWaiters.delete(key);
+        waiters?.forEach(resolve => resolve());
+    }
+
     /**
      * 检查队列，若未达到并发限制则取出任务执行
      */
@@ -43,25 +192,86 @@ export default class TaskQueue {
         if (this.queue.length === 0) {
             return;
         }
-        const { task, resolve, reject } = this.queue.shift()!;
+        const item = this.queue.shift()!;
+        if (item.onAbort) {
+            item.signal!.removeEventListener('abort', item.onAbort);
+        }
+        const { task, key, signal, resolve, reject } = item;
+        const startedAt = Date.now();
+        this._recordWait(startedAt - item.enqueuedAt);
+        if (key !== undefined) {
+            this.runningKeys.set(key, (this.runningKeys.get(key) || 0) + 1);
+        }
         this.running++;
-        task()
+        // 先完成计数再兑现结果，使调用方看到的 isPending 已经更新
+        let settle: () => void;
+        Promise.resolve()
+            .then(() => task(signal))
             .then(result => {
-                resolve(result);
-            })
-            .catch(error => {
-                reject(error);
+                this.counters.completed++;
+                settle = () => resolve(result);
+            }, error => {
+                if (isAbortError(error)) {
+                    this.counters.cancelled++;
+                } else {
+                    this.counters.failed++;
+                }
+                settle = () => reject(error);
             })
             .finally(() => {
+                this._recordRun(Date.now() - startedAt);
                 this.running--;
+                if (key !== undefined) {
+                    const count = this.runningKeys.get(key)! - 1;
+                    if (count > 0) {
+                        this.runningKeys.set(key, count);
+                    } else {
+                        this.runningKeys.delete(key);
+                    }
+                }
+                settle();
+                this._notifyIdle(key);
                 this.dequeue();
             });
     }
 
+    private _recordWait(waitMs: number): void {
+        this.counters.started++;
+        this.timings.totalWaitMs += waitMs;
+        this.timings.maxWaitMs = Math.max(this.timings.maxWaitMs, waitMs);
+    }
+
+    private _recordRun(runMs: number): void {
+        this.counters.finished++;
+        this.timings.totalRunMs += runMs;
+        this.timings.maxRunMs = Math.max(this.timings.maxRunMs, runMs);
+    }
+
     /**
      * 获取当前等待执行的任务数
      */
     getQueueLength(): number {
         return this.queue.length;
     }
-} 
+
+    /**
+     * 获取并发、计数以及排队等待和运行耗时（毫秒）
+     */
+    getStats(): TaskQueueStats {
+        const { completed, failed, cancelled, coalesced, started, finished } = this.counters;
+        const { totalWaitMs, maxWaitMs, totalRunMs, maxRunMs } = this.timings;
+        return {
+            concurrency: this.concurrentLimit,
+            running: this.running,
+            waiting: this.queue.length,
+            completed,
+            failed,
+            cancelled,
+            coalesced,
+            averageWaitMs: started > 0 ? totalWaitMs / started : 0,
+            maxWaitMs,
+            averageRunMs: finished > 0 ? totalRunMs / finished : 0,
+            maxRunMs
+        };
+    }
+}
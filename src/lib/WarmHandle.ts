@@ -0,0 +1,94 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { CACHE_STATUS } from '../constants';
+import { WarmEvent, WarmProgress, WarmTarget } from '../types';
+
+function targetKey(target: WarmTarget): string {
+    return `${target.type}:${target.id}`;
+}
+
+/**
+ * Progress of a warm() call.
+ * Iterating it yields every status event from the start, and ends once each target has settled.
+ */
+export default class WarmHandle implements AsyncIterable<WarmEvent> {
+    public readonly targets: WarmTarget[];
+    // Resolves with the final state of every target, builds that failed carry their error
+    public readonly done: Promise<WarmEvent[]>;
+    private events: WarmEvent[];
+    private results: Map<string, WarmEvent>;
+    private wakers: Array<() => void>;
+    private finished: boolean;
+    private resolveDone!: (results: WarmEvent[]) => void;
+
+    constructor(targets: WarmTarget[]) {
+        this.targets = targets;
+        this.events = [];
+        this.results = new Map<string, WarmEvent>();
+        this.wakers = [];
+        this.finished = false;
+        this.done = new Promise(resolve => {
+            this.resolveDone = resolve;
+        });
+        this._finishIfSettled();
+    }
+
+    tracks(target: WarmTarget): boolean {
+        return this.targets.some(tracked => targetKey(tracked) === targetKey(target));
+    }
+
+    report(event: WarmEvent): void {
+        if (this.finished) return;
+        this.events.push(event);
+        this._wake();
+    }
+
+    // Record the final state of a target, reporting it as well when its build failed
+    settle(result: WarmEvent): void {
+        if (this.finished) return;
+        if (result.error) {
+            this.report(result);
+        }
+        this.results.set(targetKey(result), result);
+        this._finishIfSettled();
+    }
+
+    progress(): WarmProgress {
+        const results = [...this.results.values()];
+        return {
+            total: this.targets.length,
+            latest: results.filter(result => !result.error && result.status === CACHE_STATUS.LATEST).length,
+            rejected: results.filter(result => !result.error && result.status === CACHE_STATUS.REJECT).length,
+            failed: results.filter(result => result.error).length,
+            pending: this.targets.length - results.length
+        };
+    }
+
+    async *[Symbol.asyncIterator](): AsyncGenerator<WarmEvent, void, unknown> {
+        let index = 0;
+        while (true) {
+            if (index < this.events.length) {
+                yield this.events[index++];
+            } else if (this.finished) {
+                return;
+            } else {
+                await new Promise<void>(resolve => this.wakers.push(resolve));
+            }
+        }
+    }
+
+    private _finishIfSettled(): void {
+        if (this.results.size < this.targets.length) return;
+        this.finished = true;
+        this.resolveDone(this.targets.map(target => this.results.get(targetKey(target))!));
+        this._wake();
+    }
+
+    private _wake(): void {
+        const wakers = this.wakers;
+        this.wakers = [];
+        wakers.forEach(wake => wake());
+    }
+}
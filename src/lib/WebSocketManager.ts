@@ -5,25 +5,55 @@
 import FailoverHandler from './failover';
 import Logger from './Logger';
 import { DEFAULT_CONFIG } from '../constants';
+import { getOutputScriptFromAddress } from 'ecashaddrjs';
+import { EntityKind } from '../types';
+
+// Tx message types forwarded to subscriptions
+const SUPPORTED_TX_MSG_TYPES = [
+    'TX_ADDED_TO_MEMPOOL',
+    'TX_REMOVED_FROM_MEMPOOL',
+    'TX_CONFIRMED',
+    'TX_FINALIZED'
+];
+
+// How long a resolved tx lookup is shared between subscribers (milliseconds)
+const TX_LOOKUP_TTL = 10000;
+
+// Number of recent block heights whose hashes are kept for reorg detection
+const REORG_TRACK_DEPTH = 100;
 
 interface SubscriptionData {
     onNewTransaction: (identifier: string, txid: string, msgType: string) => Promise<void>;
     timeout: NodeJS.Timeout | null;
     expiry: number | null;
+    // How an address socket subscription is made and matched, null on the token socket
+    target: WsTarget | null;
 }
 
 interface WebSocketManagerOptions {
     wsTimeout?: number;
     wsExtendTimeout?: number;
     maxSubscriptions?: number;
-    onEvict?: ((identifier: string, type: 'address' | 'token') => void) | null;
+    onEvict?: ((identifier: string, kind: EntityKind) => void) | null;
+    onReorg?: ((forkHeight: number) => void) | null;
+    onConnectionChange?: ((socket: WsSocket, connected: boolean) => void) | null;
 }
 
-interface ChronikWebSocket {
+type WsSocket = 'address' | 'token' | 'block';
+
+export interface ChronikWebSocket {
     subscribeToAddress: (address: string) => void;
     unsubscribeFromAddress: (address: string) => void;
+    subscribeToScript?: (type: string, payload: string) => void;
+    unsubscribeFromScript?: (type: string, payload: string) => void;
+    subscribeToLokadId?: (lokadId: string) => void;
+    unsubscribeFromLokadId?: (lokadId: string) => void;
+    subscribeToPlugin?: (pluginName: string, group: string) => void;
+    unsubscribeFromPlugin?: (pluginName: string, group: string) => void;
     subscribeToTokenId: (tokenId: string) => void;
     unsubscribeFromTokenId: (tokenId: string) => void;
+    subscribeToBlocks?: () => void;
+    unsubscribeFromBlocks?: () => void;
     close: () => void;
     readyState: number;
     manuallyClosed: boolean;
@@ -32,6 +62,47 @@ interface ChronikWebSocket {
 
 interface ChronikClient {
     ws?: (config: any) => ChronikWebSocket;
+    tx?: (txid: string) => Promise<any>;
+}
+
+// Output scripts, tokenIds and plugin groups (`name:group`) a transaction touches
+export interface TxInvolvement {
+    outputScripts: Set<string>;
+    tokenIds: Set<string>;
+    pluginGroups: Set<string>;
+}
+
+/**
+ * Addresses, scripts, LOKAD ids and plugin groups share the address socket,
+ * each kind says how it subscribes there and which txs concern it
+ */
+export interface WsTarget {
+    // Reported to onEvict when the subscription is evicted
+    kind: EntityKind;
+    subscribe(ws: ChronikWebSocket): void;
+    unsubscribe(ws: ChronikWebSocket): void;
+    involves(involvement: TxInvolvement): boolean;
+}
+
+export function addressTarget(address: string): WsTarget {
+    let outputScript: string | null;
+    try {
+        outputScript = getOutputScriptFromAddress(address);
+    } catch {
+        // Not a cash address we can decode, keep notifying it
+        outputScript = null;
+    }
+    return {
+        kind: 'address',
+        subscribe: ws => ws.subscribeToAddress(address),
+        unsubscribe: ws => ws.unsubscribeFromAddress(address),
+        involves: involvement => !outputScript || involvement.outputScripts.has(outputScript)
+    };
+}
+
+interface TxLookup {
+    promise: Promise<TxInvolvement | null>;
+    expiry: number;
 }
 
 export default class WebSocketManager {
@@ -40,6 +111,7 @@ export default class WebSocketManager {
     // WebSocket instances (one for addresses, one for tokens)
     public addressWs: ChronikWebSocket | null;
     public tokenWs: ChronikWebSocket | null;
+    public blockWs: ChronikWebSocket | null;
     
     // Subscription management
     private addressSubscriptions: Map<string, SubscriptionData>;
@@ -50,7 +122,16 @@ export default class WebSocketManager {
     private wsTimeout: number;
     private wsExtendTimeout: number;
     private maxSubscriptions: number;
-    private onEvict: ((identifier: string, type: 'address' | 'token') => void) | null;
+    private onEvict: ((identifier: string, kind: EntityKind) => void) | null;
+
+    // Tx lookups shared between subscribers and between the address and token sockets
+    private txLookups: Map<string, TxLookup>;
+
+    // Recently connected block hashes by height, used to detect reorgs
+    private recentBlocks: Map<number, string>;
+    private onReorg: ((forkHeight: number) => void) | null;
+    private onConnectionChange: ((socket: WsSocket, connected: boolean) => void) | null;
+    private connected: Record<WsSocket, boolean>;
 
     constructor(
         chronik: ChronikClient, 
@@ -61,8 +142,10 @@ export default class WebSocketManager {
         const {
             wsTimeout = DEFAULT_CONFIG.WS_TIMEOUT,
             wsExtendTimeout = DEFAULT_CONFIG.WS_EXTEND_TIMEOUT,
-            maxSubscriptions = 30,
-            onEvict = null
+            maxSubscriptions = DEFAULT_CONFIG.MAX_SUBSCRIPTIONS,
+            onEvict = null,
+            onReorg = null,
+            onConnectionChange = null
         } = options;
 
         this.chronik = chronik;
@@ -70,6 +153,7 @@ export default class WebSocketManager {
         // WebSocket instances (one for addresses, one for tokens)
         this.addressWs = null;
         this.tokenWs = null;
+        this.blockWs = null;
         
         // Subscription management
         this.addressSubscriptions = new Map(); // address -> { onNewTransaction, timeout, expiry }
@@ -81,6 +165,79 @@ export default class WebSocketManager {
         this.wsExtendTimeout = wsExtendTimeout;
         this.maxSubscriptions = maxSubscriptions;
         this.onEvict = onEvict;
+        this.txLookups = new Map();
+        this.recentBlocks = new Map();
+        this.onReorg = onReorg;
+        this.onConnectionChange = onConnectionChange;
+        this.connected = { address: false, token: false, block: false };
+    }
+
+    // Report connects and disconnects once each, chronik-client calls onReconnect on every retry
+    private _setConnected(socket: WsSocket, connected: boolean): void {
+        if (this.connected[socket] === connected) {
+            return;
+        }
+        this.connected[socket] = connected;
+        this.onConnectionChange?.(socket, connected);
+    }
+
+    /**
+     * Fetch a transaction once and collect the output scripts and tokenIds it touches.
+     * Resolves to null when the tx cannot be fetched, in which case every subscriber is notified.
+     */
+    private _getTxInvolvement(txid: string): Promise<TxInvolvement | null> {
+        if (typeof this.chronik.tx !== 'function') {
+            return Promise.resolve(null);
+        }
+
+        const now = Date.now();
+        for (const [key, lookup] of this.txLookups) {
+            if (now > lookup.expiry) {
+                this.txLookups.delete(key);
+            }
+        }
+
+        const existing = this.txLookups.get(txid);
+        if (existing) {
+            return existing.promise;
+        }
+
+        const promise = this.chronik.tx(txid)
+            .then((tx: any): TxInvolvement => {
+                const involvement: TxInvolvement = {
+                    outputScripts: new Set(),
+                    tokenIds: new Set(),
+                    pluginGroups: new Set()
+                };
+                for (const txIo of [...(tx.inputs || []), ...(tx.outputs || [])]) {
+                    if (txIo.outputScript) {
+                        involvement.outputScripts.add(txIo.outputScript);
+                    }
+                    if (txIo.token) {
+                        involvement.tokenIds.add(txIo.token.tokenId);
+                    }
+                    for (const [pluginName, entry] of Object.entries<any>(txIo.plugins || {})) {
+                        for (const group of entry.groups || []) {
+                            involvement.pluginGroups.add(`${pluginName}:${group}`);
+                        }
+                    }
+                }
+                for (const tokenEntry of tx.tokenEntries || []) {
+                    involvement.tokenIds.add(tokenEntry.tokenId);
+                }
+                return involvement;
+            })
+            .catch((error: Error) => {
+                this.logger.error(`[WS] Failed to fetch tx ${txid} for routing, notifying all subscriptions:`, error);
+                return null;
+            });
+
+        this.txLookups.set(txid, { promise, expiry: now + TX_LOOKUP_TTL });
+        return promise;
+    }
+
+    private _isTokenInvolved(tokenId: string, involvement: TxInvolvement | null): boolean {
+        return !involvement || involvement.tokenIds.has(tokenId);
     }
 
     private async _ensureAddressWs(): Promise<ChronikWebSocket> {
@@ -92,9 +249,13 @@ export default class WebSocketManager {
             onMessage: async (msg: any) => {
                 this.logger.log('[Address WS] Received message:', msg);
                 if (msg.type === 'Tx') {
-                    if (msg.msgType === 'TX_ADDED_TO_MEMPOOL' || msg.msgType === 'TX_FINALIZED') {
+                    if (SUPPORTED_TX_MSG_TYPES.includes(msg.msgType)) {
                         // Find which address this transaction belongs to
+                        const involvement = await this._getTxInvolvement(msg.txid);
                         for (const [address, subscription] of this.addressSubscriptions) {
+                            if (involvement && !subscription.target!.involves(involvement)) {
+                                continue;
+                            }
                             try {
                                 await subscription.onNewTransaction(address, msg.txid, msg.msgType);
                             } catch (error) {
@@ -106,19 +267,22 @@ export default class WebSocketManager {
             },
             onConnect: () => {
                 this.logger.log('[Address WS] Connected');
+                this._setConnected('address', true);
                 // Re-subscribe to all addresses
-                for (const address of this.addressSubscriptions.keys()) {
-                    this.addressWs!.subscribeToAddress(address);
+                for (const subscription of this.addressSubscriptions.values()) {
+                    subscription.target!.subscribe(this.addressWs!);
                 }
             },
             onReconnect: () => {
                 this.logger.log('[Address WS] Reconnecting');
+                this._setConnected('address', false);
             },
             onError: (error: Error) => {
                 this.logger.error('[Address WS] Error:', error);
             },
             onEnd: () => {
                 this.logger.log('[Address WS] Connection ended');
+                this._setConnected('address', false);
                 this.addressWs = null;
             }
         });
@@ -137,9 +301,13 @@ export default class WebSocketManager {
             onMessage: async (msg: any) => {
                 this.logger.log('[Token WS] Received message:', msg);
                 if (msg.type === 'Tx') {
-                    if (msg.msgType === 'TX_ADDED_TO_MEMPOOL' || msg.msgType === 'TX_FINALIZED') {
+                    if (SUPPORTED_TX_MSG_TYPES.includes(msg.msgType)) {
                         // Find which token this transaction belongs to
+                        const involvement = await this._getTxInvolvement(msg.txid);
                         for (const [tokenId, subscription] of this.tokenSubscriptions) {
+                            if (!this._isTokenInvolved(tokenId, involvement)) {
+                                continue;
+                            }
                             try {
                                 await subscription.onNewTransaction(tokenId, msg.txid, msg.msgType);
                             } catch (error) {
@@ -151,6 +319,7 @@ export default class WebSocketManager {
             },
             onConnect: () => {
                 this.logger.log('[Token WS] Connected');
+                this._setConnected('token', true);
                 // Re-subscribe to all tokens
                 for (const tokenId of this.tokenSubscriptions.keys()) {
                     this.tokenWs!.subscribeToTokenId(tokenId);
@@ -158,12 +327,14 @@ export default class WebSocketManager {
             },
             onReconnect: () => {
                 this.logger.log('[Token WS] Reconnecting');
+                this._setConnected('token', false);
             },
             onError: (error: Error) => {
                 this.logger.error('[Token WS] Error:', error);
             },
             onEnd: () => {
                 this.logger.log('[Token WS] Connection ended');
+                this._setConnected('token', false);
                 this.tokenWs = null;
             }
         });
@@ -173,7 +344,96 @@ export default class WebSocketManager {
         return this.tokenWs;
     }
 
-    async initWebsocketForAddress(address: string, onNewTransaction: (address: string, txid: string, msgType: string) => Promise<void>): Promise<void> {
+    private async _ensureBlockWs(): Promise<ChronikWebSocket | null> {
+        if (!this.onReorg) {
+            return null;
+        }
+        if (this.blockWs && !this.blockWs.manuallyClosed) {
+            return this.blockWs;
+        }
+
+        this.blockWs = this.chronik.ws!({
+            onMessage: async (msg: any) => {
+                this.logger.log('[Block WS] Received message:', msg);
+                if (msg.type === 'Block') {
+                    this._handleBlockMessage(msg);
+                }
+            },
+            onConnect: () => {
+                this.logger.log('[Block WS] Connected');
+                this._setConnected('block', true);
+                this.blockWs!.subscribeToBlocks!();
+            },
+            onReconnect: () => {
+                this.logger.log('[Block WS] Reconnecting');
+                this._setConnected('block', false);
+            },
+            onError: (error: Error) => {
+                this.logger.error('[Block WS] Error:', error);
+            },
+            onEnd: () => {
+                this.logger.log('[Block WS] Connection ended');
+                this._setConnected('block', false);
+                this.blockWs = null;
+            }
+        });
+
+        await this.blockWs.waitForOpen();
+        this.blockWs.subscribeToBlocks!();
+        this.logger.log('[Block WS] ✅ Block WebSocket instance created');
+        return this.blockWs;
+    }
+
+    /**
+     * Track block hashes by height and report the lowest height whose block left the chain
+     */
+    private _handleBlockMessage(msg: { msgType: string; blockHash: string; blockHeight: number }): void {
+        const { msgType, blockHash, blockHeight } = msg;
+
+        if (msgType === 'BLK_CONNECTED') {
+            // Known blocks above the new one, or a different hash at its height, were orphaned
+            const staleHeights = [...this.recentBlocks.keys()].filter(height => height > blockHeight);
+            const knownHash = this.recentBlocks.get(blockHeight);
+            if (knownHash && knownHash !== blockHash) {
+                staleHeights.push(blockHeight);
+            }
+            for (const height of staleHeights) {
+                this.recentBlocks.delete(height);
+            }
+            this.recentBlocks.set(blockHeight, blockHash);
+
+            for (const height of this.recentBlocks.keys()) {
+                if (height <= blockHeight - REORG_TRACK_DEPTH) {
+                    this.recentBlocks.delete(height);
+                }
+            }
+
+            if (staleHeights.length > 0) {
+                const forkHeight = Math.min(...staleHeights);
+                this.logger.log(`[Block WS] Hash mismatch detected, reorg from height ${forkHeight}`);
+                this.onReorg!(forkHeight);
+            }
+        } else if (msgType === 'BLK_DISCONNECTED') {
+            this.recentBlocks.delete(blockHeight);
+            this.logger.log(`[Block WS] Block ${blockHash} disconnected at height ${blockHeight}`);
+            this.onReorg!(blockHeight);
+        }
+    }
+
+    private _closeBlockWsIfIdle(): void {
+        if (this.addressSubscriptions.size === 0 && this.tokenSubscriptions.size === 0 && this.blockWs) {
+            this.blockWs.close();
+            this.blockWs = null;
+            this.recentBlocks.clear();
+            this.logger.log('[Block WS] Closed block WebSocket instance (no more subscriptions)');
+        }
+    }
+
+    async initWebsocketForAddress(
+        address: string,
+        onNewTransaction: (address: string, txid: string, msgType: string) => Promise<void>,
+        target: WsTarget = addressTarget(address)
+    ): Promise<void> {
         return await this.failover.handleWebSocketOperation(
             async () => {
                 if (this.addressSubscriptions.has(address)) {
@@ -187,12 +447,14 @@ export default class WebSocketManager {
                 }
 
                 const ws = await this._ensureAddressWs();
-                ws.subscribeToAddress(address);
+                target.subscribe(ws);
+                await this._ensureBlockWs().catch(error => this.logger.error('[Block WS] Failed to subscribe to blocks:', error));
 
                 this.addressSubscriptions.set(address, {
                     onNewTransaction,
                     timeout: null,
-                    expiry: null
+                    expiry: null,
+                    target
                 });
 
                 this.logger.log(`[Address WS] ✅ Subscribed to ${address}. Instances: ${this._getInstanceCount()}, Subscriptions: ${this._getSubscriptionCount()}`);
@@ -217,11 +479,13 @@ export default class WebSocketManager {
 
                 const ws = await this._ensureTokenWs();
                 ws.subscribeToTokenId(tokenId);
+                await this._ensureBlockWs().catch(error => this.logger.error('[Block WS] Failed to subscribe to blocks:', error));
 
                 this.tokenSubscriptions.set(tokenId, {
                     onNewTransaction,
                     timeout: null,
-                    expiry: null
+                    expiry: null,
+                    target: null
                 });
 
                 this.logger.log(`[Token WS] ✅ Subscribed to Token ${tokenId}. Instances: ${this._getInstanceCount()}, Subscriptions: ${this._getSubscriptionCount()}`);
@@ -235,7 +499,7 @@ export default class WebSocketManager {
         const subscription = this.addressSubscriptions.get(address);
         if (subscription) {
             if (this.addressWs) {
-                this.addressWs.unsubscribeFromAddress(address);
+                subscription.target!.unsubscribe(this.addressWs);
             }
             
             // Clear timeout if exists
@@ -252,6 +516,7 @@ export default class WebSocketManager {
                 this.addressWs = null;
                 this.logger.log('[Address WS] Closed address WebSocket instance (no more subscriptions)');
             }
+            this._closeBlockWsIfIdle();
         }
     }
 
@@ -276,6 +541,7 @@ export default class WebSocketManager {
                 this.tokenWs = null;
                 this.logger.log('[Token WS] Closed token WebSocket instance (no more subscriptions)');
             }
+            this._closeBlockWsIfIdle();
         }
     }
 
@@ -355,15 +621,29 @@ export default class WebSocketManager {
         return { active: true, remainingSec: remainSec };
     }
 
+    /**
+     * Change the subscription limit, evicting the oldest subscriptions that no longer fit
+     */
+    setMaxSubscriptions(maxSubscriptions: number): void {
+        this.maxSubscriptions = maxSubscriptions;
+        while (this.addressSubscriptions.size > this.maxSubscriptions) {
+            this._evictOldestAddressSubscription();
+        }
+        while (this.tokenSubscriptions.size > this.maxSubscriptions) {
+            this._evictOldestTokenSubscription();
+        }
+    }
+
     private _evictOldestAddressSubscription(): void {
-        const oldestAddress = this.addressSubscriptions.keys().next().value;
-        if (!oldestAddress) return;
+        const oldest = this.addressSubscriptions.entries().next().value;
+        if (!oldest) return;
+        const [oldestAddress, { target }] = oldest;
         
         this.unsubscribeAddress(oldestAddress);
         this.logger.log(`[Address WS] Evicted oldest subscription: ${oldestAddress}. Instances: ${this._getInstanceCount()}, Subscriptions: ${this._getSubscriptionCount()}`);
         
         if (this.onEvict && typeof this.onEvict === 'function') {
-            this.onEvict(oldestAddress, 'address');
+            this.onEvict(oldestAddress, target!.kind);
         }
     }
 
@@ -383,6 +663,7 @@ export default class WebSocketManager {
         let count = 0;
         if (this.addressWs && !this.addressWs.manuallyClosed) count++;
         if (this.tokenWs && !this.tokenWs.manuallyClosed) count++;
+        if (this.blockWs && !this.blockWs.manuallyClosed) count++;
         return count;
     }
 
@@ -0,0 +1,187 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import {
+    Transaction,
+    TransactionOutput,
+    ScriptUtxo,
+    Utxo,
+    Balance,
+    BalanceResponse,
+    TokenHoldersResponse
+} from '../types';
+
+// Amounts an output adds to each bucket: '' for sats, a tokenId for atoms, or the holder's script
+type Entries = Array<[string, bigint]>;
+
+interface TrackedOutput {
+    entries: Entries;
+    confirmed: boolean;
+}
+
+interface Spend {
+    txid: string;
+    confirmed: boolean;
+}
+
+const SATS = '';
+
+function outpointKey(txid: string, outIdx: number): string {
+    return `${txid}:${outIdx}`;
+}
+
+function isConfirmed(tx: Transaction): boolean {
+    return !!(tx.block && tx.block.height);
+}
+
+/**
+ * Balances of one address or script, or the holders of one token, kept up to date one tx at a time.
+ *
+ * confirmed is what the confirmed txs alone leave unspent, unconfirmed is the change the mempool
+ * makes to it and goes negative while a confirmed output is being spent.
+ * A complete history contains every tx spending one of its outputs, so applying all of them
+ * gives the same result in any order.
+ */
+export default class BalanceTracker {
+    private outputs = new Map<string, TrackedOutput>();
+    private spends = new Map<string, Spend>();
+    private txs = new Map<string, { outpoints: string[]; spent: string[] }>();
+    private totals = new Map<string, Balance>();
+
+    private constructor(
+        private readonly match: (output: TransactionOutput) => Entries,
+        private readonly describe: (tracker: BalanceTracker) => BalanceResponse | TokenHoldersResponse
+    ) {}
+
+    // Sats and token atoms held by an output script
+    static forScript(outputScript: string): BalanceTracker {
+        return new BalanceTracker(output => {
+            if (output.outputScript !== outputScript) {
+                return [];
+            }
+            const entries: Entries = [[SATS, BigInt(output.sats)]];
+            if (output.token && BigInt(output.token.atoms) > 0n) {
+                entries.push([output.token.tokenId, BigInt(output.token.atoms)]);
+            }
+            return entries;
+        }, tracker => ({
+            outputScript,
+            sats: tracker.balance(SATS),
+            tokens: tracker.buckets()
+                .filter(bucket => bucket !== SATS)
+                .map(tokenId => ({ tokenId, ...tracker.balance(tokenId) }))
+        }));
+    }
+
+    // Atoms of a token held by each output script
+    static forToken(tokenId: string): BalanceTracker {
+        return new BalanceTracker(output => {
+            if (!output.token || output.token.tokenId !== tokenId || BigInt(output.token.atoms) === 0n) {
+                return [];
+            }
+            return [[output.outputScript, BigInt(output.token.atoms)]];
+        }, tracker => ({
+            tokenId,
+            holders: tracker.buckets()
+                .map(script => ({ script, ...tracker.balance(script) }))
+                .sort((a, b) => {
+                    const diff = (b.confirmed + b.unconfirmed) - (a.confirmed + a.unconfirmed);
+                    return diff > 0n ? 1 : diff < 0n ? -1 : a.script.localeCompare(b.script);
+                })
+        }));
+    }
+
+    /**
+     * Add a tx, or replace the version applied before, e.g. once it confirms
+     */
+    apply(tx: Transaction): void {
+        this.remove(tx.txid);
+        const confirmed = isConfirmed(tx);
+        const outpoints: string[] = [];
+        const spent: string[] = [];
+
+        for (const input of tx.inputs || []) {
+            if (!input.prevOut) continue;
+            const key = outpointKey(input.prevOut.txid, input.prevOut.outIdx);
+            this.update(key, () => this.spends.set(key, { txid: tx.txid, confirmed }));
+            spent.push(key);
+        }
+        (tx.outputs || []).forEach((output, outIdx) => {
+            const entries = this.match(output);
+            if (entries.length === 0) return;
+            const key = outpointKey(tx.txid, outIdx);
+            this.update(key, () => this.outputs.set(key, { entries, confirmed }));
+            outpoints.push(key);
+        });
+        this.txs.set(tx.txid, { outpoints, spent });
+    }
+
+    /**
+     * Take back everything a tx added, for txs dropped from the mempool
+     */
+    remove(txid: string): void {
+        const applied = this.txs.get(txid);
+        if (!applied) return;
+        for (const key of applied.outpoints) {
+            this.update(key, () => this.outputs.delete(key));
+        }
+        for (const key of applied.spent) {
+            if (this.spends.get(key)?.txid === txid) {
+                this.update(key, () => this.spends.delete(key));
+            }
+        }
+        this.txs.delete(txid);
+    }
+
+    /**
+     * Add a chronik UTXO set instead of a history, its mempool spends are already left out.
+     * Address UTXOs carry no script, outputScript stands in for it.
+     */
+    applyUtxos(utxos: Array<ScriptUtxo | Utxo>, outputScript: string = ''): this {
+        for (const utxo of utxos) {
+            const script = 'script' in utxo ? utxo.script : outputScript;
+            const entries = this.match({ sats: utxo.sats, outputScript: script, token: utxo.token });
+            if (entries.length === 0) continue;
+            const key = outpointKey(utxo.outpoint.txid, utxo.outpoint.outIdx);
+            this.update(key, () => this.outputs.set(key, { entries, confirmed: utxo.blockHeight !== -1 }));
+        }
+        return this;
+    }
+
+    toResponse(): BalanceResponse | TokenHoldersResponse {
+        return this.describe(this);
+    }
+
+    private balance(bucket: string): Balance {
+        const total = this.totals.get(bucket);
+        return total ? { ...total } : { confirmed: 0n, unconfirmed: 0n };
+    }
+
+    private buckets(): string[] {
+        return [...this.totals.entries()]
+            .filter(([, total]) => total.confirmed !== 0n || total.unconfirmed !== 0n)
+            .map(([bucket]) => bucket);
+    }
+
+    // Take an outpoint's share out of the totals, change its state, and add the new share back
+    private update(key: string, change: () => void): void {
+        this.addShare(key, -1n);
+        change();
+        this.addShare(key, 1n);
+    }
+
+    private addShare(key: string, sign: bigint): void {
+        const output = this.outputs.get(key);
+        if (!output) return;
+        const spend = this.spends.get(key);
+        const total = spend ? 0n : 1n;
+        const confirmed = output.confirmed && !(spend && spend.confirmed) ? 1n : 0n;
+        for (const [bucket, amount] of output.entries) {
+            const balance = this.totals.get(bucket) || { confirmed: 0n, unconfirmed: 0n };
+            balance.confirmed += sign * confirmed * amount;
+            balance.unconfirmed += sign * (total - confirmed) * amount;
+            this.totals.set(bucket, balance);
+        }
+    }
+}
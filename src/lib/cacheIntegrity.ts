@@ -0,0 +1,131 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import DbUtils from './dbUtils';
+import { computeHash } from './hash';
+import { txPrefix, orderPrefix, summaryPrefix, legacyKeyBases } from './cacheKeys';
+import { CacheData, CacheMetadata } from '../types';
+
+interface LegacyValue {
+    value: any;
+    pageCount: number | null;
+    totalTxs: number | null;
+    keys: string[];
+    complete: boolean;
+}
+
+export interface IntegrityReport {
+    consistent: boolean;
+    reason?: string;
+    // Every stored key of the history, deleted when it is discarded
+    keys: string[];
+}
+
+export interface LegacyIntegrityReport extends IntegrityReport {
+    // The history to migrate, set when it is consistent
+    data?: CacheData;
+}
+
+/**
+ * Read a legacy txOrder or txMap, stored whole or split into pages with a meta key
+ */
+async function inspectLegacyValue(db: DbUtils, keyBase: string, merge: (chunks: any[]) => any): Promise<LegacyValue> {
+    const meta = await db.get(`${keyBase}:meta`);
+    const plain = await db.get(keyBase);
+    const pages = new Map<string, any>();
+    for await (const [key, value] of db.iteratePrefix(`${keyBase}:`)) {
+        pages.set(key, value);
+    }
+    const keys = [...pages.keys()];
+    if (plain !== null) {
+        keys.push(keyBase);
+    }
+
+    if (!meta) {
+        return { value: plain, pageCount: null, totalTxs: null, keys, complete: plain !== null };
+    }
+
+    const chunks: any[] = [];
+    for (let i = 0; i < meta.pageCount; i++) {
+        const key = `${keyBase}:${i}`;
+        if (!pages.has(key)) {
+            return { value: null, pageCount: meta.pageCount, totalTxs: meta.totalTxs, keys, complete: false };
+        }
+        chunks.push(pages.get(key));
+    }
+    return { value: merge(chunks), pageCount: meta.pageCount, totalTxs: meta.totalTxs, keys, complete: true };
+}
+
+/**
+ * Check a history stored in the layout used before per-transaction keys.
+ * Those writes were not atomic, so a crash could leave pages of two writes mixed.
+ * Resolves to null when the identifier has no legacy keys.
+ */
+export async function checkLegacyCache(db: DbUtils, identifier: string, metadata: CacheMetadata): Promise<LegacyIntegrityReport | null> {
+    const [txOrderBase, txMapBase] = legacyKeyBases(identifier);
+    const txOrder = await inspectLegacyValue(db, txOrderBase, chunks => ([] as string[]).concat(...chunks));
+    const txMap = await inspectLegacyValue(db, txMapBase, chunks => Object.assign({}, ...chunks));
+    const keys = [...txOrder.keys, ...txMap.keys];
+    if (keys.length === 0) {
+        return null;
+    }
+    const report = (reason: string): LegacyIntegrityReport => ({ consistent: false, reason, keys });
+
+    if (!txOrder.complete || !txMap.complete) {
+        return report('missing pages');
+    }
+    if (txOrder.pageCount !== txMap.pageCount) {
+        return report('txOrder and txMap page counts differ');
+    }
+
+    const order = txOrder.value as string[];
+    const map = txMap.value as CacheData['txMap'];
+    if (txOrder.totalTxs !== null && txOrder.totalTxs !== order.length) {
+        return report('txOrder length differs from its page metadata');
+    }
+    if (metadata.numTxs !== undefined && metadata.numTxs !== order.length) {
+        return report('txOrder length differs from numTxs');
+    }
+    if (computeHash(order) !== metadata.dataHash) {
+        return report('txOrder hash differs from dataHash');
+    }
+    if (order.some(txid => !map[txid])) {
+        return report('txMap is missing transactions');
+    }
+    return { consistent: true, keys, data: { txOrder: order, txMap: map } };
+}
+
+/**
+ * Check that the order index and the stored transactions of an identifier describe the same history
+ */
+export async function checkIndexedCache(db: DbUtils, identifier: string, metadata: CacheMetadata): Promise<IntegrityReport> {
+    const keys: string[] = [];
+    const txOrder: string[] = [];
+    for await (const [key, txid] of db.iteratePrefix(orderPrefix(identifier))) {
+        keys.push(key);
+        txOrder.push(txid);
+    }
+    const storedTxids = new Set<string>();
+    const prefix = txPrefix(identifier);
+    for await (const [key] of db.iteratePrefix(prefix)) {
+        keys.push(key);
+        storedTxids.add(key.slice(prefix.length));
+    }
+    // Summaries are derived from the stored transactions, they only need to go with them
+    for await (const [key] of db.iteratePrefix(summaryPrefix(identifier))) {
+        keys.push(key);
+    }
+    const report = (reason?: string): IntegrityReport => ({ consistent: !reason, reason, keys });
+
+    if (txOrder.length !== storedTxids.size || txOrder.some(txid => !storedTxids.has(txid))) {
+        return report('order index and stored transactions differ');
+    }
+    if (metadata.numTxs !== undefined && metadata.numTxs !== txOrder.length) {
+        return report('order index length differs from numTxs');
+    }
+    if (computeHash(txOrder) !== metadata.dataHash) {
+        return report('order index hash differs from dataHash');
+    }
+    return report();
+}
@@ -0,0 +1,80 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { EntityKind } from '../types';
+
+// Each cached history keeps every transaction under its own key,
+// and its history order as one index key per transaction whose ascending order is the cache order.
+
+export function txKey(identifier: string, txid: string): string {
+    return `${identifier}:tx:${txid}`;
+}
+
+export function txPrefix(identifier: string): string {
+    return `${identifier}:tx:`;
+}
+
+export function orderKey(identifier: string, sortKey: string): string {
+    return `${identifier}:idx:${sortKey}`;
+}
+
+export function orderPrefix(identifier: string): string {
+    return `${identifier}:idx:`;
+}
+
+// Address and script histories also keep a summary of each transaction once one was requested
+export function summaryKey(identifier: string, txid: string): string {
+    return `${identifier}:sum:${txid}`;
+}
+
+export function summaryPrefix(identifier: string): string {
+    return `${identifier}:sum:`;
+}
+
+// Every kind of cached history, each keeps its global metadata and update key under its own prefix
+export const ENTITY_KINDS: readonly EntityKind[] = ['address', 'script', 'lokad', 'plugin', 'token'];
+
+// Global metadata key of a cached history, also names its builds in the update queue
+export function entityKey(kind: EntityKind, identifier: string): string {
+    return `${kind}:${identifier}`;
+}
+
+export function parseEntityKey(key: string): { kind: EntityKind; identifier: string } | null {
+    const kind = ENTITY_KINDS.find(candidate => key.startsWith(`${candidate}:`));
+    return kind ? { kind, identifier: key.slice(kind.length + 1) } : null;
+}
+
+// tx() finds history copies through one index key per cache holding the tx, so dropping the tx
+// from one cache leaves the others findable. The holder is read from the key, not the value
+export const TX_INDEX_PREFIX = 'txIndex:';
+
+export function txIndexKey(txid: string, identifier: string, kind: EntityKind): string {
+    return `${TX_INDEX_PREFIX}${txid}:${entityKey(kind, identifier)}`;
+}
+
+export function txIndexPrefix(txid: string): string {
+    return `${TX_INDEX_PREFIX}${txid}:`;
+}
+
+// The cache a txIndex key points at, null for keys of the single-holder layout before schema 4
+export function parseTxIndexKey(key: string): { txid: string; kind: EntityKind; identifier: string } | null {
+    const rest = key.slice(TX_INDEX_PREFIX.length);
+    const separator = rest.indexOf(':');
+    const holder = separator > 0 ? parseEntityKey(rest.slice(separator + 1)) : null;
+    return holder ? { txid: rest.slice(0, separator), ...holder } : null;
+}
+
+// Confirmed txs fetched through tx() outside any cached history, evicted together as one entry
+// whose access stats are kept under this global metadata key
+export const STANDALONE_TX_PREFIX = 'tx:';
+export const STANDALONE_METADATA_KEY = 'standaloneTxs';
+
+export function standaloneTxKey(txid: string): string {
+    return `${STANDALONE_TX_PREFIX}${txid}`;
+}
+
+// Keys of the layout used before per-transaction storage, where txOrder and txMap were stored whole
+export function legacyKeyBases(identifier: string): string[] {
+    return [`${identifier}:txOrder`, `${identifier}:txMap`];
+}
@@ -0,0 +1,273 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import http from 'http';
+import https from 'https';
+import { Duplex } from 'stream';
+import express from 'express';
+import * as proto from 'chronik-client/dist/proto/chronik';
+import { TX_FIELDS } from './projection';
+import { ProxyOptions, Transaction, HistoryResponse } from '../types';
+
+// chronik serves at most this many txs per page, larger requests go upstream to get chronik's own error
+const MAX_PAGE_SIZE = 200;
+const PROTOBUF_CONTENT_TYPE = 'application/x-protobuf';
+// Hop-by-hop headers belong to one connection and are not forwarded
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'host', 'content-length'];
+// Protobuf txs carry every field, so txs a projection stripped come from chronik
+const FULL_TX = { fields: TX_FIELDS };
+
+function fromHex(hex: string | undefined): Uint8Array {
+    return Uint8Array.from(Buffer.from(hex || '', 'hex'));
+}
+
+// Txids and block hashes are shown byte-reversed
+function fromHexRev(hex: string | undefined): Uint8Array {
+    return fromHex(hex).reverse();
+}
+
+function encodePlugins(plugins: Record<string, { groups: string[]; data: string[] }> | undefined): Record<string, proto.PluginEntry> {
+    const entries: Record<string, proto.PluginEntry> = {};
+    for (const [name, plugin] of Object.entries(plugins || {})) {
+        entries[name] = { groups: plugin.groups.map(fromHex), data: plugin.data.map(fromHex) };
+    }
+    return entries;
+}
+
+function encodeTokenType(tokenType: any): proto.TokenType {
+    if (tokenType?.protocol === 'ALP') return { alp: tokenType.number };
+    if (tokenType?.protocol === 'SLP') return { slp: tokenType.number };
+    return {};
+}
+
+function encodeToken(token: any): proto.Token | undefined {
+    if (!token) return undefined;
+    return {
+        tokenId: token.tokenId,
+        tokenType: encodeTokenType(token.tokenType),
+        // chronik-client leaves out entryIdx when it is -1
+        entryIdx: token.entryIdx ?? -1,
+        atoms: BigInt(token.atoms ?? 0),
+        isMintBaton: !!token.isMintBaton
+    };
+}
+
+/**
+ * Turn a tx as chronik-client returns it back into its protobuf message, the inverse of convertToTx
+ */
+export function encodeTx(tx: Transaction): proto.Tx {
+    const anyTx = tx as any;
+    return {
+        txid: fromHexRev(tx.txid),
+        version: tx.version,
+        inputs: (tx.inputs || []).map((input: any) => ({
+            prevOut: { txid: fromHexRev(input.prevOut?.txid), outIdx: input.prevOut?.outIdx ?? 0 },
+            inputScript: fromHex(input.inputScript),
+            outputScript: fromHex(input.outputScript),
+            sats: BigInt(input.sats ?? 0),
+            sequenceNo: input.sequenceNo ?? 0,
+            token: encodeToken(input.token),
+            plugins: encodePlugins(input.plugins)
+        })),
+        outputs: (tx.outputs || []).map((output: any) => ({
+            sats: BigInt(output.sats ?? 0),
+            outputScript: fromHex(output.outputScript),
+            spentBy: output.spentBy ? { txid: fromHexRev(output.spentBy.txid), inputIdx: output.spentBy.outIdx } : undefined,
+            token: encodeToken(output.token),
+            plugins: encodePlugins(output.plugins)
+        })),
+        lockTime: tx.lockTime,
+        // chronik-client's block type has no isFinal, it is passed on where the tx carries one
+        block: tx.block
+            ? { height: tx.block.height, hash: fromHexRev(tx.block.hash), timestamp: BigInt(tx.block.timestamp), isFinal: !!anyTx.block.isFinal }
+            : undefined,
+        timeFirstSeen: BigInt(tx.timeFirstSeen || 0),
+        size: tx.size,
+        isCoinbase: tx.isCoinbase,
+        tokenEntries: (anyTx.tokenEntries || []).map((entry: any) => ({
+            tokenId: entry.tokenId,
+            tokenType: encodeTokenType(entry.tokenType),
+            txType: proto.tokenTxTypeFromJSON(entry.txType),
+            groupTokenId: entry.groupTokenId ?? '',
+            isInvalid: !!entry.isInvalid,
+            burnSummary: entry.burnSummary ?? '',
+            failedColorings: entry.failedColorings || [],
+            actualBurnAtoms: String(entry.actualBurnAtoms ?? 0),
+            intentionalBurnAtoms: BigInt(entry.intentionalBurnAtoms ?? 0),
+            burnsMintBatons: !!entry.burnsMintBatons
+        })),
+        tokenFailedParsings: (anyTx.tokenFailedParsings || []).map((parsing: any) => ({
+            pushdataIdx: parsing.pushdataIdx,
+            bytes: fromHex(parsing.bytes),
+            error: parsing.error
+        })),
+        tokenStatus: proto.tokenStatusFromJSON(anyTx.tokenStatus ?? 'TOKEN_STATUS_NON_TOKEN'),
+        isFinal: !!tx.isFinal
+    };
+}
+
+export function encodeHistoryPage(page: HistoryResponse): Uint8Array {
+    return proto.TxHistoryPage.encode({
+        txs: page.txs.map(encodeTx),
+        numPages: page.numPages,
+        numTxs: page.numTxs
+    }).finish();
+}
+
+function readPage(query: Record<string, any>): [number, number] | null {
+    const page = query.page === undefined ? 0 : Number(query.page);
+    const pageSize = query.page_size === undefined ? 25 : Number(query.page_size);
+    if (!Number.isSafeInteger(page) || page < 0 || !Number.isSafeInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return null;
+    }
+    return [page, pageSize];
+}
+
+function forwardedHeaders(headers: http.IncomingHttpHeaders): Record<string, string> {
+    const forwarded: Record<string, string> = {};
+    for (const [name, value] of Object.entries(headers)) {
+        if (value !== undefined && !HOP_BY_HOP_HEADERS.includes(name)) {
+            forwarded[name] = Array.isArray(value) ? value.join(', ') : value;
+        }
+    }
+    return forwarded;
+}
+
+/**
+ * Build an HTTP server that chronik-client can use in place of chronik.
+ * Address, script and token history pages and txs are answered from the cache as protobuf,
+ * every other request and the websocket are passed through to the upstream chronik.
+ */
+export function createProxyServer(cache: any, options: ProxyOptions): http.Server {
+    const upstreams = Array.isArray(options.upstream) ? options.upstream : [options.upstream];
+    if (upstreams.length === 0 || upstreams.some(url => !/^https?:\/\/.+[^/]$/.test(url))) {
+        throw new Error('Invalid proxy option: upstream must be http(s) urls without a trailing slash');
+    }
+    const logger = options.logger;
+    const app = express();
+
+    // Try the upstreams in order, like chronik-client does, and relay the first response
+    const forward = async (req: any, res: any) => {
+        const body = req.method === 'GET' || req.method === 'HEAD' ? undefined : await readBody(req);
+        let lastError: Error | null = null;
+        for (const upstream of upstreams) {
+            try {
+                const response = await fetch(upstream + req.originalUrl, {
+                    method: req.method,
+                    headers: forwardedHeaders(req.headers),
+                    body
+                });
+                res.status(response.status);
+                const contentType = response.headers.get('content-type');
+                if (contentType) res.set('content-type', contentType);
+                res.end(Buffer.from(await response.arrayBuffer()));
+                return;
+            } catch (error) {
+                lastError = error as Error;
+            }
+        }
+        logger?.error('[Proxy] No upstream chronik reachable:', lastError);
+        res.status(502).end();
+    };
+
+    // Answer from the cache, or forward when the request is not one the cache can serve as chronik would
+    const cached = (serve: (req: any, page: [number, number]) => Promise<Uint8Array | null>, paged: boolean = true) =>
+        async (req: any, res: any) => {
+            const page = paged ? readPage(req.query) : [0, 0] as [number, number];
+            if (page) {
+                try {
+                    const encoded = await serve(req, page);
+                    if (encoded) {
+                        res.status(200).set('content-type', PROTOBUF_CONTENT_TYPE).end(Buffer.from(encoded));
+                        return;
+                    }
+                } catch (error) {
+                    logger?.log(`[Proxy] Cache could not serve ${req.originalUrl}, forwarding:`, (error as Error).message);
+                }
+            }
+            await forward(req, res);
+        };
+
+    // A page the cache is still preparing (status 1) is fetched from chronik instead
+    const historyPage = async (history: Promise<HistoryResponse>): Promise<Uint8Array | null> => {
+        const page = await history;
+        return page.status === 1 ? null : encodeHistoryPage(page);
+    };
+
+    app.get('/script/:type/:payload/history', cached(async (req, [page, pageSize]) => {
+        return await historyPage(cache.script(req.params.type, req.params.payload).history(page, pageSize, FULL_TX));
+    }));
+    app.get('/address/:address/history', cached(async (req, [page, pageSize]) => {
+        return await historyPage(cache.address(req.params.address).history(page, pageSize, FULL_TX));
+    }));
+    app.get('/token-id/:tokenId/history', cached(async (req, [page, pageSize]) => {
+        return await historyPage(cache.tokenId(req.params.tokenId).history(page, pageSize, FULL_TX));
+    }));
+    app.get('/tx/:txid', cached(async req => {
+        return proto.Tx.encode(encodeTx(await cache.tx(req.params.txid, FULL_TX))).finish();
+    }, false));
+
+    app.use(forward);
+
+    const server = http.createServer(app);
+    server.on('upgrade', (req: http.IncomingMessage, socket: Duplex, head: Buffer) => {
+        proxyUpgrade(upstreams, req, socket, head, logger);
+    });
+    return server;
+}
+
+function readBody(req: http.IncomingMessage): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+        const chunks: Buffer[] = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Relay a websocket handshake to the first reachable chronik, in the same order as HTTP requests,
+// and then pipe the raw sockets together
+function proxyUpgrade(
+    upstreams: string[],
+    req: http.IncomingMessage,
+    socket: Duplex,
+    head: Buffer,
+    logger?: ProxyOptions['logger'],
+    index: number = 0
+): void {
+    // Appended like forwarded HTTP requests, so the base path of an upstream is kept
+    const target = new URL(upstreams[index] + (req.url || '/'));
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: req.method,
+        headers: { ...req.headers, host: target.host }
+    });
+
+    request.on('upgrade', (response, upstreamSocket, upstreamHead) => {
+        const headerLines: string[] = [];
+        for (let i = 0; i < response.rawHeaders.length; i += 2) {
+            headerLines.push(`${response.rawHeaders[i]}: ${response.rawHeaders[i + 1]}`);
+        }
+        socket.write(`HTTP/1.1 ${response.statusCode} ${response.statusMessage}\r\n${headerLines.join('\r\n')}\r\n\r\n`);
+        if (upstreamHead.length > 0) socket.write(upstreamHead);
+        if (head.length > 0) upstreamSocket.write(head);
+        upstreamSocket.pipe(socket).pipe(upstreamSocket);
+        upstreamSocket.on('error', () => socket.destroy());
+        socket.on('error', () => upstreamSocket.destroy());
+    });
+    // Upstream refused the upgrade, pass its answer on and close
+    request.on('response', response => {
+        socket.end(`HTTP/1.1 ${response.statusCode} ${response.statusMessage}\r\n\r\n`);
+        response.resume();
+    });
+    // Only reached when the connection fails, nothing has been sent to the client yet
+    request.on('error', error => {
+        if (index + 1 < upstreams.length) {
+            proxyUpgrade(upstreams, req, socket, head, logger, index + 1);
+            return;
+        }
+        logger?.error('[Proxy] No upstream chronik reachable for the websocket:', error);
+        socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n', () => socket.destroy());
+    });
+    request.end();
+}
@@ -0,0 +1,69 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import zlib from 'zlib';
+import { encodeValue, decodeValue, getSerializedSize } from './serialization';
+import { CompressionAlgorithm } from '../types';
+
+export const COMPRESSION_ALGORITHMS: CompressionAlgorithm[] = ['none', 'deflate', 'brotli'];
+
+// Compressed values are strings whose first character is the format they were written in,
+// a control character no stored string starts with. Objects stored uncompressed load as they are
+const FORMAT_DEFLATE = 1;
+const FORMAT_BROTLI = 2;
+const LAST_FORMAT = 0x1f;
+
+// Smaller values gain nothing once the base64 overhead is paid
+const MIN_COMPRESSED_LENGTH = 128;
+
+// Quality 11 is brotli's default and far too slow for a write path
+const BROTLI_OPTIONS = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } };
+
+export function isCompressed(value: unknown): value is string {
+    return typeof value === 'string' && value.length > 0 && value.charCodeAt(0) <= LAST_FORMAT;
+}
+
+/**
+ * Value as it is stored: objects are compressed into a string when that makes them smaller
+ */
+export function compressValue(value: any, algorithm: CompressionAlgorithm): any {
+    if (algorithm === 'none' || value === null || typeof value !== 'object') {
+        return value;
+    }
+    const json = encodeValue(value);
+    if (json.length < MIN_COMPRESSED_LENGTH) {
+        return value;
+    }
+    const compressed = algorithm === 'brotli'
+        ? String.fromCharCode(FORMAT_BROTLI) + zlib.brotliCompressSync(json, BROTLI_OPTIONS).toString('base64')
+        : String.fromCharCode(FORMAT_DEFLATE) + zlib.deflateRawSync(json).toString('base64');
+    return compressed.length < json.length ? compressed : value;
+}
+
+// The JSON a compressed value was made from
+function inflate(value: string): Buffer {
+    const format = value.charCodeAt(0);
+    const data = Buffer.from(value.slice(1), 'base64');
+    if (format === FORMAT_DEFLATE) {
+        return zlib.inflateRawSync(data);
+    }
+    if (format === FORMAT_BROTLI) {
+        return zlib.brotliDecompressSync(data);
+    }
+    throw new Error(`Unsupported compressed value format ${format}`);
+}
+
+/**
+ * Inverse of compressValue, whatever algorithm the value was written with
+ */
+export function decompressValue(value: any): any {
+    return isCompressed(value) ? decodeValue(inflate(value).toString('utf8')) : value;
+}
+
+/**
+ * Serialized bytes of a stored value before compression, without parsing it
+ */
+export function uncompressedSize(value: any): number {
+    return isCompressed(value) ? inflate(value).length : getSerializedSize(value);
+}
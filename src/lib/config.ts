@@ -0,0 +1,125 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { DEFAULT_CONFIG } from '../constants';
+import { EVICTION_POLICIES } from './eviction';
+import { TX_FIELDS, isValidProjection } from './projection';
+import { COMPRESSION_ALGORITHMS } from './compression';
+import { ChronikCacheConfig, RuntimeConfig } from '../types';
+
+export type ResolvedConfig = Required<Omit<ChronikCacheConfig, 'storage' | 'namespace' | DeprecatedOption>>
+    & Pick<ChronikCacheConfig, 'storage' | 'namespace'>;
+
+// Options that no longer have an effect, still accepted so existing configs keep working
+const DEPRECATED_OPTIONS = {
+    maxItemsPerKey: 'every tx is stored under its own key, histories are no longer split into pages'
+};
+
+type DeprecatedOption = keyof typeof DEPRECATED_OPTIONS;
+
+const RUNTIME_OPTIONS: Array<keyof RuntimeConfig> = [
+    'maxTxLimit',
+    'evictionPolicy',
+    'defaultPageSize',
+    'updateConcurrency',
+    'txUpdateConcurrency',
+    'maxSubscriptions',
+    'memoryCacheTTL',
+    'memoryCacheTTLExtension',
+    'memoryCacheCheckInterval'
+];
+
+const POSITIVE_INTEGER_OPTIONS: Array<keyof ChronikCacheConfig> = [
+    ...RUNTIME_OPTIONS.filter(name => name !== 'evictionPolicy'),
+    'statusRestoreConcurrency',
+    'wsTimeout',
+    'wsExtendTimeout'
+];
+
+// Namespaces become part of every key, '!' is reserved as the separator
+const NAMESPACE_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+function assertPositiveInteger(name: string, value: unknown): void {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value <= 0) {
+        throw new Error(`Invalid ChronikCache config: ${name} must be a positive integer, got ${String(value)}`);
+    }
+}
+
+function validate(config: Record<string, any>): void {
+    for (const name of POSITIVE_INTEGER_OPTIONS) {
+        if (config[name] !== undefined) {
+            assertPositiveInteger(name, config[name]);
+        }
+    }
+    if (config.maxCacheSize !== undefined && !(typeof config.maxCacheSize === 'number' && config.maxCacheSize > 0)) {
+        throw new Error(`Invalid ChronikCache config: maxCacheSize must be a positive number, got ${String(config.maxCacheSize)}`);
+    }
+    if (config.evictionPolicy !== undefined && !EVICTION_POLICIES.includes(config.evictionPolicy)) {
+        throw new Error(`Invalid ChronikCache config: evictionPolicy must be one of ${EVICTION_POLICIES.join(', ')}, got ${String(config.evictionPolicy)}`);
+    }
+    if (config.cacheDir !== undefined && (typeof config.cacheDir !== 'string' || config.cacheDir.length === 0)) {
+        throw new Error('Invalid ChronikCache config: cacheDir must be a non-empty string');
+    }
+    if (config.namespace !== undefined && (typeof config.namespace !== 'string' || !NAMESPACE_PATTERN.test(config.namespace))) {
+        throw new Error(`Invalid ChronikCache config: namespace must match ${NAMESPACE_PATTERN}, got ${String(config.namespace)}`);
+    }
+    if (config.compression !== undefined && !COMPRESSION_ALGORITHMS.includes(config.compression)) {
+        throw new Error(`Invalid ChronikCache config: compression must be one of ${COMPRESSION_ALGORITHMS.join(', ')}, got ${String(config.compression)}`);
+    }
+    if (config.txProjection !== undefined && !isValidProjection(config.txProjection)) {
+        throw new Error(`Invalid ChronikCache config: txProjection must list fields of ${TX_FIELDS.join(', ')}, for every history or per address / token`);
+    }
+}
+
+/**
+ * Validate a constructor config and fill in the defaults
+ */
+export function resolveConfig(config: ChronikCacheConfig = {}): ResolvedConfig {
+    validate(config);
+    return {
+        storage: config.storage,
+        namespace: config.namespace,
+        cacheDir: config.cacheDir ?? DEFAULT_CONFIG.CACHE_DIR,
+        maxTxLimit: config.maxTxLimit ?? DEFAULT_CONFIG.MAX_TX_LIMIT,
+        maxCacheSize: config.maxCacheSize ?? DEFAULT_CONFIG.MAX_CACHE_SIZE,
+        evictionPolicy: config.evictionPolicy ?? DEFAULT_CONFIG.EVICTION_POLICY,
+        defaultPageSize: config.defaultPageSize ?? DEFAULT_CONFIG.DEFAULT_PAGE_SIZE,
+        updateConcurrency: config.updateConcurrency ?? DEFAULT_CONFIG.UPDATE_CONCURRENCY,
+        txUpdateConcurrency: config.txUpdateConcurrency ?? DEFAULT_CONFIG.TX_UPDATE_CONCURRENCY,
+        maxSubscriptions: config.maxSubscriptions ?? DEFAULT_CONFIG.MAX_SUBSCRIPTIONS,
+        memoryCacheTTL: config.memoryCacheTTL ?? DEFAULT_CONFIG.MEMORY_CACHE_TTL,
+        memoryCacheTTLExtension: config.memoryCacheTTLExtension ?? DEFAULT_CONFIG.MEMORY_CACHE_TTL_EXTENSION,
+        memoryCacheCheckInterval: config.memoryCacheCheckInterval ?? DEFAULT_CONFIG.MEMORY_CACHE_CHECK_INTERVAL,
+        restoreStatusOnStartup: config.restoreStatusOnStartup ?? true,
+        statusRestoreConcurrency: config.statusRestoreConcurrency ?? DEFAULT_CONFIG.STATUS_RESTORE_CONCURRENCY,
+        failoverOptions: config.failoverOptions ?? {},
+        enableLogging: config.enableLogging ?? true,
+        enableTimer: config.enableTimer ?? false,
+        wsTimeout: config.wsTimeout ?? DEFAULT_CONFIG.WS_TIMEOUT,
+        wsExtendTimeout: config.wsExtendTimeout ?? DEFAULT_CONFIG.WS_EXTEND_TIMEOUT,
+        txProjection: config.txProjection ?? [],
+        compression: config.compression ?? 'none'
+    };
+}
+
+/**
+ * Warnings for the deprecated options a config sets, logged by the cache once it has a logger
+ */
+export function deprecationWarnings(config: ChronikCacheConfig = {}): string[] {
+    return (Object.keys(DEPRECATED_OPTIONS) as DeprecatedOption[])
+        .filter(name => config[name] !== undefined)
+        .map(name => `ChronikCache option ${name} is deprecated and ignored: ${DEPRECATED_OPTIONS[name]}`);
+}
+
+/**
+ * Validate options passed to configure(), rejecting ones that cannot change on a running cache
+ */
+export function validateRuntimeConfig(options: RuntimeConfig): void {
+    for (const name of Object.keys(options)) {
+        if (!RUNTIME_OPTIONS.includes(name as keyof RuntimeConfig)) {
+            throw new Error(`ChronikCache option ${name} can only be set in the constructor`);
+        }
+    }
+    validate(options);
+}
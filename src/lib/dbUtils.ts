@@ -2,100 +2,77 @@
 // Distributed under the MIT software license, see the accompanying
 // file COPYING or http://www.opensource.org/licenses/mit-license.php.
 
-import { Level } from 'level';
 import FailoverHandler from './failover';
 import Logger from './Logger';
-
-const BIGINT_TAG = '__chronikCacheBigint__';
-
-function serializeValue(value: any): any {
-    if (typeof value === 'bigint') {
-        return { [BIGINT_TAG]: value.toString() };
-    }
-
-    if (Array.isArray(value)) {
-        return value.map(serializeValue);
-    }
-
-    if (value !== null && typeof value === 'object') {
-        const serialized: Record<string, any> = {};
-        for (const [key, nestedValue] of Object.entries(value)) {
-            serialized[key] = serializeValue(nestedValue);
-        }
-        return serialized;
-    }
-
-    return value;
-}
-
-function deserializeValue(value: any): any {
-    if (Array.isArray(value)) {
-        return value.map(deserializeValue);
-    }
-
-    if (value !== null && typeof value === 'object') {
-        const keys = Object.keys(value);
-        if (
-            keys.length === 1 &&
-            keys[0] === BIGINT_TAG &&
-            typeof value[BIGINT_TAG] === 'string'
-        ) {
-            return BigInt(value[BIGINT_TAG]);
-        }
-
-        const deserialized: Record<string, any> = {};
-        for (const [key, nestedValue] of Object.entries(value)) {
-            deserialized[key] = deserializeValue(nestedValue);
-        }
-        return deserialized;
-    }
-
-    return value;
-}
-
-function getSerializedSize(value: any): number {
-    return Buffer.byteLength(JSON.stringify(serializeValue(value)), 'utf8');
-}
+import LevelStorageAdapter from './LevelStorageAdapter';
+import NamespacedStorageAdapter from './NamespacedStorageAdapter';
+import { getSerializedSize } from './serialization';
+import { compressValue, decompressValue } from './compression';
+import { StorageAdapter, BatchOperation } from './StorageAdapter';
+import {
+    txKey,
+    txPrefix,
+    orderKey,
+    orderPrefix,
+    summaryKey,
+    summaryPrefix,
+    legacyKeyBases,
+    txIndexKey,
+    txIndexPrefix,
+    parseTxIndexKey,
+    entityKey,
+    parseEntityKey,
+    TX_INDEX_PREFIX,
+    STANDALONE_TX_PREFIX,
+    STANDALONE_METADATA_KEY
+} from './cacheKeys';
+import { txSortKey } from './sortTxIds';
+import { StoredCacheEntry } from './eviction';
+import { EntityKind, Transaction, TxSummary, CompressionAlgorithm } from '../types';
 
 interface DbUtilsOptions {
     valueEncoding?: string;
-    maxCacheSize?: number;
+    adapter?: StorageAdapter;
+    namespace?: string;
+    compression?: CompressionAlgorithm;
     enableLogging?: boolean;
     failoverOptions?: any;
 }
 
-interface CacheEntry {
-    identifier: string;
-    accessCount: number;
-    size: number;
-}
+const SCHEMA_VERSION_KEY = 'schemaVersion';
 
 interface MetaData {
     pageCount: number;
 }
 
+export interface CachedIdentifier {
+    identifier: string;
+    kind: EntityKind;
+}
+
+export type TxIndexEntry = CachedIdentifier;
+
 export default class DbUtils {
-    public db: Level<string, any>;
-    private maxCacheSize: number;
+    public adapter: StorageAdapter;
+    // Adapters passed in by the caller stay open when this instance closes
+    private ownsAdapter: boolean;
     public cacheDir: string;
+    public compression: CompressionAlgorithm;
     private failover: FailoverHandler;
     private logger: Logger;
 
     /**
-     * @param cacheDir Database file path
-     * @param options Optional parameters
+     * @param cacheDir Database file path, used by the default LevelDB adapter
+     * @param options Optional parameters, a namespace confines every key to that namespace
+     * and compression applies to the values written from now on
      */
     constructor(cacheDir: string, options: DbUtilsOptions = {}) {
-        const { maxCacheSize = Infinity, enableLogging = false } = options;
-        this.db = new Level(cacheDir, { 
-            valueEncoding: {
-                format: 'utf8',
-                encode: (obj: any) => JSON.stringify(serializeValue(obj)),
-                decode: (str: string) => deserializeValue(JSON.parse(str)),
-            }
-        });
-        this.maxCacheSize = maxCacheSize;
+        const { enableLogging = false, namespace, compression = 'none' } = options;
+        this.ownsAdapter = !options.adapter;
+        const adapter = options.adapter || LevelStorageAdapter.acquire(cacheDir);
+        this.adapter = namespace ? new NamespacedStorageAdapter(adapter, namespace) : adapter;
         this.cacheDir = cacheDir;
+        this.compression = compression;
         this.failover = new FailoverHandler(options.failoverOptions || {});
         this.logger = new Logger(enableLogging);
     }
@@ -106,15 +83,8 @@ export default class DbUtils {
     async get(key: string, defaultValue: any = null): Promise<any> {
         return await this.failover.handleDbOperation(
             async () => {
-                try {
-                    const value = await this.db.get(key);
-                    return typeof value === 'undefined' ? defaultValue : value;
-                } catch (error: any) {
-                    if (error.notFound) {
-                        return defaultValue;
-                    }
-                    throw error;
-                }
+                const value = await this.adapter.get(key);
+                return typeof value === 'undefined' ? defaultValue : decompressValue(value);
             },
             `DB get operation for ${key}`
         );
@@ -126,7 +96,7 @@ export default class DbUtils {
     async put(key: string, value: any): Promise<void> {
         return await this.failover.handleDbOperation(
             async () => {
-                await this.db.put(key, value);
+                await this.adapter.put(key, compressValue(value, this.compression));
             },
             `DB put operation for ${key}`
         );
@@ -138,25 +108,34 @@ export default class DbUtils {
     async del(key: string): Promise<void> {
         return await this.failover.handleDbOperation(
             async () => {
-                await this.db.del(key);
+                await this.adapter.del(key);
             },
             `DB delete operation for ${key}`
         );
     }
 
+    /**
+     * Unified DB batch operation handler, all operations are applied atomically
+     */
+    async batch(operations: BatchOperation[]): Promise<void> {
+        return await this.failover.handleDbOperation(
+            async () => {
+                // Values from the *Ops builders arrive compressed already and pass through
+                await this.adapter.batch(operations.map(op =>
+                    op.type === 'put' ? { ...op, value: compressValue(op.value, this.compression) } : op));
+            },
+            `DB batch operation (${operations.length} ops)`
+        );
+    }
+
     /**
      * Calculate cache size
      */
     async calculateCacheSize(): Promise<number> {
         const result = await this.failover.handleDbOperation(
             async () => {
-                let totalSize = 0;
-                for await (const [key, value] of this.db.iterator()) {
-                    // 同时计算key和value的字节大小
-                    totalSize += Buffer.byteLength(key, 'utf8');
-                    totalSize += getSerializedSize(value);
-                }
-                return totalSize;
+                // 同时计算key和value的字节大小
+                return await this.adapter.size();
             },
             'Calculate cache size operation'
         );
@@ -168,8 +147,8 @@ export default class DbUtils {
      */
     async *iterator(): AsyncGenerator<[string, any], void, unknown> {
         try {
-            for await (const [key, value] of this.db.iterator()) {
-                yield [key, value];
+            for await (const [key, value] of this.adapter.iterator()) {
+                yield [key, decompressValue(value)];
             }
         } catch (error) {
             this.logger.error('Error in iterator:', error);
@@ -178,66 +157,184 @@ export default class DbUtils {
     }
 
     /**
-     * Clear database
+     * Iterate over every key with its value as stored, compressed values left compressed
+     */
+    async *storedIterator(): AsyncGenerator<[string, any], void, unknown> {
+        yield* this.adapter.iterator();
+    }
+
+    /**
+     * Iterate over the stored keys only, values are neither decompressed nor returned
+     */
+    async *keys(prefix?: string): AsyncGenerator<string, void, unknown> {
+        for await (const [key] of this.adapter.iterator(prefix === undefined ? {} : { prefix })) {
+            yield key;
+        }
+    }
+
+    /**
+     * Count the keys starting with the given prefix without reading their values
+     */
+    async countKeys(prefix: string): Promise<number> {
+        let count = 0;
+        for await (const _key of this.keys(prefix)) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Iterate over the key-value pairs whose key starts with the given prefix
+     */
+    async *iteratePrefix(prefix: string): AsyncGenerator<[string, any], void, unknown> {
+        try {
+            for await (const [key, value] of this.adapter.iterator({ prefix })) {
+                yield [key, decompressValue(value)];
+            }
+        } catch (error) {
+            this.logger.error(`Error iterating prefix ${prefix}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * List every cached history that has global metadata stored, with its kind
+     */
+    async getCachedIdentifiers(): Promise<CachedIdentifier[]> {
+        const identifiers: CachedIdentifier[] = [];
+        for await (const key of this.keys('metadata:')) {
+            const cached = parseEntityKey(key.slice('metadata:'.length));
+            if (cached) {
+                identifiers.push(cached);
+            }
+        }
+        return identifiers;
+    }
+
+    /**
+     * Clear database, keeping the schema version: an empty database is valid in any layout
      */
     async clear(): Promise<void> {
         return await this.failover.handleDbOperation(
             async () => {
-                await this.db.clear();
+                const version = await this.adapter.get(SCHEMA_VERSION_KEY);
+                await this.adapter.clear();
+                if (typeof version !== 'undefined') {
+                    await this.adapter.put(SCHEMA_VERSION_KEY, version);
+                }
             },
             'Clear database operation'
         );
     }
 
     /**
-     * Clean least accessed entries in cache
+     * Version of the layout the stored values are in, null for databases written before it was recorded
      */
-    async cleanLeastAccessedCache(): Promise<void> {
-        try {
-            let currentSize = await this.calculateCacheSize();
-            this.logger.log(`Initial cache size: ${currentSize} bytes, max allowed size: ${this.maxCacheSize}`);
+    async getSchemaVersion(): Promise<number | null> {
+        return await this.failover.handleDbOperation(
+            async () => {
+                const version = await this.adapter.get(SCHEMA_VERSION_KEY);
+                return typeof version === 'number' ? version : null;
+            },
+            'DB get schema version operation'
+        );
+    }
 
-            const entries: CacheEntry[] = [];
-            for await (const [key, value] of this.db.iterator()) {
-                const size = getSerializedSize(value);
+    async setSchemaVersion(version: number): Promise<void> {
+        return await this.failover.handleDbOperation(
+            async () => {
+                await this.adapter.put(SCHEMA_VERSION_KEY, version);
+            },
+            'DB set schema version operation'
+        );
+    }
 
-                // 获取全局元数据中的访问计数
-                const metadata = await this.getGlobalMetadata(key);
-                const accessCount = metadata?.accessCount || 0;
+    /**
+     * Whether anything but the schema version is stored
+     */
+    async isEmpty(): Promise<boolean> {
+        for await (const [key] of this.adapter.iterator()) {
+            if (key !== SCHEMA_VERSION_KEY) return false;
+        }
+        return true;
+    }
 
-                this.logger.log(`[Debug] Found entry: ${key}, accessCount: ${accessCount}, size: ${size}`);
+    /**
+     * Close the storage backend if this instance opened it
+     */
+    async close(): Promise<void> {
+        if (this.ownsAdapter) {
+            await this.adapter.close();
+        }
+    }
 
-                entries.push({
-                    identifier: key,
-                    accessCount,
-                    size
-                });
+    /**
+     * Group every stored key under the cached history it belongs to, with the bytes it takes.
+     * Standalone txs form one more entry, keys outside any entry only count towards totalSize.
+     * Sizes are the stored bytes, after compression; only metadata values are decompressed.
+     */
+    async getCacheEntries(): Promise<{ totalSize: number; entries: StoredCacheEntry[] }> {
+        const entries = new Map<string, StoredCacheEntry>();
+        const standalone: StoredCacheEntry = { identifier: '', kind: 'address', standalone: true, metadata: null, size: 0, keys: [] };
+        const entryFor = (identifier: string): StoredCacheEntry => {
+            let entry = entries.get(identifier);
+            if (!entry) {
+                entry = { identifier, kind: 'address', metadata: null, size: 0, keys: [] };
+                entries.set(identifier, entry);
             }
-
-            entries.sort((a, b) => a.accessCount - b.accessCount);
-
-            let i = 0;
-            while (currentSize > this.maxCacheSize && i < entries.length) {
-                const entry = entries[i];
-                this.logger.log(`[Debug] Attempting to remove entry: ${entry.identifier}, currentSize: ${currentSize}`);
-                await this.del(entry.identifier);
-                // 同时删除对应的全局元数据
-                await this.del(`metadata:${entry.identifier}`);
-                currentSize -= entry.size;
-                this.logger.log(`Cleaned cache for ${entry.identifier}, access count: ${entry.accessCount}`);
-                i++;
+            return entry;
+        };
+
+        // Identifiers may contain `:tx:` and the like themselves, so history keys are matched against the
+        // cached identifiers, longest first; only keys of no cached history fall back to the first segment
+        const cachedIdentifiers = new Set((await this.getCachedIdentifiers()).map(cached => cached.identifier));
+        const historyIdentifier = (key: string): string | null => {
+            const candidates = [...key.matchAll(/:(?=(?:tx|idx|sum):)/g)].map(match => key.slice(0, match.index));
+            const cached = [...candidates].reverse().find(identifier => cachedIdentifiers.has(identifier));
+            return cached ?? candidates[0] ?? null;
+        };
+
+        let totalSize = 0;
+        for await (const [key, stored] of this.adapter.iterator()) {
+            const size = Buffer.byteLength(key, 'utf8') + getSerializedSize(stored);
+            totalSize += size;
+            let entry: StoredCacheEntry | null = null;
+            const cached = key.startsWith('metadata:') ? parseEntityKey(key.slice('metadata:'.length)) : null;
+            if (cached) {
+                entry = entryFor(cached.identifier);
+                entry.kind = cached.kind;
+                entry.metadata = decompressValue(stored);
+            } else if (key === `metadata:${STANDALONE_METADATA_KEY}`) {
+                entry = standalone;
+                entry.metadata = decompressValue(stored);
+            } else if (key.startsWith(STANDALONE_TX_PREFIX)) {
+                entry = standalone;
+            } else if (key.startsWith(TX_INDEX_PREFIX)) {
+                const indexEntry = parseTxIndexKey(key);
+                entry = indexEntry ? entryFor(indexEntry.identifier) : null;
+            } else {
+                const identifier = historyIdentifier(key);
+                entry = identifier ? entryFor(identifier) : null;
             }
 
-            if (currentSize > this.maxCacheSize) {
-                this.logger.log('[Debug] Cache is still above limit after cleanup. Aborting update.');
-                throw new Error('Cache size remains above the limit, abort update to avoid concurrent removal and updating.');
+            if (entry) {
+                entry.size += size;
+                entry.keys.push(key);
             }
-
-            this.logger.log(`Cache cleanup completed, removed ${i} entries, final size: ${currentSize} bytes`);
-        } catch (error) {
-            this.logger.error('Error cleaning cache:', error);
-            throw error;
         }
+        const all = [...entries.values()];
+        if (standalone.keys.some(key => key.startsWith(STANDALONE_TX_PREFIX))) {
+            all.push(standalone);
+        }
+        return { totalSize, entries: all };
+    }
+
+    /**
+     * Delete every key of a cache entry in one batch
+     */
+    async deleteCacheEntry(entry: StoredCacheEntry): Promise<void> {
+        if (entry.keys.length === 0) return;
+        await this.batch(entry.keys.map(key => ({ type: 'del' as const, key })));
     }
 
     /**
@@ -245,7 +342,7 @@ export default class DbUtils {
      */
     async clearAll(): Promise<void> {
         try {
-            await this.db.clear();
+            await this.adapter.clear();
         } catch (error) {
             this.logger.error('Error clearing all keys:', error);
         }
@@ -258,7 +355,7 @@ export default class DbUtils {
         return await this.failover.handleDbOperation(
             async () => {
                 try {
-                    const meta: MetaData = await this.db.get(`${keyBase}:meta`);
+                    const meta: MetaData = await this.adapter.get(`${keyBase}:meta`);
                     if (meta) {
                         const { pageCount } = meta;
                         for (let i = 0; i < pageCount; i++) {
@@ -277,26 +374,158 @@ export default class DbUtils {
     }
 
     /**
-     * Unified DB token cache delete operation handler with pagination support
+     * Delete the stored transactions, summaries and order index of a cached history,
+     * with the txIndex keys pointing at them
+     */
+    async clearHistory(identifier: string, kind: EntityKind): Promise<void> {
+        const operations: BatchOperation[] = [];
+        const prefix = txPrefix(identifier);
+        for await (const key of this.keys(prefix)) {
+            operations.push({ type: 'del', key }, { type: 'del', key: txIndexKey(key.slice(prefix.length), identifier, kind) });
+        }
+        for (const otherPrefix of [orderPrefix(identifier), summaryPrefix(identifier)]) {
+            for await (const key of this.keys(otherPrefix)) {
+                operations.push({ type: 'del', key });
+            }
+        }
+        if (operations.length > 0) {
+            await this.batch(operations);
+        }
+        for (const keyBase of legacyKeyBases(identifier)) {
+            await this.deletePaginated(keyBase);
+        }
+    }
+
+    /**
+     * Delete a cached history with its global metadata
      */
-    async clearTokenCache(tokenId: string): Promise<void> {
+    async clearEntityCache(identifier: string, kind: EntityKind): Promise<void> {
         return await this.failover.handleDbOperation(
             async () => {
-                await this.deletePaginated(`${tokenId}:txMap`);
-                await this.deletePaginated(`${tokenId}:txOrder`);
-                await this.del(`metadata:token:${tokenId}`);
+                await this.clearHistory(identifier, kind);
+                await this.del(`metadata:${entityKey(kind, identifier)}`);
             },
-            `DB clear token cache operation for ${tokenId}`
+            `DB clear ${kind} cache operation for ${identifier}`
         );
     }
 
+    /**
+     * Map every txid in the order index of an address or token to its sort key
+     */
+    async getOrderIndex(identifier: string): Promise<Map<string, string>> {
+        const index = new Map<string, string>();
+        const prefix = orderPrefix(identifier);
+        for await (const [key, txid] of this.iteratePrefix(prefix)) {
+            index.set(txid, key.slice(prefix.length));
+        }
+        return index;
+    }
+
+    /**
+     * Read txids in cache order, only walking the index up to the end of the requested window
+     */
+    async getTxOrder(identifier: string, start: number = 0, end: number = Infinity): Promise<string[]> {
+        const txOrder: string[] = [];
+        let position = 0;
+        for await (const [, txid] of this.iteratePrefix(orderPrefix(identifier))) {
+            if (position >= end) break;
+            if (position >= start) {
+                txOrder.push(txid);
+            }
+            position++;
+        }
+        return txOrder;
+    }
+
+    /**
+     * Read every stored transaction of an address or token, keyed by txid
+     */
+    async getTxMap(identifier: string): Promise<Record<string, Transaction>> {
+        const txMap: Record<string, Transaction> = {};
+        const prefix = txPrefix(identifier);
+        for await (const [key, tx] of this.iteratePrefix(prefix)) {
+            txMap[key.slice(prefix.length)] = tx;
+        }
+        return txMap;
+    }
+
+    async getCachedTx(identifier: string, txid: string): Promise<Transaction | null> {
+        return await this.get(txKey(identifier, txid));
+    }
+
+    // Stored txs in the given order, null where a tx key is missing
+    async getCachedTxs(identifier: string, txids: string[]): Promise<Array<Transaction | null>> {
+        return await Promise.all(txids.map(txid => this.getCachedTx(identifier, txid)));
+    }
+
+    // Stored summaries of the given txs, null where none was written yet
+    async getCachedSummaries(identifier: string, txids: string[]): Promise<Array<TxSummary | null>> {
+        return await Promise.all(txids.map(txid => this.get(summaryKey(identifier, txid))));
+    }
+
+    summaryOps(identifier: string, summaries: TxSummary[]): BatchOperation[] {
+        return summaries.map(summary => this.putOp(summaryKey(identifier, summary.txid), summary));
+    }
+
+    /**
+     * Put operation with the value as it will be stored, so size checks count compressed bytes
+     */
+    putOp(key: string, value: any): BatchOperation {
+        return { type: 'put', key, value: compressValue(value, this.compression) };
+    }
+
+    /**
+     * Batch operations storing and removing transactions of an address or token.
+     * Index entries move with the sort key, so a confirmation only touches that transaction.
+     * @param index Current order index from getOrderIndex, updated to match the operations
+     * @param summarized Whether the history can hold summaries, those of replaced and removed txs are dropped
+     */
+    historyOps(
+        identifier: string,
+        index: Map<string, string>,
+        put: Transaction[],
+        remove: string[] = [],
+        summarized: boolean = false
+    ): BatchOperation[] {
+        const operations: BatchOperation[] = [];
+        for (const tx of put) {
+            const sortKey = txSortKey(tx);
+            const previousKey = index.get(tx.txid);
+            if (previousKey !== undefined && previousKey !== sortKey) {
+                operations.push({ type: 'del', key: orderKey(identifier, previousKey) });
+            }
+            if (previousKey !== sortKey) {
+                operations.push({ type: 'put', key: orderKey(identifier, sortKey), value: tx.txid });
+                index.set(tx.txid, sortKey);
+            }
+            operations.push(this.putOp(txKey(identifier, tx.txid), tx));
+            if (summarized && previousKey !== undefined) {
+                // Rebuilt from the new tx on the next summary request
+                operations.push({ type: 'del', key: summaryKey(identifier, tx.txid) });
+            }
+        }
+        for (const txid of remove) {
+            const previousKey = index.get(txid);
+            if (previousKey === undefined) continue;
+            operations.push(
+                { type: 'del', key: orderKey(identifier, previousKey) },
+                { type: 'del', key: txKey(identifier, txid) }
+            );
+            if (summarized) {
+                operations.push({ type: 'del', key: summaryKey(identifier, txid) });
+            }
+            index.delete(txid);
+        }
+        return operations;
+    }
+
     /**
      * 添加用于存储全局元数据的方法
      */
     async updateGlobalMetadata(key: string, data: any): Promise<void> {
         return await this.failover.handleDbOperation(
             async () => {
-                await this.db.put(`metadata:${key}`, data);
+                await this.adapter.put(`metadata:${key}`, compressValue(data, this.compression));
             },
             `DB update global metadata operation for ${key}`
         );
@@ -308,17 +537,57 @@ export default class DbUtils {
     async getGlobalMetadata(key: string, defaultValue: any = null): Promise<any> {
         return await this.failover.handleDbOperation(
             async () => {
-                try {
-                    const value = await this.db.get(`metadata:${key}`);
-                    return typeof value === 'undefined' ? defaultValue : value;
-                } catch (error: any) {
-                    if (error.notFound) {
-                        return defaultValue;
-                    }
-                    throw error;
-                }
+                const value = await this.adapter.get(`metadata:${key}`);
+                return typeof value === 'undefined' ? defaultValue : decompressValue(value);
             },
             `DB get global metadata operation for ${key}`
         );
     }
-} 
+
+    /**
+     * Batch operation writing global metadata, for callers committing it alongside other keys
+     */
+    globalMetadataOp(key: string, data: any): BatchOperation {
+        return { type: 'put', key: `metadata:${key}`, value: data };
+    }
+
+    /**
+     * Batch operations indexing each txid as held by the given cache
+     */
+    txIndexOps(txids: string[], entry: TxIndexEntry): BatchOperation[] {
+        return txids.map(txid => ({
+            type: 'put' as const,
+            key: txIndexKey(txid, entry.identifier, entry.kind),
+            value: entry
+        }));
+    }
+
+    /**
+     * Batch operations dropping the given cache from the index of each txid, other holders stay indexed
+     */
+    txIndexDelOps(txids: string[], entry: TxIndexEntry): BatchOperation[] {
+        return txids.map(txid => ({ type: 'del' as const, key: txIndexKey(txid, entry.identifier, entry.kind) }));
+    }
+
+    /**
+     * Index each txid as held by the cache storing the transaction
+     */
+    async updateTxIndex(txids: string[], entry: TxIndexEntry): Promise<void> {
+        if (txids.length === 0) return;
+        await this.batch(this.txIndexOps(txids, entry));
+    }
+
+    /**
+     * Look up every cache holding a transaction
+     */
+    async getTxIndex(txid: string): Promise<TxIndexEntry[]> {
+        const holders: TxIndexEntry[] = [];
+        for await (const key of this.keys(txIndexPrefix(txid))) {
+            const holder = parseTxIndexKey(key);
+            if (holder) {
+                holders.push({ identifier: holder.identifier, kind: holder.kind });
+            }
+        }
+        return holders;
+    }
+}
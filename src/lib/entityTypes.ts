@@ -0,0 +1,234 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { getOutputScriptFromAddress } from 'ecashaddrjs';
+import { parseScriptIdentifier, scriptIdentifier, scriptOutputScript, ScriptRef } from './scripts';
+import { parseLokadIdentifier, parsePluginIdentifier, PluginGroupRef } from './groups';
+import { deriveScriptUtxos, deriveTokenUtxos, derivePluginUtxos } from './utxos';
+import { addressTarget, WsTarget } from './WebSocketManager';
+import BalanceTracker from './balances';
+import { summarizeTx } from './summaries';
+import {
+    CacheData,
+    ChronikClientInterface,
+    EntityKind,
+    HistoryResponse,
+    PluginUtxosResponse,
+    ScriptUtxosResponse,
+    TokenUtxosResponse,
+    Transaction,
+    TxSummary
+} from '../types';
+
+type TxCallback = (identifier: string, txid: string, msgType: string) => Promise<void>;
+
+export type UtxosResponse = ScriptUtxosResponse | TokenUtxosResponse | PluginUtxosResponse;
+
+/**
+ * Everything the cache pipeline needs to know about one kind of cached history.
+ * Statuses, update locks, memory caches and stored keys are kept apart per kind,
+ * so a new kind only needs a descriptor here.
+ */
+export interface EntityType {
+    // Prefix of metadata, tx index and update keys, and the type reported in events
+    kind: EntityKind;
+    // Websocket the subscriptions of this kind live on
+    socket: 'address' | 'token';
+    // Used in log lines
+    label: string;
+    // Largest page served from the cache in one request
+    maxCachePageSize: number;
+    history(chronik: ChronikClientInterface, identifier: string, page: number, pageSize: number): Promise<HistoryResponse>;
+    // Summaries stored next to each tx once requested, null where there is no script to summarize against
+    summarizer(identifier: string): ((tx: Transaction) => TxSummary) | null;
+    subscribe(wsManager: any, identifier: string, onTx: TxCallback): Promise<void>;
+    unsubscribe(wsManager: any, identifier: string): void;
+}
+
+// Kinds chronik serves a UTXO set for
+export interface UtxoEntityType<R extends UtxosResponse = UtxosResponse> extends EntityType {
+    utxos(chronik: ChronikClientInterface, identifier: string): Promise<R>;
+    // UTXO set as chronik would return it, derived from the cached history
+    deriveUtxos(cache: CacheData, identifier: string): R;
+}
+
+// Kinds whose balances, or token holders, are kept from the cached history
+export interface BalanceEntityType<R extends ScriptUtxosResponse | TokenUtxosResponse = ScriptUtxosResponse | TokenUtxosResponse>
+    extends UtxoEntityType<R> {
+    // Empty balances of a script or holders of a token, filled from the cached history
+    balanceTracker(identifier: string): BalanceTracker;
+}
+
+function scriptRef(identifier: string): ScriptRef {
+    const script = parseScriptIdentifier(identifier);
+    if (!script) {
+        throw new Error(`Invalid script identifier: ${identifier}`);
+    }
+    return script;
+}
+
+function lokadRef(identifier: string): string {
+    const lokadId = parseLokadIdentifier(identifier);
+    if (!lokadId) {
+        throw new Error(`Invalid LOKAD identifier: ${identifier}`);
+    }
+    return lokadId;
+}
+
+function pluginRef(identifier: string): PluginGroupRef {
+    const group = parsePluginIdentifier(identifier);
+    if (!group) {
+        throw new Error(`Invalid plugin group identifier: ${identifier}`);
+    }
+    return group;
+}
+
+// Subscriptions of every kind but tokens share the address socket, each with its own target there
+function addressSocketSubscription(target: (identifier: string) => WsTarget): Pick<EntityType, 'socket' | 'subscribe' | 'unsubscribe'> {
+    return {
+        socket: 'address',
+        subscribe: (wsManager, identifier, onTx) => wsManager.initWebsocketForAddress(identifier, onTx, target(identifier)),
+        unsubscribe: (wsManager, identifier) => wsManager.unsubscribeAddress?.(identifier)
+    };
+}
+
+export const ADDRESS: BalanceEntityType<ScriptUtxosResponse> = {
+    kind: 'address',
+    label: 'Address',
+    maxCachePageSize: 4000,
+    history: (chronik, address, page, pageSize) => chronik.address(address).history(page, pageSize),
+    utxos: (chronik, address) => chronik.address(address).utxos(),
+    deriveUtxos: (cache, address) => {
+        const outputScript = getOutputScriptFromAddress(address);
+        return { outputScript, utxos: deriveScriptUtxos(cache, outputScript) };
+    },
+    balanceTracker: address => BalanceTracker.forScript(getOutputScriptFromAddress(address)),
+    summarizer: address => {
+        let outputScript: string;
+        try {
+            outputScript = getOutputScriptFromAddress(address);
+        } catch {
+            // Not a valid cash address, its history is still cached but cannot be summarized
+            return null;
+        }
+        // Counterparties share the prefix of the queried address
+        const prefix = address.includes(':') ? address.split(':')[0] : 'ecash';
+        return tx => summarizeTx(tx, outputScript, prefix);
+    },
+    ...addressSocketSubscription(addressTarget)
+};
+
+// p2pk and other scripts, cached under `type:payload`; p2pkh and p2sh are cached as their address
+export const SCRIPT: BalanceEntityType<ScriptUtxosResponse> = {
+    kind: 'script',
+    label: 'Script',
+    maxCachePageSize: 4000,
+    history: (chronik, identifier, page, pageSize) => {
+        const { type, payload } = scriptRef(identifier);
+        return chronik.script(type, payload).history(page, pageSize);
+    },
+    utxos: (chronik, identifier) => {
+        const { type, payload } = scriptRef(identifier);
+        return chronik.script(type, payload).utxos();
+    },
+    deriveUtxos: (cache, identifier) => {
+        const outputScript = scriptOutputScript(scriptRef(identifier));
+        return { outputScript, utxos: deriveScriptUtxos(cache, outputScript) };
+    },
+    balanceTracker: identifier => BalanceTracker.forScript(scriptOutputScript(scriptRef(identifier))),
+    summarizer: identifier => {
+        const outputScript = scriptOutputScript(scriptRef(identifier));
+        return tx => summarizeTx(tx, outputScript, 'ecash');
+    },
+    ...addressSocketSubscription(identifier => {
+        const script = scriptRef(identifier);
+        const outputScript = scriptOutputScript(script);
+        return {
+            kind: 'script',
+            subscribe: ws => ws.subscribeToScript!(script.type, script.payload),
+            unsubscribe: ws => ws.unsubscribeFromScript!(script.type, script.payload),
+            involves: involvement => involvement.outputScripts.has(outputScript)
+        };
+    })
+};
+
+// Chronik has no UTXO endpoint for LOKAD ids, only their history is cached
+export const LOKAD: EntityType = {
+    kind: 'lokad',
+    label: 'LOKAD',
+    maxCachePageSize: 4000,
+    history: (chronik, identifier, page, pageSize) => chronik.lokadId(lokadRef(identifier)).history(page, pageSize),
+    summarizer: () => null,
+    ...addressSocketSubscription(identifier => {
+        const lokadId = lokadRef(identifier);
+        return {
+            kind: 'lokad',
+            subscribe: ws => ws.subscribeToLokadId!(lokadId),
+            unsubscribe: ws => ws.unsubscribeFromLokadId!(lokadId),
+            // A LOKAD id can come from OP_RETURN, EMPP or an input script, so its subscribers are always notified
+            involves: () => true
+        };
+    })
+};
+
+export const PLUGIN: UtxoEntityType<PluginUtxosResponse> = {
+    kind: 'plugin',
+    label: 'Plugin',
+    maxCachePageSize: 4000,
+    history: (chronik, identifier, page, pageSize) => {
+        const { pluginName, group } = pluginRef(identifier);
+        return chronik.plugin(pluginName).history(group, page, pageSize);
+    },
+    utxos: (chronik, identifier) => {
+        const { pluginName, group } = pluginRef(identifier);
+        return chronik.plugin(pluginName).utxos(group);
+    },
+    deriveUtxos: (cache, identifier) => {
+        const { pluginName, group } = pluginRef(identifier);
+        return { pluginName, groupHex: group, utxos: derivePluginUtxos(cache, pluginName, group) };
+    },
+    summarizer: () => null,
+    ...addressSocketSubscription(identifier => {
+        const { pluginName, group } = pluginRef(identifier);
+        return {
+            kind: 'plugin',
+            subscribe: ws => ws.subscribeToPlugin!(pluginName, group),
+            unsubscribe: ws => ws.unsubscribeFromPlugin!(pluginName, group),
+            involves: involvement => involvement.pluginGroups.has(`${pluginName}:${group}`)
+        };
+    })
+};
+
+export const TOKEN: BalanceEntityType<TokenUtxosResponse> = {
+    kind: 'token',
+    socket: 'token',
+    label: 'Token',
+    maxCachePageSize: 15000,
+    history: (chronik, identifier, page, pageSize) => chronik.tokenId(identifier).history(page, pageSize),
+    utxos: (chronik, identifier) => chronik.tokenId(identifier).utxos(),
+    deriveUtxos: (cache, identifier) => ({ tokenId: identifier, utxos: deriveTokenUtxos(cache, identifier) }),
+    balanceTracker: identifier => BalanceTracker.forToken(identifier),
+    summarizer: () => null,
+    subscribe: (wsManager, identifier, onTx) => wsManager.initWebsocketForToken(identifier, onTx),
+    unsubscribe: (wsManager, identifier) => wsManager.unsubscribeToken?.(identifier)
+};
+
+export const ENTITY_TYPES: readonly EntityType[] = [ADDRESS, SCRIPT, LOKAD, PLUGIN, TOKEN];
+
+export function entityTypeOf(kind: EntityKind): EntityType {
+    return ENTITY_TYPES.find(type => type.kind === kind)!;
+}
+
+/**
+ * The descriptor and identifier a script is cached under, p2pkh and p2sh share the cache of their address
+ */
+export function scriptEntity(type: string, payload: string): { type: BalanceEntityType<ScriptUtxosResponse>; identifier: string } {
+    const identifier = scriptIdentifier(type, payload);
+    return { type: type === 'p2pkh' || type === 'p2sh' ? ADDRESS : SCRIPT, identifier };
+}
+
+// One value per entity kind, e.g. the status map of each kind
+export function perKind<T>(create: (type: EntityType) => T): Record<EntityKind, T> {
+    return Object.fromEntries(ENTITY_TYPES.map(type => [type.kind, create(type)])) as Record<EntityKind, T>;
+}
@@ -0,0 +1,48 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { CacheMetadata, EntityKind, EvictionPolicy } from '../types';
+
+export const EVICTION_POLICIES: EvictionPolicy[] = ['lru', 'lfu', 'size-weighted'];
+
+// Everything stored for one cached history, or all standalone txs, evicted as a unit
+export interface StoredCacheEntry {
+    identifier: string;
+    kind: EntityKind;
+    // The standalone tx store, its identifier is empty
+    standalone?: boolean;
+    metadata: CacheMetadata | null;
+    // Bytes of every key and value below
+    size: number;
+    keys: string[];
+}
+
+function lastAccess(entry: StoredCacheEntry): number {
+    const metadata = entry.metadata;
+    if (!metadata) return 0;
+    return metadata.lastAccessAt ?? metadata.updatedAt ?? metadata.createdAt ?? 0;
+}
+
+function accessCount(entry: StoredCacheEntry): number {
+    return entry.metadata ? entry.metadata.accessCount || 0 : 0;
+}
+
+// Bytes held per access, so a large entry that is rarely read goes before a small popular one
+function sizeWeight(entry: StoredCacheEntry): number {
+    return entry.size / (accessCount(entry) + 1);
+}
+
+/**
+ * Order entries so the first one is the first to evict under the given policy.
+ * Ties fall back to the least recently accessed entry.
+ */
+export function rankForEviction(entries: StoredCacheEntry[], policy: EvictionPolicy): StoredCacheEntry[] {
+    const byRecency = (a: StoredCacheEntry, b: StoredCacheEntry) => lastAccess(a) - lastAccess(b);
+    const compare = {
+        'lru': byRecency,
+        'lfu': (a: StoredCacheEntry, b: StoredCacheEntry) => accessCount(a) - accessCount(b) || byRecency(a, b),
+        'size-weighted': (a: StoredCacheEntry, b: StoredCacheEntry) => sizeWeight(b) - sizeWeight(a) || byRecency(a, b)
+    }[policy];
+    return [...entries].sort(compare);
+}
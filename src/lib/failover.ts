@@ -33,6 +33,10 @@ export default class FailoverHandler {
                 return await operation();
             } catch (error) {
                 lastError = error as Error;
+                // A cancelled operation is not a failure, so retrying it would only undo the cancel
+                if (lastError && lastError.name === 'AbortError') {
+                    throw lastError;
+                }
                 const delay = this.exponentialBackoff 
                     ? this.retryDelay * Math.pow(2, attempt - 1)
                     : this.retryDelay;
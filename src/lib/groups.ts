@@ -0,0 +1,54 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+// LOKAD ids and plugin groups are cached as their own entity kinds under the identifiers
+// `lokad:<lokadId>` and `plugin:<name>:<group>`, which never collide with cash addresses or scripts.
+
+export interface PluginGroupRef {
+    pluginName: string;
+    group: string;
+}
+
+const LOKAD_ID = /^[0-9a-f]{8}$/;
+const PLUGIN_NAME = /^[a-z0-9_]+$/i;
+// Names that are also segments of stored keys would make the keys of a plugin group ambiguous
+const RESERVED_PLUGIN_NAMES = new Set(['tx', 'idx', 'sum', 'txindex']);
+const GROUP_HEX = /^([0-9a-f]{2})+$/;
+const LOKAD_IDENTIFIER = /^lokad:([0-9a-f]{8})$/;
+const PLUGIN_IDENTIFIER = /^plugin:([a-z0-9_]+):((?:[0-9a-f]{2})+)$/i;
+
+export function lokadIdentifier(lokadId: string): string {
+    lokadId = lokadId.toLowerCase();
+    if (!LOKAD_ID.test(lokadId)) {
+        throw new Error(`Invalid lokadId, expected 4 bytes of hex: ${lokadId}`);
+    }
+    return `lokad:${lokadId}`;
+}
+
+export function pluginIdentifier(pluginName: string, group: string): string {
+    group = group.toLowerCase();
+    if (!PLUGIN_NAME.test(pluginName) || RESERVED_PLUGIN_NAMES.has(pluginName.toLowerCase())) {
+        throw new Error(`Invalid plugin name: ${pluginName}`);
+    }
+    if (!GROUP_HEX.test(group)) {
+        throw new Error(`Invalid plugin group, expected hex: ${group}`);
+    }
+    return `plugin:${pluginName}:${group}`;
+}
+
+/**
+ * The LOKAD id behind a `lokad:<lokadId>` identifier, or null for any other identifier
+ */
+export function parseLokadIdentifier(identifier: string): string | null {
+    const match = LOKAD_IDENTIFIER.exec(identifier);
+    return match ? match[1] : null;
+}
+
+/**
+ * The plugin group behind a `plugin:<name>:<group>` identifier, or null for any other identifier
+ */
+export function parsePluginIdentifier(identifier: string): PluginGroupRef | null {
+    const match = PLUGIN_IDENTIFIER.exec(identifier);
+    return match ? { pluginName: match[1], group: match[2] } : null;
+}
@@ -0,0 +1,110 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { compareTxs } from './sortTxIds';
+import { CacheData, HistoryQuery, Transaction } from '../types';
+
+// Position of the last tx a caller has seen, kept so a page can resume even if that tx left the cache
+interface CursorAnchor {
+    txid: string;
+    height: number | null;
+    timeFirstSeen: number;
+}
+
+interface QueryResult {
+    txs: Transaction[];
+    numTxs: number;
+    nextCursor?: string;
+}
+
+export function encodeCursor(tx: Transaction): string {
+    const anchor: CursorAnchor = {
+        txid: tx.txid,
+        height: tx.block ? tx.block.height : null,
+        timeFirstSeen: tx.timeFirstSeen
+    };
+    return Buffer.from(JSON.stringify(anchor), 'utf8').toString('base64url');
+}
+
+export function decodeCursor(cursor: string): CursorAnchor {
+    try {
+        const anchor = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof anchor.txid !== 'string' || typeof anchor.timeFirstSeen !== 'number') {
+            throw new Error('missing anchor fields');
+        }
+        return anchor;
+    } catch {
+        throw new Error(`Invalid history cursor: ${cursor}`);
+    }
+}
+
+// Confirmed txs are placed by their block time, mempool txs by when they were first seen
+function txTimestamp(tx: Transaction): number {
+    return tx.block ? tx.block.timestamp : tx.timeFirstSeen;
+}
+
+function matchesRange(tx: Transaction, query: HistoryQuery): boolean {
+    const hasHeightRange = query.fromHeight !== undefined || query.toHeight !== undefined;
+    if (hasHeightRange) {
+        if (!tx.block) {
+            // Mempool txs sit above every height, so only an open-ended range includes them
+            if (query.toHeight !== undefined) return false;
+        } else {
+            if (query.fromHeight !== undefined && tx.block.height < query.fromHeight) return false;
+            if (query.toHeight !== undefined && tx.block.height > query.toHeight) return false;
+        }
+    }
+
+    const timestamp = txTimestamp(tx);
+    if (query.fromTimestamp !== undefined && timestamp < query.fromTimestamp) return false;
+    if (query.toTimestamp !== undefined && timestamp > query.toTimestamp) return false;
+
+    return true;
+}
+
+/**
+ * Answer a cursor / range query from a sorted cache.
+ * numTxs counts every tx matching the filters, the cursor only moves the page window.
+ */
+export function queryHistory(cache: CacheData, query: HistoryQuery, pageSize: number): QueryResult {
+    let end = cache.txOrder.length;
+    if (query.newerThan !== undefined) {
+        end = cache.txOrder.indexOf(query.newerThan);
+        if (end < 0) {
+            throw new Error(`Unknown txid for newerThan: ${query.newerThan}`);
+        }
+    }
+
+    const matching = cache.txOrder
+        .slice(0, end)
+        .map(txid => cache.txMap[txid])
+        .filter(tx => tx && matchesRange(tx, query));
+
+    let start = 0;
+    if (query.cursor) {
+        const anchor = decodeCursor(query.cursor);
+        const anchorIndex = matching.findIndex(tx => tx.txid === anchor.txid);
+        if (anchorIndex >= 0) {
+            start = anchorIndex + 1;
+        } else {
+            // The anchor tx is gone (e.g. removed from the mempool), resume after where it would sort
+            const anchorTx = {
+                txid: anchor.txid,
+                block: anchor.height !== null ? { height: anchor.height } : undefined,
+                timeFirstSeen: anchor.timeFirstSeen
+            };
+            start = matching.findIndex(tx => compareTxs(tx, anchorTx as Transaction) > 0);
+            if (start < 0) start = matching.length;
+        }
+    }
+
+    const txs = matching.slice(start, start + pageSize);
+    const hasMore = start + pageSize < matching.length;
+
+    return {
+        txs,
+        numTxs: matching.length,
+        nextCursor: hasMore && txs.length > 0 ? encodeCursor(txs[txs.length - 1]) : undefined
+    };
+}
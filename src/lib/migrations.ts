@@ -0,0 +1,206 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import DbUtils from './dbUtils';
+import Logger from './Logger';
+import { BatchOperation } from './StorageAdapter';
+import { checkLegacyCache, LegacyIntegrityReport } from './cacheIntegrity';
+import { txPrefix, parseTxIndexKey, txIndexKey, entityKey, TX_INDEX_PREFIX } from './cacheKeys';
+import { parseScriptIdentifier } from './scripts';
+import { parseLokadIdentifier, parsePluginIdentifier } from './groups';
+import { CacheMetadata, EntityKind } from '../types';
+
+// Rewrites are committed in batches of this many keys
+const MIGRATION_BATCH_SIZE = 500;
+
+/**
+ * What a migration needs from the cache: moving a history to the current layout applies the
+ * configured projection, which lives on ChronikCache
+ */
+export interface MigrationContext {
+    logger: Logger;
+    moveLegacyHistory(identifier: string, kind: EntityKind, metadata: CacheMetadata, legacy: LegacyIntegrityReport): Promise<void>;
+    discardHistory(identifier: string, kind: EntityKind, metadata: CacheMetadata, keys: string[], reason?: string): Promise<void>;
+}
+
+export interface Migration {
+    // Schema version the database is at once the migration has run
+    version: number;
+    description: string;
+    migrate(db: DbUtils, context: MigrationContext): Promise<void>;
+}
+
+// Stored txs and legacy txMap pages, the only values holding transactions
+function storedTxs(key: string, value: any): any[] {
+    if (!value || typeof value !== 'object') return [];
+    if (key.startsWith('tx:') || key.includes(':tx:')) return [value];
+    if (/:txMap(:\d+)?$/.test(key)) return Object.values(value);
+    return [];
+}
+
+// chronik-client v3 renamed input and output value to sats and token amount to atoms
+function renameAmounts(tx: any): boolean {
+    let changed = false;
+    for (const entry of [...(tx.inputs || []), ...(tx.outputs || [])]) {
+        if (!entry || typeof entry !== 'object') continue;
+        if ('value' in entry) {
+            if (!('sats' in entry)) entry.sats = BigInt(entry.value);
+            delete entry.value;
+            changed = true;
+        }
+        if (entry.token && 'amount' in entry.token) {
+            if (!('atoms' in entry.token)) entry.token.atoms = BigInt(entry.token.amount);
+            delete entry.token.amount;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+async function renameStoredAmounts(db: DbUtils, context: MigrationContext): Promise<void> {
+    let operations: BatchOperation[] = [];
+    let renamed = 0;
+    for await (const [key, value] of db.iterator()) {
+        const changed = storedTxs(key, value).map(renameAmounts).filter(Boolean).length;
+        if (changed === 0) continue;
+        operations.push(db.putOp(key, value));
+        renamed += changed;
+        if (operations.length >= MIGRATION_BATCH_SIZE) {
+            await db.batch(operations);
+            operations = [];
+        }
+    }
+    if (operations.length > 0) {
+        await db.batch(operations);
+    }
+    context.logger.log(`Renamed amounts of ${renamed} stored txs to sats and atoms`);
+}
+
+// Histories stored whole under txOrder/txMap move to per-transaction keys, half-written ones are dropped
+async function moveLegacyHistories(db: DbUtils, context: MigrationContext): Promise<void> {
+    for (const { identifier, kind } of await db.getCachedIdentifiers()) {
+        const metadata = await db.getGlobalMetadata(entityKey(kind, identifier));
+        if (!metadata || !metadata.dataHash) continue;
+        const legacy = await checkLegacyCache(db, identifier, metadata);
+        if (!legacy) continue;
+        if (legacy.data) {
+            await context.moveLegacyHistory(identifier, kind, metadata, legacy);
+        } else {
+            await context.discardHistory(identifier, kind, metadata, legacy.keys, legacy.reason);
+        }
+    }
+}
+
+// txIndex kept only the last cache that wrote a tx; every cache holding it gets its own key now
+async function indexEveryHolder(db: DbUtils, context: MigrationContext): Promise<void> {
+    let operations: BatchOperation[] = [];
+    const push = async (...added: BatchOperation[]) => {
+        operations.push(...added);
+        if (operations.length >= MIGRATION_BATCH_SIZE) {
+            await db.batch(operations);
+            operations = [];
+        }
+    };
+    for await (const key of db.keys(TX_INDEX_PREFIX)) {
+        if (!parseTxIndexKey(key)) await push({ type: 'del', key });
+    }
+    let indexed = 0;
+    for (const entry of await db.getCachedIdentifiers()) {
+        const prefix = txPrefix(entry.identifier);
+        for await (const key of db.keys(prefix)) {
+            await push(...db.txIndexOps([key.slice(prefix.length)], entry));
+            indexed++;
+        }
+    }
+    if (operations.length > 0) {
+        await db.batch(operations);
+    }
+    context.logger.log(`Indexed ${indexed} stored txs under every cache holding them`);
+}
+
+// The kind an identifier stored under the address kind is cached as now
+function addressStoredKind(identifier: string): EntityKind {
+    if (parseScriptIdentifier(identifier)) return 'script';
+    if (parseLokadIdentifier(identifier)) return 'lokad';
+    if (parsePluginIdentifier(identifier)) return 'plugin';
+    return 'address';
+}
+
+// Scripts without an address, LOKAD ids and plugin groups were stored as addresses, their metadata
+// and txIndex keys move to their own kind. Stored txs and order keys are named by identifier and stay
+async function separateEntityKinds(db: DbUtils, context: MigrationContext): Promise<void> {
+    let operations: BatchOperation[] = [];
+    const push = async (...added: BatchOperation[]) => {
+        operations.push(...added);
+        if (operations.length >= MIGRATION_BATCH_SIZE) {
+            await db.batch(operations);
+            operations = [];
+        }
+    };
+    let moved = 0;
+    for (const { identifier, kind } of await db.getCachedIdentifiers()) {
+        const target = kind === 'address' ? addressStoredKind(identifier) : kind;
+        if (target === kind) continue;
+        const metadata = await db.getGlobalMetadata(entityKey(kind, identifier));
+        await push({ type: 'del', key: `metadata:${entityKey(kind, identifier)}` }, db.globalMetadataOp(entityKey(target, identifier), metadata));
+        const prefix = txPrefix(identifier);
+        for await (const key of db.keys(prefix)) {
+            const txid = key.slice(prefix.length);
+            await push({ type: 'del', key: txIndexKey(txid, identifier, kind) }, ...db.txIndexOps([txid], { identifier, kind: target }));
+        }
+        moved++;
+    }
+    if (operations.length > 0) {
+        await db.batch(operations);
+    }
+    context.logger.log(`Moved ${moved} script, LOKAD id and plugin group caches to their own kinds`);
+}
+
+/**
+ * Every layout change, in order. A database written before versions were recorded may be in any
+ * layout up to 3, so each migration has to leave values already in its layout untouched.
+ */
+export const MIGRATIONS: Migration[] = [
+    { version: 2, description: 'chronik-client v3 sats and atoms', migrate: renameStoredAmounts },
+    { version: 3, description: 'per-transaction storage', migrate: moveLegacyHistories },
+    { version: 4, description: 'one txIndex key per holding cache', migrate: indexEveryHolder },
+    { version: 5, description: 'script, LOKAD id and plugin group caches under their own kinds', migrate: separateEntityKinds }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring a database to SCHEMA_VERSION before anything reads it, resolves to whether any migration ran.
+ * Databases from a newer version, and ones a migration fails on, are cleared instead:
+ * the cache can always be rebuilt from chronik, a history in the wrong shape must not be served.
+ */
+export async function migrateSchema(db: DbUtils, context: MigrationContext): Promise<boolean> {
+    let migrated = false;
+    let version = await db.getSchemaVersion();
+    if (version === null) {
+        version = await db.isEmpty() ? SCHEMA_VERSION : 1;
+    }
+
+    if (version > SCHEMA_VERSION) {
+        context.logger.log(`Stored cache schema ${version} is newer than ${SCHEMA_VERSION}, clearing the cache`);
+        await db.clear();
+    } else {
+        try {
+            for (const migration of MIGRATIONS) {
+                if (migration.version <= version) continue;
+                context.logger.log(`Migrating stored cache to schema ${migration.version}: ${migration.description}`);
+                migrated = true;
+                await migration.migrate(db, context);
+                // Recorded after each step, a restart resumes from the first one that did not finish
+                await db.setSchemaVersion(migration.version);
+                version = migration.version;
+            }
+        } catch (error) {
+            context.logger.error(`Migrating stored cache from schema ${version} failed, clearing the cache:`, error);
+            await db.clear();
+        }
+    }
+    await db.setSchemaVersion(SCHEMA_VERSION);
+    return migrated;
+}
@@ -0,0 +1,92 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { EntityKind, Transaction, TxField, TxProjection } from '../types';
+import { getSerializedSize } from './serialization';
+
+export const TX_FIELDS: TxField[] = [
+    'version',
+    'lockTime',
+    'size',
+    'tokenEntries',
+    'tokenFailedParsings',
+    'inputs.inputScript',
+    'inputs.sequenceNo',
+    'inputs.plugins',
+    'outputs.spentBy',
+    'outputs.plugins'
+];
+
+// Fields left out of the txs of each kind of history
+export type ResolvedProjection = Record<EntityKind, TxField[]>;
+
+function isFieldList(value: unknown): value is TxField[] {
+    return Array.isArray(value) && value.every(field => TX_FIELDS.includes(field));
+}
+
+export function isValidProjection(projection: unknown): projection is TxProjection {
+    if (isFieldList(projection)) {
+        return true;
+    }
+    return !!projection && typeof projection === 'object'
+        && Object.entries(projection).every(([kind, fields]) =>
+            (kind === 'address' || kind === 'token') && (fields === undefined || isFieldList(fields)));
+}
+
+/**
+ * Fields left out per kind: scripts, LOKAD ids and plugin groups follow the address fields,
+ * except the plugin data plugin group UTXOs are derived from
+ */
+export function resolveProjection(projection: TxProjection = []): ResolvedProjection {
+    const address = Array.isArray(projection) ? projection : projection.address || [];
+    const token = Array.isArray(projection) ? projection : projection.token || [];
+    return {
+        address: [...address],
+        script: [...address],
+        lokad: [...address],
+        plugin: address.filter(field => field !== 'outputs.plugins'),
+        token: [...token]
+    };
+}
+
+// The requested fields a projection leaves out
+export function droppedFields(projection: TxField[], fields: TxField[] = []): TxField[] {
+    return fields.filter(field => projection.includes(field));
+}
+
+function omit<T extends object>(value: T, names: string[]): T {
+    const copy: any = { ...value };
+    for (const name of names) {
+        delete copy[name];
+    }
+    return copy;
+}
+
+/**
+ * Copy of a tx without the projected fields, the tx itself when nothing is left out
+ */
+export function projectTx(tx: Transaction, fields: TxField[]): Transaction {
+    if (fields.length === 0) {
+        return tx;
+    }
+    const nested = (list: 'inputs' | 'outputs') => fields
+        .filter(field => field.startsWith(`${list}.`))
+        .map(field => field.slice(list.length + 1));
+    const inputFields = nested('inputs');
+    const outputFields = nested('outputs');
+
+    const projected = omit(tx, fields.filter(field => !field.includes('.')));
+    if (inputFields.length > 0 && tx.inputs) {
+        projected.inputs = tx.inputs.map(input => omit(input, inputFields));
+    }
+    if (outputFields.length > 0 && tx.outputs) {
+        projected.outputs = tx.outputs.map(output => omit(output, outputFields));
+    }
+    return projected;
+}
+
+// Bytes the projection saves on one stored tx
+export function savedBytes(tx: Transaction, projected: Transaction): number {
+    return tx === projected ? 0 : getSerializedSize(tx) - getSerializedSize(projected);
+}
@@ -0,0 +1,74 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { encodeCashAddress, getOutputScriptFromAddress } from 'ecashaddrjs';
+
+// Script types chronik indexes
+export const SCRIPT_TYPES = ['p2pkh', 'p2sh', 'p2pk', 'other'] as const;
+export type ScriptType = typeof SCRIPT_TYPES[number];
+
+export interface ScriptRef {
+    type: ScriptType;
+    payload: string;
+}
+
+// Scripts without a cash address are cached under `type:payload`, which never looks like `ecash:...`
+const SCRIPT_IDENTIFIER = /^(p2pk|other):([0-9a-f]*)$/;
+
+function validatePayload(type: string, payload: string): void {
+    if (!/^([0-9a-f]{2})*$/.test(payload)) {
+        throw new Error(`Invalid script payload for ${type}: ${payload}`);
+    }
+    if ((type === 'p2pkh' || type === 'p2sh') && payload.length !== 40) {
+        throw new Error(`Invalid ${type} payload, expected a 20 byte hash: ${payload}`);
+    }
+    if (type === 'p2pk' && payload.length !== 66 && payload.length !== 130) {
+        throw new Error(`Invalid p2pk payload, expected a 33 or 65 byte public key: ${payload}`);
+    }
+}
+
+/**
+ * Identifier a script is cached under.
+ * p2pkh and p2sh map to their cash address, so they share the cache of address(),
+ * every other type is keyed by `type:payload`.
+ */
+export function scriptIdentifier(type: string, payload: string): string {
+    payload = payload.toLowerCase();
+    if (!(SCRIPT_TYPES as readonly string[]).includes(type)) {
+        throw new Error(`Unsupported script type: ${type}`);
+    }
+    validatePayload(type, payload);
+    if (type === 'p2pkh' || type === 'p2sh') {
+        return encodeCashAddress('ecash', type, payload);
+    }
+    return `${type}:${payload}`;
+}
+
+/**
+ * The script behind a `type:payload` identifier, or null when the identifier is a cash address
+ */
+export function parseScriptIdentifier(identifier: string): ScriptRef | null {
+    const match = SCRIPT_IDENTIFIER.exec(identifier);
+    return match ? { type: match[1] as ScriptType, payload: match[2] } : null;
+}
+
+/**
+ * Output script hex of a script without an address, as it appears in tx outputs
+ */
+export function scriptOutputScript(script: ScriptRef): string {
+    if (script.type === 'p2pk') {
+        // <push pubkey> OP_CHECKSIG
+        return `${(script.payload.length / 2).toString(16)}${script.payload}ac`;
+    }
+    // For "other" the payload is the whole output script
+    return script.payload;
+}
+
+/**
+ * Output script hex of an address or script identifier, as it appears in tx outputs
+ */
+export function identifierOutputScript(identifier: string): string {
+    const script = parseScriptIdentifier(identifier);
+    return script ? scriptOutputScript(script) : getOutputScriptFromAddress(identifier);
+}
@@ -0,0 +1,68 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+const BIGINT_TAG = '__chronikCacheBigint__';
+
+function serializeValue(value: any): any {
+    if (typeof value === 'bigint') {
+        return { [BIGINT_TAG]: value.toString() };
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(serializeValue);
+    }
+
+    if (value !== null && typeof value === 'object') {
+        const serialized: Record<string, any> = {};
+        for (const [key, nestedValue] of Object.entries(value)) {
+            serialized[key] = serializeValue(nestedValue);
+        }
+        return serialized;
+    }
+
+    return value;
+}
+
+function deserializeValue(value: any): any {
+    if (Array.isArray(value)) {
+        return value.map(deserializeValue);
+    }
+
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (
+            keys.length === 1 &&
+            keys[0] === BIGINT_TAG &&
+            typeof value[BIGINT_TAG] === 'string'
+        ) {
+            return BigInt(value[BIGINT_TAG]);
+        }
+
+        const deserialized: Record<string, any> = {};
+        for (const [key, nestedValue] of Object.entries(value)) {
+            deserialized[key] = deserializeValue(nestedValue);
+        }
+        return deserialized;
+    }
+
+    return value;
+}
+
+/**
+ * Encode a value as JSON, tagging bigint fields so they survive the round-trip
+ */
+export function encodeValue(value: any): string {
+    return JSON.stringify(serializeValue(value));
+}
+
+/**
+ * Decode a value written by encodeValue
+ */
+export function decodeValue(str: string): any {
+    return deserializeValue(JSON.parse(str));
+}
+
+export function getSerializedSize(value: any): number {
+    return Buffer.byteLength(encodeValue(value), 'utf8');
+}
@@ -0,0 +1,337 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import express from 'express';
+import { isValidCashAddress } from 'ecashaddrjs';
+import { SCRIPT_TYPES, parseScriptIdentifier, scriptIdentifier } from './scripts';
+import { lokadIdentifier, parseLokadIdentifier, parsePluginIdentifier, pluginIdentifier } from './groups';
+import { ENTITY_TYPES, scriptEntity } from './entityTypes';
+import { TX_FIELDS } from './projection';
+import { EntityKind, HistoryOptions, HistoryQuery, ServerOptions, TxField, WarmTarget } from '../types';
+
+const HEX_ID = /^[0-9a-f]{64}$/i;
+const QUERY_PARAMS = ['cursor', 'newerThan', 'fromHeight', 'toHeight', 'fromTimestamp', 'toTimestamp'];
+
+// Rejected requests carry the HTTP status and a machine-readable code
+class HttpError extends Error {
+    status: number;
+    code: string;
+
+    constructor(status: number, code: string, message: string) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Satoshi and token amounts are bigints in chronik-client, JSON clients get them as decimal strings
+function bigintReplacer(_key: string, value: any): any {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function parseAddress(address: string): string {
+    if (!isValidCashAddress(address)) {
+        throw new HttpError(400, 'INVALID_ADDRESS', `Invalid address: ${address}`);
+    }
+    return address;
+}
+
+function parseHexId(value: string, name: string): string {
+    if (!HEX_ID.test(value)) {
+        throw new HttpError(400, `INVALID_${name.toUpperCase()}`, `Invalid ${name}: ${value}`);
+    }
+    return value.toLowerCase();
+}
+
+function parseScript(type: string, payload: string): [string, string] {
+    if (!(SCRIPT_TYPES as readonly string[]).includes(type)) {
+        throw new HttpError(400, 'INVALID_SCRIPT_TYPE', `Unsupported script type: ${type}`);
+    }
+    try {
+        scriptIdentifier(type, payload);
+    } catch (error) {
+        throw new HttpError(400, 'INVALID_SCRIPT_PAYLOAD', (error as Error).message);
+    }
+    return [type, payload.toLowerCase()];
+}
+
+// Run a parser of the cache library, answering its errors with a 400
+function parseWith(code: string, parse: () => string): string {
+    try {
+        return parse();
+    } catch (error) {
+        throw new HttpError(400, code, (error as Error).message);
+    }
+}
+
+interface EntityRoutes {
+    // Route of the status below /status/, and of the clear route before /cache
+    statusPath: string;
+    cachePath: string;
+    // Cache named by the route parameters, p2pkh and p2sh scripts share the cache of their address
+    target(params: Record<string, string>): WarmTarget;
+    // Validate the id of a /warm target, ids are cache identifiers as warm() takes them
+    parseId(id: string): string;
+}
+
+// Keyed by kind, so every entity type gets status, warm and clear routes
+const ENTITY_ROUTES: Record<EntityKind, EntityRoutes> = {
+    address: {
+        statusPath: 'address/:address',
+        cachePath: 'address/:address',
+        target: params => ({ type: 'address', id: parseAddress(params.address) }),
+        parseId: parseAddress
+    },
+    script: {
+        statusPath: 'script/:type/:payload',
+        cachePath: 'script/:type/:payload',
+        target: params => {
+            const { type, identifier } = scriptEntity(...parseScript(params.type, params.payload));
+            return { type: type.kind, id: identifier };
+        },
+        parseId: id => {
+            const script = parseScriptIdentifier(id);
+            if (!script) {
+                throw new HttpError(400, 'INVALID_SCRIPT', `Invalid script identifier, expected p2pk:<payload> or other:<payload>: ${id}`);
+            }
+            return scriptIdentifier(...parseScript(script.type, script.payload));
+        }
+    },
+    lokad: {
+        statusPath: 'lokad-id/:lokadId',
+        cachePath: 'lokad-id/:lokadId',
+        target: params => ({ type: 'lokad', id: parseWith('INVALID_LOKADID', () => lokadIdentifier(params.lokadId)) }),
+        parseId: id => {
+            const lokadId = parseLokadIdentifier(id);
+            if (!lokadId) {
+                throw new HttpError(400, 'INVALID_LOKADID', `Invalid LOKAD identifier, expected lokad:<lokadId>: ${id}`);
+            }
+            return id;
+        }
+    },
+    plugin: {
+        statusPath: 'plugin/:pluginName/:group',
+        cachePath: 'plugin/:pluginName/:group',
+        target: params => ({
+            type: 'plugin',
+            id: parseWith('INVALID_PLUGIN_GROUP', () => pluginIdentifier(params.pluginName, params.group))
+        }),
+        parseId: id => {
+            const group = parsePluginIdentifier(id);
+            if (!group) {
+                throw new HttpError(400, 'INVALID_PLUGIN_GROUP', `Invalid plugin group identifier, expected plugin:<name>:<group>: ${id}`);
+            }
+            return parseWith('INVALID_PLUGIN_GROUP', () => pluginIdentifier(group.pluginName, group.group));
+        }
+    },
+    token: {
+        statusPath: 'token/:tokenId',
+        cachePath: 'token-id/:tokenId',
+        target: params => ({ type: 'token', id: parseHexId(params.tokenId, 'tokenId') }),
+        parseId: id => parseHexId(id, 'tokenId')
+    }
+};
+
+function parseInteger(value: unknown, name: string, min: number, max: number = Number.MAX_SAFE_INTEGER): number {
+    const parsed = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : NaN;
+    if (!Number.isSafeInteger(parsed) || parsed < min || parsed > max) {
+        throw new HttpError(400, 'INVALID_PARAMETER', `${name} must be an integer between ${min} and ${max}`);
+    }
+    return parsed;
+}
+
+/**
+ * Read page / page_size like chronik, or a cursor / range query when any of its parameters is set
+ */
+function parseHistoryParams(query: Record<string, any>, maxPageSize: number): [number | HistoryQuery, number] {
+    const pageSize = query.page_size === undefined ? 25 : parseInteger(query.page_size, 'page_size', 1, maxPageSize);
+    if (!QUERY_PARAMS.some(param => query[param] !== undefined)) {
+        const page = query.page === undefined ? 0 : parseInteger(query.page, 'page', 0);
+        return [page, pageSize];
+    }
+
+    const historyQuery: HistoryQuery = { pageSize };
+    if (query.cursor !== undefined) historyQuery.cursor = String(query.cursor);
+    if (query.newerThan !== undefined) historyQuery.newerThan = parseHexId(String(query.newerThan), 'txid');
+    for (const param of ['fromHeight', 'toHeight', 'fromTimestamp', 'toTimestamp'] as const) {
+        if (query[param] !== undefined) {
+            historyQuery[param] = parseInteger(query[param], param, 0);
+        }
+    }
+    return [historyQuery, pageSize];
+}
+
+// fields=inputs.inputScript,size names projected fields the client reads
+function parseFields(query: Record<string, any>): Pick<HistoryOptions, 'fields'> {
+    if (query.fields === undefined) {
+        return {};
+    }
+    const fields = String(query.fields).split(',');
+    if (!fields.every(field => TX_FIELDS.includes(field as TxField))) {
+        throw new HttpError(400, 'INVALID_PARAMETER', `fields must be a comma-separated list of ${TX_FIELDS.join(', ')}`);
+    }
+    return { fields: fields as TxField[] };
+}
+
+// summary=true asks address and script histories for TxSummary entries
+function parseHistoryOptions(query: Record<string, any>): HistoryOptions {
+    const options: HistoryOptions = parseFields(query);
+    if (query.summary === undefined) {
+        return options;
+    }
+    if (query.summary !== 'true' && query.summary !== 'false') {
+        throw new HttpError(400, 'INVALID_PARAMETER', 'summary must be true or false');
+    }
+    return { ...options, summary: query.summary === 'true' };
+}
+
+function parseWarmTargets(body: any): WarmTarget[] {
+    const targets = body?.targets;
+    if (!Array.isArray(targets) || targets.length === 0) {
+        throw new HttpError(400, 'INVALID_TARGETS', 'targets must be a non-empty array');
+    }
+    return targets.map((target: any) => {
+        const type = ENTITY_TYPES.find(entity => entity.kind === target?.type);
+        if (!type) {
+            throw new HttpError(400, 'INVALID_TARGETS', `Invalid warm target: ${JSON.stringify(target)}`);
+        }
+        return { type: type.kind, id: ENTITY_ROUTES[type.kind].parseId(String(target.id)) };
+    });
+}
+
+// Map errors from the cache and chronik to a status code, chronik-client puts the HTTP status in the message
+function toHttpError(error: any): HttpError {
+    if (error instanceof HttpError) {
+        return error;
+    }
+    const message = error?.message || String(error);
+    if (/out of range|invalid history cursor|unknown txid/i.test(message)) {
+        return new HttpError(400, 'INVALID_PARAMETER', message);
+    }
+    if (/\b404\b|not found/i.test(message)) {
+        return new HttpError(404, 'NOT_FOUND', message);
+    }
+    return new HttpError(500, 'INTERNAL_ERROR', message);
+}
+
+/**
+ * Build an express app serving a ChronikCache over chronik-style JSON routes.
+ * Call listen() on the result, or mount it under a path of an existing app.
+ */
+export function createServer(cache: any, options: ServerOptions = {}): any {
+    const maxPageSize = options.maxPageSize ?? 200;
+    if (!Number.isInteger(maxPageSize) || maxPageSize <= 0) {
+        throw new Error(`Invalid server option: maxPageSize must be a positive integer, got ${String(maxPageSize)}`);
+    }
+    const app = express();
+    app.set('json replacer', bigintReplacer);
+    app.use(express.json());
+
+    // Express 5 forwards rejected promises to the error handler
+    const route = (handler: (req: any, res: any) => Promise<any>) => async (req: any, res: any) => {
+        const result = await handler(req, res);
+        if (result !== undefined) {
+            res.json(result);
+        }
+    };
+
+    app.get('/address/:address/history', route(async req => {
+        const [page, pageSize] = parseHistoryParams(req.query, maxPageSize);
+        const options = parseHistoryOptions(req.query);
+        const history = cache.address(parseAddress(req.params.address)).history;
+        return await history(typeof page === 'object' ? { ...page, ...options } : page, pageSize, options);
+    }));
+    app.get('/address/:address/utxos', route(async req => {
+        return await cache.address(parseAddress(req.params.address)).utxos();
+    }));
+    app.get('/address/:address/balance', route(async req => {
+        return await cache.address(parseAddress(req.params.address)).balance();
+    }));
+
+    app.get('/script/:type/:payload/history', route(async req => {
+        const [type, payload] = parseScript(req.params.type, req.params.payload);
+        const [page, pageSize] = parseHistoryParams(req.query, maxPageSize);
+        const options = parseHistoryOptions(req.query);
+        const history = cache.script(type, payload).history;
+        return await history(typeof page === 'object' ? { ...page, ...options } : page, pageSize, options);
+    }));
+    app.get('/script/:type/:payload/utxos', route(async req => {
+        const [type, payload] = parseScript(req.params.type, req.params.payload);
+        return await cache.script(type, payload).utxos();
+    }));
+    app.get('/script/:type/:payload/balance', route(async req => {
+        const [type, payload] = parseScript(req.params.type, req.params.payload);
+        return await cache.script(type, payload).balance();
+    }));
+
+    app.get('/token-id/:tokenId/history', route(async req => {
+        const [page, pageSize] = parseHistoryParams(req.query, maxPageSize);
+        const options = parseFields(req.query);
+        const history = cache.tokenId(parseHexId(req.params.tokenId, 'tokenId')).history;
+        return await history(typeof page === 'object' ? { ...page, ...options } : page, pageSize, options);
+    }));
+    app.get('/token-id/:tokenId/utxos', route(async req => {
+        return await cache.tokenId(parseHexId(req.params.tokenId, 'tokenId')).utxos();
+    }));
+    app.get('/token-id/:tokenId/holders', route(async req => {
+        return await cache.tokenId(parseHexId(req.params.tokenId, 'tokenId')).holders();
+    }));
+
+    app.get('/tx/:txid', route(async req => {
+        return await cache.tx(parseHexId(req.params.txid, 'txid'), parseFields(req.query));
+    }));
+
+    app.get('/stats', route(async () => await cache.getStatistics()));
+
+    for (const type of ENTITY_TYPES) {
+        const routes = ENTITY_ROUTES[type.kind];
+        app.get(`/status/${routes.statusPath}`, route(async req => {
+            const target = routes.target(req.params);
+            return { ...target, status: cache.getCacheStatus(target.id, target.type) };
+        }));
+    }
+
+    // Queue the builds and answer at once, or with ?wait=true once every target has settled
+    app.post('/warm', route(async (req, res) => {
+        const targets = parseWarmTargets(req.body);
+        const priority = req.body.priority === undefined ? undefined : Number(req.body.priority);
+        if (priority !== undefined && !Number.isInteger(priority)) {
+            throw new HttpError(400, 'INVALID_PARAMETER', 'priority must be an integer');
+        }
+        const handle = cache.warm(targets, { priority });
+        if (req.query.wait !== 'true') {
+            res.status(202).json({ targets: handle.targets });
+            return undefined;
+        }
+        const results = await handle.done;
+        return {
+            results: results.map((result: any) => ({ ...result, error: result.error?.message }))
+        };
+    }));
+
+    for (const type of ENTITY_TYPES) {
+        const routes = ENTITY_ROUTES[type.kind];
+        app.delete(`/${routes.cachePath}/cache`, route(async (req, res) => {
+            const target = routes.target(req.params);
+            await cache.clearCache(target.id, target.type);
+            res.status(204).end();
+        }));
+    }
+
+    app.use((req: any, res: any) => {
+        res.status(404).json({ error: `No route for ${req.method} ${req.path}`, code: 'NOT_FOUND' });
+    });
+
+    app.use((error: any, _req: any, res: any, _next: any) => {
+        // Malformed JSON bodies come from express.json with a status already set
+        if (error?.type === 'entity.parse.failed' || error?.type === 'entity.too.large') {
+            res.status(error.status).json({ error: error.message, code: 'INVALID_BODY' });
+            return;
+        }
+        const httpError = toHttpError(error);
+        res.status(httpError.status).json({ error: httpError.message, code: httpError.code });
+    });
+
+    return app;
+}
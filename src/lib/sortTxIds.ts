@@ -15,40 +15,80 @@ interface Transaction {
 }
 
 /**
- * A helper function to sort transaction IDs based on corresponding transaction data
+ * Compare two transactions in cache order: unconfirmed first, then newest block first
  */
-export default function sortTxIds(txIds: string[], getTx: (txId: string) => Transaction): string[] {
-    return txIds.sort((a, b) => {
-        const txA = getTx(a);
-        const txB = getTx(b);
-        const txidA = txA?.txid || a;
-        const txidB = txB?.txid || b;
-        
-        // 检查区块高度是否存在
-        const hasHeightA = txA.block && typeof txA.block.height !== 'undefined';
-        const hasHeightB = txB.block && typeof txB.block.height !== 'undefined';
-        
-        // 如果两个交易都没有区块高度，按 timeFirstSeen 倒序，再按 txid 反字母序
-        if (!hasHeightA && !hasHeightB) {
-            const timeFirstSeenDiff = txB.timeFirstSeen - txA.timeFirstSeen;
-            if (timeFirstSeenDiff !== 0) {
-                return timeFirstSeenDiff;
-            }
-            return txidB.localeCompare(txidA);
+export function compareTxs(txA: Transaction, txB: Transaction, a: string = '', b: string = ''): number {
+    const txidA = txA?.txid || a;
+    const txidB = txB?.txid || b;
+    
+    // 检查区块高度是否存在
+    const hasHeightA = txA.block && typeof txA.block.height !== 'undefined';
+    const hasHeightB = txB.block && typeof txB.block.height !== 'undefined';
+    
+    // 如果两个交易都没有区块高度，按 timeFirstSeen 倒序，再按 txid 反字母序
+    if (!hasHeightA && !hasHeightB) {
+        const timeFirstSeenDiff = txB.timeFirstSeen - txA.timeFirstSeen;
+        if (timeFirstSeenDiff !== 0) {
+            return timeFirstSeenDiff;
         }
-        
-        // 没有区块高度的排在前面
-        if (!hasHeightA) return -1;
-        if (!hasHeightB) return 1;
-        
-        // 都有区块高度，先比较高度
-        const heightDiff = txB.block!.height - txA.block!.height;
-        if (heightDiff !== 0) return heightDiff;
-        
-        // 同一区块内，按 timeFirstSeen 正序，再按 txid 反字母序
-        const timeFirstSeenDiff = txA.timeFirstSeen - txB.timeFirstSeen;
-        if (timeFirstSeenDiff !== 0) return timeFirstSeenDiff;
-        
         return txidB.localeCompare(txidA);
-    });
+    }
+    
+    // 没有区块高度的排在前面
+    if (!hasHeightA) return -1;
+    if (!hasHeightB) return 1;
+    
+    // 都有区块高度，先比较高度
+    const heightDiff = txB.block!.height - txA.block!.height;
+    if (heightDiff !== 0) return heightDiff;
+    
+    // 同一区块内，按 timeFirstSeen 正序，再按 txid 反字母序
+    const timeFirstSeenDiff = txA.timeFirstSeen - txB.timeFirstSeen;
+    if (timeFirstSeenDiff !== 0) return timeFirstSeenDiff;
+    
+    return txidB.localeCompare(txidA);
+}
+
+const SORT_KEY_WIDTH = 15;
+const SORT_KEY_MAX = 10 ** SORT_KEY_WIDTH - 1;
+
+function padSortNumber(value: number): string {
+    return String(value).padStart(SORT_KEY_WIDTH, '0');
+}
+
+// Ascending order of the result is descending txid order; 'g' sorts after every hex digit,
+// so a txid lands after the longer txids it is a prefix of
+function invertTxid(txid: string): string {
+    let inverted = '';
+    for (let i = 0; i < txid.length; i++) {
+        inverted += (0xffff - txid.charCodeAt(i)).toString(16).padStart(4, '0');
+    }
+    return `${inverted}g`;
+}
+
+/**
+ * Key whose ascending string order is the order of compareTxs, used for the stored order index
+ */
+export function txSortKey(tx: Transaction): string {
+    const txidKey = invertTxid(tx.txid || '');
+    if (!tx.block || typeof tx.block.height === 'undefined') {
+        return `0${padSortNumber(SORT_KEY_MAX - tx.timeFirstSeen)}${txidKey}`;
+    }
+    return `1${padSortNumber(SORT_KEY_MAX - tx.block.height)}${padSortNumber(tx.timeFirstSeen)}${txidKey}`;
+}
+
+/**
+ * Txids of an order index (txid -> sort key) in cache order
+ */
+export function txOrderFromIndex(index: Map<string, string>): string[] {
+    return [...index.entries()]
+        .sort((a, b) => (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0))
+        .map(([txid]) => txid);
+}
+
+/**
+ * A helper function to sort transaction IDs based on corresponding transaction data
+ */
+export default function sortTxIds(txIds: string[], getTx: (txId: string) => Transaction): string[] {
+    return txIds.sort((a, b) => compareTxs(getTx(a), getTx(b), a, b));
 } 
@@ -0,0 +1,73 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { encodeOutputScript } from 'ecashaddrjs';
+import { Transaction, TxSummary, TokenDelta } from '../types';
+
+function isOpReturn(outputScript: string): boolean {
+    return outputScript.startsWith('6a');
+}
+
+// Cash address of a script, or the script itself when it has none (p2pk, bare multisig, ...)
+function counterparty(outputScript: string, prefix: string): string {
+    try {
+        return encodeOutputScript(outputScript, prefix);
+    } catch {
+        return outputScript;
+    }
+}
+
+function addAtoms(deltas: Map<string, bigint>, tokenId: string, atoms: bigint): void {
+    deltas.set(tokenId, (deltas.get(tokenId) || 0n) + atoms);
+}
+
+/**
+ * What a tx did to one output script: net sats and token atoms, direction and the scripts on the other side.
+ * Txs spending from the script are "out", or "self" when everything but OP_RETURN goes back to it;
+ * counterparties are the senders of incoming txs and the recipients of outgoing ones.
+ * @param prefix Cash address prefix counterparties are encoded with
+ */
+export function summarizeTx(tx: Transaction, outputScript: string, prefix: string = 'ecash'): TxSummary {
+    let satsDelta = 0n;
+    const tokenDeltas = new Map<string, bigint>();
+    const inputs = tx.inputs || [];
+    const outputs = tx.outputs || [];
+
+    for (const input of inputs) {
+        if (input.outputScript !== outputScript) continue;
+        satsDelta -= BigInt(input.sats);
+        if (input.token) {
+            addAtoms(tokenDeltas, input.token.tokenId, -BigInt(input.token.atoms));
+        }
+    }
+    for (const output of outputs) {
+        if (output.outputScript !== outputScript) continue;
+        satsDelta += BigInt(output.sats);
+        if (output.token) {
+            addAtoms(tokenDeltas, output.token.tokenId, BigInt(output.token.atoms));
+        }
+    }
+
+    const spends = inputs.some(input => input.outputScript === outputScript);
+    const foreignOutputs = outputs
+        .map(output => output.outputScript)
+        .filter(script => script !== outputScript && !isOpReturn(script));
+    const direction = !spends ? 'in' : foreignOutputs.length === 0 ? 'self' : 'out';
+    const otherSide = direction === 'in'
+        ? inputs.map(input => input.outputScript).filter(script => script && script !== outputScript)
+        : foreignOutputs;
+
+    return {
+        txid: tx.txid,
+        direction,
+        satsDelta,
+        tokenDeltas: [...tokenDeltas.entries()]
+            .filter(([, atoms]) => atoms !== 0n)
+            .map(([tokenId, atoms]): TokenDelta => ({ tokenId, atoms })),
+        counterparties: [...new Set(otherSide.map(script => counterparty(script, prefix)))],
+        blockHeight: tx.block ? tx.block.height : -1,
+        timestamp: tx.block ? tx.block.timestamp : tx.timeFirstSeen,
+        isFinal: tx.isFinal
+    };
+}
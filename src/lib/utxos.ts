@@ -0,0 +1,94 @@
+// Copyright (c) 2024 The Bitcoin developers
+// Distributed under the MIT software license, see the accompanying
+// file COPYING or http://www.opensource.org/licenses/mit-license.php.
+
+import { CacheData, Transaction, TransactionOutput, ScriptUtxo, Utxo, PluginUtxo } from '../types';
+
+function outpointKey(txid: string, outIdx: number): string {
+    return `${txid}:${outIdx}`;
+}
+
+/**
+ * Collect every outpoint spent by the cached transactions.
+ * A complete history contains every tx spending one of its outputs,
+ * so anything not in this set is still unspent.
+ */
+function collectSpentOutpoints(cache: CacheData): Set<string> {
+    const spent = new Set<string>();
+    for (const txid of cache.txOrder) {
+        const tx = cache.txMap[txid];
+        if (!tx || !tx.inputs) continue;
+        for (const input of tx.inputs) {
+            if (input.prevOut) {
+                spent.add(outpointKey(input.prevOut.txid, input.prevOut.outIdx));
+            }
+        }
+    }
+    return spent;
+}
+
+/**
+ * Walk the cached history from oldest to newest and return the unspent
+ * outputs accepted by the matcher, in chronik's ScriptUtxo shape.
+ */
+function deriveUtxos(
+    cache: CacheData,
+    isMatch: (output: TransactionOutput) => boolean
+): Array<{ tx: Transaction; outIdx: number; utxo: ScriptUtxo }> {
+    const spent = collectSpentOutpoints(cache);
+    const result: Array<{ tx: Transaction; outIdx: number; utxo: ScriptUtxo }> = [];
+
+    for (let i = cache.txOrder.length - 1; i >= 0; i--) {
+        const tx = cache.txMap[cache.txOrder[i]];
+        if (!tx || !tx.outputs) continue;
+        tx.outputs.forEach((output, outIdx) => {
+            if (!isMatch(output) || spent.has(outpointKey(tx.txid, outIdx))) {
+                return;
+            }
+            const utxo: ScriptUtxo = {
+                outpoint: { txid: tx.txid, outIdx },
+                blockHeight: tx.block ? tx.block.height : -1,
+                isCoinbase: tx.isCoinbase,
+                sats: output.sats,
+                isFinal: tx.isFinal
+            };
+            if (output.token) {
+                utxo.token = output.token;
+            }
+            result.push({ tx, outIdx, utxo });
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Derive the UTXO set of an output script from its cached history
+ */
+export function deriveScriptUtxos(cache: CacheData, outputScript: string): ScriptUtxo[] {
+    return deriveUtxos(cache, output => output.outputScript === outputScript)
+        .map(({ utxo }) => utxo);
+}
+
+/**
+ * Derive the UTXO set of a token from its cached history
+ */
+export function deriveTokenUtxos(cache: CacheData, tokenId: string): Utxo[] {
+    return deriveUtxos(cache, output => !!output.token && output.token.tokenId === tokenId)
+        .map(({ tx, outIdx, utxo }) => ({
+            ...utxo,
+            script: tx.outputs[outIdx].outputScript
+        }));
+}
+
+/**
+ * Derive the UTXO set of a plugin group from its cached history
+ */
+export function derivePluginUtxos(cache: CacheData, pluginName: string, group: string): PluginUtxo[] {
+    return deriveUtxos(cache, output => !!output.plugins?.[pluginName]?.groups.includes(group))
+        .map(({ tx, outIdx, utxo }) => ({
+            ...utxo,
+            script: tx.outputs[outIdx].outputScript,
+            plugins: tx.outputs[outIdx].plugins
+        }));
+}
@@ -2,6 +2,8 @@
 // Distributed under the MIT software license, see the accompanying
 // file COPYING or http://www.opensource.org/licenses/mit-license.php.
 
+import { StorageAdapter } from './lib/StorageAdapter';
+
 // Cache status constants
 export enum CacheStatus {
     UNKNOWN = 0,
@@ -12,15 +14,67 @@ export enum CacheStatus {
 
 // Cache configuration interface
 export interface ChronikCacheConfig {
+    storage?: StorageAdapter; // Defaults to LevelDB in the cache directory
+    cacheDir?: string;
+    namespace?: string; // Prefix for every stored key, isolates caches sharing a directory or storage
     maxTxLimit?: number;
-    maxCacheSize?: number;
+    maxCacheSize?: number; // MB, whole address and token entries, or all standalone txs, are evicted above it
+    maxItemsPerKey?: number; // Deprecated and ignored: every tx is stored under its own key, histories are no longer split into pages
+    evictionPolicy?: EvictionPolicy;
+    defaultPageSize?: number;
+    updateConcurrency?: number;
+    txUpdateConcurrency?: number;
+    maxSubscriptions?: number; // Per websocket, addresses and tokens are counted separately
+    memoryCacheTTL?: number; // ms an in-memory cache entry lives after it is loaded
+    memoryCacheTTLExtension?: number; // ms added to the entry on every access
+    memoryCacheCheckInterval?: number; // ms between sweeps of expired entries
+    restoreStatusOnStartup?: boolean; // Re-validate recently active caches from disk when the cache starts
+    statusRestoreConcurrency?: number; // Tx count checks running at once during that re-validation
     failoverOptions?: FailoverOptions;
     enableLogging?: boolean;
     enableTimer?: boolean;
     wsTimeout?: number;
     wsExtendTimeout?: number;
+    txProjection?: TxProjection; // Transaction fields left out of stored histories
+    compression?: CompressionAlgorithm; // Stored values are compressed with it, older ones load either way
 }
 
+export type CompressionAlgorithm = 'none' | 'deflate' | 'brotli';
+
+// Transaction fields a projection can leave out, input and output fields as 'inputs.<name>' / 'outputs.<name>'.
+// Fields the cache reads itself (scripts, sats, tokens, outpoints, block, times, isFinal) are always kept
+export type TxField =
+    | 'version'
+    | 'lockTime'
+    | 'size'
+    | 'tokenEntries'
+    | 'tokenFailedParsings'
+    | 'inputs.inputScript'
+    | 'inputs.sequenceNo'
+    | 'inputs.plugins'
+    | 'outputs.spentBy'
+    | 'outputs.plugins';
+
+// The same fields for every history, or per entity type where 'address' also covers scripts and groups
+export type TxProjection = TxField[] | Partial<Record<'address' | 'token', TxField[]>>;
+
+// Which cache entry goes first when the cache is over maxCacheSize:
+// least recently accessed, least often accessed, or most bytes per access
+export type EvictionPolicy = 'lru' | 'lfu' | 'size-weighted';
+
+// Options that can be changed on a running cache through configure()
+export type RuntimeConfig = Pick<ChronikCacheConfig,
+    | 'maxTxLimit'
+    | 'evictionPolicy'
+    | 'defaultPageSize'
+    | 'updateConcurrency'
+    | 'txUpdateConcurrency'
+    | 'maxSubscriptions'
+    | 'memoryCacheTTL'
+    | 'memoryCacheTTLExtension'
+    | 'memoryCacheCheckInterval'
+>;
+
 // Failover configuration
 export interface FailoverOptions {
     retryCount?: number;
@@ -59,6 +113,13 @@ export interface TransactionOutput {
     outputScript: string;
     token?: Token;
     spentBy?: OutPoint;
+    plugins?: Record<string, PluginEntry>;
+}
+
+// Groups and data a plugin assigned to an output, by plugin name
+export interface PluginEntry {
+    groups: string[];
+    data: string[];
 }
 
 export interface OutPoint {
@@ -109,12 +170,208 @@ export interface FailedColoring {
 }
 
 // History response structure
-export interface HistoryResponse {
-    txs: Transaction[];
+export interface HistoryResponse<T = Transaction> {
+    txs: T[];
     numPages: number;
     numTxs: number;
     status?: number;
     message?: string;
+    nextCursor?: string; // Only set by cursor / range queries when more txs follow
+}
+
+export interface TokenDelta {
+    tokenId: string;
+    atoms: bigint;
+}
+
+// Compact view of a tx from the side of one address or script
+export interface TxSummary {
+    txid: string;
+    direction: 'in' | 'out' | 'self';
+    satsDelta: bigint;
+    tokenDeltas: TokenDelta[];
+    counterparties: string[]; // Cash addresses, or output scripts without one
+    blockHeight: number; // -1 if in the mempool
+    timestamp: number; // Block timestamp, or timeFirstSeen for mempool txs
+    isFinal: boolean;
+}
+
+export interface HistoryOptions {
+    summary?: boolean; // Address and script histories only: TxSummary entries instead of full txs
+    fields?: TxField[]; // Projected fields the caller reads, txs come from chronik when the cache leaves any out
+}
+
+// History page type for the options a request was made with
+export type HistoryResult<O extends HistoryOptions = {}> = HistoryResponse<O extends { summary: true } ? TxSummary : Transaction>;
+
+// Cursor and range query over a cached history, all bounds are inclusive
+export interface HistoryQuery extends HistoryOptions {
+    cursor?: string; // nextCursor of a previous response
+    newerThan?: string; // Only txs newer than this txid
+    fromHeight?: number;
+    toHeight?: number;
+    fromTimestamp?: number; // Block timestamp, or timeFirstSeen for mempool txs
+    toTimestamp?: number;
+    pageSize?: number;
+}
+
+// Kinds of cached history: scripts without a cash address (p2pk and other), LOKAD ids and plugin groups
+// are kept apart from addresses, p2pkh and p2sh scripts are cached as their address
+export type EntityKind = 'address' | 'script' | 'lokad' | 'plugin' | 'token';
+
+// A history whose cache warm() should build, id is the identifier it is cached under
+export interface WarmTarget {
+    type: EntityKind;
+    id: string;
+}
+
+export interface WarmOptions {
+    priority?: number; // Update queue priority of the builds, request-triggered builds use 0
+    concurrency?: number; // Tx count checks running at once before the builds are queued
+}
+
+// A status transition of a warm target, error is set when its build failed
+export interface WarmEvent extends WarmTarget {
+    status: string;
+    error?: Error;
+}
+
+export interface WarmProgress {
+    total: number;
+    latest: number;
+    rejected: number;
+    failed: number;
+    pending: number;
+}
+
+// The history an event is about
+export interface CacheEventTarget {
+    type: EntityKind;
+    id: string;
+}
+
+export interface StatusChangeEvent extends CacheEventTarget {
+    status: string;
+}
+
+// A tx chronik reported for a subscribed address or token, the cache refreshes it right after
+export interface TxEvent extends CacheEventTarget {
+    txid: string;
+}
+
+export interface EvictedEvent extends CacheEventTarget {
+    size: number;
+    policy: EvictionPolicy;
+}
+
+// Emitted after each history page a build fetches
+export interface UpdateProgressEvent extends CacheEventTarget {
+    page: number;
+    fetched: number;
+    total: number;
+}
+
+export interface WsConnectionEvent {
+    socket: 'address' | 'token' | 'block';
+}
+
+// Event name -> listener arguments, as used by the typed EventEmitter of ChronikCache
+export interface ChronikCacheEvents {
+    statusChange: [StatusChangeEvent];
+    txAdded: [TxEvent];
+    txConfirmed: [TxEvent];
+    txFinalized: [TxEvent];
+    txRemoved: [TxEvent];
+    evicted: [EvictedEvent];
+    updateProgress: [UpdateProgressEvent];
+    wsConnected: [WsConnectionEvent];
+    wsDisconnected: [WsConnectionEvent];
+}
+
+// Options of createServer
+export interface ServerOptions {
+    maxPageSize?: number; // Largest page_size a history request may ask for, defaults to 200 like chronik
+}
+
+export interface ProxyOptions {
+    upstream: string | string[]; // Chronik url(s) for everything the cache does not serve, tried in order
+    logger?: { log: (...args: any[]) => void; error: (...args: any[]) => void };
+}
+
+// UTXO of an output script (same shape as chronik-client ScriptUtxo)
+export interface ScriptUtxo {
+    outpoint: OutPoint;
+    blockHeight: number; // -1 if in the mempool
+    isCoinbase: boolean;
+    sats: string;
+    isFinal: boolean;
+    token?: Token;
+}
+
+// UTXO of a token, which also carries its output script
+export interface Utxo extends ScriptUtxo {
+    script: string;
+}
+
+// UTXO response for addresses and scripts
+export interface ScriptUtxosResponse {
+    outputScript: string;
+    utxos: ScriptUtxo[];
+    status?: number;
+    message?: string;
+}
+
+// UTXO response for tokens
+export interface TokenUtxosResponse {
+    tokenId: string;
+    utxos: Utxo[];
+    status?: number;
+    message?: string;
+}
+
+// UTXO of a plugin group, which also carries the plugin data of its output
+export interface PluginUtxo extends Utxo {
+    plugins?: Record<string, PluginEntry>;
+}
+
+// UTXO response for plugin groups (same shape as chronik-client PluginUtxos)
+export interface PluginUtxosResponse {
+    pluginName: string;
+    groupHex: string;
+    utxos: PluginUtxo[];
+    status?: number;
+    message?: string;
+}
+
+// Confirmed amount and the change unconfirmed txs make to it, which is negative while they spend confirmed outputs
+export interface Balance {
+    confirmed: bigint;
+    unconfirmed: bigint;
+}
+
+export interface TokenBalance extends Balance {
+    tokenId: string;
+}
+
+// Balance of an address or script, computed from its cached history
+export interface BalanceResponse {
+    outputScript: string;
+    sats: Balance;
+    tokens: TokenBalance[];
+    status?: number;
+    message?: string;
+}
+
+export interface TokenHolder extends Balance {
+    script: string;
+}
+
+// Holders of a token, largest balance first
+export interface TokenHoldersResponse {
+    tokenId: string;
+    holders: TokenHolder[];
+    status?: number;
+    message?: string;
 }
 
 // Cache data structure
@@ -132,6 +389,7 @@ export interface CacheMetadata {
     updatedAt?: number;
     dataHash?: string;
     numTxs?: number;
+    projectedBytes?: number; // Bytes txProjection kept out of the stored txs
 }
 
 // Cache status info
@@ -141,7 +399,11 @@ export interface CacheStatusInfo {
 }
 
 // WebSocket message types
-export type WebSocketMessageType = 'TX_ADDED_TO_MEMPOOL' | 'TX_FINALIZED';
+export type WebSocketMessageType =
+    | 'TX_ADDED_TO_MEMPOOL'
+    | 'TX_REMOVED_FROM_MEMPOOL'
+    | 'TX_CONFIRMED'
+    | 'TX_FINALIZED';
 
 // WebSocket callback function
 export type WebSocketCallback = (
@@ -173,12 +435,23 @@ export interface CacheStatistics {
 export interface ChronikClientInterface {
     address(address: string): {
         history(pageOffset?: number, pageSize?: number): Promise<HistoryResponse>;
+        utxos(): Promise<ScriptUtxosResponse>;
     };
     tokenId(tokenId: string): {
         history(pageOffset?: number, pageSize?: number): Promise<HistoryResponse>;
+        utxos(): Promise<TokenUtxosResponse>;
     };
     script(type: string, hash: string): {
         history(pageOffset?: number, pageSize?: number): Promise<HistoryResponse>;
+        utxos(): Promise<ScriptUtxosResponse>;
+    };
+    lokadId(lokadId: string): {
+        history(pageOffset?: number, pageSize?: number): Promise<HistoryResponse>;
+    };
+    plugin(pluginName: string): {
+        history(groupHex: string, pageOffset?: number, pageSize?: number): Promise<HistoryResponse>;
+        utxos(groupHex: string): Promise<PluginUtxosResponse>;
+        groups(prefixHex?: string, startHex?: string, pageSize?: number): Promise<any>;
     };
     tx(txid: string): Promise<Transaction>;
     ws?: any; // WebSocket related functionality
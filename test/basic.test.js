@@ -45,8 +45,8 @@ describe('ChronikCache 集成 smoke tests', function () {
             return;
         }
         chronikCache.destroy();
-        if (chronikCache.db?.db?.close) {
-            await chronikCache.db.db.close();
+        if (chronikCache.db?.close) {
+            await chronikCache.db.close();
         }
     });
 
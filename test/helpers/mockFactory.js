@@ -1,4 +1,5 @@
 const ChronikCache = require('../../src/index.ts');
+const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
 
 function createTx(overrides = {}) {
     return {
@@ -31,8 +32,15 @@ function createWsMock() {
     return {
         subscribedAddresses: [],
         unsubscribedAddresses: [],
+        subscribedScripts: [],
+        unsubscribedScripts: [],
+        subscribedLokadIds: [],
+        unsubscribedLokadIds: [],
+        subscribedPlugins: [],
+        unsubscribedPlugins: [],
         subscribedTokenIds: [],
         unsubscribedTokenIds: [],
+        blocksSubscribed: false,
         readyState: 1,
         manuallyClosed: false,
         subscribeToAddress(address) {
@@ -41,12 +49,36 @@ function createWsMock() {
         unsubscribeFromAddress(address) {
             this.unsubscribedAddresses.push(address);
         },
+        subscribeToScript(type, payload) {
+            this.subscribedScripts.push(`${type}:${payload}`);
+        },
+        unsubscribeFromScript(type, payload) {
+            this.unsubscribedScripts.push(`${type}:${payload}`);
+        },
+        subscribeToLokadId(lokadId) {
+            this.subscribedLokadIds.push(lokadId);
+        },
+        unsubscribeFromLokadId(lokadId) {
+            this.unsubscribedLokadIds.push(lokadId);
+        },
+        subscribeToPlugin(pluginName, group) {
+            this.subscribedPlugins.push(`${pluginName}:${group}`);
+        },
+        unsubscribeFromPlugin(pluginName, group) {
+            this.unsubscribedPlugins.push(`${pluginName}:${group}`);
+        },
         subscribeToTokenId(tokenId) {
             this.subscribedTokenIds.push(tokenId);
         },
         unsubscribeFromTokenId(tokenId) {
             this.unsubscribedTokenIds.push(tokenId);
         },
+        subscribeToBlocks() {
+            this.blocksSubscribed = true;
+        },
+        unsubscribeFromBlocks() {
+            this.blocksSubscribed = false;
+        },
         close() {
             this.manuallyClosed = true;
         },
@@ -57,7 +89,13 @@ function createWsMock() {
 function createChronikMock(options = {}) {
     const state = {
         addressCalls: [],
+        scriptCalls: [],
+        lokadCalls: [],
+        pluginCalls: [],
         tokenCalls: [],
+        addressUtxoCalls: [],
+        tokenUtxoCalls: [],
+        pluginUtxoCalls: [],
         txCalls: [],
         wsConfigs: [],
         wsInstances: [],
@@ -83,6 +121,68 @@ function createChronikMock(options = {}) {
                         pageSize,
                     );
                 },
+                utxos: async () => {
+                    state.addressUtxoCalls.push(address);
+                    return await resolveValue(
+                        options.addressUtxos || { outputScript: '', utxos: [] },
+                        address,
+                    );
+                },
+            };
+        },
+        script(type, payload) {
+            return {
+                history: async (pageOffset = 0, pageSize = 200) => {
+                    state.scriptCalls.push({ type, payload, pageOffset, pageSize });
+                    return await resolveValue(
+                        options.scriptHistory || createHistoryPage(),
+                        type,
+                        payload,
+                        pageOffset,
+                        pageSize,
+                    );
+                },
+                utxos: async () => await resolveValue(
+                    options.scriptUtxos || { outputScript: '', utxos: [] },
+                    type,
+                    payload,
+                ),
+            };
+        },
+        lokadId(lokadId) {
+            return {
+                history: async (pageOffset = 0, pageSize = 200) => {
+                    state.lokadCalls.push({ lokadId, pageOffset, pageSize });
+                    return await resolveValue(
+                        options.lokadHistory || createHistoryPage(),
+                        lokadId,
+                        pageOffset,
+                        pageSize,
+                    );
+                },
+            };
+        },
+        plugin(pluginName) {
+            return {
+                history: async (group, pageOffset = 0, pageSize = 200) => {
+                    state.pluginCalls.push({ pluginName, group, pageOffset, pageSize });
+                    return await resolveValue(
+                        options.pluginHistory || createHistoryPage(),
+                        pluginName,
+                        group,
+                        pageOffset,
+                        pageSize,
+                    );
+                },
+                utxos: async group => {
+                    state.pluginUtxoCalls.push({ pluginName, group });
+                    return await resolveValue(
+                        options.pluginUtxos || { pluginName, groupHex: group, utxos: [] },
+                        pluginName,
+                        group,
+                    );
+                },
+                groups: async () => ({ groups: [], nextStart: '' }),
             };
         },
         tokenId(tokenId) {
@@ -96,6 +196,13 @@ function createChronikMock(options = {}) {
                         pageSize,
                     );
                 },
+                utxos: async () => {
+                    state.tokenUtxoCalls.push(tokenId);
+                    return await resolveValue(
+                        options.tokenUtxos || { tokenId, utxos: [] },
+                        tokenId,
+                    );
+                },
             };
         },
         async tx(txid) {
@@ -120,6 +227,7 @@ async function createCacheHarness(options = {}) {
     const chronik = options.chronik || createChronikMock();
     const cache = new ChronikCache(chronik, {
         enableLogging: false,
+        storage: new MemoryStorageAdapter(),
         ...(options.config || {}),
     });
 
@@ -127,7 +235,7 @@ async function createCacheHarness(options = {}) {
 
     if (options.overrideDeps !== false) {
         cache.db = options.db || {
-            clearTokenCache: async () => {},
+            clearEntityCache: async () => {},
             deletePaginated: async () => {},
             clear: async () => {},
             get: async () => null,
@@ -135,10 +243,25 @@ async function createCacheHarness(options = {}) {
             del: async () => {},
             updateGlobalMetadata: async () => {},
             getGlobalMetadata: async () => null,
+            updateTxIndex: async () => {},
+            globalMetadataOp: (key, value) => ({ type: 'put', key: `metadata:${key}`, value }),
+            txIndexOps: () => [],
+            txIndexDelOps: () => [],
+            putOp: (key, value) => ({ type: 'put', key, value }),
+            historyOps: () => [],
+            getOrderIndex: async () => new Map(),
+            getTxOrder: async () => [],
+            getTxMap: async () => ({}),
+            getCachedTx: async () => null,
+            getCachedTxs: async () => [],
+            getTxIndex: async () => [],
+            getCachedIdentifiers: async () => [],
+            async *iteratePrefix() {},
+            batch: async () => {},
             calculateCacheSize: async () => 0,
-            db: {
-                async *iterator() {},
-            },
+            getCacheEntries: async () => ({ totalSize: 0, entries: [] }),
+            deleteCacheEntry: async () => {},
+            async *iterator() {},
         };
 
         cache.wsManager = options.wsManager || {
@@ -172,10 +295,12 @@ async function createCacheHarness(options = {}) {
     return {
         cache,
         chronik,
+        // The DbUtils the cache was built with, for tests that need real storage behind mocked deps
+        db: originalDb,
         async cleanup() {
             cache.destroy();
-            if (originalDb?.db?.close) {
-                await originalDb.db.close();
+            if (originalDb?.close) {
+                await originalDb.close();
             }
         },
     };
@@ -0,0 +1,87 @@
+const assert = require('node:assert/strict');
+const BalanceTracker = require('../../src/lib/balances').default;
+const { createTx } = require('../helpers/mockFactory');
+
+const SCRIPT = '76a914f5f740bc76e56b77bcab8b4d7f888167f416fc6888ac';
+const OTHER_SCRIPT = '76a914000000000000000000000000000000000000000088ac';
+const TOKEN_ID = 'aa'.repeat(32);
+const BLOCK = { height: 100, hash: 'h100', timestamp: 1 };
+
+function tokenOf(atoms) {
+    return {
+        tokenId: TOKEN_ID,
+        tokenType: { protocol: 'ALP', type: 'ALP_TOKEN_TYPE_STANDARD', number: 0 },
+        atoms,
+    };
+}
+
+function spend(txid, outIdx, sats) {
+    return { prevOut: { txid, outIdx }, inputScript: '', outputScript: SCRIPT, sats, sequenceNo: 0 };
+}
+
+describe('Balance tracking', () => {
+    const funding = createTx({
+        txid: 'funding',
+        block: BLOCK,
+        outputs: [
+            { sats: 1000n, outputScript: SCRIPT },
+            { sats: 546n, outputScript: SCRIPT, token: tokenOf(50n) },
+            { sats: 3000n, outputScript: OTHER_SCRIPT },
+        ],
+    });
+    const mempoolSpend = createTx({
+        txid: 'spending',
+        inputs: [spend('funding', 0, 1000n), spend('funding', 1, 546n)],
+        outputs: [
+            { sats: 600n, outputScript: SCRIPT, token: tokenOf(20n) },
+            { sats: 546n, outputScript: OTHER_SCRIPT, token: tokenOf(30n) },
+        ],
+    });
+
+    it('splits sats and token atoms into confirmed and the pending mempool change', () => {
+        const tracker = BalanceTracker.forScript(SCRIPT);
+
+        // Spends may arrive before the outputs they spend
+        tracker.apply(mempoolSpend);
+        tracker.apply(funding);
+
+        assert.deepStrictEqual(tracker.toResponse(), {
+            outputScript: SCRIPT,
+            sats: { confirmed: 1546n, unconfirmed: -946n },
+            tokens: [{ tokenId: TOKEN_ID, confirmed: 50n, unconfirmed: -30n }],
+        });
+    });
+
+    it('follows confirmations and removals one tx at a time', () => {
+        const tracker = BalanceTracker.forScript(SCRIPT);
+        tracker.apply(funding);
+        tracker.apply(mempoolSpend);
+
+        tracker.apply({ ...mempoolSpend, block: { ...BLOCK, height: 101 } });
+        assert.deepStrictEqual(tracker.toResponse().sats, { confirmed: 600n, unconfirmed: 0n });
+
+        tracker.remove('spending');
+        assert.deepStrictEqual(tracker.toResponse().sats, { confirmed: 1546n, unconfirmed: 0n });
+        assert.deepStrictEqual(tracker.toResponse().tokens, [{ tokenId: TOKEN_ID, confirmed: 50n, unconfirmed: 0n }]);
+    });
+
+    it('lists token holders by balance and sums chronik UTXO sets', () => {
+        const holders = BalanceTracker.forToken(TOKEN_ID);
+        holders.apply(funding);
+        holders.apply(mempoolSpend);
+
+        assert.deepStrictEqual(holders.toResponse(), {
+            tokenId: TOKEN_ID,
+            holders: [
+                { script: OTHER_SCRIPT, confirmed: 0n, unconfirmed: 30n },
+                { script: SCRIPT, confirmed: 50n, unconfirmed: -30n },
+            ],
+        });
+
+        const fromUtxos = BalanceTracker.forScript(SCRIPT).applyUtxos([
+            { outpoint: { txid: 'funding', outIdx: 0 }, blockHeight: 100, isCoinbase: false, sats: 1000n, isFinal: true },
+            { outpoint: { txid: 'spending', outIdx: 0 }, blockHeight: -1, isCoinbase: false, sats: 600n, isFinal: false, token: tokenOf(20n) },
+        ], SCRIPT);
+        assert.deepStrictEqual(fromUtxos.toResponse().sats, { confirmed: 1000n, unconfirmed: 600n });
+    });
+});
@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+const DbUtils = require('../../src/lib/dbUtils').default;
+const { checkLegacyCache, checkIndexedCache } = require('../../src/lib/cacheIntegrity');
+const { computeHash } = require('../../src/lib/hash');
+const { createTx } = require('../helpers/mockFactory');
+
+describe('Stored cache integrity check', () => {
+    const id = 'ecash:qptest';
+    let db;
+
+    const metadataFor = txOrder => ({ accessCount: 0, createdAt: 0, dataHash: computeHash(txOrder), numTxs: txOrder.length });
+
+    beforeEach(() => {
+        db = new DbUtils('./unused', { enableLogging: false, adapter: new MemoryStorageAdapter() });
+    });
+
+    it('returns null when an identifier has no legacy keys', async () => {
+        assert.equal(await checkLegacyCache(db, id, metadataFor([])), null);
+    });
+
+    it('accepts a complete paginated legacy cache and returns its history', async () => {
+        await db.put(`${id}:txOrder:0`, ['b']);
+        await db.put(`${id}:txOrder:1`, ['a']);
+        await db.put(`${id}:txOrder:meta`, { pageCount: 2, totalTxs: 2 });
+        await db.put(`${id}:txMap:0`, { b: createTx({ txid: 'b' }) });
+        await db.put(`${id}:txMap:1`, { a: createTx({ txid: 'a' }) });
+        await db.put(`${id}:txMap:meta`, { pageCount: 2, totalTxs: 2 });
+
+        const report = await checkLegacyCache(db, id, metadataFor(['b', 'a']));
+
+        assert.equal(report.consistent, true);
+        assert.deepStrictEqual(report.data.txOrder, ['b', 'a']);
+        assert.deepStrictEqual(Object.keys(report.data.txMap).sort(), ['a', 'b']);
+        assert.equal(report.keys.length, 6);
+    });
+
+    it('rejects a legacy cache with a wrong hash, missing pages or missing transactions', async () => {
+        await db.put(`${id}:txOrder`, ['b', 'a']);
+        await db.put(`${id}:txMap`, { a: createTx({ txid: 'a' }) });
+
+        const wrongHash = await checkLegacyCache(db, id, metadataFor(['a', 'b']));
+        assert.equal(wrongHash.consistent, false);
+        assert.match(wrongHash.reason, /hash/);
+        assert.deepStrictEqual(wrongHash.keys.sort(), [`${id}:txMap`, `${id}:txOrder`]);
+
+        assert.match((await checkLegacyCache(db, id, metadataFor(['b', 'a']))).reason, /missing transactions/);
+
+        await db.put(`${id}:txMap:meta`, { pageCount: 1, totalTxs: 2 });
+        assert.match((await checkLegacyCache(db, id, metadataFor(['b', 'a']))).reason, /missing pages/);
+    });
+
+    it('accepts an order index that matches the stored transactions and dataHash', async () => {
+        const txs = [
+            createTx({ txid: 'a', block: { height: 10, hash: 'h10', timestamp: 1 } }),
+            createTx({ txid: 'b', timeFirstSeen: 5 }),
+        ];
+        await db.batch(db.historyOps(id, new Map(), txs));
+
+        const report = await checkIndexedCache(db, id, metadataFor(['b', 'a']));
+
+        assert.equal(report.consistent, true);
+        assert.equal(report.keys.length, 4);
+    });
+
+    it('rejects an order index that differs from the stored transactions or dataHash', async () => {
+        const txs = [createTx({ txid: 'a' }), createTx({ txid: 'b', timeFirstSeen: 5 })];
+        await db.batch(db.historyOps(id, new Map(), txs));
+
+        assert.match((await checkIndexedCache(db, id, metadataFor(['a', 'b']))).reason, /hash/);
+        assert.match((await checkIndexedCache(db, id, metadataFor(['b']))).reason, /numTxs/);
+
+        await db.del(`${id}:tx:a`);
+        const report = await checkIndexedCache(db, id, metadataFor(['b', 'a']));
+        assert.equal(report.consistent, false);
+        assert.match(report.reason, /stored transactions/);
+        assert.equal(report.keys.length, 3);
+    });
+});
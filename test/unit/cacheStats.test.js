@@ -1,16 +1,23 @@
 const assert = require('node:assert/strict');
 const CacheStats = require('../../src/lib/CacheStats').default;
+const { compressValue } = require('../../src/lib/compression');
 
 describe('CacheStats', () => {
     it('returns the expected statistics structure', async () => {
         const cache = {
             db: {
+                compression: 'deflate',
                 calculateCacheSize: async () => 1024,
-                db: {
-                    async *iterator() {
-                        yield ['ecash:test:txOrder', ['a']];
-                        yield ['metadata:address:ecash:test', { accessCount: 1 }];
-                    },
+                // Only keys and stored values, stats never need every value decompressed
+                async *keys() {
+                    for await (const [key] of this.storedIterator()) {
+                        yield key;
+                    }
+                },
+                async *storedIterator() {
+                    yield ['ecash:test:idx:1g', 'a'];
+                    yield ['ecash:test:tx:a', compressValue({ txid: 'a', inputScript: '76a914'.repeat(100) }, 'deflate')];
+                    yield ['metadata:address:ecash:test', { accessCount: 1, projectedBytes: 2 * 1024 * 1024 }];
                 },
             },
             getCacheStatus: () => 'LATEST',
@@ -27,7 +34,18 @@ describe('CacheStats', () => {
             },
             updateQueue: {
                 getQueueLength: () => 0,
-                maxConcurrency: 2,
+                getStats: () => ({
+                    concurrency: 3,
+                    running: 1,
+                    completed: 4,
+                    failed: 0,
+                    cancelled: 1,
+                    coalesced: 2,
+                    averageWaitMs: 12.4,
+                    maxWaitMs: 30,
+                    averageRunMs: 100.6,
+                    maxRunMs: 250,
+                }),
             },
             txUpdateQueue: {
                 getQueueLength: () => 0,
@@ -37,6 +55,7 @@ describe('CacheStats', () => {
             maxCacheSize: 1024 * 1024,
             defaultPageSize: 200,
             cacheDir: './.cache',
+            txProjection: { address: ['inputs.inputScript'], token: [] },
         };
         const logger = {
             error: () => {},
@@ -45,10 +64,20 @@ describe('CacheStats', () => {
         const stats = await new CacheStats(cache, logger).getStatistics();
 
         assert.equal(stats.items.total, 1);
+        assert.deepStrictEqual(stats.database.projection, {
+            fields: { address: ['inputs.inputScript'], token: [] },
+            bytesSaved: '2.00MB',
+        });
+        assert.equal(stats.database.compression.algorithm, 'deflate');
+        assert.ok(stats.database.compression.ratio > 2);
         assert.equal(stats.items.byStatus.LATEST, 1);
         assert.equal(stats.system.globalMetadataCache.limit, 100);
         assert.equal(stats.database.totalSize, '0.00MB');
-        assert.equal(stats.queues.updateQueue.maxConcurrency, 2);
+        assert.equal(stats.queues.updateQueue.maxConcurrency, 3);
+        assert.equal(stats.queues.updateQueue.timings.averageWaitMs, 12);
+        assert.equal(stats.queues.updateQueue.timings.averageRunMs, 101);
+        assert.equal(stats.queues.txUpdateQueue.maxConcurrency, 5);
+        assert.equal(stats.queues.txUpdateQueue.timings, null);
     });
 
     it('falls back to Unknown db size when db stats fail', async () => {
@@ -57,9 +86,7 @@ describe('CacheStats', () => {
                 calculateCacheSize: async () => {
                     throw new Error('db failed');
                 },
-                db: {
-                    async *iterator() {},
-                },
+                async *storedIterator() {},
             },
             getCacheStatus: () => 'UNKNOWN',
             _getGlobalMetadata: async () => null,
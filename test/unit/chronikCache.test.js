@@ -1,6 +1,7 @@
 const assert = require('node:assert/strict');
-const { CACHE_STATUS } = require('../../src/constants');
+const { CACHE_STATUS, DEFAULT_CONFIG } = require('../../src/constants');
 const { encodeCashAddress } = require('ecashaddrjs');
+const { ADDRESS, SCRIPT, TOKEN } = require('../../src/lib/entityTypes');
 const {
     createTx,
     createHistoryPage,
@@ -30,7 +31,7 @@ describe('ChronikCache main behaviors', () => {
         });
         harness = await createCacheHarness({ chronik });
 
-        harness.cache._setCacheStatus(address, CACHE_STATUS.REJECT, false);
+        harness.cache._setCacheStatus(address, CACHE_STATUS.REJECT, ADDRESS);
 
         const result = await harness.cache.getAddressHistory(address, 0, 50);
 
@@ -96,7 +97,7 @@ describe('ChronikCache main behaviors', () => {
             },
         });
 
-        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, false);
+        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, ADDRESS);
         harness.cache._readCache = async () => ({ txMap: {}, txOrder: [], numTxs: 1 });
         harness.cache._getGlobalMetadata = async () => ({ numTxs: 1, dataHash: 'hash' });
         harness.cache._getPageFromCache = async () => createHistoryPage({
@@ -122,7 +123,7 @@ describe('ChronikCache main behaviors', () => {
         harness = await createCacheHarness({ chronik });
 
         harness.cache._quickGetTxCount = async () => 1;
-        harness.cache._checkAndUpdateTokenCache = () => {};
+        harness.cache._checkAndUpdateCache = () => {};
         harness.cache._readCache = async () => null;
         harness.cache._getGlobalMetadata = async () => null;
 
@@ -143,7 +144,7 @@ describe('ChronikCache main behaviors', () => {
         });
         harness = await createCacheHarness({ chronik });
 
-        harness.cache._setCacheStatus(tokenId, CACHE_STATUS.REJECT, true);
+        harness.cache._setCacheStatus(tokenId, CACHE_STATUS.REJECT, TOKEN);
 
         const result = await harness.cache.getTokenHistory(tokenId, 0, 50);
 
@@ -156,7 +157,7 @@ describe('ChronikCache main behaviors', () => {
         let updateTriggered = 0;
 
         harness.cache._quickGetTxCount = async () => 500;
-        harness.cache._checkAndUpdateTokenCache = () => {
+        harness.cache._checkAndUpdateCache = () => {
             updateTriggered += 1;
         };
         harness.cache._readCache = async () => null;
@@ -170,22 +171,21 @@ describe('ChronikCache main behaviors', () => {
     });
 
     it('clears address cache and unsubscribes the websocket', async () => {
-        let deleted = [];
+        let cleared = null;
         let unsubscribed = null;
         harness = await createCacheHarness({
             db: {
-                deletePaginated: async key => {
-                    deleted.push(key);
+                clearEntityCache: async (key, kind) => {
+                    cleared = `${kind}:${key}`;
                 },
                 clear: async () => {},
-                clearTokenCache: async () => {},
                 get: async () => null,
                 put: async () => {},
                 del: async () => {},
                 updateGlobalMetadata: async () => {},
                 getGlobalMetadata: async () => null,
                 calculateCacheSize: async () => 0,
-                db: { async *iterator() {} },
+                async *iterator() {},
             },
             wsManager: {
                 getRemainingTime: () => ({ active: false }),
@@ -203,7 +203,7 @@ describe('ChronikCache main behaviors', () => {
 
         await harness.cache.clearAddressCache(address);
 
-        assert.deepStrictEqual(deleted, [`${address}:txMap`, `${address}:txOrder`]);
+        assert.equal(cleared, `address:${address}`);
         assert.equal(unsubscribed, address);
         assert.equal(harness.cache.getCacheStatus(address), CACHE_STATUS.UNKNOWN);
     });
@@ -213,8 +213,8 @@ describe('ChronikCache main behaviors', () => {
         let unsubscribed = null;
         harness = await createCacheHarness({
             db: {
-                clearTokenCache: async key => {
-                    cleared = key;
+                clearEntityCache: async (key, kind) => {
+                    cleared = `${kind}:${key}`;
                 },
                 deletePaginated: async () => {},
                 clear: async () => {},
@@ -224,7 +224,7 @@ describe('ChronikCache main behaviors', () => {
                 updateGlobalMetadata: async () => {},
                 getGlobalMetadata: async () => null,
                 calculateCacheSize: async () => 0,
-                db: { async *iterator() {} },
+                async *iterator() {},
             },
             wsManager: {
                 getRemainingTime: () => ({ active: false }),
@@ -242,7 +242,7 @@ describe('ChronikCache main behaviors', () => {
 
         await harness.cache.clearTokenCache(tokenId);
 
-        assert.equal(cleared, tokenId);
+        assert.equal(cleared, `token:${tokenId}`);
         assert.equal(unsubscribed, tokenId);
         assert.equal(harness.cache.getCacheStatus(tokenId, true), CACHE_STATUS.UNKNOWN);
     });
@@ -255,7 +255,7 @@ describe('ChronikCache main behaviors', () => {
                 clear: async () => {
                     cleared += 1;
                 },
-                clearTokenCache: async () => {},
+                clearEntityCache: async () => {},
                 deletePaginated: async () => {},
                 get: async () => null,
                 put: async () => {},
@@ -263,7 +263,7 @@ describe('ChronikCache main behaviors', () => {
                 updateGlobalMetadata: async () => {},
                 getGlobalMetadata: async () => null,
                 calculateCacheSize: async () => 0,
-                db: { async *iterator() {} },
+                async *iterator() {},
             },
             wsManager: {
                 getRemainingTime: () => ({ active: false }),
@@ -279,8 +279,8 @@ describe('ChronikCache main behaviors', () => {
             },
         });
 
-        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, false);
-        harness.cache._setCacheStatus(tokenId, CACHE_STATUS.LATEST, true);
+        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, ADDRESS);
+        harness.cache._setCacheStatus(tokenId, CACHE_STATUS.LATEST, TOKEN);
 
         await harness.cache.clearAllCache();
 
@@ -292,8 +292,8 @@ describe('ChronikCache main behaviors', () => {
 
     it('reports UPDATING when an address update lock exists', async () => {
         harness = await createCacheHarness();
-        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, false);
-        harness.cache.updateLocks.set(address, true);
+        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, ADDRESS);
+        harness.cache.updateLocks.address.set(address, true);
 
         assert.equal(harness.cache.getCacheStatus(address), CACHE_STATUS.UPDATING);
     });
@@ -308,7 +308,7 @@ describe('ChronikCache main behaviors', () => {
         });
         harness = await createCacheHarness({ chronik });
 
-        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, false);
+        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, ADDRESS);
         harness.cache._readCache = async () => ({ txMap: {}, txOrder: [], numTxs: 1 });
         harness.cache._getGlobalMetadata = async () => ({ numTxs: 1, dataHash: 'hash' });
         harness.cache._getPageFromCache = async () => null;
@@ -319,14 +319,14 @@ describe('ChronikCache main behaviors', () => {
         assert.equal(result.txs[0].txid, 'tx-latest-fallback');
     });
 
-    it('delegates script history to getAddressHistory with encoded address', async () => {
+    it('serves p2pkh script history from the cache of its encoded address', async () => {
         harness = await createCacheHarness();
         const hash = 'f5f740bc76e56b77bcab8b4d7f888167f416fc68';
         const expectedAddress = encodeCashAddress('ecash', 'p2pkh', hash);
         let calledWith = null;
 
-        harness.cache.getAddressHistory = async (receivedAddress, pageOffset, pageSize) => {
-            calledWith = { receivedAddress, pageOffset, pageSize };
+        harness.cache._getHistory = async (type, receivedAddress, pageOffset, pageSize) => {
+            calledWith = { type, receivedAddress, pageOffset, pageSize };
             return createHistoryPage({ txs: [createTx({ txid: 'tx-script' })] });
         };
 
@@ -334,12 +334,594 @@ describe('ChronikCache main behaviors', () => {
 
         assert.equal(result.txs[0].txid, 'tx-script');
         assert.deepStrictEqual(calledWith, {
+            type: ADDRESS,
             receivedAddress: expectedAddress,
             pageOffset: 1,
             pageSize: 25,
         });
     });
 
+    it('caches scripts without an address natively under type:payload', async () => {
+        const pubkey = '02' + '44'.repeat(32);
+        const identifier = `p2pk:${pubkey}`;
+        const outputScript = `21${pubkey}ac`;
+        const chronik = createChronikMock({
+            scriptHistory: createHistoryPage({
+                txs: [createTx({ txid: 'tx-p2pk', outputs: [{ sats: 1000n, outputScript }] })],
+                numPages: 1,
+                numTxs: 1,
+            }),
+        });
+        harness = await createCacheHarness({ chronik });
+        harness.cache.db = harness.db;
+        const subscribed = [];
+        harness.cache.wsManager.initWebsocketForAddress = async (id, onTx, target) => {
+            subscribed.push([id, target.kind]);
+        };
+
+        await harness.cache._updateCache(SCRIPT, identifier, 1, 200);
+        harness.cache._setCacheStatus(identifier, CACHE_STATUS.LATEST, SCRIPT);
+        const utxos = await harness.cache.script('p2pk', pubkey.toUpperCase()).utxos();
+
+        assert.deepStrictEqual(chronik.state.scriptCalls.map(call => [call.type, call.payload]), [['p2pk', pubkey]]);
+        assert.equal(chronik.state.addressCalls.length, 0);
+        assert.deepStrictEqual(await harness.db.getTxOrder(identifier), ['tx-p2pk']);
+        assert.equal((await harness.db.getGlobalMetadata(`script:${identifier}`)).numTxs, 1);
+        assert.equal(harness.cache.getCacheStatus(identifier, 'script'), CACHE_STATUS.LATEST);
+        assert.deepStrictEqual(subscribed[0], [identifier, 'script']);
+        assert.equal(utxos.outputScript, outputScript);
+        assert.deepStrictEqual(utxos.utxos.map(utxo => utxo.outpoint), [{ txid: 'tx-p2pk', outIdx: 0 }]);
+        await assert.rejects(harness.cache.script('p2pk', 'abcd').history(), /Invalid p2pk payload/);
+        await assert.rejects(harness.cache.script('p2tr', 'ab').history(), /Unsupported script type/);
+    });
+
+    it('caches LOKAD id and plugin group histories and rejects them above maxTxLimit', async () => {
+        const lokadId = '2e786563';
+        const group = '50' + 'aa'.repeat(20);
+        const pluginKey = `plugin:agora:${group}`;
+        const offer = { sats: 546n, outputScript: 'a914' + '11'.repeat(20) + '87', plugins: { agora: { groups: [group], data: ['00'] } } };
+        const chronik = createChronikMock({
+            lokadHistory: createHistoryPage({ txs: [createTx({ txid: 'lokad-tx' })], numPages: 1, numTxs: 50 }),
+            pluginHistory: createHistoryPage({ txs: [createTx({ txid: 'agora-tx', outputs: [offer] })], numPages: 1, numTxs: 1 }),
+        });
+        harness = await createCacheHarness({ chronik, config: { maxTxLimit: 10 } });
+        harness.cache.db = harness.db;
+
+        const fallback = await harness.cache.plugin('agora').groupHistory(group.toUpperCase(), 0, 25);
+        await harness.cache.updateQueue.whenIdle(`plugin:${pluginKey}`);
+        await new Promise(resolve => setImmediate(resolve));
+        const cached = await harness.cache.plugin('agora').groupHistory(group, 0, 25);
+        const utxos = await harness.cache.plugin('agora').utxos(group);
+        const first = await harness.cache.lokadId(lokadId).history();
+        await new Promise(resolve => setImmediate(resolve));
+        const rejected = await harness.cache.lokadId(lokadId).history();
+
+        assert.equal(fallback.status, 3);
+        assert.equal(harness.cache.getCacheStatus(pluginKey, 'plugin'), CACHE_STATUS.LATEST);
+        assert.equal(harness.cache.getCacheStatus(pluginKey), CACHE_STATUS.UNKNOWN);
+        assert.deepStrictEqual(cached.txs.map(tx => tx.txid), ['agora-tx']);
+        assert.equal(cached.status, undefined);
+        assert.equal(utxos.groupHex, group);
+        assert.deepStrictEqual(utxos.utxos.map(utxo => [utxo.outpoint, utxo.plugins]), [[{ txid: 'agora-tx', outIdx: 0 }, offer.plugins]]);
+        assert.equal(chronik.state.pluginUtxoCalls.length, 0);
+        assert.ok(chronik.state.pluginCalls.every(call => call.pluginName === 'agora' && call.group === group));
+        assert.equal(first.status, 3);
+        assert.equal(harness.cache.getCacheStatus(`lokad:${lokadId}`, 'lokad'), CACHE_STATUS.REJECT);
+        assert.equal(rejected.status, 2);
+        assert.equal(chronik.state.addressCalls.length, 0);
+        await assert.rejects(harness.cache.lokadId('xyz').history(), /Invalid lokadId/);
+        for (const reserved of ['tx', 'IDX', 'sum', 'txIndex']) {
+            await assert.rejects(harness.cache.plugin(reserved).groupHistory(group), /Invalid plugin name/);
+        }
+    });
+
+    it('derives address utxos from the latest cached history', async () => {
+        harness = await createCacheHarness();
+        const hash = 'f5f740bc76e56b77bcab8b4d7f888167f416fc68';
+        const utxoAddress = encodeCashAddress('ecash', 'p2pkh', hash);
+        const outputScript = `76a914${hash}88ac`;
+        let reads = 0;
+
+        harness.cache._setCacheStatus(utxoAddress, CACHE_STATUS.LATEST, ADDRESS);
+        harness.cache._readCache = async () => {
+            reads += 1;
+            return {
+                txMap: {
+                    'tx-utxo': createTx({
+                        txid: 'tx-utxo',
+                        outputs: [{ sats: 546n, outputScript }],
+                    }),
+                },
+                txOrder: ['tx-utxo'],
+                numTxs: 1,
+            };
+        };
+
+        const first = await harness.cache.address(utxoAddress).utxos();
+        const second = await harness.cache.script('p2pkh', hash).utxos();
+
+        assert.equal(first.status, undefined);
+        assert.equal(first.outputScript, outputScript);
+        assert.deepStrictEqual(first.utxos.map(utxo => utxo.outpoint), [{ txid: 'tx-utxo', outIdx: 0 }]);
+        assert.deepStrictEqual(second, first);
+        assert.equal(reads, 1);
+        assert.equal(harness.chronik.state.addressUtxoCalls.length, 0);
+
+        await harness.cache._writeCache(utxoAddress, { txMap: {}, txOrder: [] });
+        const third = await harness.cache.address(utxoAddress).utxos();
+
+        assert.equal(reads, 2);
+        assert.equal(third.utxos.length, 1);
+    });
+
+    it('returns status 3 from chronik utxos and starts a build when token cache is not latest', async () => {
+        const chronik = createChronikMock({
+            tokenUtxos: { tokenId, utxos: [{ outpoint: { txid: 'tx-api', outIdx: 1 } }] },
+        });
+        harness = await createCacheHarness({ chronik });
+        let updateTriggered = 0;
+
+        harness.cache._quickGetTxCount = async () => 1;
+        harness.cache._checkAndUpdateCache = () => {
+            updateTriggered += 1;
+        };
+
+        const result = await harness.cache.tokenId(tokenId).utxos();
+
+        assert.equal(result.status, 3);
+        assert.equal(result.utxos[0].outpoint.txid, 'tx-api');
+        assert.equal(updateTriggered, 1);
+    });
+
+    it('returns status 2 from chronik utxos for rejected address cache', async () => {
+        const chronik = createChronikMock({
+            addressUtxos: { outputScript: 'script', utxos: [] },
+        });
+        harness = await createCacheHarness({ chronik });
+
+        harness.cache._setCacheStatus(address, CACHE_STATUS.REJECT, ADDRESS);
+
+        const result = await harness.cache.address(address).utxos();
+
+        assert.equal(result.status, 2);
+        assert.deepStrictEqual(chronik.state.addressUtxoCalls, [address]);
+    });
+
+    it('serves balances from the cached history and keeps them current as txs confirm or drop', async () => {
+        const hash = 'f5f740bc76e56b77bcab8b4d7f888167f416fc68';
+        const balanceAddress = encodeCashAddress('ecash', 'p2pkh', hash);
+        const outputScript = `76a914${hash}88ac`;
+        const block = { height: 100, hash: 'h100', timestamp: 1 };
+        const funding = createTx({ txid: 'funding', block, outputs: [{ sats: 1000n, outputScript }] });
+        const spending = createTx({
+            txid: 'spending',
+            inputs: [{ prevOut: { txid: 'funding', outIdx: 0 }, inputScript: '', outputScript, sats: 1000n, sequenceNo: 0 }],
+            outputs: [{ sats: 600n, outputScript }],
+        });
+        const refund = createTx({ txid: 'refund', outputs: [{ sats: 50n, outputScript }] });
+        let onNewTransaction = null;
+        harness = await createCacheHarness({
+            chronik: createChronikMock({ txById: { spending: { ...spending, block: { ...block, height: 101 } } } }),
+            wsManager: {
+                getRemainingTime: () => ({ active: true }),
+                resetWsTimer: () => {},
+                unsubscribeAddress: () => {},
+                unsubscribeAll: () => {},
+                initWebsocketForAddress: async (_address, callback) => {
+                    onNewTransaction = callback;
+                },
+                wsSubscriptions: new Map(),
+            },
+        });
+        harness.cache.db = harness.db;
+        const pending = [];
+        harness.cache._debounce = (_key, fn) => {
+            pending.push(fn());
+        };
+        await harness.cache._writeCache(balanceAddress, {
+            txMap: { funding, spending, refund },
+            txOrder: ['refund', 'spending', 'funding'],
+        });
+        harness.cache._setCacheStatus(balanceAddress, CACHE_STATUS.LATEST, ADDRESS);
+        const readCache = harness.cache._readCache.bind(harness.cache);
+        let reads = 0;
+        harness.cache._readCache = async (...args) => {
+            reads += 1;
+            return await readCache(...args);
+        };
+
+        const before = await harness.cache.address(balanceAddress).balance();
+
+        await harness.cache._initWebsocket(ADDRESS, balanceAddress);
+        await onNewTransaction(balanceAddress, 'spending', 'TX_CONFIRMED');
+        await onNewTransaction(balanceAddress, 'refund', 'TX_REMOVED_FROM_MEMPOOL');
+        await Promise.all(pending);
+        const after = await harness.cache.script('p2pkh', hash).balance();
+
+        assert.equal(before.status, undefined);
+        assert.deepStrictEqual(before.sats, { confirmed: 1000n, unconfirmed: -350n });
+        assert.deepStrictEqual(after, { outputScript, sats: { confirmed: 600n, unconfirmed: 0n }, tokens: [] });
+        assert.equal(reads, 1);
+    });
+
+    it('sums token holders from chronik utxos with status 3 while the token cache is not latest', async () => {
+        const chronik = createChronikMock({
+            tokenUtxos: {
+                tokenId,
+                utxos: [{
+                    outpoint: { txid: 'tx-api', outIdx: 1 },
+                    blockHeight: 10,
+                    isCoinbase: false,
+                    sats: 546n,
+                    isFinal: true,
+                    script: 'holder-script',
+                    token: { tokenId, tokenType: { protocol: 'ALP', type: 'ALP_TOKEN_TYPE_STANDARD', number: 0 }, atoms: 7n },
+                }],
+            },
+        });
+        harness = await createCacheHarness({ chronik });
+        harness.cache._quickGetTxCount = async () => 1;
+        harness.cache._checkAndUpdateCache = () => {};
+
+        const result = await harness.cache.tokenId(tokenId).holders();
+
+        assert.equal(result.status, 3);
+        assert.deepStrictEqual(result.holders, [{ script: 'holder-script', confirmed: 7n, unconfirmed: 0n }]);
+    });
+
+    it('builds history summaries on the first summary request and drops them when the tx changes', async () => {
+        const hash = 'f5f740bc76e56b77bcab8b4d7f888167f416fc68';
+        const summaryAddress = encodeCashAddress('ecash', 'p2pkh', hash);
+        const sender = encodeCashAddress('ecash', 'p2pkh', '11'.repeat(20));
+        const outputScript = `76a914${hash}88ac`;
+        const received = createTx({
+            txid: 'received',
+            block: { height: 100, hash: 'h100', timestamp: 1700000000 },
+            inputs: [{ prevOut: { txid: 'prev', outIdx: 0 }, inputScript: '', outputScript: `76a914${'11'.repeat(20)}88ac`, sats: 2000n, sequenceNo: 0 }],
+            outputs: [{ sats: 1234n, outputScript }],
+        });
+        const chronik = createChronikMock({
+            addressHistory: createHistoryPage({ txs: [received], numPages: 1, numTxs: 1 }),
+        });
+        harness = await createCacheHarness({ chronik });
+        harness.cache.db = harness.db;
+        await harness.cache._writeCache(summaryAddress, { txMap: { received }, txOrder: ['received'] });
+        assert.equal(await harness.db.get(`${summaryAddress}:sum:received`), null);
+
+        // Served from chronik and summarized in passing until the cache is LATEST
+        harness.cache._checkAndUpdateCache = () => {};
+        const fallback = await harness.cache.address(summaryAddress).history(0, 10, { summary: true });
+
+        harness.cache._setCacheStatus(summaryAddress, CACHE_STATUS.LATEST, ADDRESS);
+        const page = await harness.cache.script('p2pkh', hash).history(0, 10, { summary: true });
+        const stored = await harness.db.get(`${summaryAddress}:sum:received`);
+
+        assert.equal(fallback.status, 3);
+        assert.deepStrictEqual(fallback.txs, page.txs);
+        assert.deepStrictEqual(page.txs, [{
+            txid: 'received',
+            direction: 'in',
+            satsDelta: 1234n,
+            tokenDeltas: [],
+            counterparties: [sender],
+            blockHeight: 100,
+            timestamp: 1700000000,
+            isFinal: false,
+        }]);
+        assert.deepStrictEqual(stored, page.txs[0]);
+
+        await harness.cache._replaceCachedTx(summaryAddress, { ...received, isFinal: true });
+        assert.equal(await harness.db.get(`${summaryAddress}:sum:received`), null);
+        await assert.rejects(harness.cache.lokadId('534c5030').history({ summary: true }), /only available for address and script histories/);
+    });
+
+    it('stores txs without the projected fields and asks chronik when a request reads one of them', async () => {
+        const input = { prevOut: { txid: 'prev', outIdx: 0 }, outputScript: 'script', sats: 2000n, sequenceNo: 0 };
+        const full = createTx({
+            txid: 'projected',
+            block: { height: 100, hash: 'h100', timestamp: 1 },
+            inputs: [{ ...input, inputScript: 'ab'.repeat(100) }],
+            outputs: [{ sats: 1000n, outputScript: 'script' }],
+            tokenFailedParsings: [{ pushdataIdx: 0, bytes: 'ff', error: 'bad' }],
+        });
+        const { tokenFailedParsings, ...kept } = full;
+        const projected = { ...kept, inputs: [input] };
+        const chronik = createChronikMock({
+            addressHistory: createHistoryPage({ txs: [full], numPages: 1, numTxs: 1 }),
+            txById: { projected: full },
+        });
+        harness = await createCacheHarness({
+            chronik,
+            config: { txProjection: { address: ['inputs.inputScript', 'tokenFailedParsings'] } },
+        });
+        harness.cache.db = harness.db;
+        await harness.cache._writeCache(address, { txMap: { projected: full }, txOrder: ['projected'] });
+        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, ADDRESS);
+
+        const page = await harness.cache.address(address).history(0, 10);
+        const withScripts = await harness.cache.address(address).history(0, 10, { fields: ['inputs.inputScript'] });
+        const keptField = await harness.cache.tx('projected', { fields: ['size'] });
+        const strippedField = await harness.cache.tx('projected', { fields: ['tokenFailedParsings'] });
+        const metadata = await harness.db.getGlobalMetadata(`address:${address}`);
+
+        assert.deepStrictEqual(page.txs, [projected]);
+        assert.equal(page.status, undefined);
+        assert.deepStrictEqual(withScripts, { txs: [full], numPages: 1, numTxs: 1, status: 3 });
+        assert.deepStrictEqual(keptField, projected);
+        assert.deepStrictEqual(strippedField, { ...full, status: 3 });
+        assert.equal(chronik.state.txCalls.length, 1);
+        assert.ok(metadata.projectedBytes > 200);
+    });
+
+    it('refreshes mempool txs from copies of other caches only when their projection keeps enough', async () => {
+        const tokenId = 'cd'.repeat(32);
+        const other = 'ecash:qpother';
+        const input = { prevOut: { txid: 'prev', outIdx: 0 }, outputScript: 'script', sats: 2000n, sequenceNo: 0 };
+        const mempool = createTx({ txid: 'shared', inputs: [{ ...input, inputScript: 'ab' }] });
+        const full = { ...mempool, block: { height: 10, hash: 'h10', timestamp: 1 } };
+        const chronik = createChronikMock({ txById: { shared: full } });
+        harness = await createCacheHarness({
+            chronik,
+            config: { txProjection: { address: ['inputs.inputScript'], token: [] } },
+        });
+        harness.cache.db = harness.db;
+        await harness.cache._writeCache(address, { txMap: { shared: full }, txOrder: ['shared'] });
+        await harness.cache._writeCache(tokenId, { txMap: { shared: mempool }, txOrder: ['shared'] }, TOKEN);
+        await harness.cache._writeCache(other, { txMap: { shared: mempool }, txOrder: ['shared'] });
+        harness.cache._setCacheStatus(tokenId, CACHE_STATUS.LATEST, TOKEN);
+        harness.cache._setCacheStatus(other, CACHE_STATUS.LATEST, ADDRESS);
+
+        // The address copy lacks input scripts the token history keeps
+        const tokenPage = await harness.cache.getTokenHistory(tokenId, 0, 50);
+        const calls = chronik.state.txCalls.length;
+        const addressPage = await harness.cache.getAddressHistory(other, 0, 50);
+
+        assert.deepStrictEqual(tokenPage.txs, [full]);
+        assert.equal(calls, 1);
+        assert.deepStrictEqual(addressPage.txs, [{ ...full, inputs: [input] }]);
+        assert.equal(chronik.state.txCalls.length, 1);
+    });
+
+    it('serves a confirmed tx from the history entry of the cache that holds it', async () => {
+        const stored = createTx({
+            txid: 'tx-confirmed',
+            block: { height: 10, hash: 'h10', timestamp: 1 },
+        });
+        const chronik = createChronikMock();
+        harness = await createCacheHarness({ chronik });
+        harness.cache.db = harness.db;
+
+        await harness.cache._writeCache(address, { txMap: { 'tx-confirmed': stored }, txOrder: ['tx-confirmed'] });
+        const result = await harness.cache.tx('tx-confirmed');
+
+        assert.deepStrictEqual(result, stored);
+        assert.equal(result.status, undefined);
+        assert.equal(chronik.state.txCalls.length, 0);
+        assert.equal(await harness.db.get('tx:tx-confirmed'), null);
+    });
+
+    it('keeps serving a tx held by two caches after the one written last is cleared', async () => {
+        const other = 'ecash:qpother';
+        const shared = createTx({ txid: 'tx-shared', block: { height: 10, hash: 'h10', timestamp: 1 } });
+        const chronik = createChronikMock({ txById: { 'tx-shared': shared } });
+        harness = await createCacheHarness({ chronik });
+        harness.cache.db = harness.db;
+
+        await harness.cache._writeCache(address, { txMap: { 'tx-shared': shared }, txOrder: ['tx-shared'] });
+        await harness.cache._writeCache(other, { txMap: { 'tx-shared': shared }, txOrder: ['tx-shared'] });
+        await harness.cache.clearAddressCache(other);
+
+        assert.deepStrictEqual(await harness.db.getTxIndex('tx-shared'), [{ identifier: address, kind: 'address' }]);
+        assert.deepStrictEqual(await harness.cache.tx('tx-shared'), shared);
+        assert.equal(chronik.state.txCalls.length, 0);
+
+        await harness.cache.clearAddressCache(address);
+
+        assert.deepStrictEqual(await harness.db.getTxIndex('tx-shared'), []);
+    });
+
+    it('refreshes a mempool tx from chronik and stores it once confirmed', async () => {
+        const confirmed = createTx({
+            txid: 'tx-mempool',
+            block: { height: 11, hash: 'h11', timestamp: 1 },
+        });
+        const chronik = createChronikMock({
+            txById: { 'tx-mempool': confirmed },
+        });
+        const puts = [];
+        harness = await createCacheHarness({ chronik });
+
+        harness.cache.db.get = async key =>
+            key === 'tx:tx-mempool' ? createTx({ txid: 'tx-mempool' }) : null;
+        harness.cache.db.put = async (key, value) => {
+            puts.push({ key, value });
+        };
+
+        const result = await harness.cache.tx('tx-mempool');
+
+        assert.equal(result.status, 3);
+        assert.equal(result.block.height, 11);
+        assert.deepStrictEqual(chronik.state.txCalls, ['tx-mempool']);
+        assert.deepStrictEqual(puts, [{ key: 'tx:tx-mempool', value: confirmed }]);
+    });
+
+    it('removes a tx dropped from the mempool and rewrites numTxs', async () => {
+        let onNewTransaction = null;
+        harness = await createCacheHarness({
+            wsManager: {
+                getRemainingTime: () => ({ active: false }),
+                resetWsTimer: () => {},
+                unsubscribeAddress: () => {},
+                unsubscribeToken: () => {},
+                unsubscribeAll: () => {},
+                initWebsocketForAddress: async (_address, callback) => {
+                    onNewTransaction = callback;
+                },
+                initWebsocketForToken: async () => {},
+                wsSubscriptions: new Map(),
+            },
+        });
+        harness.cache.db = harness.db;
+        const pending = [];
+        harness.cache._debounce = (_key, fn) => {
+            pending.push(fn());
+        };
+        await harness.cache._writeCache(address, {
+            txMap: {
+                'tx-dropped': createTx({ txid: 'tx-dropped' }),
+                'tx-kept': createTx({ txid: 'tx-kept', block: { height: 1, hash: 'h1', timestamp: 1 } }),
+            },
+            txOrder: ['tx-dropped', 'tx-kept'],
+        });
+
+        await harness.cache._initWebsocket(ADDRESS, address);
+        await onNewTransaction(address, 'tx-dropped', 'TX_REMOVED_FROM_MEMPOOL');
+        await Promise.all(pending);
+
+        const metadata = await harness.db.getGlobalMetadata(`address:${address}`);
+        assert.equal(metadata.numTxs, 1);
+        assert.equal(await harness.db.getCachedTx(address, 'tx-dropped'), null);
+        assert.deepStrictEqual(await harness.db.getTxOrder(address), ['tx-kept']);
+        assert.deepStrictEqual(await harness.db.getTxIndex('tx-dropped'), []);
+    });
+
+    it('stores block info when a cached token tx is confirmed', async () => {
+        let onNewTransaction = null;
+        const chronik = createChronikMock({
+            txById: {
+                'tx-confirming': createTx({
+                    txid: 'tx-confirming',
+                    block: { height: 12, hash: 'h12', timestamp: 1 },
+                }),
+            },
+        });
+        harness = await createCacheHarness({
+            chronik,
+            wsManager: {
+                getRemainingTime: () => ({ active: false }),
+                resetWsTimer: () => {},
+                unsubscribeAddress: () => {},
+                unsubscribeToken: () => {},
+                unsubscribeAll: () => {},
+                initWebsocketForAddress: async () => {},
+                initWebsocketForToken: async (_tokenId, callback) => {
+                    onNewTransaction = callback;
+                },
+                wsSubscriptions: new Map(),
+            },
+        });
+        const pending = [];
+        harness.cache._debounce = (_key, fn) => {
+            pending.push(fn());
+        };
+        harness.cache.db = harness.db;
+        await harness.cache._writeCache(tokenId, {
+            txMap: {
+                'tx-confirming': createTx({ txid: 'tx-confirming' }),
+                'tx-older': createTx({ txid: 'tx-older', block: { height: 11, hash: 'h11', timestamp: 1 } }),
+            },
+            txOrder: ['tx-confirming', 'tx-older'],
+        }, TOKEN);
+
+        await harness.cache._initWebsocket(TOKEN, tokenId);
+        await onNewTransaction(tokenId, 'tx-confirming', 'TX_CONFIRMED');
+        await Promise.all(pending);
+
+        assert.equal((await harness.db.getCachedTx(tokenId, 'tx-confirming')).block.height, 12);
+        assert.deepStrictEqual(await harness.db.getTxOrder(tokenId), ['tx-confirming', 'tx-older']);
+        assert.equal((await harness.db.getGlobalMetadata(`token:${tokenId}`)).numTxs, 2);
+    });
+
+    it('reverts txs above the fork height to unconfirmed and schedules revalidation', async () => {
+        harness = await createCacheHarness();
+        const batches = [];
+        harness.cache.db.getCachedIdentifiers = async () => [
+            { identifier: address, kind: 'address' },
+            { identifier: tokenId, kind: 'token' },
+        ];
+        harness.cache.db.iteratePrefix = async function* () {
+            yield ['tx:orphaned', createTx({ txid: 'orphaned', block: { height: 200, hash: 'old', timestamp: 1 } })];
+            yield ['tx:safe', createTx({ txid: 'safe', block: { height: 150, hash: 'kept', timestamp: 1 } })];
+        };
+        harness.cache.db.getGlobalMetadata = async key => (key === 'standaloneTxs' ? { accessCount: 3, createdAt: 1 } : null);
+        harness.cache.db.batch = async operations => {
+            batches.push(operations);
+        };
+        harness.cache._readCache = async identifier => identifier === address
+            ? {
+                txMap: {
+                    'tx-low': createTx({ txid: 'tx-low', timeFirstSeen: 1, block: { height: 150, hash: 'h150', timestamp: 1 } }),
+                    'tx-high': createTx({ txid: 'tx-high', timeFirstSeen: 2, isFinal: true, block: { height: 200, hash: 'h200', timestamp: 1 } }),
+                },
+                txOrder: ['tx-high', 'tx-low'],
+                numTxs: 2,
+            }
+            : {
+                txMap: { 'tx-token': createTx({ txid: 'tx-token', block: { height: 120, hash: 'h120', timestamp: 1 } }) },
+                txOrder: ['tx-token'],
+                numTxs: 1,
+            };
+        const writes = [];
+        harness.cache._writeCacheChanges = async (identifier, changes, type) => {
+            writes.push({ identifier, changes, type });
+        };
+        const revalidated = [];
+        harness.cache._scheduleRevalidation = (identifier, type) => {
+            revalidated.push({ identifier, type });
+        };
+        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, ADDRESS);
+        harness.cache._setCacheStatus(tokenId, CACHE_STATUS.LATEST, TOKEN);
+
+        await harness.cache._handleReorg(200);
+
+        assert.equal(writes.length, 1);
+        assert.equal(writes[0].identifier, address);
+        assert.deepStrictEqual(writes[0].changes.put.map(tx => tx.txid), ['tx-high']);
+        assert.equal(writes[0].changes.put[0].block, undefined);
+        assert.equal(writes[0].changes.put[0].isFinal, false);
+        assert.deepStrictEqual(revalidated, [{ identifier: address, type: ADDRESS }]);
+        assert.equal(harness.cache.getCacheStatus(address), CACHE_STATUS.UNKNOWN);
+        assert.equal(harness.cache.getCacheStatus(tokenId, true), CACHE_STATUS.LATEST);
+        assert.equal(batches.length, 1);
+        assert.deepStrictEqual(batches[0].map(op => [op.type, op.key]), [['del', 'tx:orphaned'], ['put', 'metadata:standaloneTxs']]);
+        assert.equal(batches[0][1].value.accessCount, 3);
+        assert.ok(batches[0][1].value.updatedAt > 1);
+    });
+
+    it('answers cursor queries from the latest address cache', async () => {
+        harness = await createCacheHarness();
+        const txMap = {
+            'tx-2': createTx({ txid: 'tx-2', block: { height: 2, hash: 'h2', timestamp: 2 } }),
+            'tx-1': createTx({ txid: 'tx-1', block: { height: 1, hash: 'h1', timestamp: 1 } }),
+        };
+        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, ADDRESS);
+        harness.cache._readCache = async () => ({ txMap, txOrder: ['tx-2', 'tx-1'], numTxs: 2 });
+
+        const first = await harness.cache.address(address).history({ pageSize: 1 });
+        const second = await harness.cache.address(address).history({ cursor: first.nextCursor, pageSize: 1 });
+
+        assert.deepStrictEqual(first.txs.map(tx => tx.txid), ['tx-2']);
+        assert.equal(first.numTxs, 2);
+        assert.equal(first.numPages, 2);
+        assert.deepStrictEqual(second.txs.map(tx => tx.txid), ['tx-1']);
+        assert.equal(second.nextCursor, undefined);
+    });
+
+    it('returns status 1 for range queries while the token cache is not latest', async () => {
+        harness = await createCacheHarness();
+        let updateTriggered = 0;
+        harness.cache._quickGetTxCount = async () => 10;
+        harness.cache._checkAndUpdateCache = () => {
+            updateTriggered += 1;
+        };
+
+        const result = await harness.cache.tokenId(tokenId).history({ fromHeight: 1, toHeight: 5 });
+
+        assert.equal(result.status, 1);
+        assert.equal(updateTriggered, 1);
+        assert.equal(harness.chronik.state.tokenCalls.length, 0);
+    });
+
     it('forwards unknown chronik methods and adds status 3', async () => {
         const chronik = createChronikMock();
         chronik.blockchainInfo = async () => ({
@@ -367,4 +949,468 @@ describe('ChronikCache main behaviors', () => {
 
         assert.deepStrictEqual(result, expected);
     });
+
+    it('isolates caches sharing a storage backend by namespace', async () => {
+        const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+        const storage = new MemoryStorageAdapter();
+        const first = await createCacheHarness({
+            overrideDeps: false,
+            config: { storage, namespace: 'first' },
+        });
+        const second = await createCacheHarness({
+            overrideDeps: false,
+            config: { storage, namespace: 'second' },
+        });
+
+        try {
+            const txs = ['c', 'b', 'a'].map(txid => createTx({ txid }));
+            const data = {
+                txMap: Object.fromEntries(txs.map(tx => [tx.txid, tx])),
+                txOrder: ['c', 'b', 'a'],
+            };
+            await first.cache._writeCache(address, data);
+            await second.cache._writeCache(address, { txMap: { a: txs[2] }, txOrder: ['a'] });
+
+            assert.deepStrictEqual(await storage.get(`!first!${address}:tx:c`), txs[0]);
+            assert.equal(await storage.get(`!second!${address}:tx:c`), undefined);
+            assert.deepStrictEqual((await first.cache._readCache(address)).txOrder, ['c', 'b', 'a']);
+            assert.deepStrictEqual((await second.cache._readCache(address)).txOrder, ['a']);
+        } finally {
+            await first.cleanup();
+            await second.cleanup();
+        }
+    });
+
+    it('applies runtime-safe options through configure and rejects the rest', async () => {
+        harness = await createCacheHarness();
+        let maxSubscriptions = null;
+        harness.cache.wsManager.setMaxSubscriptions = value => {
+            maxSubscriptions = value;
+        };
+
+        harness.cache.configure({ maxSubscriptions: 5, memoryCacheTTL: 1000, txUpdateConcurrency: 8 });
+        const before = Date.now();
+        harness.cache._readCache = async () => ({ txMap: {}, txOrder: [], numTxs: 0 });
+        await harness.cache._getCacheForRead(address);
+
+        assert.equal(maxSubscriptions, 5);
+        assert.ok(harness.cache.memoryCaches.address.get(address).expiry <= Date.now() + 1000);
+        assert.ok(harness.cache.memoryCaches.address.get(address).expiry >= before + 1000);
+        assert.throws(() => harness.cache.configure({ namespace: 'other' }), /namespace can only be set in the constructor/);
+        assert.throws(() => harness.cache.configure({ memoryCacheTTL: -1 }), /memoryCacheTTL must be a positive integer/);
+    });
+
+    it('writes only new, moved and removed transactions, one batch per write', async () => {
+        const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+        const storage = new MemoryStorageAdapter();
+        harness = await createCacheHarness({ overrideDeps: false, config: { storage } });
+        const batches = [];
+        const originalBatch = storage.batch.bind(storage);
+        storage.batch = async operations => {
+            batches.push(operations);
+            await originalBatch(operations);
+        };
+        const cacheOf = txs => ({
+            txMap: Object.fromEntries(txs.map(tx => [tx.txid, tx])),
+            txOrder: txs.map(tx => tx.txid),
+        });
+        const txPuts = operations => operations
+            .filter(op => op.type === 'put' && op.key.startsWith(`${address}:tx:`))
+            .map(op => op.key.slice(`${address}:tx:`.length));
+
+        await harness.cache._writeCache(address, cacheOf(['e', 'd', 'c', 'b', 'a'].map(txid => createTx({ txid }))));
+        await harness.cache._writeCache(address, cacheOf(['d', 'c', 'b'].map(txid => createTx({ txid }))));
+
+        assert.equal(batches.length, 2);
+        assert.deepStrictEqual(txPuts(batches[1]), []);
+        // Order and tx keys of e and a, and the txIndex keys pointing at them
+        assert.equal(batches[1].filter(op => op.type === 'del').length, 6);
+        assert.equal(await storage.get(`${address}:tx:e`), undefined);
+        assert.equal(await storage.get(`txIndex:e:address:${address}`), undefined);
+
+        const confirmed = createTx({ txid: 'c', block: { height: 5, hash: 'h5', timestamp: 1 } });
+        await harness.cache._writeCache(address, cacheOf([createTx({ txid: 'd' }), createTx({ txid: 'b' }), confirmed]));
+
+        assert.equal(batches.length, 3);
+        assert.deepStrictEqual(txPuts(batches[2]), ['c']);
+        assert.deepStrictEqual(await harness.db.getTxOrder(address), ['d', 'b', 'c']);
+        assert.deepStrictEqual(await harness.cache._readCachePage(address, 1, 2), [createTx({ txid: 'b' })]);
+        assert.equal((await harness.db.getGlobalMetadata(`address:${address}`)).numTxs, 3);
+    });
+
+    it('loads only the requested page from disk and counts one access per request', async () => {
+        harness = await createCacheHarness();
+        harness.cache.db = harness.db;
+        const txs = ['e', 'd', 'c', 'b', 'a'].map(txid => createTx({ txid, block: { height: 10, hash: 'h10', timestamp: 1 } }));
+        await harness.cache._writeCache(address, {
+            txMap: Object.fromEntries(txs.map(tx => [tx.txid, tx])),
+            txOrder: txs.map(tx => tx.txid),
+        });
+        harness.cache._setCacheStatus(address, CACHE_STATUS.LATEST, ADDRESS);
+        let txMapReads = 0;
+        const getTxMap = harness.db.getTxMap.bind(harness.db);
+        harness.db.getTxMap = async identifier => {
+            txMapReads += 1;
+            return getTxMap(identifier);
+        };
+        const updateGlobalMetadata = harness.db.updateGlobalMetadata.bind(harness.db);
+        harness.db.updateGlobalMetadata = async (key, metadata) => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return updateGlobalMetadata(key, metadata);
+        };
+
+        const result = await harness.cache.getAddressHistory(address, 1, 2);
+        await harness.cache.getAddressHistory(address, 0, 2);
+
+        assert.deepStrictEqual(result.txs.map(tx => tx.txid), ['c', 'b']);
+        assert.equal(txMapReads, 0);
+        assert.equal((await harness.cache._getGlobalMetadata(address)).accessCount, 2);
+        // The access is stored before the request answers
+        assert.equal((await harness.db.getGlobalMetadata(`address:${address}`)).accessCount, 2);
+    });
+
+    it('serves a page from chronik when one of its stored txs is missing', async () => {
+        const chronik = createChronikMock({
+            addressHistory: createHistoryPage({ txs: [createTx({ txid: 'c' }), createTx({ txid: 'b' })], numPages: 1, numTxs: 2 }),
+        });
+        harness = await createCacheHarness({ chronik });
+        harness.cache.db = harness.db;
+        const pageAddress = encodeCashAddress('ecash', 'p2pkh', '22'.repeat(20));
+        const txs = [createTx({ txid: 'c' }), createTx({ txid: 'b', block: { height: 10, hash: 'h10', timestamp: 1 } })];
+        await harness.cache._writeCache(pageAddress, {
+            txMap: Object.fromEntries(txs.map(tx => [tx.txid, tx])),
+            txOrder: txs.map(tx => tx.txid),
+        });
+        harness.cache._setCacheStatus(pageAddress, CACHE_STATUS.LATEST, ADDRESS);
+        await harness.db.del(`${pageAddress}:tx:c`);
+
+        const page = await harness.cache.getAddressHistory(pageAddress, 0, 2);
+        const summaries = await harness.cache.address(pageAddress).history(0, 2, { summary: true });
+
+        assert.equal(page.status, 3);
+        assert.deepStrictEqual(page.txs.map(tx => tx.txid), ['c', 'b']);
+        assert.equal(summaries.status, 3);
+        assert.equal(chronik.state.txCalls.length, 0);
+    });
+
+    it('discards half-written caches on startup and migrates consistent legacy ones', async () => {
+        const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+        const { computeHash } = require('../../src/lib/hash');
+        const storage = new MemoryStorageAdapter();
+        const broken = 'ecash:qpbroken';
+        const intact = 'ecash:qpintact';
+        // A crash between page writes: page 1 still holds txids from an older write
+        await storage.put(`${broken}:txOrder:0`, ['d', 'c']);
+        await storage.put(`${broken}:txOrder:1`, ['a']);
+        await storage.put(`${broken}:txOrder:meta`, { pageCount: 2, totalTxs: 4 });
+        await storage.put(`${broken}:txMap:0`, { d: createTx({ txid: 'd' }), c: createTx({ txid: 'c' }) });
+        await storage.put(`${broken}:txMap:meta`, { pageCount: 2, totalTxs: 4 });
+        await storage.put(`metadata:address:${broken}`, {
+            accessCount: 3,
+            createdAt: 1,
+            dataHash: computeHash(['d', 'c', 'b', 'a']),
+            numTxs: 4,
+        });
+        await storage.put(`${intact}:txOrder`, ['x']);
+        await storage.put(`${intact}:txMap`, { x: createTx({ txid: 'x' }) });
+        await storage.put(`${intact}:txOrder:0`, ['stale']);
+        await storage.put(`metadata:address:${intact}`, {
+            accessCount: 1,
+            createdAt: 1,
+            dataHash: computeHash(['x']),
+            numTxs: 1,
+        });
+
+        harness = await createCacheHarness({ overrideDeps: false, config: { storage } });
+        await harness.cache.startupRepair;
+
+        const brokenKeys = [];
+        for await (const [key] of storage.iterator({ prefix: `${broken}:` })) {
+            brokenKeys.push(key);
+        }
+        assert.deepStrictEqual(brokenKeys, []);
+        assert.deepStrictEqual(await storage.get(`metadata:address:${broken}`), { accessCount: 3, createdAt: 1 });
+        assert.equal(await harness.cache._readCache(broken), null);
+        assert.equal(await storage.get(`${intact}:txOrder:0`), undefined);
+        assert.equal(await storage.get(`${intact}:txOrder`), undefined);
+        assert.equal(await storage.get(`${intact}:txMap`), undefined);
+        assert.deepStrictEqual(await storage.get(`${intact}:tx:x`), createTx({ txid: 'x' }));
+        assert.deepStrictEqual(await storage.get(`txIndex:x:address:${intact}`), { identifier: intact, kind: 'address' });
+        assert.deepStrictEqual((await harness.cache._readCache(intact)).txOrder, ['x']);
+    });
+
+    it('checks current-layout caches on startup by index count, without reading stored txs', async () => {
+        const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+        const storage = new MemoryStorageAdapter();
+        const [intact, damaged] = ['ecash:qpintact', 'ecash:qpdamaged'];
+        const seeded = await createCacheHarness({ overrideDeps: false, config: { storage } });
+        const history = { txMap: { a: createTx({ txid: 'a' }), b: createTx({ txid: 'b' }) }, txOrder: ['a', 'b'] };
+        await seeded.cache._writeCache(intact, history);
+        await seeded.cache._writeCache(damaged, history);
+        await seeded.cleanup();
+        for await (const [key] of storage.iterator({ prefix: `${damaged}:idx:` })) {
+            await storage.del(key);
+            break;
+        }
+        const prefixes = [];
+        const iterator = storage.iterator.bind(storage);
+        storage.iterator = options => {
+            prefixes.push(options?.prefix);
+            return iterator(options);
+        };
+
+        harness = await createCacheHarness({ overrideDeps: false, config: { storage } });
+        await harness.cache.startupRepair;
+
+        assert.ok(!prefixes.some(prefix => prefix === undefined || prefix === `${intact}:tx:`));
+        assert.deepStrictEqual((await harness.cache._readCache(intact)).txOrder.sort(), ['a', 'b']);
+        assert.equal(await harness.cache._readCache(damaged), null);
+    });
+
+    it('evicts whole entries by the configured policy once the cache outgrows maxCacheSize', async () => {
+        const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+        const storage = new MemoryStorageAdapter();
+        const unsubscribed = [];
+        harness = await createCacheHarness({
+            overrideDeps: false,
+            config: { storage, maxCacheSize: 0.004, evictionPolicy: 'lfu' },
+        });
+        harness.cache.wsManager.unsubscribeAddress = identifier => {
+            unsubscribed.push(identifier);
+        };
+        const historyOf = prefix => {
+            const txs = Array.from({ length: 4 }, (_, i) => createTx({ txid: `${prefix}-${i}`, timeFirstSeen: i }));
+            return { txMap: Object.fromEntries(txs.map(tx => [tx.txid, tx])), txOrder: txs.map(tx => tx.txid).reverse() };
+        };
+        const [popular, idle, incoming] = ['ecash:qppopular', 'ecash:qpidle', 'ecash:qpincoming'];
+        const evicted = [];
+        harness.cache.on('evicted', event => evicted.push(event));
+
+        await harness.cache._writeCache(popular, historyOf('p'));
+        await harness.cache._writeCache(idle, historyOf('i'));
+        for (let i = 0; i < 3; i++) {
+            await harness.cache._getCacheForRead(popular);
+        }
+        // Builds and reorg rollbacks read the history too, without counting as an access
+        await harness.cache._readCache(idle);
+        assert.equal((await harness.cache._getGlobalMetadata(idle)).accessCount, 0);
+        harness.cache._setCacheStatus(idle, CACHE_STATUS.LATEST, ADDRESS);
+        await harness.cache._writeCache(incoming, historyOf('n'));
+
+        const idleKeys = [];
+        for await (const [key] of storage.iterator()) {
+            if (key.includes(idle) || key.startsWith('txIndex:i-')) idleKeys.push(key);
+        }
+        assert.deepStrictEqual(idleKeys, []);
+        assert.equal(harness.cache.getCacheStatus(idle), CACHE_STATUS.UNKNOWN);
+        assert.deepStrictEqual(unsubscribed, [idle]);
+        assert.deepStrictEqual(evicted.map(event => [event.type, event.id, event.policy]), [['address', idle, 'lfu']]);
+        assert.equal((await harness.cache._readCache(popular)).txOrder.length, 4);
+        assert.equal((await harness.cache._readCache(incoming)).txOrder.length, 4);
+        assert.ok(await storage.size() <= 0.004 * 1024 * 1024);
+    });
+
+    it('evicts standalone txs as one entry ranked by their own access stats', async () => {
+        const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+        const storage = new MemoryStorageAdapter();
+        const block = { height: 10, hash: 'h10', timestamp: 1 };
+        const txById = Object.fromEntries(Array.from({ length: 10 }, (_, i) => [
+            `standalone-${i}`,
+            createTx({ txid: `standalone-${i}`, block, inputs: [{ inputScript: 'ab'.repeat(200) }] }),
+        ]));
+        const chronik = createChronikMock({ txById });
+        harness = await createCacheHarness({ chronik, config: { storage, maxCacheSize: 0.003, evictionPolicy: 'lru' } });
+        harness.cache.db = harness.db;
+        const history = { txMap: { h: createTx({ txid: 'h', block }) }, txOrder: ['h'] };
+
+        // tx() alone used to fill the cache past the limit, nothing held the standalone txs to evict
+        for (let i = 0; i < 9; i++) {
+            await harness.cache.tx(`standalone-${i}`);
+        }
+        assert.ok(await storage.size() <= 0.003 * 1024 * 1024);
+        await harness.cache._writeCache(address, history);
+        await harness.cache._getCacheForRead(address);
+        await harness.cache.tx('standalone-9');
+
+        assert.deepStrictEqual((await harness.cache._getCacheForRead(address)).txOrder, ['h']);
+        const standalone = [];
+        for await (const [key] of storage.iterator({ prefix: 'tx:' })) {
+            standalone.push(key);
+        }
+        assert.ok(standalone.length < 10);
+        assert.ok(await storage.size() <= 0.003 * 1024 * 1024);
+    });
+
+    it('restores recently active caches from disk, re-validating their tx counts', async () => {
+        const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+        const storage = new MemoryStorageAdapter();
+        const [matching, grown, stale] = ['ecash:qpmatching', 'ecash:qpgrown', 'ecash:qpstale'];
+        const seeded = await createCacheHarness({ overrideDeps: false, config: { storage } });
+        for (const identifier of [matching, grown, stale]) {
+            await seeded.cache._writeCache(identifier, { txMap: { [`${identifier}-tx`]: createTx({ txid: `${identifier}-tx` }) }, txOrder: [`${identifier}-tx`] });
+        }
+        await seeded.cache._writeCache(tokenId, { txMap: { 'token-tx': createTx({ txid: 'token-tx' }) }, txOrder: ['token-tx'] }, TOKEN);
+        const staleMetadata = await seeded.db.getGlobalMetadata(`address:${stale}`);
+        await seeded.db.updateGlobalMetadata(`address:${stale}`, { ...staleMetadata, updatedAt: Date.now() - 2000 });
+        await seeded.cleanup();
+
+        const chronik = createChronikMock({
+            addressHistory: address => createHistoryPage({ numTxs: address === grown ? 3 : 1 }),
+            tokenHistory: createHistoryPage({ numTxs: 1 }),
+        });
+        harness = await createCacheHarness({
+            chronik,
+            overrideDeps: false,
+            config: { storage, wsTimeout: 1000, restoreStatusOnStartup: false },
+        });
+        const subscribed = [];
+        const updates = [];
+        harness.cache._initWebsocket = async (type, id) => {
+            subscribed.push(id);
+        };
+        harness.cache._checkAndUpdateCache = (type, address, apiNumTxs) => {
+            updates.push({ address, apiNumTxs });
+        };
+
+        await harness.cache._restoreCacheStatus(2);
+
+        assert.equal(harness.cache.getCacheStatus(matching), CACHE_STATUS.LATEST);
+        assert.equal(harness.cache.getCacheStatus(tokenId, true), CACHE_STATUS.LATEST);
+        assert.deepStrictEqual(subscribed.sort(), [matching, tokenId].sort());
+        assert.deepStrictEqual(updates, [{ address: grown, apiNumTxs: 3 }]);
+        assert.equal(harness.cache.getCacheStatus(stale), CACHE_STATUS.UNKNOWN);
+        assert.equal(chronik.state.addressCalls.some(call => call.address === stale), false);
+    });
+
+    it('warms a list of addresses and tokens, reporting each status transition', async () => {
+        const [small, large, broken] = ['ecash:qpsmall', 'ecash:qplarge', 'ecash:qpbroken'];
+        const chronik = createChronikMock({
+            addressHistory: address => {
+                if (address === broken) throw new Error('chronik unavailable');
+                const numTxs = address === large ? 50 : 2;
+                return createHistoryPage({
+                    txs: Array.from({ length: Math.min(numTxs, 2) }, (_, i) => createTx({ txid: `${address}-${i}`, timeFirstSeen: i })),
+                    numTxs,
+                });
+            },
+            tokenHistory: createHistoryPage({ txs: [createTx({ txid: 'token-tx' })], numTxs: 1 }),
+        });
+        harness = await createCacheHarness({ chronik, config: { maxTxLimit: 10 } });
+        harness.cache.db = harness.db;
+        const priorities = [];
+        const enqueue = harness.cache.updateQueue.enqueue.bind(harness.cache.updateQueue);
+        harness.cache.updateQueue.enqueue = (task, options) => {
+            priorities.push(options.priority);
+            return enqueue(task, options);
+        };
+
+        const handle = harness.cache.warm([
+            { type: 'address', id: small },
+            { type: 'token', id: tokenId },
+            { type: 'address', id: large },
+            { type: 'address', id: broken },
+            { type: 'address', id: small },
+        ]);
+        const events = [];
+        for await (const event of handle) {
+            events.push(event);
+        }
+        const results = await handle.done;
+
+        assert.deepStrictEqual(results.map(result => [result.id, result.status, !!result.error]), [
+            [small, CACHE_STATUS.LATEST, false],
+            [tokenId, CACHE_STATUS.LATEST, false],
+            [large, CACHE_STATUS.REJECT, false],
+            [broken, CACHE_STATUS.UNKNOWN, true],
+        ]);
+        assert.deepStrictEqual(
+            events.filter(event => event.id === small).map(event => event.status),
+            [CACHE_STATUS.UPDATING, CACHE_STATUS.LATEST],
+        );
+        assert.match(events.find(event => event.id === broken).error.message, /chronik unavailable/);
+        assert.deepStrictEqual(handle.progress(), { total: 4, latest: 2, rejected: 1, failed: 1, pending: 0 });
+        assert.deepStrictEqual(priorities, [DEFAULT_CONFIG.WARM_PRIORITY, DEFAULT_CONFIG.WARM_PRIORITY]);
+        assert.deepStrictEqual(await harness.db.getTxOrder(small), [`${small}-1`, `${small}-0`]);
+        assert.throws(() => harness.cache.warm([{ type: 'block', id: 'x' }]), /Invalid warm target/);
+    });
+
+    it('cancels a queued build when its cache is cleared and aborts running builds on destroy', async () => {
+        let releaseToken;
+        const tokenPage = new Promise(resolve => {
+            releaseToken = resolve;
+        });
+        const chronik = createChronikMock({
+            addressHistory: createHistoryPage({ txs: [createTx({ txid: 'a' })], numTxs: 1 }),
+            tokenHistory: async () => {
+                await tokenPage;
+                return createHistoryPage({ txs: [createTx({ txid: 'token-tx' })], numTxs: 1 });
+            },
+        });
+        harness = await createCacheHarness({ chronik, config: { updateConcurrency: 1 } });
+        harness.cache.db = harness.db;
+
+        const tokenBuild = harness.cache._checkAndUpdateCache(TOKEN, tokenId, 1, 200);
+        const addressBuild = harness.cache._checkAndUpdateCache(ADDRESS, address, 1, 200);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(harness.cache.getCacheStatus(address), CACHE_STATUS.UPDATING);
+
+        await harness.cache.clearAddressCache(address);
+        await addressBuild;
+        assert.equal(chronik.state.addressCalls.length, 0);
+        assert.equal(harness.cache.getCacheStatus(address), CACHE_STATUS.UNKNOWN);
+
+        harness.cache.destroy();
+        releaseToken();
+        await tokenBuild;
+        assert.equal(await harness.db.getGlobalMetadata(`token:${tokenId}`), null);
+        assert.notEqual(harness.cache.getCacheStatus(tokenId, true), CACHE_STATUS.LATEST);
+
+        const queueStats = harness.cache.updateQueue.getStats();
+        assert.equal(queueStats.cancelled, 2);
+        assert.equal(queueStats.waiting, 0);
+    });
+
+    it('emits status, progress and websocket tx events', async () => {
+        let onNewTransaction = null;
+        const chronik = createChronikMock({
+            addressHistory: (_, pageOffset) => createHistoryPage({
+                txs: [createTx({ txid: `tx-${pageOffset}`, timeFirstSeen: pageOffset })],
+                numTxs: 2,
+            }),
+        });
+        harness = await createCacheHarness({
+            chronik,
+            wsManager: {
+                getRemainingTime: () => ({ active: false }),
+                resetWsTimer: () => {},
+                unsubscribeAddress: () => {},
+                initWebsocketForAddress: async (_, callback) => {
+                    onNewTransaction = callback;
+                },
+            },
+        });
+        harness.cache.db = harness.db;
+        const events = [];
+        for (const name of ['statusChange', 'updateProgress', 'txAdded', 'txConfirmed']) {
+            harness.cache.on(name, event => events.push([name, event]));
+        }
+        harness.cache.on('statusChange', () => {
+            throw new Error('listener failed');
+        });
+
+        await harness.cache._checkAndUpdateCache(ADDRESS, address, 2, 1);
+        await onNewTransaction(address, 'tx-2', 'TX_ADDED_TO_MEMPOOL');
+        await onNewTransaction(address, 'tx-0', 'TX_CONFIRMED');
+        harness.cache.destroy();
+
+        assert.deepStrictEqual(events, [
+            ['statusChange', { type: 'address', id: address, status: CACHE_STATUS.UPDATING }],
+            ['updateProgress', { type: 'address', id: address, page: 0, fetched: 1, total: 2 }],
+            ['updateProgress', { type: 'address', id: address, page: 1, fetched: 2, total: 2 }],
+            ['statusChange', { type: 'address', id: address, status: CACHE_STATUS.LATEST }],
+            ['txAdded', { type: 'address', id: address, txid: 'tx-2' }],
+            ['txConfirmed', { type: 'address', id: address, txid: 'tx-0' }],
+        ]);
+        assert.equal(harness.cache.getCacheStatus(address), CACHE_STATUS.LATEST);
+    });
 });
@@ -0,0 +1,205 @@
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const net = require('node:net');
+const { ChronikClient } = require('chronik-client');
+const proto = require('chronik-client/dist/proto/chronik');
+const { createProxyServer, encodeTx } = require('../../src/lib/chronikProxy');
+const { TX_FIELDS } = require('../../src/lib/projection');
+const { createTx, createHistoryPage } = require('../helpers/mockFactory');
+
+describe('createProxyServer', () => {
+    const payload = '11'.repeat(20);
+    const txid = 'ab'.repeat(32);
+    const tokenId = 'cd'.repeat(32);
+    const tx = createTx({
+        txid,
+        inputs: [{
+            prevOut: { txid: 'ef'.repeat(32), outIdx: 1 },
+            inputScript: '51',
+            outputScript: `76a914${payload}88ac`,
+            sats: 1000n,
+            sequenceNo: 0xffffffff,
+            token: {
+                tokenId,
+                tokenType: { protocol: 'ALP', type: 'ALP_TOKEN_TYPE_STANDARD', number: 0 },
+                atoms: 5n,
+                isMintBaton: false,
+                entryIdx: 0,
+            },
+        }],
+        outputs: [
+            { sats: 546n, outputScript: `76a914${payload}88ac`, spentBy: { txid: '12'.repeat(32), outIdx: 0 } },
+        ],
+        block: { height: 800000, hash: '34'.repeat(32), timestamp: 1700000000 },
+        timeFirstSeen: 1699999999,
+        tokenEntries: [{
+            tokenId,
+            tokenType: { protocol: 'ALP', type: 'ALP_TOKEN_TYPE_STANDARD', number: 0 },
+            txType: 'SEND',
+            isInvalid: false,
+            burnSummary: '',
+            failedColorings: [],
+            actualBurnAtoms: 0n,
+            intentionalBurnAtoms: 0n,
+            burnsMintBatons: false,
+        }],
+        tokenStatus: 'TOKEN_STATUS_NORMAL',
+    });
+
+    let servers;
+    let upstreamRequests;
+    let historyOptions;
+
+    function listen(server) {
+        servers.push(server);
+        return new Promise(resolve => {
+            server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+        });
+    }
+
+    // Stands in for chronik: answers blockchain-info, errors for everything else and echoes websocket frames
+    function startUpstream() {
+        const upstream = http.createServer((req, res) => {
+            upstreamRequests.push(req.url);
+            if (req.url === '/blockchain-info') {
+                res.writeHead(200, { 'content-type': 'application/x-protobuf' });
+                res.end(Buffer.from(proto.BlockchainInfo.encode({ tipHash: new Uint8Array(32), tipHeight: 800001 }).finish()));
+                return;
+            }
+            res.writeHead(404, { 'content-type': 'application/x-protobuf' });
+            res.end(Buffer.from(proto.Error.encode({ msg: '404: Not found' }).finish()));
+        });
+        upstream.on('upgrade', (req, socket) => {
+            upstreamRequests.push(`ws:${req.url}`);
+            socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+            socket.pipe(socket);
+        });
+        return listen(upstream);
+    }
+
+    function createCacheStub(overrides = {}) {
+        return {
+            script: (type, scriptPayload) => ({
+                history: async (page, pageSize, options) => {
+                    upstreamRequests.push(`cache:${type}:${scriptPayload}:${page}:${pageSize}`);
+                    historyOptions = options;
+                    return createHistoryPage({ txs: [tx], numPages: 1, numTxs: 1 });
+                },
+            }),
+            tokenId: () => ({
+                history: async () => ({ ...createHistoryPage(), status: 1, message: 'Cache is being prepared' }),
+            }),
+            tx: async () => tx,
+            ...overrides,
+        };
+    }
+
+    beforeEach(() => {
+        servers = [];
+        upstreamRequests = [];
+        historyOptions = null;
+    });
+
+    afterEach(async () => {
+        for (const server of servers) {
+            server.closeAllConnections?.();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('serves history and txs from the cache in a form chronik-client decodes', async () => {
+        const upstream = await startUpstream();
+        const proxy = await listen(createProxyServer(createCacheStub(), { upstream }));
+        const chronik = new ChronikClient([proxy]);
+
+        const history = await chronik.script('p2pkh', payload).history(2, 50);
+        const fetched = await chronik.tx(txid);
+
+        assert.deepStrictEqual([history.numPages, history.numTxs], [1, 1]);
+        assert.equal(history.txs[0].txid, txid);
+        assert.deepStrictEqual(history.txs[0].inputs[0].prevOut, { txid: 'ef'.repeat(32), outIdx: 1 });
+        assert.equal(history.txs[0].inputs[0].token.atoms, 5n);
+        assert.deepStrictEqual(history.txs[0].outputs[0].spentBy, { txid: '12'.repeat(32), outIdx: 0 });
+        assert.deepStrictEqual(fetched.block, { height: 800000, hash: '34'.repeat(32), timestamp: 1700000000 });
+        assert.equal(fetched.tokenEntries[0].txType, 'SEND');
+        assert.equal(fetched.tokenStatus, 'TOKEN_STATUS_NORMAL');
+        assert.deepStrictEqual(upstreamRequests, [`cache:p2pkh:${payload}:2:50`]);
+        // Protobuf needs every field, projected txs are left to chronik
+        assert.deepStrictEqual(historyOptions, { fields: TX_FIELDS });
+    });
+
+    it('encodes the finality of a tx block where the tx carries it', () => {
+        const decode = value => proto.Tx.decode(proto.Tx.encode(encodeTx(value)).finish());
+
+        assert.equal(decode({ ...tx, block: { ...tx.block, isFinal: true } }).block.isFinal, true);
+        assert.equal(decode(tx).block.isFinal, false);
+        assert.equal(decode({ ...tx, block: undefined }).block, undefined);
+    });
+
+    it('forwards other endpoints, pages still being prepared and cache failures upstream', async () => {
+        const upstream = await startUpstream();
+        const cache = createCacheStub({
+            tx: async () => {
+                throw new Error('db failed');
+            },
+        });
+        const proxy = await listen(createProxyServer(cache, { upstream }));
+        const chronik = new ChronikClient([proxy]);
+
+        const info = await chronik.blockchainInfo();
+        await assert.rejects(chronik.tokenId(tokenId).history(), /404: Not found/);
+        await assert.rejects(chronik.tx(txid), /404: Not found/);
+
+        assert.equal(info.tipHeight, 800001);
+        assert.deepStrictEqual(upstreamRequests, [
+            '/blockchain-info',
+            `/token-id/${tokenId}/history?page=0&page_size=25`,
+            `/tx/${txid}`,
+        ]);
+    });
+
+    it('falls back to the next upstream and answers 502 when none is reachable', async () => {
+        const upstream = await startUpstream();
+        const closed = 'http://127.0.0.1:1';
+        const failover = await listen(createProxyServer(createCacheStub(), { upstream: [closed, upstream] }));
+        const unreachable = await listen(createProxyServer(createCacheStub(), { upstream: closed }));
+
+        const forwarded = await fetch(`${failover}/blockchain-info`);
+        const failed = await fetch(`${unreachable}/blockchain-info`);
+
+        assert.equal(forwarded.status, 200);
+        assert.equal(failed.status, 502);
+        assert.throws(() => createProxyServer(createCacheStub(), { upstream: `${upstream}/` }), /Invalid proxy option/);
+    });
+
+    it('pipes websocket upgrades through to the first reachable chronik, keeping its base path', async () => {
+        const upstream = await startUpstream();
+        const proxy = await listen(createProxyServer(createCacheStub(), { upstream: ['http://127.0.0.1:1', `${upstream}/xec`] }));
+        const unreachable = await listen(createProxyServer(createCacheStub(), { upstream: 'http://127.0.0.1:1' }));
+        const upgrade = url => new Promise((resolve, reject) => {
+            const socket = net.connect(Number(new URL(url).port), '127.0.0.1', () => {
+                socket.write('GET /ws HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+            });
+            let received = '';
+            socket.on('data', chunk => {
+                received += chunk.toString();
+                if (received.includes('\r\n\r\n') && !received.includes('ping')) {
+                    socket.write('ping');
+                }
+                if (received.endsWith('ping')) {
+                    socket.end();
+                }
+            });
+            socket.on('end', () => resolve(received));
+            socket.on('error', reject);
+        });
+
+        const echoed = await upgrade(proxy);
+        const refused = await upgrade(unreachable);
+
+        assert.match(echoed, /^HTTP\/1\.1 101 Switching Protocols\r\n/);
+        assert.match(echoed, /\r\n\r\nping$/);
+        assert.deepStrictEqual(upstreamRequests, ['ws:/xec/ws']);
+        assert.match(refused, /^HTTP\/1\.1 502 Bad Gateway\r\n/);
+    });
+});
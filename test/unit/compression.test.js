@@ -0,0 +1,30 @@
+const assert = require('node:assert/strict');
+const { compressValue, decompressValue, isCompressed, uncompressedSize } = require('../../src/lib/compression');
+const { getSerializedSize } = require('../../src/lib/serialization');
+
+describe('Value compression', () => {
+    const tx = {
+        txid: 'ab'.repeat(32),
+        outputs: Array.from({ length: 5 }, () => ({ sats: 546n, outputScript: `76a914${'11'.repeat(20)}88ac` })),
+    };
+
+    it('round-trips values with bigint fields through each algorithm', () => {
+        for (const algorithm of ['deflate', 'brotli']) {
+            const stored = compressValue(tx, algorithm);
+
+            assert.ok(isCompressed(stored));
+            assert.ok(stored.length < JSON.stringify(tx, (key, value) => typeof value === 'bigint' ? String(value) : value).length);
+            assert.deepStrictEqual(decompressValue(stored), tx);
+            assert.equal(uncompressedSize(stored), getSerializedSize(tx));
+        }
+    });
+
+    it('stores small values, strings and disabled compression as they are', () => {
+        assert.equal(compressValue(tx, 'none'), tx);
+        assert.deepStrictEqual(compressValue({ accessCount: 1 }, 'deflate'), { accessCount: 1 });
+        assert.equal(compressValue('ab'.repeat(32), 'deflate'), 'ab'.repeat(32));
+        assert.equal(decompressValue('ab'.repeat(32)), 'ab'.repeat(32));
+        assert.deepStrictEqual(decompressValue(tx), tx);
+        assert.throws(() => decompressValue('\u0009AAAA'), /Unsupported compressed value format 9/);
+    });
+});
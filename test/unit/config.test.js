@@ -0,0 +1,43 @@
+const assert = require('node:assert/strict');
+const { resolveConfig, validateRuntimeConfig, deprecationWarnings } = require('../../src/lib/config');
+const { DEFAULT_CONFIG } = require('../../src/constants');
+
+describe('ChronikCache config', () => {
+    it('fills in defaults for omitted options', () => {
+        const config = resolveConfig({ defaultPageSize: 50, namespace: 'wallet-a' });
+
+        assert.equal(config.cacheDir, DEFAULT_CONFIG.CACHE_DIR);
+        assert.equal(config.defaultPageSize, 50);
+        assert.equal(config.namespace, 'wallet-a');
+        assert.equal(config.updateConcurrency, DEFAULT_CONFIG.UPDATE_CONCURRENCY);
+        assert.equal(config.memoryCacheTTL, DEFAULT_CONFIG.MEMORY_CACHE_TTL);
+        assert.equal(config.evictionPolicy, 'lru');
+        assert.equal(config.restoreStatusOnStartup, true);
+        assert.equal(config.statusRestoreConcurrency, DEFAULT_CONFIG.STATUS_RESTORE_CONCURRENCY);
+        assert.equal(config.enableLogging, true);
+    });
+
+    it('accepts the deprecated maxItemsPerKey, ignoring it with a warning', () => {
+        assert.equal('maxItemsPerKey' in resolveConfig({ maxItemsPerKey: 10000 }), false);
+        assert.deepStrictEqual(deprecationWarnings({ defaultPageSize: 50 }), []);
+        assert.match(deprecationWarnings({ maxItemsPerKey: 10000 })[0], /maxItemsPerKey is deprecated and ignored/);
+    });
+
+    it('rejects invalid values with the option name', () => {
+        assert.throws(() => resolveConfig({ defaultPageSize: 0 }), /defaultPageSize must be a positive integer/);
+        assert.throws(() => resolveConfig({ txUpdateConcurrency: 1.5 }), /txUpdateConcurrency/);
+        assert.throws(() => resolveConfig({ cacheDir: '' }), /cacheDir must be a non-empty string/);
+        assert.throws(() => resolveConfig({ namespace: 'a!b' }), /namespace must match/);
+        assert.throws(() => resolveConfig({ evictionPolicy: 'fifo' }), /evictionPolicy must be one of lru, lfu, size-weighted/);
+        assert.throws(() => resolveConfig({ txProjection: ['outputs.sats'] }), /txProjection must list fields of/);
+        assert.throws(() => resolveConfig({ txProjection: { lokad: ['size'] } }), /txProjection/);
+        assert.throws(() => resolveConfig({ compression: 'lz4' }), /compression must be one of none, deflate, brotli/);
+    });
+
+    it('only accepts runtime-safe options after construction', () => {
+        assert.doesNotThrow(() => validateRuntimeConfig({ memoryCacheTTL: 1000, maxSubscriptions: 5, evictionPolicy: 'lfu' }));
+        assert.throws(() => validateRuntimeConfig({ cacheDir: './other' }), /cacheDir can only be set in the constructor/);
+        assert.throws(() => validateRuntimeConfig({ namespace: 'other' }), /namespace can only be set in the constructor/);
+        assert.throws(() => validateRuntimeConfig({ statusRestoreConcurrency: 2 }), /statusRestoreConcurrency can only be set in the constructor/);
+    });
+});
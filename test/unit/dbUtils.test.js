@@ -3,6 +3,8 @@ const os = require('node:os');
 const path = require('node:path');
 const { mkdtemp, rm } = require('node:fs/promises');
 const DbUtils = require('../../src/lib/dbUtils').default;
+const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+const { isCompressed } = require('../../src/lib/compression');
 
 describe('DbUtils bigint persistence guards', () => {
     let tempDir;
@@ -21,8 +23,8 @@ describe('DbUtils bigint persistence guards', () => {
     });
 
     afterEach(async () => {
-        if (dbUtils?.db) {
-            await dbUtils.db.close();
+        if (dbUtils) {
+            await dbUtils.close();
         }
         if (tempDir) {
             await rm(tempDir, { recursive: true, force: true });
@@ -89,4 +91,160 @@ describe('DbUtils bigint persistence guards', () => {
 
         assert.deepStrictEqual(restored, metadata);
     });
+
+    it('indexes a tx under every cache holding it', async () => {
+        await dbUtils.updateTxIndex(['tx-a', 'tx-b'], { identifier: 'ecash:test', kind: 'address' });
+        await dbUtils.updateTxIndex(['tx-b'], { identifier: 'token-1', kind: 'token' });
+
+        assert.deepStrictEqual(await dbUtils.getTxIndex('tx-a'), [{ identifier: 'ecash:test', kind: 'address' }]);
+        assert.deepStrictEqual(await dbUtils.getTxIndex('tx-b'), [
+            { identifier: 'ecash:test', kind: 'address' },
+            { identifier: 'token-1', kind: 'token' },
+        ]);
+        assert.deepStrictEqual(await dbUtils.getTxIndex('tx-missing'), []);
+
+        await dbUtils.batch(dbUtils.txIndexDelOps(['tx-b'], { identifier: 'ecash:test', kind: 'address' }));
+
+        assert.deepStrictEqual(await dbUtils.getTxIndex('tx-b'), [{ identifier: 'token-1', kind: 'token' }]);
+    });
+
+    it('stores a history per transaction and moves index entries when a tx sorts elsewhere', async () => {
+        const id = 'ecash:test';
+        const index = new Map();
+        await dbUtils.batch(dbUtils.historyOps(id, index, [
+            { txid: 'c', timeFirstSeen: 3 },
+            { txid: 'b', timeFirstSeen: 2 },
+            { txid: 'a', timeFirstSeen: 1 },
+        ]));
+
+        assert.deepStrictEqual(await dbUtils.getTxOrder(id), ['c', 'b', 'a']);
+        assert.deepStrictEqual(await dbUtils.getTxOrder(id, 1, 2), ['b']);
+
+        await dbUtils.batch(dbUtils.historyOps(id, index, [{ txid: 'c', timeFirstSeen: 3, block: { height: 7 } }], ['a']));
+
+        assert.deepStrictEqual(await dbUtils.getTxOrder(id), ['b', 'c']);
+        assert.deepStrictEqual(await dbUtils.getOrderIndex(id), index);
+        assert.equal((await dbUtils.getCachedTx(id, 'c')).block.height, 7);
+        assert.equal(await dbUtils.getCachedTx(id, 'a'), null);
+
+        await dbUtils.updateTxIndex(['b', 'c'], { identifier: id, kind: 'address' });
+        await dbUtils.updateTxIndex(['b'], { identifier: 'ecash:other', kind: 'address' });
+        await dbUtils.clearHistory(id, 'address');
+
+        assert.deepStrictEqual(await dbUtils.getTxOrder(id), []);
+        assert.deepStrictEqual(await dbUtils.getTxMap(id), {});
+        assert.deepStrictEqual(await dbUtils.getTxIndex('b'), [{ identifier: 'ecash:other', kind: 'address' }]);
+        assert.deepStrictEqual(await dbUtils.getTxIndex('c'), []);
+    });
+
+    it('groups stored keys into cache entries and deletes an entry as a whole', async () => {
+        const id = 'ecash:test';
+        await dbUtils.batch(dbUtils.historyOps(id, new Map(), [{ txid: 'a', timeFirstSeen: 1 }]));
+        await dbUtils.updateGlobalMetadata(`token:token-1`, { accessCount: 2, createdAt: 1 });
+        await dbUtils.updateGlobalMetadata(`address:${id}`, { accessCount: 1, createdAt: 1 });
+        await dbUtils.updateTxIndex(['a'], { identifier: id, kind: 'address' });
+        await dbUtils.put('tx:standalone', { txid: 'standalone' });
+
+        const { totalSize, entries } = await dbUtils.getCacheEntries();
+        const entry = entries.find(item => item.identifier === id);
+        const standalone = entries.find(item => item.standalone);
+
+        assert.equal(entries.length, 3);
+        assert.deepStrictEqual(standalone.keys, ['tx:standalone']);
+        assert.equal(entry.kind, 'address');
+        assert.equal(entry.metadata.accessCount, 1);
+        assert.equal(entry.keys.length, 4);
+        assert.ok(entry.keys.includes(`txIndex:a:address:${id}`));
+        assert.ok(entry.keys.includes(`${id}:tx:a`));
+        assert.equal(totalSize, entries.reduce((sum, item) => sum + item.size, 0));
+
+        await dbUtils.deleteCacheEntry(entry);
+
+        assert.deepStrictEqual(await dbUtils.getTxOrder(id), []);
+        assert.deepStrictEqual(await dbUtils.getTxIndex('a'), []);
+        assert.equal(await dbUtils.getGlobalMetadata(`address:${id}`), null);
+        assert.deepStrictEqual(await dbUtils.get('tx:standalone'), { txid: 'standalone' });
+    });
+
+    it('groups keys under the cached identifier they belong to when it contains a key segment itself', async () => {
+        const id = 'other:tx:ab';
+        await dbUtils.batch(dbUtils.historyOps(id, new Map(), [{ txid: 'a', timeFirstSeen: 1 }]));
+        await dbUtils.updateGlobalMetadata(`script:${id}`, { accessCount: 1, createdAt: 1 });
+        await dbUtils.batch(dbUtils.historyOps('orphan', new Map(), [{ txid: 'b', timeFirstSeen: 1 }]));
+
+        const { entries } = await dbUtils.getCacheEntries();
+
+        assert.deepStrictEqual(entries.map(entry => [entry.identifier, entry.kind, entry.keys.length]).sort(), [
+            ['orphan', 'address', 2],
+            [id, 'script', 3],
+        ]);
+    });
+
+    it('compresses stored txs, reads entries written uncompressed and counts compressed bytes', async () => {
+        const adapter = new MemoryStorageAdapter();
+        const plain = new DbUtils(tempDir, { adapter, enableLogging: false });
+        const compressed = new DbUtils(tempDir, { adapter, compression: 'brotli', enableLogging: false });
+        const tx = txid => ({ txid, timeFirstSeen: 1, outputs: [{ sats: 546n, outputScript: `76a914${'ab'.repeat(20)}88ac` }], inputScript: 'cd'.repeat(100) });
+
+        await plain.batch(plain.historyOps('ecash:old', new Map(), [tx('a')]));
+        const uncompressedSize = await plain.calculateCacheSize();
+        const operations = compressed.historyOps('ecash:new', new Map(), [tx('a')]);
+        await compressed.batch(operations);
+
+        assert.ok(isCompressed(operations.find(op => op.key === 'ecash:new:tx:a').value));
+        assert.deepStrictEqual(await compressed.getCachedTx('ecash:old', 'a'), tx('a'));
+        assert.deepStrictEqual(await compressed.getTxMap('ecash:new'), { a: tx('a') });
+        const { entries } = await compressed.getCacheEntries();
+        const sizes = Object.fromEntries(entries.map(entry => [entry.identifier, entry.size]));
+        assert.ok(sizes['ecash:new'] < sizes['ecash:old']);
+        assert.equal(await compressed.calculateCacheSize(), uncompressedSize + sizes['ecash:new']);
+    });
+
+    it('keeps the schema version through clear and does not count it as stored data', async () => {
+        assert.equal(await dbUtils.getSchemaVersion(), null);
+        assert.equal(await dbUtils.isEmpty(), true);
+
+        await dbUtils.setSchemaVersion(3);
+        assert.equal(await dbUtils.isEmpty(), true);
+        await dbUtils.put('tx:a', { txid: 'a' });
+        assert.equal(await dbUtils.isEmpty(), false);
+        await dbUtils.clear();
+
+        assert.equal(await dbUtils.get('tx:a'), null);
+        assert.equal(await dbUtils.getSchemaVersion(), 3);
+    });
+
+    it('sizes cache entries decompressing only metadata values', async () => {
+        const adapter = new MemoryStorageAdapter();
+        const compressed = new DbUtils(tempDir, { adapter, compression: 'deflate', enableLogging: false });
+        const id = 'ecash:test';
+        const metadata = { accessCount: 4, createdAt: 1, dataHash: 'ab'.repeat(64) };
+        await compressed.updateGlobalMetadata(`address:${id}`, metadata);
+        // Decompressing these would throw, an unknown format
+        await adapter.put(`${id}:tx:a`, '\u0009AAAA');
+        await adapter.put(`txIndex:a:address:${id}`, '\u0009AAAA');
+
+        const { entries } = await compressed.getCacheEntries();
+        const keys = [];
+        for await (const key of compressed.keys(`${id}:`)) {
+            keys.push(key);
+        }
+
+        assert.deepStrictEqual(entries[0].metadata, metadata);
+        assert.deepStrictEqual(entries[0].keys.sort(), [`${id}:tx:a`, `metadata:address:${id}`, `txIndex:a:address:${id}`]);
+        assert.deepStrictEqual(keys, [`${id}:tx:a`]);
+    });
+
+    it('lists cached identifiers from global metadata keys', async () => {
+        await dbUtils.updateGlobalMetadata('address:ecash:test', { accessCount: 1 });
+        await dbUtils.updateGlobalMetadata('token:token-1', { accessCount: 1 });
+        await dbUtils.put('ecash:test:tx:a', { txid: 'a' });
+
+        const identifiers = await dbUtils.getCachedIdentifiers();
+
+        assert.deepStrictEqual(identifiers, [
+            { identifier: 'ecash:test', kind: 'address' },
+            { identifier: 'token-1', kind: 'token' },
+        ]);
+    });
 });
@@ -0,0 +1,63 @@
+const assert = require('node:assert/strict');
+const { ADDRESS, SCRIPT, LOKAD, PLUGIN, TOKEN, ENTITY_TYPES, entityTypeOf, scriptEntity } = require('../../src/lib/entityTypes');
+const { createTx, createChronikMock } = require('../helpers/mockFactory');
+
+describe('entity types', () => {
+    const hash = 'ab'.repeat(20);
+    const pubkey = '03' + '11'.repeat(32);
+
+    it('fetches each kind from its own chronik endpoint', async () => {
+        const chronik = createChronikMock();
+
+        await ADDRESS.history(chronik, 'ecash:qptestaddress', 1, 50);
+        await SCRIPT.history(chronik, `p2pk:${pubkey}`, 0, 1);
+        await LOKAD.history(chronik, 'lokad:534c5030', 2, 10);
+        await PLUGIN.history(chronik, 'plugin:agora:0011', 0, 25);
+        await PLUGIN.utxos(chronik, 'plugin:agora:0011');
+        await TOKEN.history(chronik, 'token-id-1', 3, 200);
+
+        assert.deepStrictEqual(chronik.state.addressCalls, [{ address: 'ecash:qptestaddress', pageOffset: 1, pageSize: 50 }]);
+        assert.deepStrictEqual(chronik.state.scriptCalls, [{ type: 'p2pk', payload: pubkey, pageOffset: 0, pageSize: 1 }]);
+        assert.deepStrictEqual(chronik.state.lokadCalls, [{ lokadId: '534c5030', pageOffset: 2, pageSize: 10 }]);
+        assert.deepStrictEqual(chronik.state.pluginCalls, [{ pluginName: 'agora', group: '0011', pageOffset: 0, pageSize: 25 }]);
+        assert.deepStrictEqual(chronik.state.pluginUtxoCalls, [{ pluginName: 'agora', group: '0011' }]);
+        assert.deepStrictEqual(chronik.state.tokenCalls, [{ tokenId: 'token-id-1', pageOffset: 3, pageSize: 200 }]);
+        assert.equal('utxos' in LOKAD, false);
+        assert.throws(() => SCRIPT.history(chronik, 'lokad:534c5030', 0, 1), /Invalid script identifier/);
+    });
+
+    it('derives UTXOs in the shape of the matching chronik endpoint', () => {
+        const tx = createTx({
+            txid: 'tx-1',
+            outputs: [
+                { sats: 546n, outputScript: `21${pubkey}ac` },
+                { sats: 600n, outputScript: `76a914${hash}88ac`, plugins: { agora: { groups: ['0011'], data: ['ff'] } } },
+            ],
+        });
+        const cache = { txMap: { 'tx-1': tx }, txOrder: ['tx-1'] };
+
+        const scriptUtxos = SCRIPT.deriveUtxos(cache, `p2pk:${pubkey}`);
+        const pluginUtxos = PLUGIN.deriveUtxos(cache, 'plugin:agora:0011');
+        const tokenUtxos = TOKEN.deriveUtxos(cache, 'token-id-1');
+
+        assert.equal(scriptUtxos.outputScript, `21${pubkey}ac`);
+        assert.deepStrictEqual(scriptUtxos.utxos.map(utxo => utxo.sats), [546n]);
+        assert.equal(pluginUtxos.pluginName, 'agora');
+        assert.equal(pluginUtxos.groupHex, '0011');
+        assert.deepStrictEqual(pluginUtxos.utxos.map(utxo => [utxo.sats, utxo.script]), [[600n, `76a914${hash}88ac`]]);
+        assert.deepStrictEqual(tokenUtxos, { tokenId: 'token-id-1', utxos: [] });
+    });
+
+    it('looks descriptors up by kind and caches p2pkh and p2sh scripts as their address', () => {
+        assert.deepStrictEqual(ENTITY_TYPES.map(type => type.kind), ['address', 'script', 'lokad', 'plugin', 'token']);
+        assert.deepStrictEqual(ENTITY_TYPES.map(type => type.socket), ['address', 'address', 'address', 'address', 'token']);
+        assert.equal(entityTypeOf('plugin'), PLUGIN);
+        assert.equal(entityTypeOf('token'), TOKEN);
+
+        const p2pkh = scriptEntity('p2pkh', hash);
+        const p2pk = scriptEntity('p2pk', pubkey);
+        assert.equal(p2pkh.type, ADDRESS);
+        assert.ok(p2pkh.identifier.startsWith('ecash:'));
+        assert.deepStrictEqual(p2pk, { type: SCRIPT, identifier: `p2pk:${pubkey}` });
+    });
+});
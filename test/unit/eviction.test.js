@@ -0,0 +1,40 @@
+const assert = require('node:assert/strict');
+const { rankForEviction } = require('../../src/lib/eviction');
+
+function entryOf(identifier, size, accessCount, lastAccessAt) {
+    return {
+        identifier,
+        kind: 'address',
+        metadata: { accessCount, createdAt: 0, lastAccessAt },
+        size,
+        keys: [],
+    };
+}
+
+describe('Cache eviction ranking', () => {
+    const entries = [
+        entryOf('recent-small', 100, 1, 300),
+        entryOf('old-popular', 200, 50, 100),
+        entryOf('mid-large', 10000, 4, 200),
+    ];
+    const rank = policy => rankForEviction(entries, policy).map(entry => entry.identifier);
+
+    it('evicts the least recently accessed entry first under lru', () => {
+        assert.deepStrictEqual(rank('lru'), ['old-popular', 'mid-large', 'recent-small']);
+    });
+
+    it('evicts the least often accessed entry first under lfu', () => {
+        assert.deepStrictEqual(rank('lfu'), ['recent-small', 'mid-large', 'old-popular']);
+    });
+
+    it('evicts the entry holding the most bytes per access first under size-weighted', () => {
+        assert.deepStrictEqual(rank('size-weighted'), ['mid-large', 'recent-small', 'old-popular']);
+    });
+
+    it('ranks entries without metadata as never accessed', () => {
+        const orphan = { identifier: 'orphan', kind: 'address', metadata: null, size: 1, keys: [] };
+
+        assert.equal(rankForEviction([...entries, orphan], 'lru')[0].identifier, 'orphan');
+        assert.equal(rankForEviction([...entries, orphan], 'lfu')[0].identifier, 'orphan');
+    });
+});
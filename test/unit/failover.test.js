@@ -35,6 +35,23 @@ describe('FailoverHandler', () => {
         );
     });
 
+    it('does not retry an aborted operation', async () => {
+        const handler = new FailoverHandler({
+            maxRetries: 3,
+            retryDelay: 1,
+        });
+
+        let attempts = 0;
+        await assert.rejects(
+            handler.executeWithRetry(async () => {
+                attempts += 1;
+                AbortSignal.abort().throwIfAborted();
+            }, 'abort-test'),
+            { name: 'AbortError' },
+        );
+        assert.equal(attempts, 1);
+    });
+
     it('returns null for NotFoundError in handleDbOperation', async () => {
         const handler = new FailoverHandler({
             maxRetries: 1,
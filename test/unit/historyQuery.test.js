@@ -0,0 +1,84 @@
+const assert = require('node:assert/strict');
+const { queryHistory, encodeCursor, decodeCursor } = require('../../src/lib/historyQuery');
+const sortTxIds = require('../../src/lib/sortTxIds').default;
+const { createTx } = require('../helpers/mockFactory');
+
+function buildCache(txs) {
+    const txMap = Object.fromEntries(txs.map(tx => [tx.txid, tx]));
+    return {
+        txMap,
+        txOrder: sortTxIds(Object.keys(txMap), txid => txMap[txid]),
+    };
+}
+
+function confirmedTx(txid, height) {
+    return createTx({
+        txid,
+        timeFirstSeen: height,
+        block: { height, hash: `hash-${height}`, timestamp: height * 10 },
+    });
+}
+
+describe('history cursor and range queries', () => {
+    const cache = buildCache([
+        createTx({ txid: 'mempool', timeFirstSeen: 5000 }),
+        confirmedTx('tx-103', 103),
+        confirmedTx('tx-102', 102),
+        confirmedTx('tx-101', 101),
+        confirmedTx('tx-100', 100),
+    ]);
+
+    it('walks the history page by page with a cursor', () => {
+        const first = queryHistory(cache, {}, 2);
+        const second = queryHistory(cache, { cursor: first.nextCursor }, 2);
+        const third = queryHistory(cache, { cursor: second.nextCursor }, 2);
+
+        assert.deepStrictEqual(first.txs.map(tx => tx.txid), ['mempool', 'tx-103']);
+        assert.deepStrictEqual(second.txs.map(tx => tx.txid), ['tx-102', 'tx-101']);
+        assert.deepStrictEqual(third.txs.map(tx => tx.txid), ['tx-100']);
+        assert.equal(third.nextCursor, undefined);
+        assert.equal(first.numTxs, 5);
+    });
+
+    it('keeps the cursor stable when new txs arrive', () => {
+        const first = queryHistory(cache, {}, 2);
+        const grown = buildCache([
+            ...Object.values(cache.txMap),
+            createTx({ txid: 'mempool-new', timeFirstSeen: 6000 }),
+        ]);
+
+        const second = queryHistory(grown, { cursor: first.nextCursor }, 2);
+
+        assert.deepStrictEqual(second.txs.map(tx => tx.txid), ['tx-102', 'tx-101']);
+    });
+
+    it('resumes after where the anchor would sort when the anchor tx is gone', () => {
+        const cursor = encodeCursor(cache.txMap['tx-102']);
+        const shrunk = buildCache(Object.values(cache.txMap).filter(tx => tx.txid !== 'tx-102'));
+
+        const page = queryHistory(shrunk, { cursor }, 10);
+
+        assert.deepStrictEqual(page.txs.map(tx => tx.txid), ['tx-101', 'tx-100']);
+    });
+
+    it('filters by block height and timestamp ranges', () => {
+        const byHeight = queryHistory(cache, { fromHeight: 101, toHeight: 102 }, 10);
+        const openEnded = queryHistory(cache, { fromHeight: 103 }, 10);
+        const byTime = queryHistory(cache, { fromTimestamp: 1000, toTimestamp: 1010 }, 10);
+
+        assert.deepStrictEqual(byHeight.txs.map(tx => tx.txid), ['tx-102', 'tx-101']);
+        assert.deepStrictEqual(openEnded.txs.map(tx => tx.txid), ['mempool', 'tx-103']);
+        assert.deepStrictEqual(byTime.txs.map(tx => tx.txid), ['tx-101', 'tx-100']);
+    });
+
+    it('returns only txs newer than a txid', () => {
+        const page = queryHistory(cache, { newerThan: 'tx-102' }, 10);
+
+        assert.deepStrictEqual(page.txs.map(tx => tx.txid), ['mempool', 'tx-103']);
+        assert.throws(() => queryHistory(cache, { newerThan: 'unknown' }, 10), /Unknown txid/);
+    });
+
+    it('rejects malformed cursors', () => {
+        assert.throws(() => decodeCursor('not-a-cursor'), /Invalid history cursor/);
+    });
+});
@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+const DbUtils = require('../../src/lib/dbUtils').default;
+
+describe('MemoryStorageAdapter', () => {
+    it('round-trips bigint fields without sharing references', async () => {
+        const adapter = new MemoryStorageAdapter();
+        const payload = { output: { sats: 1234567890123456789n } };
+
+        await adapter.put('tx:a', payload);
+        payload.output.sats = 1n;
+
+        const stored = await adapter.get('tx:a');
+        assert.equal(stored.output.sats, 1234567890123456789n);
+        assert.equal(await adapter.get('tx:missing'), undefined);
+    });
+
+    it('iterates keys by prefix in sorted order and applies batches', async () => {
+        const adapter = new MemoryStorageAdapter();
+        await adapter.batch([
+            { type: 'put', key: 'metadata:token:b', value: 2 },
+            { type: 'put', key: 'metadata:address:a', value: 1 },
+            { type: 'put', key: 'other', value: 3 },
+        ]);
+        await adapter.batch([{ type: 'del', key: 'other' }]);
+
+        const entries = [];
+        for await (const entry of adapter.iterator({ prefix: 'metadata:' })) {
+            entries.push(entry);
+        }
+
+        assert.deepStrictEqual(entries, [
+            ['metadata:address:a', 1],
+            ['metadata:token:b', 2],
+        ]);
+        assert.equal(await adapter.get('other'), undefined);
+        assert.ok((await adapter.size()) > 0);
+
+        await adapter.clear();
+        assert.equal(await adapter.size(), 0);
+    });
+
+    it('backs DbUtils without touching the filesystem', async () => {
+        const dbUtils = new DbUtils('./unused', {
+            enableLogging: false,
+            adapter: new MemoryStorageAdapter(),
+        });
+
+        await dbUtils.put('ecash:test:txOrder', ['b', 'a']);
+
+        assert.deepStrictEqual(await dbUtils.get('ecash:test:txOrder'), ['b', 'a']);
+        await dbUtils.close();
+    });
+});
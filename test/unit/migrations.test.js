@@ -0,0 +1,158 @@
+const assert = require('node:assert/strict');
+const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+const { decodeValue } = require('../../src/lib/serialization');
+const { SCHEMA_VERSION } = require('../../src/lib/migrations');
+const { ADDRESS: ADDRESS_TYPE, SCRIPT, TOKEN } = require('../../src/lib/entityTypes');
+const { createCacheHarness, createTx } = require('../helpers/mockFactory');
+
+const ADDRESS = 'ecash:qr6lws9uwmjkkaau4w956lugs9nlg9hudqs26lyxkv';
+const TOKEN_ID = 'aa'.repeat(32);
+
+// Fixtures hold the stored keys of a database as written by an older version
+async function loadFixture(storage, name, prefix = '') {
+    const fixture = require(`./fixtures/${name}.json`);
+    for (const [key, value] of Object.entries(fixture)) {
+        await storage.put(`${prefix}${key}`, decodeValue(JSON.stringify(value)));
+    }
+}
+
+function amounts(tx) {
+    return [...tx.inputs, ...tx.outputs].map(entry => [entry.value, entry.sats, entry.token?.amount, entry.token?.atoms]);
+}
+
+describe('Stored schema migrations', () => {
+    let harness;
+    let storage;
+
+    beforeEach(() => {
+        storage = new MemoryStorageAdapter();
+    });
+
+    afterEach(async () => {
+        if (harness) {
+            await harness.cleanup();
+            harness = null;
+        }
+    });
+
+    async function openCache(config = {}) {
+        harness = await createCacheHarness({ overrideDeps: false, config: { storage, ...config } });
+        await harness.cache.startupRepair;
+        return harness.cache;
+    }
+
+    it('moves legacy histories to per-transaction keys with chronik-client v3 amounts', async () => {
+        await loadFixture(storage, 'schema-1-legacy');
+
+        const cache = await openCache();
+
+        assert.equal(await storage.get('schemaVersion'), SCHEMA_VERSION);
+        const history = await cache._readCache(ADDRESS);
+        assert.deepStrictEqual(history.txOrder, ['a1', 'b1']);
+        assert.deepStrictEqual(amounts(history.txMap.a1), [
+            [undefined, 1200n, undefined, undefined],
+            [undefined, 700n, undefined, undefined],
+            [undefined, 300n, undefined, undefined],
+        ]);
+        assert.equal(await storage.get(`${ADDRESS}:sum:b1`), undefined);
+        assert.equal((await cache._readSummaryPage(ADDRESS_TYPE, ADDRESS, 0, 2))[1].satsDelta, 1200n);
+        const tokenTx = (await cache._readCache(TOKEN_ID, TOKEN)).txMap.c1;
+        assert.deepStrictEqual(amounts(tokenTx)[2], [undefined, 546n, undefined, 100n]);
+        assert.deepStrictEqual(await storage.get('tx:c1'), tokenTx);
+        assert.equal(await storage.get(`${ADDRESS}:txMap:0`), undefined);
+        assert.deepStrictEqual(await storage.get('metadata:address:ecash:qphalfwritten'), {
+            accessCount: 2,
+            createdAt: 1690000000000,
+            updatedAt: 1700000300000,
+        });
+        assert.equal(await storage.get('ecash:qphalfwritten:txOrder:0'), undefined);
+    });
+
+    it('serves txs requested while the migration runs in their migrated shape', async () => {
+        await loadFixture(storage, 'schema-1-legacy');
+        harness = await createCacheHarness({ overrideDeps: false, config: { storage } });
+
+        const tx = await harness.cache.tx('c1');
+
+        assert.deepStrictEqual(amounts(tx)[2], [undefined, 546n, undefined, 100n]);
+        assert.equal(harness.chronik.state.txCalls.length, 0);
+    });
+
+    it('renames amounts of unversioned per-transaction caches and indexes txs per holding cache', async () => {
+        await loadFixture(storage, 'schema-1-per-tx');
+        const current = await storage.get('tx:e1');
+
+        const cache = await openCache();
+
+        const history = await cache._readCache(ADDRESS);
+        assert.deepStrictEqual(history.txOrder, ['a1', 'b1']);
+        assert.deepStrictEqual(amounts(history.txMap.b1).map(([value, sats]) => [value, sats]), [
+            [undefined, 5000n],
+            [undefined, 1200n],
+            [undefined, 3500n],
+        ]);
+        assert.deepStrictEqual(await storage.get('tx:e1'), current);
+        assert.equal(await storage.get('txIndex:a1'), undefined);
+        assert.deepStrictEqual(await cache.db.getTxIndex('a1'), [{ identifier: ADDRESS, kind: 'address' }]);
+        assert.equal(await storage.get('schemaVersion'), SCHEMA_VERSION);
+    });
+
+    it('moves scripts, LOKAD ids and plugin groups stored as addresses to their own kinds', async () => {
+        const p2pk = `p2pk:02${'44'.repeat(32)}`;
+        const plugin = 'plugin:agora:50aa';
+        const seeded = await openCache();
+        for (const [identifier, txid] of [[p2pk, 'p1'], [plugin, 'g1'], [ADDRESS, 'a1']]) {
+            await seeded._writeCache(identifier, { txMap: { [txid]: createTx({ txid }) }, txOrder: [txid] });
+        }
+        await storage.put('schemaVersion', 4);
+        await harness.cleanup();
+
+        const cache = await openCache();
+
+        assert.equal(await storage.get('schemaVersion'), SCHEMA_VERSION);
+        assert.equal(await storage.get(`metadata:address:${p2pk}`), undefined);
+        assert.equal((await storage.get(`metadata:script:${p2pk}`)).numTxs, 1);
+        assert.equal((await storage.get(`metadata:plugin:${plugin}`)).numTxs, 1);
+        assert.equal((await storage.get(`metadata:address:${ADDRESS}`)).numTxs, 1);
+        assert.deepStrictEqual(await cache.db.getTxIndex('p1'), [{ identifier: p2pk, kind: 'script' }]);
+        assert.deepStrictEqual(await cache.db.getTxIndex('g1'), [{ identifier: plugin, kind: 'plugin' }]);
+        assert.deepStrictEqual(await cache.db.getTxIndex('a1'), [{ identifier: ADDRESS, kind: 'address' }]);
+        assert.deepStrictEqual((await cache._readCache(p2pk, SCRIPT)).txOrder, ['p1']);
+    });
+
+    it('stamps new databases and skips migrations once the version is current', async () => {
+        await openCache();
+        assert.equal(await storage.get('schemaVersion'), SCHEMA_VERSION);
+        await harness.cleanup();
+
+        const oldShaped = createTx({ txid: 'x', outputs: [{ value: 546, outputScript: '6a' }] });
+        await storage.put('tx:x', oldShaped);
+        await openCache();
+
+        assert.deepStrictEqual(await storage.get('tx:x'), oldShaped);
+    });
+
+    it('clears databases from a newer version or that fail to migrate, within their namespace', async () => {
+        await storage.put('!newer!schemaVersion', SCHEMA_VERSION + 1);
+        await storage.put('!newer!tx:a', createTx({ txid: 'a' }));
+        await loadFixture(storage, 'schema-1-per-tx', '!broken!');
+        await storage.put('!broken!tx:b', createTx({ txid: 'b', outputs: [{ value: 'not a number', outputScript: '6a' }] }));
+        await storage.put('!other!tx:c', createTx({ txid: 'c' }));
+
+        for (const namespace of ['newer', 'broken']) {
+            await openCache({ namespace });
+            await harness.cleanup();
+            harness = null;
+        }
+
+        const keys = [];
+        for await (const [key, value] of storage.iterator()) {
+            keys.push([key, key.endsWith('schemaVersion') ? value : undefined]);
+        }
+        assert.deepStrictEqual(keys, [
+            ['!broken!schemaVersion', SCHEMA_VERSION],
+            ['!newer!schemaVersion', SCHEMA_VERSION],
+            ['!other!tx:c', undefined],
+        ]);
+    });
+});
@@ -0,0 +1,59 @@
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const { mkdtemp, rm } = require('node:fs/promises');
+const MemoryStorageAdapter = require('../../src/lib/MemoryStorageAdapter').default;
+const NamespacedStorageAdapter = require('../../src/lib/NamespacedStorageAdapter').default;
+const DbUtils = require('../../src/lib/dbUtils').default;
+
+async function collect(iterable) {
+    const entries = [];
+    for await (const entry of iterable) {
+        entries.push(entry);
+    }
+    return entries;
+}
+
+describe('NamespacedStorageAdapter', () => {
+    it('keeps namespaces sharing one backend apart', async () => {
+        const backend = new MemoryStorageAdapter();
+        const a = new NamespacedStorageAdapter(backend, 'a');
+        const b = new NamespacedStorageAdapter(backend, 'b');
+
+        await a.put('metadata:address:x', { numTxs: 1 });
+        await b.put('metadata:address:x', { numTxs: 2 });
+
+        assert.deepStrictEqual(await a.get('metadata:address:x'), { numTxs: 1 });
+        assert.deepStrictEqual(await collect(b.iterator({ prefix: 'metadata:' })), [
+            ['metadata:address:x', { numTxs: 2 }],
+        ]);
+
+        await a.clear();
+
+        assert.equal(await a.get('metadata:address:x'), undefined);
+        assert.deepStrictEqual(await b.get('metadata:address:x'), { numTxs: 2 });
+        assert.equal(await a.size(), 0);
+        assert.ok((await b.size()) > 0);
+    });
+
+    it('lets two DbUtils open the same LevelDB directory under different namespaces', async () => {
+        const tempDir = await mkdtemp(path.join(os.tmpdir(), 'chronik-cache-test-'));
+        const first = new DbUtils(tempDir, { namespace: 'first' });
+        const second = new DbUtils(tempDir, { namespace: 'second' });
+
+        try {
+            await first.put('key', 'one');
+            await second.put('key', 'two');
+
+            assert.equal(await first.get('key'), 'one');
+            assert.equal(await second.get('key'), 'two');
+
+            await first.close();
+            // The shared handle stays open until the last user closes it
+            assert.equal(await second.get('key'), 'two');
+        } finally {
+            await second.close();
+            await rm(tempDir, { recursive: true, force: true });
+        }
+    });
+});
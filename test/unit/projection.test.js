@@ -0,0 +1,34 @@
+const assert = require('node:assert/strict');
+const { projectTx, resolveProjection, droppedFields, savedBytes } = require('../../src/lib/projection');
+const { createTx } = require('../helpers/mockFactory');
+
+describe('Transaction projection', () => {
+    const tx = createTx({
+        txid: 'projected',
+        inputs: [{ prevOut: { txid: 'prev', outIdx: 0 }, inputScript: 'ab'.repeat(70), outputScript: '76a9', sats: 1000n, sequenceNo: 0 }],
+        outputs: [{ sats: 900n, outputScript: '76a9', spentBy: { txid: 'next', outIdx: 0 } }],
+        tokenFailedParsings: [{ pushdataIdx: 1, bytes: 'ff', error: 'bad' }],
+    });
+
+    it('leaves the projected top-level, input and output fields out of a copy', () => {
+        const projected = projectTx(tx, ['tokenFailedParsings', 'inputs.inputScript', 'outputs.spentBy']);
+
+        assert.equal('tokenFailedParsings' in projected, false);
+        assert.deepStrictEqual(projected.inputs, [{ prevOut: { txid: 'prev', outIdx: 0 }, outputScript: '76a9', sats: 1000n, sequenceNo: 0 }]);
+        assert.deepStrictEqual(projected.outputs, [{ sats: 900n, outputScript: '76a9' }]);
+        assert.equal(projected.version, 2);
+        assert.equal(tx.inputs[0].inputScript, 'ab'.repeat(70));
+        assert.ok(savedBytes(tx, projected) > 140);
+        assert.equal(projectTx(tx, []), tx);
+        assert.equal(savedBytes(tx, tx), 0);
+    });
+
+    it('resolves global and per entity type projections and the fields a request misses', () => {
+        assert.deepStrictEqual(resolveProjection(['size']), { address: ['size'], script: ['size'], lokad: ['size'], plugin: ['size'], token: ['size'] });
+        assert.deepStrictEqual(resolveProjection({ token: ['inputs.plugins'] }), { address: [], script: [], lokad: [], plugin: [], token: ['inputs.plugins'] });
+        assert.deepStrictEqual(resolveProjection({ address: ['size', 'outputs.plugins'] }).plugin, ['size']);
+        assert.deepStrictEqual(resolveProjection(), { address: [], script: [], lokad: [], plugin: [], token: [] });
+        assert.deepStrictEqual(droppedFields(['size', 'version'], ['version', 'lockTime']), ['version']);
+        assert.deepStrictEqual(droppedFields(['size']), []);
+    });
+});
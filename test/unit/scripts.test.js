@@ -0,0 +1,34 @@
+const assert = require('node:assert/strict');
+const { encodeCashAddress } = require('ecashaddrjs');
+const { scriptIdentifier, parseScriptIdentifier, identifierOutputScript } = require('../../src/lib/scripts');
+
+describe('scripts', () => {
+    const hash = 'ab'.repeat(20);
+    const compressed = '03' + '11'.repeat(32);
+    const uncompressed = '04' + '22'.repeat(64);
+
+    it('keys p2pkh and p2sh by cash address and other types by type:payload', () => {
+        assert.equal(scriptIdentifier('p2pkh', hash.toUpperCase()), encodeCashAddress('ecash', 'p2pkh', hash));
+        assert.equal(scriptIdentifier('p2sh', hash), encodeCashAddress('ecash', 'p2sh', hash));
+        assert.equal(scriptIdentifier('p2pk', compressed), `p2pk:${compressed}`);
+        assert.equal(scriptIdentifier('other', '6a04deadbeef'), 'other:6a04deadbeef');
+    });
+
+    it('rejects unknown types and malformed payloads', () => {
+        assert.throws(() => scriptIdentifier('p2tr', hash), /Unsupported script type/);
+        assert.throws(() => scriptIdentifier('p2pkh', 'ab'), /expected a 20 byte hash/);
+        assert.throws(() => scriptIdentifier('p2pk', hash), /expected a 33 or 65 byte public key/);
+        assert.throws(() => scriptIdentifier('other', 'abc'), /Invalid script payload/);
+    });
+
+    it('parses identifiers back and derives their output scripts', () => {
+        const address = encodeCashAddress('ecash', 'p2pkh', hash);
+
+        assert.equal(parseScriptIdentifier(address), null);
+        assert.deepStrictEqual(parseScriptIdentifier(`other:6a`), { type: 'other', payload: '6a' });
+        assert.equal(identifierOutputScript(address), `76a914${hash}88ac`);
+        assert.equal(identifierOutputScript(`p2pk:${compressed}`), `21${compressed}ac`);
+        assert.equal(identifierOutputScript(`p2pk:${uncompressed}`), `41${uncompressed}ac`);
+        assert.equal(identifierOutputScript('other:6a04deadbeef'), '6a04deadbeef');
+    });
+});
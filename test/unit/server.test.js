@@ -0,0 +1,249 @@
+const assert = require('node:assert/strict');
+const { encodeCashAddress } = require('ecashaddrjs');
+const { createServer } = require('../../src/lib/server');
+const { createTx, createHistoryPage } = require('../helpers/mockFactory');
+
+describe('createServer', () => {
+    const address = encodeCashAddress('ecash', 'p2pkh', '11'.repeat(20));
+    const tokenId = 'ab'.repeat(32);
+    let server;
+    let baseUrl;
+    let calls;
+
+    function createCacheStub(overrides = {}) {
+        return {
+            address: value => ({
+                history: async (page, pageSize, options = {}) => {
+                    calls.push(['address', value, page, pageSize, ...(Object.keys(options).length > 0 ? [options] : [])]);
+                    return createHistoryPage({
+                        txs: [createTx({ txid: 'a', outputs: [{ sats: 546n, outputScript: '76a9' }] })],
+                        numTxs: 1,
+                    });
+                },
+                utxos: async () => ({ outputScript: '76a9', utxos: [] }),
+            }),
+            script: (type, payload) => ({
+                history: async (page, pageSize) => {
+                    calls.push(['script', type, payload, page, pageSize]);
+                    return createHistoryPage();
+                },
+            }),
+            tokenId: value => ({
+                history: async page => {
+                    if (page > 5) throw new Error('Page 6 out of range');
+                    return createHistoryPage();
+                },
+            }),
+            tx: async txid => {
+                throw new Error(`Failed getting /tx/${txid} (404): Transaction not found in the index`);
+            },
+            getStatistics: async () => ({ items: { total: 1 } }),
+            getCacheStatus: (id, kind) => (kind === 'token' ? 'UNKNOWN' : 'LATEST'),
+            warm: targets => ({
+                targets,
+                done: Promise.resolve(targets.map(target => ({ ...target, status: 'UNKNOWN', error: new Error('chronik down') }))),
+            }),
+            clearCache: async (value, kind) => {
+                calls.push(['clear', value, kind]);
+            },
+            ...overrides,
+        };
+    }
+
+    async function start(cache, options) {
+        const app = createServer(cache, options);
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    async function request(path, init) {
+        const response = await fetch(baseUrl + path, init);
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    }
+
+    beforeEach(() => {
+        calls = [];
+    });
+
+    afterEach(async () => {
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+            server = null;
+        }
+    });
+
+    it('serves address and script history with chronik paging and bigint-safe JSON', async () => {
+        await start(createCacheStub());
+
+        const history = await request(`/address/${address}/history?page=2&page_size=50`);
+        const script = await request(`/script/p2pkh/${'AB'.repeat(20)}/history`);
+
+        assert.equal(history.status, 200);
+        assert.equal(history.body.txs[0].outputs[0].sats, '546');
+        assert.equal(script.status, 200);
+        assert.deepStrictEqual(calls, [
+            ['address', address, 2, 50],
+            ['script', 'p2pkh', 'ab'.repeat(20), 0, 25],
+        ]);
+    });
+
+    it('serves balances and token holders with amounts as decimal strings', async () => {
+        await start(createCacheStub({
+            address: value => ({
+                balance: async () => ({ outputScript: '76a9', sats: { confirmed: 1000n, unconfirmed: -546n }, tokens: [] }),
+            }),
+            tokenId: value => ({
+                holders: async () => ({ tokenId: value, holders: [{ script: '76a9', confirmed: 5n, unconfirmed: 0n }] }),
+            }),
+        }));
+
+        const balance = await request(`/address/${address}/balance`);
+        const holders = await request(`/token-id/${tokenId}/holders`);
+
+        assert.deepStrictEqual(balance.body.sats, { confirmed: '1000', unconfirmed: '-546' });
+        assert.deepStrictEqual(holders.body, { tokenId, holders: [{ script: '76a9', confirmed: '5', unconfirmed: '0' }] });
+    });
+
+    it('passes cursor, range, summary and fields parameters to history', async () => {
+        await start(createCacheStub());
+
+        await request(`/address/${address}/history?cursor=abc&fromHeight=800000&page_size=10`);
+
+        await request(`/address/${address}/history?page=1&summary=true`);
+        await request(`/address/${address}/history?fields=inputs.inputScript,size`);
+        const invalid = await Promise.all([
+            request(`/address/${address}/history?summary=yes`),
+            request(`/address/${address}/history?fields=outputs.sats`),
+        ]);
+
+        assert.deepStrictEqual(calls, [
+            ['address', address, { cursor: 'abc', fromHeight: 800000, pageSize: 10 }, 10],
+            ['address', address, 1, 25, { summary: true }],
+            ['address', address, 0, 25, { fields: ['inputs.inputScript', 'size'] }],
+        ]);
+        assert.deepStrictEqual(invalid.map(response => response.status), [400, 400]);
+    });
+
+    it('rejects invalid identifiers and parameters with 400', async () => {
+        await start(createCacheStub(), { maxPageSize: 100 });
+
+        const invalid = await Promise.all([
+            request('/address/ecash:notanaddress/history'),
+            request('/token-id/xyz/history'),
+            request('/script/p2tr/00/history'),
+            request('/script/p2pk/00/history'),
+            request(`/address/${address}/history?page_size=101`),
+            request(`/address/${address}/history?page=-1`),
+            request(`/token-id/${tokenId}/history?page=6`),
+        ]);
+
+        assert.deepStrictEqual(invalid.map(response => [response.status, response.body.code]), [
+            [400, 'INVALID_ADDRESS'],
+            [400, 'INVALID_TOKENID'],
+            [400, 'INVALID_SCRIPT_TYPE'],
+            [400, 'INVALID_SCRIPT_PAYLOAD'],
+            [400, 'INVALID_PARAMETER'],
+            [400, 'INVALID_PARAMETER'],
+            [400, 'INVALID_PARAMETER'],
+        ]);
+        assert.deepStrictEqual(calls, []);
+    });
+
+    it('maps missing txs and unknown routes to 404 and other failures to 500', async () => {
+        await start(createCacheStub({
+            getStatistics: async () => {
+                throw new Error('db failed');
+            },
+        }));
+
+        const tx = await request(`/tx/${'cd'.repeat(32)}`);
+        const route = await request('/blocks');
+        const stats = await request('/stats');
+
+        assert.deepStrictEqual([tx.status, tx.body.code], [404, 'NOT_FOUND']);
+        assert.deepStrictEqual([route.status, route.body.code], [404, 'NOT_FOUND']);
+        assert.deepStrictEqual(stats.body, { error: 'db failed', code: 'INTERNAL_ERROR' });
+        assert.equal(stats.status, 500);
+    });
+
+    it('reports statuses, warms caches and clears them', async () => {
+        await start(createCacheStub());
+        const json = body => ({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const targets = [{ type: 'address', id: address }, { type: 'token', id: tokenId }];
+
+        const status = await request(`/status/token/${tokenId}`);
+        const queued = await request('/warm', json({ targets }));
+        const settled = await request('/warm?wait=true', json({ targets: [targets[0]] }));
+        const invalid = await request('/warm', json({ targets: [{ type: 'block', id: 'x' }] }));
+        const malformed = await request('/warm', { ...json({}), body: '{' });
+        const cleared = await request(`/address/${address}/cache`, { method: 'DELETE' });
+
+        assert.deepStrictEqual(status.body, { type: 'token', id: tokenId, status: 'UNKNOWN' });
+        assert.deepStrictEqual([queued.status, queued.body], [202, { targets }]);
+        assert.deepStrictEqual(settled.body.results, [{ ...targets[0], status: 'UNKNOWN', error: 'chronik down' }]);
+        assert.deepStrictEqual([invalid.status, invalid.body.code], [400, 'INVALID_TARGETS']);
+        assert.deepStrictEqual([malformed.status, malformed.body.code], [400, 'INVALID_BODY']);
+        assert.equal(cleared.status, 204);
+        assert.deepStrictEqual(calls, [['clear', address, 'address']]);
+    });
+
+    it('serves status, warm and clear routes for scripts, LOKAD ids and plugin groups', async () => {
+        await start(createCacheStub({ getCacheStatus: (id, kind) => `${kind} ${id}` }));
+        const pubkey = '02' + '33'.repeat(32);
+        const json = body => ({
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const targets = [
+            { type: 'script', id: `p2pk:${pubkey}` },
+            { type: 'lokad', id: 'lokad:534c5030' },
+            { type: 'plugin', id: 'plugin:agora:50aa' },
+        ];
+
+        const statuses = await Promise.all([
+            request(`/status/script/p2pk/${pubkey.toUpperCase()}`),
+            request(`/status/script/p2pkh/${'11'.repeat(20)}`),
+            request('/status/lokad-id/534C5030'),
+            request('/status/plugin/agora/50AA'),
+        ]);
+        const queued = await request('/warm', json({ targets }));
+        const invalid = await Promise.all([
+            request('/warm', json({ targets: [{ type: 'script', id: `p2pkh:${'11'.repeat(20)}` }] })),
+            request('/warm', json({ targets: [{ type: 'lokad', id: '534c5030' }] })),
+            request('/warm', json({ targets: [{ type: 'plugin', id: 'plugin:tx:50aa' }] })),
+            request('/status/lokad-id/xyz'),
+            request('/plugin/idx/50aa/cache', { method: 'DELETE' }),
+        ]);
+        for (const path of [`/script/p2pk/${pubkey}/cache`, '/lokad-id/534c5030/cache', '/plugin/agora/50aa/cache']) {
+            assert.equal((await request(path, { method: 'DELETE' })).status, 204);
+        }
+
+        assert.deepStrictEqual(statuses.map(response => response.body), [
+            { type: 'script', id: `p2pk:${pubkey}`, status: `script p2pk:${pubkey}` },
+            { type: 'address', id: address, status: `address ${address}` },
+            { type: 'lokad', id: 'lokad:534c5030', status: 'lokad lokad:534c5030' },
+            { type: 'plugin', id: 'plugin:agora:50aa', status: 'plugin plugin:agora:50aa' },
+        ]);
+        assert.deepStrictEqual([queued.status, queued.body], [202, { targets }]);
+        assert.deepStrictEqual(invalid.map(response => [response.status, response.body.code]), [
+            [400, 'INVALID_SCRIPT'],
+            [400, 'INVALID_LOKADID'],
+            [400, 'INVALID_PLUGIN_GROUP'],
+            [400, 'INVALID_LOKADID'],
+            [400, 'INVALID_PLUGIN_GROUP'],
+        ]);
+        assert.deepStrictEqual(calls, [
+            ['clear', `p2pk:${pubkey}`, 'script'],
+            ['clear', 'lokad:534c5030', 'lokad'],
+            ['clear', 'plugin:agora:50aa', 'plugin'],
+        ]);
+    });
+});
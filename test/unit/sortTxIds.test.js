@@ -1,5 +1,6 @@
 const assert = require('node:assert/strict');
 const sortTxIds = require('../../src/lib/sortTxIds').default;
+const { txSortKey, txOrderFromIndex } = require('../../src/lib/sortTxIds');
 
 describe('sortTxIds ordering guards', () => {
     it('orders confirmed txs by block height, then timeFirstSeen, then reverse alphabetical txid', () => {
@@ -46,4 +47,24 @@ describe('sortTxIds ordering guards', () => {
 
         assert.deepStrictEqual(sorted, ['zzz', 'aaa', 'old']);
     });
+
+    it('builds sort keys whose string order matches sortTxIds', () => {
+        const txs = [
+            { txid: 'ab', timeFirstSeen: 500 },
+            { txid: 'abc', timeFirstSeen: 500 },
+            { txid: 'ff', timeFirstSeen: 9 },
+            { txid: 'aaa', block: { height: 100 }, timeFirstSeen: 2000 },
+            { txid: 'zzz', block: { height: 100 }, timeFirstSeen: 2000 },
+            { txid: 'early', block: { height: 100 }, timeFirstSeen: 10 },
+            { txid: 'mid', block: { height: 101 }, timeFirstSeen: 1 },
+            { txid: 'deep', block: { height: 2 }, timeFirstSeen: 0 },
+        ];
+        const txMap = Object.fromEntries(txs.map(tx => [tx.txid, tx]));
+        const index = new Map(txs.map(tx => [tx.txid, txSortKey(tx)]));
+
+        assert.deepStrictEqual(
+            txOrderFromIndex(index),
+            sortTxIds(Object.keys(txMap), txid => txMap[txid]),
+        );
+    });
 });
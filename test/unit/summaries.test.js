@@ -0,0 +1,82 @@
+const assert = require('node:assert/strict');
+const { encodeCashAddress } = require('ecashaddrjs');
+const { summarizeTx } = require('../../src/lib/summaries');
+const { createTx } = require('../helpers/mockFactory');
+
+const HASH = 'f5f740bc76e56b77bcab8b4d7f888167f416fc68';
+const SCRIPT = `76a914${HASH}88ac`;
+const OTHER_HASH = '11'.repeat(20);
+const OTHER_SCRIPT = `76a914${OTHER_HASH}88ac`;
+const P2PK_SCRIPT = `21${'03' + '22'.repeat(32)}ac`;
+const TOKEN_ID = 'aa'.repeat(32);
+
+function tokenOf(atoms) {
+    return {
+        tokenId: TOKEN_ID,
+        tokenType: { protocol: 'ALP', type: 'ALP_TOKEN_TYPE_STANDARD', number: 0 },
+        atoms,
+    };
+}
+
+function input(outputScript, sats, token) {
+    return { prevOut: { txid: 'prev', outIdx: 0 }, inputScript: '', outputScript, sats, sequenceNo: 0, token };
+}
+
+describe('Transaction summaries', () => {
+    it('summarizes received txs with their senders and confirmation state', () => {
+        const tx = createTx({
+            txid: 'received',
+            inputs: [input(OTHER_SCRIPT, 5000n), input(P2PK_SCRIPT, 100n)],
+            outputs: [{ sats: 1234n, outputScript: SCRIPT, token: tokenOf(7n) }, { sats: 3800n, outputScript: OTHER_SCRIPT }],
+            block: { height: 800000, hash: 'h', timestamp: 1700000000 },
+            isFinal: true,
+        });
+
+        assert.deepStrictEqual(summarizeTx(tx, SCRIPT), {
+            txid: 'received',
+            direction: 'in',
+            satsDelta: 1234n,
+            tokenDeltas: [{ tokenId: TOKEN_ID, atoms: 7n }],
+            counterparties: [encodeCashAddress('ecash', 'p2pkh', OTHER_HASH), P2PK_SCRIPT],
+            blockHeight: 800000,
+            timestamp: 1700000000,
+            isFinal: true,
+        });
+    });
+
+    it('summarizes sent txs with their recipients, leaving out change and OP_RETURN', () => {
+        const tx = createTx({
+            txid: 'sent',
+            inputs: [input(SCRIPT, 10000n, tokenOf(7n))],
+            outputs: [
+                { sats: 0n, outputScript: '6a04deadbeef' },
+                { sats: 3000n, outputScript: OTHER_SCRIPT, token: tokenOf(7n) },
+                { sats: 6500n, outputScript: SCRIPT },
+            ],
+            timeFirstSeen: 1700000100,
+        });
+
+        const summary = summarizeTx(tx, SCRIPT, 'ectest');
+
+        assert.equal(summary.direction, 'out');
+        assert.equal(summary.satsDelta, -3500n);
+        assert.deepStrictEqual(summary.tokenDeltas, [{ tokenId: TOKEN_ID, atoms: -7n }]);
+        assert.deepStrictEqual(summary.counterparties, [encodeCashAddress('ectest', 'p2pkh', OTHER_HASH)]);
+        assert.deepStrictEqual([summary.blockHeight, summary.timestamp], [-1, 1700000100]);
+    });
+
+    it('marks txs paying only back to the script as self', () => {
+        const tx = createTx({
+            txid: 'self',
+            inputs: [input(SCRIPT, 2000n, tokenOf(5n))],
+            outputs: [{ sats: 546n, outputScript: SCRIPT, token: tokenOf(5n) }, { sats: 1200n, outputScript: SCRIPT }],
+        });
+
+        const summary = summarizeTx(tx, SCRIPT);
+
+        assert.equal(summary.direction, 'self');
+        assert.equal(summary.satsDelta, -254n);
+        assert.deepStrictEqual(summary.tokenDeltas, []);
+        assert.deepStrictEqual(summary.counterparties, []);
+    });
+});
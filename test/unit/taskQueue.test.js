@@ -36,4 +36,97 @@ describe('TaskQueue', () => {
         assert.equal(maxRunning, 2);
         assert.equal(queue.getQueueLength(), 0);
     });
+
+    it('starts waiting tasks when the concurrency limit is raised', async () => {
+        const queue = new TaskQueue(1);
+        let running = 0;
+        let maxRunning = 0;
+        const task = () =>
+            queue.enqueue(async () => {
+                running += 1;
+                maxRunning = Math.max(maxRunning, running);
+                await sleep(10);
+                running -= 1;
+            });
+
+        const done = Promise.all([task(), task(), task()]);
+        queue.setConcurrency(3);
+        await done;
+
+        assert.equal(maxRunning, 3);
+    });
+
+    it('runs waiting tasks by priority, in order within a priority', async () => {
+        const queue = new TaskQueue(1);
+        const order = [];
+        const task = (name, priority) => queue.enqueue(async () => {
+            order.push(name);
+        }, { priority });
+
+        await Promise.all([task('running'), task('low', -1), task('first'), task('high', 5), task('second')]);
+
+        assert.deepStrictEqual(order, ['running', 'high', 'first', 'second', 'low']);
+    });
+
+    it('coalesces a waiting task with the same key, running only the newest one', async () => {
+        const queue = new TaskQueue(1);
+        const ran = [];
+        const blocker = queue.enqueue(() => sleep(10));
+        const first = queue.enqueue(async () => ran.push('first'), { key: 'a' });
+        const second = queue.enqueue(async () => ran.push('second'), { key: 'a', priority: 2 });
+        assert.equal(queue.getQueueLength(), 1);
+        assert.strictEqual(first, second);
+        assert.equal(queue.isPending('a'), true);
+
+        await Promise.all([blocker, first]);
+
+        assert.deepStrictEqual(ran, ['second']);
+        assert.equal(queue.isPending('a'), false);
+        assert.equal(queue.getStats().coalesced, 1);
+    });
+
+    it('drops an aborted waiting task and hands the signal to a running one', async () => {
+        const queue = new TaskQueue(1);
+        const controller = new AbortController();
+        let seenSignal;
+        const running = queue.enqueue(async signal => {
+            seenSignal = signal;
+            await sleep(10);
+            signal.throwIfAborted();
+        }, { key: 'a', signal: controller.signal });
+        let waitingRan = false;
+        const waiting = queue.enqueue(async () => {
+            waitingRan = true;
+        }, { key: 'a', signal: controller.signal });
+        const idle = queue.whenIdle('a');
+
+        await sleep(0);
+        controller.abort();
+
+        await assert.rejects(waiting, { name: 'AbortError' });
+        await assert.rejects(running, { name: 'AbortError' });
+        await idle;
+        assert.strictEqual(seenSignal, controller.signal);
+        assert.equal(waitingRan, false);
+        assert.equal(queue.getStats().cancelled, 2);
+        await assert.rejects(queue.enqueue(async () => {}, { signal: controller.signal }), { name: 'AbortError' });
+    });
+
+    it('reports queue wait and run times', async () => {
+        const queue = new TaskQueue(1);
+        await Promise.all([
+            queue.enqueue(() => sleep(20)),
+            queue.enqueue(async () => {
+                throw new Error('failed');
+            }).catch(() => {}),
+        ]);
+
+        const stats = queue.getStats();
+        assert.equal(stats.completed, 1);
+        assert.equal(stats.failed, 1);
+        assert.ok(stats.maxWaitMs >= 15);
+        assert.ok(stats.maxRunMs >= 15);
+        assert.ok(stats.averageRunMs > 0 && stats.averageRunMs < stats.maxRunMs);
+        assert.deepStrictEqual([stats.running, stats.waiting, stats.concurrency], [0, 0, 1]);
+    });
 });
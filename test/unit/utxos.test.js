@@ -0,0 +1,145 @@
+const assert = require('node:assert/strict');
+const { deriveScriptUtxos, deriveTokenUtxos, derivePluginUtxos } = require('../../src/lib/utxos');
+const { createTx } = require('../helpers/mockFactory');
+
+const SCRIPT = '76a914f5f740bc76e56b77bcab8b4d7f888167f416fc6888ac';
+const OTHER_SCRIPT = '76a914000000000000000000000000000000000000000088ac';
+const TOKEN_ID = 'aa'.repeat(32);
+
+function tokenOf(atoms) {
+    return {
+        tokenId: TOKEN_ID,
+        tokenType: { protocol: 'ALP', type: 'ALP_TOKEN_TYPE_STANDARD', number: 0 },
+        atoms,
+    };
+}
+
+describe('UTXO derivation from cached history', () => {
+    it('returns outputs to the script that are not spent by a later cached tx', () => {
+        const funding = createTx({
+            txid: 'funding',
+            block: { height: 100, hash: 'h100', timestamp: 1 },
+            isFinal: true,
+            outputs: [
+                { sats: 1000n, outputScript: SCRIPT },
+                { sats: 2000n, outputScript: SCRIPT },
+                { sats: 3000n, outputScript: OTHER_SCRIPT },
+            ],
+        });
+        const spending = createTx({
+            txid: 'spending',
+            inputs: [
+                {
+                    prevOut: { txid: 'funding', outIdx: 0 },
+                    inputScript: '',
+                    outputScript: SCRIPT,
+                    sats: 1000n,
+                    sequenceNo: 0,
+                },
+            ],
+            outputs: [{ sats: 900n, outputScript: SCRIPT }],
+        });
+        const cache = {
+            txMap: { funding, spending },
+            txOrder: ['spending', 'funding'],
+        };
+
+        const utxos = deriveScriptUtxos(cache, SCRIPT);
+
+        assert.deepStrictEqual(utxos, [
+            {
+                outpoint: { txid: 'funding', outIdx: 1 },
+                blockHeight: 100,
+                isCoinbase: false,
+                sats: 2000n,
+                isFinal: true,
+            },
+            {
+                outpoint: { txid: 'spending', outIdx: 0 },
+                blockHeight: -1,
+                isCoinbase: false,
+                sats: 900n,
+                isFinal: false,
+            },
+        ]);
+    });
+
+    it('returns unspent token outputs with their scripts', () => {
+        const mint = createTx({
+            txid: 'mint',
+            block: { height: 5, hash: 'h5', timestamp: 1 },
+            outputs: [
+                { sats: 0n, outputScript: '6a' },
+                { sats: 546n, outputScript: SCRIPT, token: tokenOf(10n) },
+                { sats: 546n, outputScript: OTHER_SCRIPT, token: tokenOf(5n) },
+            ],
+        });
+        const send = createTx({
+            txid: 'send',
+            inputs: [
+                {
+                    prevOut: { txid: 'mint', outIdx: 2 },
+                    inputScript: '',
+                    outputScript: OTHER_SCRIPT,
+                    sats: 546n,
+                    sequenceNo: 0,
+                    token: tokenOf(5n),
+                },
+            ],
+            outputs: [
+                { sats: 0n, outputScript: '6a' },
+                { sats: 546n, outputScript: SCRIPT, token: tokenOf(5n) },
+            ],
+        });
+        const cache = {
+            txMap: { mint, send },
+            txOrder: ['send', 'mint'],
+        };
+
+        const utxos = deriveTokenUtxos(cache, TOKEN_ID);
+
+        assert.deepStrictEqual(
+            utxos.map(utxo => [utxo.outpoint.txid, utxo.outpoint.outIdx, utxo.script, utxo.token.atoms]),
+            [
+                ['mint', 1, SCRIPT, 10n],
+                ['send', 1, SCRIPT, 5n],
+            ],
+        );
+    });
+
+    it('returns unspent outputs of a plugin group with their plugin data', () => {
+        const agora = group => ({ agora: { groups: [group], data: ['00'] } });
+        const offer = createTx({
+            txid: 'offer',
+            outputs: [
+                { sats: 546n, outputScript: SCRIPT, plugins: agora('50aa') },
+                { sats: 546n, outputScript: SCRIPT, plugins: agora('50aa') },
+                { sats: 546n, outputScript: OTHER_SCRIPT, plugins: agora('50bb') },
+            ],
+        });
+        const accept = createTx({
+            txid: 'accept',
+            inputs: [
+                {
+                    prevOut: { txid: 'offer', outIdx: 0 },
+                    inputScript: '',
+                    outputScript: SCRIPT,
+                    sats: 546n,
+                    sequenceNo: 0,
+                },
+            ],
+            outputs: [{ sats: 546n, outputScript: OTHER_SCRIPT }],
+        });
+        const cache = {
+            txMap: { offer, accept },
+            txOrder: ['accept', 'offer'],
+        };
+
+        const utxos = derivePluginUtxos(cache, 'agora', '50aa');
+
+        assert.deepStrictEqual(
+            utxos.map(utxo => [utxo.outpoint.txid, utxo.outpoint.outIdx, utxo.script, utxo.plugins]),
+            [['offer', 1, SCRIPT, agora('50aa')]],
+        );
+    });
+});
@@ -1,6 +1,8 @@
 const assert = require('node:assert/strict');
 const WebSocketManager = require('../../src/lib/WebSocketManager').default;
-const { createWsMock } = require('../helpers/mockFactory');
+const { SCRIPT, LOKAD, PLUGIN } = require('../../src/lib/entityTypes');
+const { encodeCashAddress } = require('ecashaddrjs');
+const { createTx, createWsMock } = require('../helpers/mockFactory');
 
 describe('WebSocketManager', () => {
     it('subscribes an address only once', async () => {
@@ -74,9 +76,21 @@ describe('WebSocketManager', () => {
             msgType: 'UNRECOGNIZED',
             txid: 'ignored',
         });
+        await ws.config.onMessage({
+            type: 'Tx',
+            msgType: 'TX_REMOVED_FROM_MEMPOOL',
+            txid: 'removed',
+        });
+        await ws.config.onMessage({
+            type: 'Tx',
+            msgType: 'TX_CONFIRMED',
+            txid: 'confirmed',
+        });
 
         assert.deepStrictEqual(received, [
             { tokenId: 'token-1', txid: 'abc', msgType: 'TX_ADDED_TO_MEMPOOL' },
+            { tokenId: 'token-1', txid: 'removed', msgType: 'TX_REMOVED_FROM_MEMPOOL' },
+            { tokenId: 'token-1', txid: 'confirmed', msgType: 'TX_CONFIRMED' },
         ]);
         manager.unsubscribeAll();
     });
@@ -129,6 +143,38 @@ describe('WebSocketManager', () => {
         manager.unsubscribeAll();
     });
 
+    it('reports each connect and disconnect of a socket once', async () => {
+        const ws = createWsMock();
+        const changes = [];
+        const chronik = {
+            ws(config) {
+                ws.config = config;
+                return ws;
+            },
+        };
+
+        const manager = new WebSocketManager(chronik, {}, false, {
+            onConnectionChange(socket, connected) {
+                changes.push([socket, connected]);
+            },
+        });
+        await manager.initWebsocketForToken('token-1', async () => {});
+
+        ws.config.onConnect();
+        ws.config.onReconnect();
+        ws.config.onReconnect();
+        ws.config.onConnect();
+        ws.config.onEnd();
+
+        assert.deepStrictEqual(changes, [
+            ['token', true],
+            ['token', false],
+            ['token', true],
+            ['token', false],
+        ]);
+        manager.unsubscribeAll();
+    });
+
     it('closes the websocket when the last token subscription is removed', async () => {
         const ws = createWsMock();
         const chronik = {
@@ -145,4 +191,183 @@ describe('WebSocketManager', () => {
 
         assert.equal(ws.manuallyClosed, true);
     });
+
+    it('notifies only the subscriptions a tx touches and fetches the tx once', async () => {
+        const sockets = [];
+        const hashA = '11'.repeat(20);
+        const hashB = '22'.repeat(20);
+        const addressA = encodeCashAddress('ecash', 'p2pkh', hashA);
+        const addressB = encodeCashAddress('ecash', 'p2pkh', hashB);
+        const received = [];
+        const txCalls = [];
+        const chronik = {
+            ws(config) {
+                const ws = createWsMock();
+                ws.config = config;
+                sockets.push(ws);
+                return ws;
+            },
+            async tx(txid) {
+                txCalls.push(txid);
+                return createTx({
+                    txid,
+                    outputs: [
+                        {
+                            sats: 546n,
+                            outputScript: `76a914${hashA}88ac`,
+                            token: { tokenId: 'token-1', atoms: 1n },
+                        },
+                    ],
+                });
+            },
+        };
+
+        const manager = new WebSocketManager(chronik, {}, false);
+        const onNewTransaction = async (identifier, txid) => {
+            received.push({ identifier, txid });
+        };
+        await manager.initWebsocketForAddress(addressA, onNewTransaction);
+        await manager.initWebsocketForAddress(addressB, onNewTransaction);
+        await manager.initWebsocketForToken('token-1', onNewTransaction);
+        await manager.initWebsocketForToken('token-2', onNewTransaction);
+
+        const msg = { type: 'Tx', msgType: 'TX_ADDED_TO_MEMPOOL', txid: 'routed' };
+        for (const ws of sockets) {
+            await ws.config.onMessage(msg);
+        }
+
+        assert.deepStrictEqual(txCalls, ['routed']);
+        assert.deepStrictEqual(received, [
+            { identifier: addressA, txid: 'routed' },
+            { identifier: 'token-1', txid: 'routed' },
+        ]);
+        manager.unsubscribeAll();
+    });
+
+    it('subscribes scripts without an address through script subscriptions and routes their txs', async () => {
+        const ws = createWsMock();
+        const pubkey = '02' + '33'.repeat(32);
+        const p2pk = `p2pk:${pubkey}`;
+        const other = 'other:6a';
+        const received = [];
+        const chronik = {
+            ws(config) {
+                ws.config = config;
+                return ws;
+            },
+            async tx(txid) {
+                return createTx({ txid, outputs: [{ sats: 546n, outputScript: `21${pubkey}ac` }] });
+            },
+        };
+
+        const manager = new WebSocketManager(chronik, {}, false);
+        const onNewTransaction = async identifier => {
+            received.push(identifier);
+        };
+        await SCRIPT.subscribe(manager, p2pk, onNewTransaction);
+        await SCRIPT.subscribe(manager, other, onNewTransaction);
+        await ws.config.onMessage({ type: 'Tx', msgType: 'TX_ADDED_TO_MEMPOOL', txid: 'to-pubkey' });
+        SCRIPT.unsubscribe(manager, other);
+
+        assert.deepStrictEqual(ws.subscribedScripts, [p2pk, other]);
+        assert.deepStrictEqual(ws.unsubscribedScripts, [other]);
+        assert.deepStrictEqual(ws.subscribedAddresses, []);
+        assert.deepStrictEqual(received, [p2pk]);
+        manager.unsubscribeAll();
+    });
+
+    it('subscribes LOKAD ids and plugin groups and routes plugin txs by group', async () => {
+        const ws = createWsMock();
+        const received = [];
+        const chronik = {
+            ws(config) {
+                ws.config = config;
+                return ws;
+            },
+            async tx(txid) {
+                return createTx({
+                    txid,
+                    outputs: [{ sats: 546n, outputScript: '51', plugins: { agora: { groups: ['50aa'], data: [] } } }],
+                });
+            },
+        };
+
+        const manager = new WebSocketManager(chronik, {}, false);
+        const onNewTransaction = async identifier => {
+            received.push(identifier);
+        };
+        await LOKAD.subscribe(manager, 'lokad:2e786563', onNewTransaction);
+        await PLUGIN.subscribe(manager, 'plugin:agora:50aa', onNewTransaction);
+        await PLUGIN.subscribe(manager, 'plugin:agora:50bb', onNewTransaction);
+        await ws.config.onMessage({ type: 'Tx', msgType: 'TX_ADDED_TO_MEMPOOL', txid: 'agora-offer' });
+        LOKAD.unsubscribe(manager, 'lokad:2e786563');
+
+        assert.deepStrictEqual(ws.subscribedLokadIds, ['2e786563']);
+        assert.deepStrictEqual(ws.unsubscribedLokadIds, ['2e786563']);
+        assert.deepStrictEqual(ws.subscribedPlugins, ['agora:50aa', 'agora:50bb']);
+        assert.deepStrictEqual(received, ['lokad:2e786563', 'plugin:agora:50aa']);
+        manager.unsubscribeAll();
+    });
+
+    it('notifies every subscription when the tx cannot be fetched', async () => {
+        const ws = createWsMock();
+        const received = [];
+        const chronik = {
+            ws(config) {
+                ws.config = config;
+                return ws;
+            },
+            async tx() {
+                throw new Error('tx not found');
+            },
+        };
+
+        const manager = new WebSocketManager(chronik, {}, false);
+        await manager.initWebsocketForToken('token-1', async tokenId => {
+            received.push(tokenId);
+        });
+        await manager.initWebsocketForToken('token-2', async tokenId => {
+            received.push(tokenId);
+        });
+
+        await ws.config.onMessage({ type: 'Tx', msgType: 'TX_FINALIZED', txid: 'missing' });
+
+        assert.deepStrictEqual(received, ['token-1', 'token-2']);
+        manager.unsubscribeAll();
+    });
+
+    it('reports the fork height on block disconnects and hash mismatches', async () => {
+        const sockets = [];
+        const reorgs = [];
+        const chronik = {
+            ws(config) {
+                const ws = createWsMock();
+                ws.config = config;
+                sockets.push(ws);
+                return ws;
+            },
+        };
+
+        const manager = new WebSocketManager(chronik, {}, false, {
+            onReorg: forkHeight => {
+                reorgs.push(forkHeight);
+            },
+        });
+        await manager.initWebsocketForAddress('ecash:addr1', async () => {});
+        const blockWs = sockets.find(ws => ws.blocksSubscribed);
+        const block = (msgType, blockHeight, blockHash) =>
+            blockWs.config.onMessage({ type: 'Block', msgType, blockHeight, blockHash });
+
+        await block('BLK_CONNECTED', 100, 'hash-100');
+        await block('BLK_CONNECTED', 101, 'hash-101');
+        await block('BLK_CONNECTED', 101, 'hash-101');
+        await block('BLK_DISCONNECTED', 101, 'hash-101');
+        await block('BLK_CONNECTED', 101, 'hash-101b');
+        await block('BLK_CONNECTED', 100, 'hash-100b');
+
+        assert.deepStrictEqual(reorgs, [101, 100]);
+
+        manager.unsubscribeAll();
+        assert.equal(blockWs.manuallyClosed, true);
+    });
 });